@@ -29,6 +29,7 @@ module "database" {
   source = "../../modules/database"
 
   aws_region = var.aws_region
+  name       = "score"
   vpc_id     = module.vpc.vpc_id
   subnet_ids = module.vpc.private_subnet_ids
 }
@@ -38,6 +39,7 @@ module "cache" {
   source = "../../modules/cache"
 
   aws_region = var.aws_region
+  name       = "score"
   vpc_id     = module.vpc.vpc_id
   subnet_ids = module.vpc.private_subnet_ids
 }
@@ -47,6 +49,7 @@ module "queue" {
   source = "../../modules/queue"
 
   aws_region = var.aws_region
+  name       = "score"
   vpc_id     = module.vpc.vpc_id
   subnet_ids = module.vpc.private_subnet_ids
 }
@@ -64,6 +67,7 @@ module "ai" {
   source = "../../modules/ai"
 
   aws_region = var.aws_region
+  name       = "score"
   vpc_id     = module.vpc.vpc_id
   subnet_ids = module.vpc.private_subnet_ids
 }
@@ -3,67 +3,48 @@ variable "aws_region" {
   type        = string
 }
 
-variable "vpc_id" {
-  description = "VPC ID"
+variable "name" {
+  description = "Name prefix for resources"
   type        = string
 }
 
-variable "subnet_ids" {
-  description = "List of subnet IDs"
+variable "model_ids" {
+  description = "IDs of the Bedrock foundation models the workload may invoke"
   type        = list(string)
-}
-
-resource "aws_sagemaker_notebook_instance" "main" {
-  name          = "score-ai-notebook"
-  role_arn      = aws_iam_role.sagemaker.arn
-  instance_type = "ml.t2.medium"
-  subnet_id     = var.subnet_ids[0]
-  security_groups = [aws_security_group.sagemaker.id]
 
-  tags = {
-    Name = "score-ai-notebook"
+  validation {
+    condition     = length(var.model_ids) > 0
+    error_message = "At least one model ID is required."
   }
 }
 
-resource "aws_iam_role" "sagemaker" {
-  name = "score-sagemaker-role"
+data "aws_partition" "current" {}
 
-  assume_role_policy = jsonencode({
+# Invocation of the chosen foundation models only, attached to the workload's role
+resource "aws_iam_policy" "invoke" {
+  name        = "${var.name}-bedrock-invoke"
+  description = "Invoke the Bedrock models of ${var.name}"
+
+  policy = jsonencode({
     Version = "2012-10-17"
     Statement = [
       {
-        Action = "sts:AssumeRole"
         Effect = "Allow"
-        Principal = {
-          Service = "sagemaker.amazonaws.com"
-        }
+        Action = ["bedrock:InvokeModel", "bedrock:InvokeModelWithResponseStream"]
+        Resource = [
+          for model_id in var.model_ids :
+          "arn:${data.aws_partition.current.partition}:bedrock:${var.aws_region}::foundation-model/${model_id}"
+        ]
       }
     ]
   })
 }
 
-resource "aws_iam_role_policy_attachment" "sagemaker" {
-  role       = aws_iam_role.sagemaker.name
-  policy_arn = "arn:aws:iam::aws:policy/AmazonSageMakerFullAccess"
+output "model_ids" {
+  value = var.model_ids
 }
 
-resource "aws_security_group" "sagemaker" {
-  name        = "score-sagemaker-sg"
-  description = "Security group for SageMaker"
-  vpc_id      = var.vpc_id
-
-  ingress {
-    from_port   = 443
-    to_port     = 443
-    protocol    = "tcp"
-    cidr_blocks = ["10.0.0.0/16"]
-  }
-
-  tags = {
-    Name = "score-sagemaker-sg"
-  }
+output "access_policy_arn" {
+  description = "ARN of the IAM policy allowing the models to be invoked"
+  value       = aws_iam_policy.invoke.arn
 }
-
-output "notebook_url" {
-  value = aws_sagemaker_notebook_instance.main.url
-} 
\ No newline at end of file
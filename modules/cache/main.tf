@@ -0,0 +1,85 @@
+variable "aws_region" {
+  description = "AWS region"
+  type        = string
+}
+
+variable "name" {
+  description = "Name prefix for resources"
+  type        = string
+}
+
+variable "vpc_id" {
+  description = "VPC ID"
+  type        = string
+}
+
+variable "subnet_ids" {
+  description = "List of subnet IDs"
+  type        = list(string)
+}
+
+variable "allowed_cidr_blocks" {
+  description = "CIDR blocks allowed to connect to the cache"
+  type        = list(string)
+  default     = ["10.0.0.0/16"]
+}
+
+variable "node_type" {
+  description = "ElastiCache node type"
+  type        = string
+  default     = "cache.t3.micro"
+}
+
+variable "snapshot_retention_limit" {
+  description = "Days snapshots are kept, 0 to disable them"
+  type        = number
+  default     = 0
+}
+
+resource "aws_elasticache_subnet_group" "main" {
+  name       = "${var.name}-cache-subnet-group"
+  subnet_ids = var.subnet_ids
+}
+
+resource "aws_security_group" "cache" {
+  name        = "${var.name}-cache-sg"
+  description = "Security group for ElastiCache Redis"
+  vpc_id      = var.vpc_id
+
+  ingress {
+    from_port   = 6379
+    to_port     = 6379
+    protocol    = "tcp"
+    cidr_blocks = var.allowed_cidr_blocks
+  }
+
+  tags = {
+    Name = "${var.name}-cache-sg"
+  }
+}
+
+resource "aws_elasticache_cluster" "main" {
+  cluster_id           = "${var.name}-cache"
+  engine               = "redis"
+  node_type            = var.node_type
+  num_cache_nodes      = 1
+  parameter_group_name = "default.redis7"
+  port                 = 6379
+
+  snapshot_retention_limit = var.snapshot_retention_limit
+
+  subnet_group_name  = aws_elasticache_subnet_group.main.name
+  security_group_ids = [aws_security_group.cache.id]
+
+  tags = {
+    Name = "${var.name}-cache"
+  }
+}
+
+output "cache_address" {
+  value = aws_elasticache_cluster.main.cache_nodes[0].address
+}
+
+output "cache_port" {
+  value = aws_elasticache_cluster.main.port
+}
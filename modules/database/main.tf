@@ -3,6 +3,11 @@ variable "aws_region" {
   type        = string
 }
 
+variable "name" {
+  description = "Name prefix for resources"
+  type        = string
+}
+
 variable "vpc_id" {
   description = "VPC ID"
   type        = string
@@ -13,60 +18,172 @@ variable "subnet_ids" {
   type        = list(string)
 }
 
+variable "allowed_cidr_blocks" {
+  description = "CIDR blocks allowed to connect to the database"
+  type        = list(string)
+  default     = ["10.0.0.0/16"]
+}
+
+variable "engine" {
+  description = "Database engine, postgres or mysql"
+  type        = string
+  default     = "postgres"
+
+  validation {
+    condition     = contains(["postgres", "mysql"], var.engine)
+    error_message = "The engine must be postgres or mysql."
+  }
+}
+
+variable "engine_version" {
+  description = "Database engine version"
+  type        = string
+  default     = "14"
+}
+
+variable "instance_class" {
+  description = "RDS instance class"
+  type        = string
+  default     = "db.t3.micro"
+}
+
+variable "allocated_storage" {
+  description = "Allocated storage in GiB"
+  type        = number
+  default     = 20
+}
+
+variable "backup_retention_period" {
+  description = "Days automated backups are kept, 0 to disable them"
+  type        = number
+  default     = 7
+}
+
+variable "multi_az" {
+  description = "Run a standby instance in a second availability zone"
+  type        = bool
+  default     = false
+}
+
+variable "deletion_protection" {
+  description = "Prevent the instance from being deleted"
+  type        = bool
+  default     = false
+}
+
+variable "skip_final_snapshot" {
+  description = "Delete the instance without taking a final snapshot"
+  type        = bool
+  default     = true
+}
+
+locals {
+  port = var.engine == "mysql" ? 3306 : 5432
+}
+
 resource "aws_db_subnet_group" "main" {
-  name       = "score-db-subnet-group"
+  name       = "${var.name}-db-subnet-group"
   subnet_ids = var.subnet_ids
 
   tags = {
-    Name = "score-db-subnet-group"
+    Name = "${var.name}-db-subnet-group"
   }
 }
 
 resource "aws_security_group" "db" {
-  name        = "score-db-sg"
+  name        = "${var.name}-db-sg"
   description = "Security group for RDS"
   vpc_id      = var.vpc_id
 
   ingress {
-    from_port   = 5432
-    to_port     = 5432
+    from_port   = local.port
+    to_port     = local.port
     protocol    = "tcp"
-    cidr_blocks = ["10.0.0.0/16"]
+    cidr_blocks = var.allowed_cidr_blocks
   }
 
   tags = {
-    Name = "score-db-sg"
+    Name = "${var.name}-db-sg"
   }
 }
 
+# Master credentials are generated and stored in Secrets Manager, so workloads
+# read them from the secret rather than from the configuration
+resource "random_password" "master" {
+  length  = 32
+  special = true
+  # RDS rejects /, @, " and spaces in master passwords
+  override_special = "!#$%&*()-_=+[]{}<>:?"
+}
+
 resource "aws_db_instance" "main" {
-  identifier           = "score-db"
-  engine              = "postgres"
-  engine_version      = "13.7"
-  instance_class      = "db.t3.micro"
-  allocated_storage   = 20
-  storage_type        = "gp2"
-  db_name             = "scoredb"
-  username            = "scoreadmin"
-  password            = "scorepassword" # In production, use AWS Secrets Manager
-  skip_final_snapshot = true
+  identifier        = "${var.name}-db"
+  engine            = var.engine
+  engine_version    = var.engine_version
+  instance_class    = var.instance_class
+  allocated_storage = var.allocated_storage
+  storage_type      = "gp2"
+  db_name           = replace(var.name, "-", "_")
+  username          = "scoreadmin"
+  password          = random_password.master.result
+  multi_az          = var.multi_az
+
+  backup_retention_period = var.backup_retention_period
+
+  deletion_protection       = var.deletion_protection
+  skip_final_snapshot       = var.skip_final_snapshot
+  final_snapshot_identifier = var.skip_final_snapshot ? null : "${var.name}-db-final"
 
   vpc_security_group_ids = [aws_security_group.db.id]
   db_subnet_group_name   = aws_db_subnet_group.main.name
 
   tags = {
-    Name = "score-db"
+    Name = "${var.name}-db"
   }
 }
 
+resource "aws_secretsmanager_secret" "credentials" {
+  name                    = "${var.name}-db-credentials"
+  recovery_window_in_days = 0
+
+  tags = {
+    Name = "${var.name}-db-credentials"
+  }
+}
+
+resource "aws_secretsmanager_secret_version" "credentials" {
+  secret_id     = aws_secretsmanager_secret.credentials.id
+  secret_string = jsonencode({
+    engine   = var.engine
+    host     = aws_db_instance.main.address
+    port     = aws_db_instance.main.port
+    dbname   = aws_db_instance.main.db_name
+    username = aws_db_instance.main.username
+    password = random_password.master.result
+  })
+}
+
 output "db_endpoint" {
   value = aws_db_instance.main.endpoint
 }
 
+output "db_address" {
+  value = aws_db_instance.main.address
+}
+
+output "db_port" {
+  value = aws_db_instance.main.port
+}
+
 output "db_name" {
   value = aws_db_instance.main.db_name
 }
 
 output "db_username" {
   value = aws_db_instance.main.username
-} 
\ No newline at end of file
+}
+
+output "credentials_secret_arn" {
+  description = "ARN of the Secrets Manager secret holding the database credentials"
+  value       = aws_secretsmanager_secret.credentials.arn
+}
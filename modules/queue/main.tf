@@ -3,6 +3,11 @@ variable "aws_region" {
   type        = string
 }
 
+variable "name" {
+  description = "Name prefix for resources"
+  type        = string
+}
+
 variable "vpc_id" {
   description = "VPC ID"
   type        = string
@@ -13,26 +18,48 @@ variable "subnet_ids" {
   type        = list(string)
 }
 
+variable "instance_type" {
+  description = "Amazon MQ broker instance type"
+  type        = string
+  default     = "mq.t3.micro"
+}
+
+variable "multi_az" {
+  description = "Run a three node cluster across availability zones"
+  type        = bool
+  default     = false
+}
+
+# Broker credentials are generated and stored in Secrets Manager, so workloads
+# read them from the secret rather than from the configuration
+resource "random_password" "broker" {
+  length = 32
+  # Amazon MQ rejects commas, colons and equal signs in passwords
+  special = false
+}
+
 resource "aws_mq_broker" "main" {
-  broker_name        = "score-queue"
+  broker_name        = "${var.name}-queue"
   engine_type        = "RabbitMQ"
   engine_version     = "3.8.11"
-  host_instance_type = "mq.t3.micro"
+  host_instance_type = var.instance_type
+  deployment_mode    = var.multi_az ? "CLUSTER_MULTI_AZ" : "SINGLE_INSTANCE"
   security_groups    = [aws_security_group.queue.id]
-  subnet_ids         = var.subnet_ids
+  # Single instance brokers take exactly one subnet
+  subnet_ids = var.multi_az ? var.subnet_ids : [var.subnet_ids[0]]
 
   user {
     username = "scoreadmin"
-    password = "scorepassword" # In production, use AWS Secrets Manager
+    password = random_password.broker.result
   }
 
   tags = {
-    Name = "score-queue"
+    Name = "${var.name}-queue"
   }
 }
 
 resource "aws_security_group" "queue" {
-  name        = "score-queue-sg"
+  name        = "${var.name}-queue-sg"
   description = "Security group for RabbitMQ"
   vpc_id      = var.vpc_id
 
@@ -44,14 +71,46 @@ resource "aws_security_group" "queue" {
   }
 
   tags = {
-    Name = "score-queue-sg"
+    Name = "${var.name}-queue-sg"
   }
 }
 
+resource "aws_secretsmanager_secret" "credentials" {
+  name                    = "${var.name}-queue-credentials"
+  recovery_window_in_days = 0
+
+  tags = {
+    Name = "${var.name}-queue-credentials"
+  }
+}
+
+resource "aws_secretsmanager_secret_version" "credentials" {
+  secret_id     = aws_secretsmanager_secret.credentials.id
+  secret_string = jsonencode({
+    engine   = "rabbitmq"
+    endpoint = aws_mq_broker.main.instances[0].endpoints[0]
+    username = one(aws_mq_broker.main.user[*].username)
+    password = random_password.broker.result
+  })
+}
+
 output "queue_endpoint" {
   value = aws_mq_broker.main.instances[0].endpoints[0]
 }
 
+output "queue_host" {
+  value = regex("^[a-z+]+://([^:]+)", aws_mq_broker.main.instances[0].endpoints[0])[0]
+}
+
+output "queue_port" {
+  value = 5671
+}
+
 output "queue_username" {
-  value = aws_mq_broker.main.user[0].username
+  value = one(aws_mq_broker.main.user[*].username)
+}
+
+output "credentials_secret_arn" {
+  description = "ARN of the Secrets Manager secret holding the broker credentials"
+  value       = aws_secretsmanager_secret.credentials.arn
 } 
\ No newline at end of file
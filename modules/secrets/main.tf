@@ -0,0 +1,35 @@
+variable "aws_region" {
+  description = "AWS region"
+  type        = string
+}
+
+variable "name" {
+  description = "Name prefix for resources"
+  type        = string
+}
+
+variable "values" {
+  description = "Secret values keyed by environment variable name"
+  type        = map(string)
+  sensitive   = true
+}
+
+# Secret environment variables of the workload, stored as one JSON document
+resource "aws_secretsmanager_secret" "values" {
+  name                    = var.name
+  recovery_window_in_days = 0
+
+  tags = {
+    Name = var.name
+  }
+}
+
+resource "aws_secretsmanager_secret_version" "values" {
+  secret_id     = aws_secretsmanager_secret.values.id
+  secret_string = jsonencode(var.values)
+}
+
+output "secret_arn" {
+  description = "ARN of the Secrets Manager secret holding the values"
+  value       = aws_secretsmanager_secret.values.arn
+}
@@ -0,0 +1,140 @@
+variable "aws_region" {
+  description = "AWS region"
+  type        = string
+}
+
+variable "name" {
+  description = "Name prefix for resources"
+  type        = string
+}
+
+variable "fifo" {
+  description = "Create a FIFO topic and FIFO subscription queues"
+  type        = bool
+  default     = false
+}
+
+variable "subscriptions" {
+  description = "Number of SQS queues subscribed to the topic"
+  type        = number
+  default     = 1
+
+  validation {
+    condition     = var.subscriptions >= 1
+    error_message = "At least one subscription queue is required."
+  }
+}
+
+variable "raw_message_delivery" {
+  description = "Deliver the published message as is rather than wrapped in an SNS envelope"
+  type        = bool
+  default     = true
+}
+
+variable "max_receive_count" {
+  description = "Receives of a message before it moves to a subscription's dead-letter queue"
+  type        = number
+  default     = 5
+}
+
+resource "aws_sns_topic" "main" {
+  name                        = var.fifo ? "${var.name}.fifo" : var.name
+  fifo_topic                  = var.fifo
+  content_based_deduplication = var.fifo
+  kms_master_key_id           = "alias/aws/sns"
+
+  tags = {
+    Name = var.name
+  }
+}
+
+# Each subscription is an SQS queue with its own dead-letter queue
+module "subscription" {
+  source = "../sqs"
+  count  = var.subscriptions
+
+  aws_region           = var.aws_region
+  name                 = "${var.name}-${count.index + 1}"
+  fifo                 = var.fifo
+  max_receive_count    = var.max_receive_count
+  create_access_policy = false
+}
+
+# Allow the topic, and only the topic, to deliver to the subscription queues
+resource "aws_sqs_queue_policy" "subscription" {
+  count     = var.subscriptions
+  queue_url = module.subscription[count.index].queue_url
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect    = "Allow"
+        Principal = { Service = "sns.amazonaws.com" }
+        Action    = "sqs:SendMessage"
+        Resource  = module.subscription[count.index].queue_arn
+        Condition = {
+          ArnEquals = {
+            "aws:SourceArn" = aws_sns_topic.main.arn
+          }
+        }
+      }
+    ]
+  })
+}
+
+resource "aws_sns_topic_subscription" "main" {
+  count                = var.subscriptions
+  topic_arn            = aws_sns_topic.main.arn
+  protocol             = "sqs"
+  endpoint             = module.subscription[count.index].queue_arn
+  raw_message_delivery = var.raw_message_delivery
+
+  depends_on = [aws_sqs_queue_policy.subscription]
+}
+
+# Publish to the topic and consume the subscription queues, attached to the
+# workload's role
+resource "aws_iam_policy" "access" {
+  name        = "${var.name}-sns-access"
+  description = "Publish to the ${var.name} topic and consume its subscription queues"
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect   = "Allow"
+        Action   = "sns:Publish"
+        Resource = aws_sns_topic.main.arn
+      },
+      {
+        Effect = "Allow"
+        Action = [
+          "sqs:ReceiveMessage",
+          "sqs:DeleteMessage",
+          "sqs:ChangeMessageVisibility",
+          "sqs:GetQueueAttributes",
+          "sqs:GetQueueUrl",
+        ]
+        Resource = module.subscription[*].queue_arn
+      }
+    ]
+  })
+}
+
+output "topic_arn" {
+  value = aws_sns_topic.main.arn
+}
+
+output "subscription_queue_urls" {
+  value = module.subscription[*].queue_url
+}
+
+output "subscription_queue_arns" {
+  value = module.subscription[*].queue_arn
+}
+
+output "access_policy_arn" {
+  description = "ARN of the IAM policy granting access to the topic and its queues"
+  value       = aws_iam_policy.access.arn
+}
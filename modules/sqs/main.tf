@@ -0,0 +1,130 @@
+variable "aws_region" {
+  description = "AWS region"
+  type        = string
+}
+
+variable "name" {
+  description = "Name prefix for resources"
+  type        = string
+}
+
+variable "fifo" {
+  description = "Create FIFO queues with exactly-once processing"
+  type        = bool
+  default     = false
+}
+
+variable "visibility_timeout_seconds" {
+  description = "Seconds a received message stays hidden from other consumers"
+  type        = number
+  default     = 30
+}
+
+variable "message_retention_seconds" {
+  description = "Seconds a message is kept before it is deleted"
+  type        = number
+  default     = 345600
+}
+
+variable "max_receive_count" {
+  description = "Receives of a message before it moves to the dead-letter queue"
+  type        = number
+  default     = 5
+}
+
+variable "create_access_policy" {
+  description = "Create an IAM policy allowing a workload to consume and send messages"
+  type        = bool
+  default     = true
+}
+
+locals {
+  # FIFO queue names must end in .fifo
+  suffix = var.fifo ? ".fifo" : ""
+}
+
+# Messages that could not be processed after max_receive_count attempts, kept
+# for the longest retention SQS allows
+resource "aws_sqs_queue" "dlq" {
+  name                      = "${var.name}-dlq${local.suffix}"
+  fifo_queue                = var.fifo
+  message_retention_seconds = 1209600
+  sqs_managed_sse_enabled   = true
+
+  tags = {
+    Name = "${var.name}-dlq"
+  }
+}
+
+resource "aws_sqs_queue" "main" {
+  name                       = "${var.name}${local.suffix}"
+  fifo_queue                 = var.fifo
+  visibility_timeout_seconds = var.visibility_timeout_seconds
+  message_retention_seconds  = var.message_retention_seconds
+  sqs_managed_sse_enabled    = true
+
+  redrive_policy = jsonencode({
+    deadLetterTargetArn = aws_sqs_queue.dlq.arn
+    maxReceiveCount     = var.max_receive_count
+  })
+
+  tags = {
+    Name = var.name
+  }
+}
+
+# Only the main queue may move messages into the dead-letter queue
+resource "aws_sqs_queue_redrive_allow_policy" "dlq" {
+  queue_url = aws_sqs_queue.dlq.id
+
+  redrive_allow_policy = jsonencode({
+    redrivePermission = "byQueue"
+    sourceQueueArns   = [aws_sqs_queue.main.arn]
+  })
+}
+
+# Send, receive and delete messages, attached to the workload's role
+resource "aws_iam_policy" "access" {
+  count       = var.create_access_policy ? 1 : 0
+  name        = "${var.name}-sqs-access"
+  description = "Send and consume messages of the ${var.name} queue"
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "sqs:SendMessage",
+          "sqs:ReceiveMessage",
+          "sqs:DeleteMessage",
+          "sqs:ChangeMessageVisibility",
+          "sqs:GetQueueAttributes",
+          "sqs:GetQueueUrl",
+        ]
+        Resource = aws_sqs_queue.main.arn
+      }
+    ]
+  })
+}
+
+output "queue_url" {
+  value = aws_sqs_queue.main.id
+}
+
+output "queue_arn" {
+  value = aws_sqs_queue.main.arn
+}
+
+output "dlq_url" {
+  value = aws_sqs_queue.dlq.id
+}
+
+output "dlq_arn" {
+  value = aws_sqs_queue.dlq.arn
+}
+
+output "access_policy_arn" {
+  description = "ARN of the IAM policy granting access to the queue, if created"
+  value       = var.create_access_policy ? aws_iam_policy.access[0].arn : null
+}
@@ -8,24 +8,43 @@ variable "name" {
   type        = string
 }
 
+variable "versioning" {
+  description = "Keep previous versions of overwritten and deleted objects"
+  type        = bool
+  default     = true
+}
+
+variable "expiration_days" {
+  description = "Days after which objects are deleted, 0 to keep them"
+  type        = number
+  default     = 0
+}
+
+# Private bucket, named after the prefix with a unique suffix as bucket names
+# are global
 resource "aws_s3_bucket" "main" {
-  bucket = "${var.name}-storage"
-  acl    = "private"
+  bucket_prefix = "${var.name}-"
 
-  versioning {
-    enabled = true
+  tags = {
+    Name = var.name
   }
+}
 
-  server_side_encryption_configuration {
-    rule {
-      apply_server_side_encryption_by_default {
-        sse_algorithm = "AES256"
-      }
-    }
+resource "aws_s3_bucket_versioning" "main" {
+  bucket = aws_s3_bucket.main.id
+
+  versioning_configuration {
+    status = var.versioning ? "Enabled" : "Suspended"
   }
+}
 
-  tags = {
-    Name = "${var.name}-storage"
+resource "aws_s3_bucket_server_side_encryption_configuration" "main" {
+  bucket = aws_s3_bucket.main.id
+
+  rule {
+    apply_server_side_encryption_by_default {
+      sse_algorithm = "AES256"
+    }
   }
 }
 
@@ -38,10 +57,90 @@ resource "aws_s3_bucket_public_access_block" "main" {
   restrict_public_buckets = true
 }
 
+resource "aws_s3_bucket_ownership_controls" "main" {
+  bucket = aws_s3_bucket.main.id
+
+  rule {
+    object_ownership = "BucketOwnerEnforced"
+  }
+}
+
+resource "aws_s3_bucket_lifecycle_configuration" "main" {
+  count  = var.expiration_days > 0 ? 1 : 0
+  bucket = aws_s3_bucket.main.id
+
+  rule {
+    id     = "expire-objects"
+    status = "Enabled"
+
+    filter {}
+
+    expiration {
+      days = var.expiration_days
+    }
+
+    noncurrent_version_expiration {
+      noncurrent_days = var.expiration_days
+    }
+  }
+}
+
+# Refuse requests that are not made over TLS
+resource "aws_s3_bucket_policy" "main" {
+  bucket = aws_s3_bucket.main.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Sid       = "DenyInsecureTransport"
+        Effect    = "Deny"
+        Principal = "*"
+        Action    = "s3:*"
+        Resource  = [aws_s3_bucket.main.arn, "${aws_s3_bucket.main.arn}/*"]
+        Condition = {
+          Bool = {
+            "aws:SecureTransport" = "false"
+          }
+        }
+      }
+    ]
+  })
+
+  depends_on = [aws_s3_bucket_public_access_block.main]
+}
+
+# Read and write access to the bucket's objects, attached to the workload's role
+resource "aws_iam_policy" "access" {
+  name        = "${var.name}-storage-access"
+  description = "Read and write access to the ${var.name} bucket"
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect   = "Allow"
+        Action   = ["s3:ListBucket", "s3:GetBucketLocation"]
+        Resource = aws_s3_bucket.main.arn
+      },
+      {
+        Effect   = "Allow"
+        Action   = ["s3:GetObject", "s3:PutObject", "s3:DeleteObject"]
+        Resource = "${aws_s3_bucket.main.arn}/*"
+      }
+    ]
+  })
+}
+
 output "bucket_name" {
   value = aws_s3_bucket.main.id
 }
 
 output "bucket_arn" {
   value = aws_s3_bucket.main.arn
-} 
\ No newline at end of file
+}
+
+output "access_policy_arn" {
+  description = "ARN of the IAM policy granting access to the bucket"
+  value       = aws_iam_policy.access.arn
+}
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const express = require('express');
+const { ROLES } = require('./roles');
+
+// How long authorization codes and ID tokens of the stand-in provider are valid
+const CODE_TTL_MS = 60 * 1000;
+const ID_TOKEN_TTL_SECONDS = 5 * 60;
+
+const escapeHtml = value => String(value).replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('base64url');
+
+/**
+ * A minimal OpenID Connect provider for trying out and testing OIDC sign-in:
+ * the authorization code flow with PKCE for a single client, with RS256 ID
+ * tokens signed by a key generated at startup. Its sign-in page accepts any
+ * username and lets the user pick their role and team, so it must never be
+ * enabled in production. Returns an Express router serving the provider at
+ * `issuer`.
+ */
+const createDevIdp = ({ issuer, clientId, clientSecret, redirectUri }) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  // Pending authorization codes
+  const codes = new Map();
+
+  const signIdToken = (claims) => {
+    const header = Buffer.from(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey);
+    return `${header}.${payload}.${signature.toString('base64url')}`;
+  };
+
+  const router = express.Router();
+  router.use(express.urlencoded({ extended: false }));
+
+  router.get('/.well-known/openid-configuration', (req, res) => res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+  }));
+
+  router.get('/jwks', (req, res) => res.json({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }],
+  }));
+
+  // Sign-in page. Only the registered client and redirect URI are accepted
+  router.get('/authorize', (req, res) => {
+    const { client_id: requestedClientId, redirect_uri: requestedRedirectUri } = req.query;
+    if (requestedClientId !== clientId || requestedRedirectUri !== redirectUri) {
+      return res.status(400).send('Unknown client or redirect URI');
+    }
+
+    const hidden = ['state', 'nonce', 'code_challenge', 'code_challenge_method']
+      .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name] || '')}">`)
+      .join('');
+    return res.send(`<!DOCTYPE html>
+<html>
+  <head><title>Score UI development sign-in</title></head>
+  <body style="font-family: sans-serif; max-width: 24rem; margin: 4rem auto">
+    <h1>Development sign-in</h1>
+    <p>Stand-in identity provider for testing. Any username is accepted.</p>
+    <form method="post">
+      ${hidden}
+      <p><label>Username <input name="username" required autofocus></label></p>
+      <p><label>Role <select name="role">${ROLES.map(role => `<option>${role}</option>`).join('')}</select></label></p>
+      <p><label>Team <input name="team"></label></p>
+      <p><button type="submit">Sign in</button></p>
+    </form>
+  </body>
+</html>`);
+  });
+
+  router.post('/authorize', (req, res) => {
+    const { username, role, team, state, nonce } = req.body;
+    if (!username || !ROLES.includes(role) || req.body.code_challenge_method !== 'S256' || !req.body.code_challenge) {
+      return res.status(400).send('A username, a role and a S256 code challenge are required');
+    }
+
+    const code = crypto.randomBytes(16).toString('base64url');
+    codes.set(code, {
+      user: { username, role, team },
+      nonce,
+      codeChallenge: req.body.code_challenge,
+      expiresAt: Date.now() + CODE_TTL_MS,
+    });
+
+    const location = new URL(redirectUri);
+    location.searchParams.set('code', code);
+    if (state) location.searchParams.set('state', state);
+    return res.redirect(location.toString());
+  });
+
+  router.post('/token', (req, res) => {
+    const {
+      grant_type: grantType,
+      code,
+      redirect_uri: requestedRedirectUri,
+      client_id: requestedClientId,
+      client_secret: requestedClientSecret,
+      code_verifier: codeVerifier,
+    } = req.body;
+    if (requestedClientId !== clientId || requestedClientSecret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    // Codes can only be used once
+    const grant = codes.get(code);
+    codes.delete(code);
+    if (grantType !== 'authorization_code' || !grant || grant.expiresAt < Date.now()
+      || requestedRedirectUri !== redirectUri || sha256(String(codeVerifier || '')) !== grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const issuedAt = Math.floor(Date.now() / 1000);
+    return res.json({
+      access_token: crypto.randomBytes(16).toString('base64url'),
+      token_type: 'Bearer',
+      expires_in: ID_TOKEN_TTL_SECONDS,
+      id_token: signIdToken({
+        iss: issuer,
+        sub: grant.user.username,
+        aud: clientId,
+        iat: issuedAt,
+        exp: issuedAt + ID_TOKEN_TTL_SECONDS,
+        nonce: grant.nonce,
+        preferred_username: grant.user.username,
+        role: grant.user.role,
+        ...(grant.user.team && { team: grant.user.team }),
+      }),
+    });
+  });
+
+  return router;
+};
+
+module.exports = {
+  createDevIdp,
+};
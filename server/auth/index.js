@@ -0,0 +1,117 @@
+const { ROLES, hasRole } = require('./roles');
+const { signToken, verifyToken } = require('./tokens');
+const { isOidcConfigured } = require('./oidc');
+
+// How users sign in: `local` with the users in AUTH_USERS_FILE, see ./users,
+// or `oidc` with the OpenID Connect provider configured in ./oidc
+const AUTH_MODE = process.env.AUTH_MODE || 'local';
+const AUTH_MODES = ['local', 'oidc'];
+if (!AUTH_MODES.includes(AUTH_MODE)) {
+  throw new Error(`AUTH_MODE must be one of ${AUTH_MODES.join(', ')}, got "${AUTH_MODE}"`);
+}
+if (AUTH_MODE === 'oidc' && !isOidcConfigured()) {
+  throw new Error('AUTH_MODE oidc requires OIDC_ISSUER and OIDC_CLIENT_ID, or OIDC_DEV_IDP=true');
+}
+
+// How long a sign-in lasts
+const AUTH_TOKEN_TTL_SECONDS = parseInt(process.env.AUTH_TOKEN_TTL_SECONDS, 10) || 8 * 60 * 60;
+// Only send the session cookie over HTTPS, for servers behind TLS
+const AUTH_COOKIE_SECURE = process.env.AUTH_COOKIE_SECURE === 'true';
+
+const SESSION_COOKIE = 'score_ui_token';
+// Holds the state of an OIDC sign-in between the redirect and the callback
+const OIDC_STATE_COOKIE = 'score_ui_oidc';
+const OIDC_STATE_TTL_SECONDS = 10 * 60;
+
+const parseCookies = header => Object.fromEntries(String(header || '')
+  .split(';')
+  .map(cookie => cookie.trim())
+  .filter(cookie => cookie.includes('='))
+  .map((cookie) => {
+    const separator = cookie.indexOf('=');
+    return [cookie.slice(0, separator), cookie.slice(separator + 1)];
+  }));
+
+// Values are tokens, which need no encoding in a cookie
+const setCookie = (res, name, value, maxAgeSeconds) => {
+  res.append('Set-Cookie', [
+    `${name}=${value}`,
+    'Path=/',
+    `Max-Age=${maxAgeSeconds}`,
+    'HttpOnly',
+    'SameSite=Lax',
+    ...(AUTH_COOKIE_SECURE ? ['Secure'] : []),
+  ].join('; '));
+};
+
+const getCookie = (req, name) => parseCookies(req.get('Cookie'))[name];
+
+/**
+ * Sign a user in: set the session cookie the browser sends with every request.
+ * Returns the session token, which API clients can send as a bearer token
+ * instead, and when it expires.
+ */
+const startSession = (res, { id, username, role, team }) => {
+  const token = signToken('session', { sub: id, name: username, role, team: team || null }, AUTH_TOKEN_TTL_SECONDS);
+  setCookie(res, SESSION_COOKIE, token, AUTH_TOKEN_TTL_SECONDS);
+  return { token, expiresAt: new Date(Date.now() + AUTH_TOKEN_TTL_SECONDS * 1000).toISOString() };
+};
+
+const endSession = res => setCookie(res, SESSION_COOKIE, '', 0);
+
+const saveOidcState = (res, { state, nonce, codeVerifier }) => {
+  setCookie(res, OIDC_STATE_COOKIE, signToken('oidc-state', { state, nonce, codeVerifier }, OIDC_STATE_TTL_SECONDS), OIDC_STATE_TTL_SECONDS);
+};
+
+// The state saved when the OIDC sign-in started, or null when it is missing
+// or expired. It can only be used once
+const takeOidcState = (req, res) => {
+  setCookie(res, OIDC_STATE_COOKIE, '', 0);
+  return verifyToken('oidc-state', getCookie(req, OIDC_STATE_COOKIE));
+};
+
+// Set req.user from the bearer token or session cookie, null when the
+// request is not signed in. Routes decide whether that is enough
+const authenticate = (req, res, next) => {
+  const authorization = req.get('Authorization') || '';
+  const token = authorization.startsWith('Bearer ')
+    ? authorization.slice('Bearer '.length)
+    : getCookie(req, SESSION_COOKIE);
+  const claims = verifyToken('session', token);
+
+  req.user = claims && ROLES.includes(claims.role)
+    ? { id: claims.sub, username: claims.name, role: claims.role, team: claims.team || null }
+    : null;
+  next();
+};
+
+// Refuse requests not signed in with `role` or a more privileged one
+const requireRole = role => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ success: false, error: 'Sign in to continue' });
+  }
+  if (!hasRole(req.user, role)) {
+    return res.status(403).json({ success: false, error: `This requires the ${role} role, you have the ${req.user.role} role` });
+  }
+  next();
+};
+
+// Sessions belong to the user who created them, matched by their ID rather
+// than their display name, and are shared with their team. Admins access every
+// session, including those created before users signed in, which have no owner
+const canAccessSession = (user, owner) => {
+  if (hasRole(user, 'admin')) return true;
+  if (!user || !owner) return false;
+  return owner.id === user.id || (!!owner.team && owner.team === user.team);
+};
+
+module.exports = {
+  AUTH_MODE,
+  startSession,
+  endSession,
+  saveOidcState,
+  takeOidcState,
+  authenticate,
+  requireRole,
+  canAccessSession,
+};
@@ -0,0 +1,103 @@
+process.env.AUTH_TOKEN_SECRET = 'test-secret';
+const { ROLES, hasRole } = require('./roles');
+const { signToken } = require('./tokens');
+const { authenticate, requireRole, canAccessSession } = require('.');
+
+const request = (headers = {}) => ({ get: name => headers[name] });
+
+// A response recording the status and body the middleware answers with
+const response = () => {
+  const res = {};
+  res.status = jest.fn((status) => {
+    res.statusCode = status;
+    return res;
+  });
+  res.json = jest.fn((body) => {
+    res.body = body;
+    return res;
+  });
+  return res;
+};
+
+// Run `middleware` for `user`, returning the response and whether it passed
+const run = (middleware, user) => {
+  const res = response();
+  const next = jest.fn();
+  middleware({ user }, res, next);
+  return { res, passed: next.mock.calls.length === 1 };
+};
+
+describe('authenticate', () => {
+  test('sets the user from a bearer token or the session cookie', () => {
+    const token = signToken('session', { sub: 'u1', name: 'alice', role: 'developer', team: 't1' }, 60);
+    const user = { id: 'u1', username: 'alice', role: 'developer', team: 't1' };
+
+    const bearer = request({ Authorization: `Bearer ${token}` });
+    authenticate(bearer, response(), jest.fn());
+    expect(bearer.user).toEqual(user);
+
+    const cookie = request({ Cookie: `other=1; score_ui_token=${token}` });
+    authenticate(cookie, response(), jest.fn());
+    expect(cookie.user).toEqual(user);
+  });
+
+  test('leaves out tokens for another purpose or with an unknown role', () => {
+    const state = request({ Authorization: `Bearer ${signToken('oidc-state', { sub: 'u1', role: 'admin' }, 60)}` });
+    authenticate(state, response(), jest.fn());
+    expect(state.user).toBeNull();
+
+    const unknown = request({ Authorization: `Bearer ${signToken('session', { sub: 'u1', role: 'root' }, 60)}` });
+    authenticate(unknown, response(), jest.fn());
+    expect(unknown.user).toBeNull();
+  });
+});
+
+describe('requireRole', () => {
+  test('orders roles from viewer to admin', () => {
+    expect(ROLES).toEqual(['viewer', 'developer', 'approver', 'admin']);
+    ROLES.forEach((role, index) => {
+      ROLES.forEach((required, requiredIndex) => {
+        expect(hasRole({ role }, required)).toBe(index >= requiredIndex);
+        expect(run(requireRole(required), { id: 'u1', role }).passed).toBe(index >= requiredIndex);
+      });
+    });
+  });
+
+  test('answers 401 without a user', () => {
+    const { res, passed } = run(requireRole('viewer'), null);
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error).toBe('Sign in to continue');
+  });
+
+  test('takes an approver to destroy', () => {
+    const { res, passed } = run(requireRole('approver'), { id: 'u1', role: 'developer' });
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error).toBe('This requires the approver role, you have the developer role');
+
+    expect(run(requireRole('approver'), { id: 'u1', role: 'approver' }).passed).toBe(true);
+    expect(run(requireRole('approver'), { id: 'u1', role: 'admin' }).passed).toBe(true);
+  });
+});
+
+describe('canAccessSession', () => {
+  const owner = { id: 'u1', username: 'alice', team: 't1' };
+
+  test('lets the owner and their team access the session', () => {
+    expect(canAccessSession({ id: 'u1', role: 'viewer', team: null }, owner)).toBe(true);
+    expect(canAccessSession({ id: 'u2', role: 'viewer', team: 't1' }, owner)).toBe(true);
+  });
+
+  test('refuses users of other teams, whatever their name', () => {
+    expect(canAccessSession({ id: 'u3', username: 'alice', role: 'approver', team: 't2' }, owner)).toBe(false);
+    expect(canAccessSession({ id: 'u3', role: 'developer', team: null }, { ...owner, team: null })).toBe(false);
+    expect(canAccessSession(null, owner)).toBe(false);
+  });
+
+  test('lets admins access every session, including those without an owner', () => {
+    expect(canAccessSession({ id: 'u9', role: 'admin', team: 't9' }, owner)).toBe(true);
+    expect(canAccessSession({ id: 'u9', role: 'admin', team: null }, null)).toBe(true);
+    expect(canAccessSession({ id: 'u1', role: 'developer', team: 't1' }, null)).toBe(false);
+  });
+});
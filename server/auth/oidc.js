@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const { ROLES, isRole } = require('./roles');
+
+const SERVER_URL = `http://localhost:${process.env.PORT || 3001}`;
+
+// Serve a stand-in identity provider under DEV_IDP_PATH, see ./dev-idp, to
+// try out and test OIDC sign-in without a real provider. The settings below
+// default to it
+const OIDC_DEV_IDP = process.env.OIDC_DEV_IDP === 'true';
+const DEV_IDP_PATH = '/dev-idp';
+
+// OpenID Connect provider users sign in with when AUTH_MODE is `oidc`, and
+// the client the server is registered as there
+const OIDC_ISSUER = (process.env.OIDC_ISSUER || (OIDC_DEV_IDP ? `${SERVER_URL}${DEV_IDP_PATH}` : ''))
+  .replace(/\/+$/, '');
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID || (OIDC_DEV_IDP ? 'score-ui' : '');
+const OIDC_CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || (OIDC_DEV_IDP ? 'score-ui-dev-secret' : '');
+const OIDC_REDIRECT_URI = process.env.OIDC_REDIRECT_URI || `${SERVER_URL}/api/auth/oidc/callback`;
+const OIDC_SCOPES = process.env.OIDC_SCOPES || 'openid profile email';
+// ID token claims holding the user's role, a role or a list of groups, and team
+const OIDC_ROLE_CLAIM = process.env.OIDC_ROLE_CLAIM || 'role';
+const OIDC_TEAM_CLAIM = process.env.OIDC_TEAM_CLAIM || 'team';
+// Role of users whose role claim names no role
+const OIDC_DEFAULT_ROLE = process.env.OIDC_DEFAULT_ROLE || 'viewer';
+
+if (!isRole(OIDC_DEFAULT_ROLE)) {
+  throw new Error(`OIDC_DEFAULT_ROLE must be one of ${ROLES.join(', ')}, got "${OIDC_DEFAULT_ROLE}"`);
+}
+
+// Clock skew tolerated when checking the expiry of ID tokens
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+let discovery = null;
+let jwks = null;
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.text();
+  if (!response.ok) {
+    throw new Error(`${options && options.method ? options.method : 'GET'} ${url} failed with ${response.status}: ${body}`);
+  }
+  return JSON.parse(body);
+};
+
+// The provider's endpoints, fetched once from its discovery document
+const getDiscovery = async () => {
+  if (!discovery) {
+    discovery = await fetchJson(`${OIDC_ISSUER}/.well-known/openid-configuration`);
+  }
+  return discovery;
+};
+
+// The provider's signing key with this ID, fetching its keys again when the
+// key is unknown, e.g. after the provider rotated them
+const getSigningKey = async (kid) => {
+  const findKey = () => jwks && jwks.keys.find(key => key.kid === kid || (!kid && key.use !== 'enc'));
+  if (!findKey()) {
+    jwks = await fetchJson((await getDiscovery()).jwks_uri);
+  }
+  const key = findKey();
+  if (!key) throw new Error(`The identity provider has no signing key ${kid}`);
+  return crypto.createPublicKey({ key, format: 'jwk' });
+};
+
+const isOidcConfigured = () => !!(OIDC_ISSUER && OIDC_CLIENT_ID);
+
+/**
+ * Start a sign-in: the URL of the provider's authorization endpoint and the
+ * values the callback needs to finish it, { url, state, nonce, codeVerifier }.
+ * The code is bound to the verifier with PKCE.
+ */
+const createAuthorizationRequest = async () => {
+  const { authorization_endpoint: authorizationEndpoint } = await getDiscovery();
+  const state = crypto.randomBytes(16).toString('base64url');
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+
+  const url = new URL(authorizationEndpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: OIDC_CLIENT_ID,
+    redirect_uri: OIDC_REDIRECT_URI,
+    scope: OIDC_SCOPES,
+    state,
+    nonce,
+    code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+    code_challenge_method: 'S256',
+  }).toString();
+
+  return { url: url.toString(), state, nonce, codeVerifier };
+};
+
+// Check an ID token's RS256 signature and claims. Returns its claims
+const verifyIdToken = async (idToken, nonce) => {
+  const [header, payload, signature] = String(idToken).split('.');
+  const { alg, kid } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+  if (alg !== 'RS256') throw new Error(`Unsupported ID token algorithm ${alg}`);
+
+  const valid = crypto.verify(
+    'RSA-SHA256',
+    Buffer.from(`${header}.${payload}`),
+    await getSigningKey(kid),
+    Buffer.from(signature, 'base64url'),
+  );
+  if (!valid) throw new Error('The ID token signature is invalid');
+
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (claims.iss !== OIDC_ISSUER) throw new Error(`The ID token was issued by ${claims.iss}, not ${OIDC_ISSUER}`);
+  if (!audiences.includes(OIDC_CLIENT_ID)) throw new Error('The ID token was issued to another client');
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_TOLERANCE_SECONDS < Date.now() / 1000) {
+    throw new Error('The ID token expired');
+  }
+  if (claims.nonce !== nonce) throw new Error('The ID token nonce does not match the sign-in');
+  return claims;
+};
+
+// The most privileged role a role claim names, e.g. in a list of groups
+const getRole = (claim) => {
+  const roles = (Array.isArray(claim) ? claim : [claim]).filter(isRole);
+  return roles.length > 0
+    ? roles.reduce((highest, role) => (ROLES.indexOf(role) > ROLES.indexOf(highest) ? role : highest))
+    : OIDC_DEFAULT_ROLE;
+};
+
+/**
+ * Finish a sign-in: exchange the authorization code for tokens and check the
+ * ID token. Throws when the exchange fails or the ID token is invalid.
+ * Returns the user as { id, username, role, team }. The user is identified by
+ * the issuer and `sub`, which the provider never reassigns. The username is
+ * only shown, since users may be able to change it at the provider.
+ */
+const completeAuthorization = async ({ code, nonce, codeVerifier }) => {
+  const { token_endpoint: tokenEndpoint } = await getDiscovery();
+  const tokens = await fetchJson(tokenEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: OIDC_REDIRECT_URI,
+      client_id: OIDC_CLIENT_ID,
+      client_secret: OIDC_CLIENT_SECRET,
+      code_verifier: codeVerifier,
+    }).toString(),
+  });
+  if (!tokens.id_token) throw new Error('The identity provider returned no ID token');
+
+  const claims = await verifyIdToken(tokens.id_token, nonce);
+  if (typeof claims.sub !== 'string' || !claims.sub) throw new Error('The ID token has no subject');
+  return {
+    id: `oidc:${claims.iss}#${claims.sub}`,
+    username: claims.preferred_username || claims.email || claims.sub,
+    role: getRole(claims[OIDC_ROLE_CLAIM]),
+    team: claims[OIDC_TEAM_CLAIM] || null,
+  };
+};
+
+// The client the stand-in identity provider accepts
+const getDevIdpClient = () => ({
+  clientId: OIDC_CLIENT_ID,
+  clientSecret: OIDC_CLIENT_SECRET,
+  redirectUri: OIDC_REDIRECT_URI,
+});
+
+module.exports = {
+  OIDC_DEV_IDP,
+  DEV_IDP_PATH,
+  OIDC_ISSUER,
+  getDevIdpClient,
+  isOidcConfigured,
+  createAuthorizationRequest,
+  completeAuthorization,
+};
@@ -0,0 +1,15 @@
+// Roles from least to most privileged, each granting what the previous ones
+// do: viewers read sessions, developers generate, plan and apply them,
+// approvers may also destroy environments and admins access every session
+const ROLES = ['viewer', 'developer', 'approver', 'admin'];
+
+const isRole = role => ROLES.includes(role);
+
+// Whether a user holds `role` or a more privileged one
+const hasRole = (user, role) => !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+module.exports = {
+  ROLES,
+  isRole,
+  hasRole,
+};
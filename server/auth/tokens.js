@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+// Key signing the tokens the server issues. Without AUTH_TOKEN_SECRET a random
+// key is used, so signed-in users have to sign in again after a restart
+const AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.AUTH_TOKEN_SECRET) {
+  console.warn('AUTH_TOKEN_SECRET is not set, sessions will not survive a restart of the server');
+}
+
+const HEADER = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+
+const sign = data => crypto.createHmac('sha256', AUTH_TOKEN_SECRET).update(data).digest('base64url');
+
+/**
+ * Sign claims into a JWT (HS256) valid for `ttlSeconds`. `purpose` tells the
+ * tokens the server issues apart, e.g. a session from an OIDC login state, so
+ * one can never be used as the other.
+ */
+const signToken = (purpose, claims, ttlSeconds) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const payload = Buffer.from(JSON.stringify({
+    ...claims,
+    purpose,
+    iat: issuedAt,
+    exp: issuedAt + ttlSeconds,
+  })).toString('base64url');
+  return `${HEADER}.${payload}.${sign(`${HEADER}.${payload}`)}`;
+};
+
+// The claims of a token the server signed for `purpose`, or null when it is
+// malformed, signed with another key, for another purpose or expired
+const verifyToken = (purpose, token) => {
+  const [header, payload, signature, ...rest] = String(token || '').split('.');
+  if (header !== HEADER || !payload || !signature || rest.length > 0) return null;
+
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (claims.purpose !== purpose || typeof claims.exp !== 'number' || claims.exp * 1000 <= Date.now()) {
+    return null;
+  }
+  return claims;
+};
+
+module.exports = {
+  signToken,
+  verifyToken,
+};
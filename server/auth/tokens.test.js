@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+
+process.env.AUTH_TOKEN_SECRET = 'test-secret';
+const { signToken, verifyToken } = require('./tokens');
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+const hmac = data => crypto.createHmac('sha256', 'test-secret').update(data).digest('base64url');
+
+describe('verifyToken', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('returns the claims of a token signed for the purpose', () => {
+    const claims = verifyToken('session', signToken('session', { sub: 'u1', role: 'developer' }, 60));
+    expect(claims).toMatchObject({ sub: 'u1', role: 'developer', purpose: 'session' });
+    expect(claims.exp - claims.iat).toBe(60);
+  });
+
+  test('rejects a tampered payload or signature', () => {
+    const [header, payload, signature] = signToken('session', { sub: 'u1', role: 'viewer' }, 60).split('.');
+    const elevated = encode({ ...JSON.parse(Buffer.from(payload, 'base64url')), role: 'admin' });
+
+    expect(verifyToken('session', `${header}.${elevated}.${signature}`)).toBeNull();
+    expect(verifyToken('session', `${header}.${payload}.${signature.slice(0, -2)}AA`)).toBeNull();
+    const otherKey = crypto.createHmac('sha256', 'other-secret').update(`${header}.${payload}`).digest('base64url');
+    expect(verifyToken('session', `${header}.${payload}.${otherKey}`)).toBeNull();
+  });
+
+  test('rejects an expired token', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const token = signToken('session', { sub: 'u1' }, 60);
+
+    jest.setSystemTime(new Date('2026-01-01T00:00:59Z'));
+    expect(verifyToken('session', token)).not.toBeNull();
+    jest.setSystemTime(new Date('2026-01-01T00:01:00Z'));
+    expect(verifyToken('session', token)).toBeNull();
+  });
+
+  test('rejects a token signed for another purpose', () => {
+    const token = signToken('oidc-state', { state: 's', nonce: 'n' }, 60);
+    expect(verifyToken('session', token)).toBeNull();
+    expect(verifyToken('oidc-state', token)).not.toBeNull();
+  });
+
+  test('rejects any header but HS256', () => {
+    const payload = encode({ sub: 'u1', purpose: 'session', exp: Math.floor(Date.now() / 1000) + 60 });
+
+    const none = encode({ alg: 'none', typ: 'JWT' });
+    expect(verifyToken('session', `${none}.${payload}.`)).toBeNull();
+    expect(verifyToken('session', `${none}.${payload}.${hmac(`${none}.${payload}`)}`)).toBeNull();
+
+    const hs512 = encode({ alg: 'HS512', typ: 'JWT' });
+    expect(verifyToken('session', `${hs512}.${payload}.${hmac(`${hs512}.${payload}`)}`)).toBeNull();
+
+    const hs256 = encode({ alg: 'HS256', typ: 'JWT' });
+    expect(verifyToken('session', `${hs256}.${payload}.${hmac(`${hs256}.${payload}`)}`)).not.toBeNull();
+  });
+
+  test('rejects malformed tokens', () => {
+    expect(verifyToken('session', undefined)).toBeNull();
+    expect(verifyToken('session', 'not-a-token')).toBeNull();
+    expect(verifyToken('session', `${signToken('session', {}, 60)}.extra`)).toBeNull();
+  });
+});
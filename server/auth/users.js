@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ROLES, isRole } = require('./roles');
+
+// Local users signing in with a password, as
+// { "users": [{ "username", "passwordHash", "role", "team" }] }. The file is
+// read on every sign-in, so users can be added while the server runs
+const AUTH_USERS_FILE = process.env.AUTH_USERS_FILE || path.join(__dirname, '..', 'users.json');
+
+const SCRYPT_KEY_LENGTH = 64;
+
+// Hash a password as scrypt$<salt>$<hash>, both base64
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+};
+
+const verifyPassword = (password, passwordHash) => {
+  const [scheme, salt, hash] = String(passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  if (expected.length === 0) return false;
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+const readUsers = () => {
+  if (!fs.existsSync(AUTH_USERS_FILE)) return [];
+  const { users = [] } = JSON.parse(fs.readFileSync(AUTH_USERS_FILE, 'utf8'));
+  return users;
+};
+
+// Hashed when the username is unknown, so failed sign-ins take as long either way
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+/**
+ * The local user with this username and password, as { id, username, role, team },
+ * or null when the credentials are wrong. Users with an unknown role cannot
+ * sign in.
+ */
+const authenticateUser = (username, password) => {
+  if (typeof username !== 'string' || typeof password !== 'string') return null;
+
+  const user = readUsers().find(candidate => candidate.username === username);
+  const valid = verifyPassword(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+  if (!user || !valid || !isRole(user.role)) return null;
+
+  return { id: `local:${user.username}`, username: user.username, role: user.role, team: user.team || null };
+};
+
+// Add or replace a user in the users file
+const saveUser = ({ username, password, role, team }) => {
+  const users = readUsers().filter(user => user.username !== username);
+  users.push({ username, passwordHash: hashPassword(password), role, ...(team && { team }) });
+  fs.writeFileSync(AUTH_USERS_FILE, JSON.stringify({ users }, null, 2), { mode: 0o600 });
+};
+
+// node server/auth/users.js add <username> <role> [team], reading the
+// password from standard input
+if (require.main === module) {
+  const [command, username, role, team] = process.argv.slice(2);
+  if (command !== 'add' || !username || !isRole(role)) {
+    console.error(`Usage: node server/auth/users.js add <username> <${ROLES.join('|')}> [team] < password`);
+    process.exit(1);
+  }
+
+  const password = fs.readFileSync(0, 'utf8').replace(/\r?\n$/, '');
+  if (!password) {
+    console.error('The password read from standard input is empty');
+    process.exit(1);
+  }
+  saveUser({ username, password, role, team });
+  console.log(`Saved ${username} (${role}${team ? `, team ${team}` : ''}) to ${AUTH_USERS_FILE}`);
+}
+
+module.exports = {
+  AUTH_USERS_FILE,
+  authenticateUser,
+};
@@ -0,0 +1,94 @@
+const { getProvisioner, listProvisioners, validateParamValue } = require('../provisioners');
+
+// Groups of resource types the application form offers, keyed by the form's
+// service key. `resourceId` is the Score resource id the service is declared
+// under. Provisioners join a group through their `service`
+const SERVICE_GROUPS = [
+  { key: 'database', label: 'Database', resourceId: 'db' },
+  { key: 'cache', label: 'Cache', resourceId: 'cache' },
+  { key: 'messageQueue', label: 'Message Queue', resourceId: 'queue' },
+  { key: 'storage', label: 'Storage', resourceId: 'storage' },
+  { key: 'ai', label: 'AI Services', resourceId: 'ai' },
+];
+
+const unknownService = listProvisioners()
+  .find(({ service }) => service && !SERVICE_GROUPS.some(({ key }) => key === service));
+if (unknownService) {
+  throw new Error(`Provisioner "${unknownService.type}" in ${unknownService.source} offers unknown service "${unknownService.service}", expected one of ${SERVICE_GROUPS.map(({ key }) => key).join(', ')}`);
+}
+
+// The form's services with the resource types registered for each. The first
+// of `types` is the default
+const SERVICES = SERVICE_GROUPS
+  .map(group => ({
+    ...group,
+    types: listProvisioners().filter(({ service }) => service === group.key).map(({ type }) => type),
+  }))
+  .filter(({ types }) => types.length > 0);
+
+/**
+ * Resource types that can be provisioned and the properties that can be set
+ * on them, keyed by type. The `size` property is the Score resource's class
+ * and selects an entry of `sizes`; every other property is a param.
+ */
+const getCatalogResources = () => Object.fromEntries(listProvisioners().map(provisioner => [provisioner.type, {
+  type: provisioner.type,
+  label: provisioner.label,
+  description: provisioner.description,
+  ...(provisioner.service && { service: provisioner.service }),
+  properties: provisioner.params,
+  ...(provisioner.sizes && { sizes: provisioner.sizes }),
+  variables: provisioner.variables,
+}]));
+
+// The form service a resource type belongs to, if any
+const getServiceForType = type => SERVICES.find(service => service.types.includes(type)) || null;
+
+// Check the properties set on a resource of the given type. Returns a list of
+// error messages
+const validateProperties = (type, properties = {}) => {
+  const provisioner = getProvisioner(type);
+  if (!provisioner) {
+    return [`Unknown resource type "${type}"`];
+  }
+  if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+    return ['Properties must be an object'];
+  }
+
+  return Object.entries(properties).map(([name, value]) => {
+    const param = provisioner.params[name];
+    if (!param) {
+      return `${name} is not a property of ${type}`;
+    }
+    const error = validateParamValue(param, value);
+    return error && `${name} ${error}`;
+  }).filter(Boolean);
+};
+
+// Fill in the defaults of a resource's properties. Values that are missing or
+// invalid, for example in a hand-written Score file, fall back to the default
+const resolveProperties = (type, properties) => {
+  const provisioner = getProvisioner(type);
+  if (!provisioner) return {};
+
+  return Object.fromEntries(Object.entries(provisioner.params).map(([name, param]) => {
+    const value = properties ? properties[name] : undefined;
+    return [name, value !== undefined && !validateParamValue(param, value) ? value : param.default];
+  }));
+};
+
+// The concrete instance class and storage a resource's size maps to, or null
+// for resource types without sizes
+const getSize = (type, size) => {
+  const provisioner = getProvisioner(type);
+  return (provisioner && provisioner.sizes && provisioner.sizes[size]) || null;
+};
+
+module.exports = {
+  SERVICES,
+  getCatalogResources,
+  getServiceForType,
+  validateProperties,
+  resolveProperties,
+  getSize,
+};
@@ -1,25 +1,41 @@
-provider "aws" {
-  region = "eu-west-1"
+terraform {
+  required_providers {
+    aws = {
+      source  = "hashicorp/aws"
+      version = "~> 5.0"
+    }
+    kubernetes = {
+      source  = "hashicorp/kubernetes"
+      version = "~> 2.0"
+    }
+    helm = {
+      source  = "hashicorp/helm"
+      version = "~> 2.0"
+    }
+    kubectl = {
+      source  = "gavinbunney/kubectl"
+      version = "~> 1.14"
+    }
+    random = {
+      source  = "hashicorp/random"
+      version = "~> 3.0"
+    }
+  }
 }
 
-provider "kubernetes" {
-  host                   = module.eks.cluster_endpoint
-  cluster_ca_certificate = base64decode(module.eks.cluster_certificate_authority_data)
-  exec {
-    api_version = "client.authentication.k8s.io/v1beta1"
-    command     = "aws"
-    args        = ["eks", "get-token", "--cluster-name", module.eks.cluster_name]
-  }
+provider "aws" {
+  region = var.aws_region
 }
 
+# VPC Configuration
 module "vpc" {
   source  = "terraform-aws-modules/vpc/aws"
   version = "~> 5.0"
 
-  name = "payments-vpc"
+  name = "${var.app_name}-vpc"
   cidr = "10.0.0.0/16"
 
-  azs             = ["eu-west-1a", "eu-west-1b", "eu-west-1c"]
+  azs             = ["${var.aws_region}a", "${var.aws_region}b", "${var.aws_region}c"]
   private_subnets = ["10.0.1.0/24", "10.0.2.0/24", "10.0.3.0/24"]
   public_subnets  = ["10.0.101.0/24", "10.0.102.0/24", "10.0.103.0/24"]
 
@@ -27,16 +43,28 @@ module "vpc" {
   single_nat_gateway = true
 
   tags = {
-    Terraform = "true"
-    Environment = "dev"
+    Terraform   = "true"
+    Environment = var.environment
   }
 }
 
+provider "kubernetes" {
+  host                   = module.eks.cluster_endpoint
+  cluster_ca_certificate = base64decode(module.eks.cluster_certificate_authority_data)
+
+  exec {
+    api_version = "client.authentication.k8s.io/v1beta1"
+    command     = "aws"
+    args        = ["eks", "get-token", "--cluster-name", module.eks.cluster_name]
+  }
+}
+
+# EKS Cluster
 module "eks" {
   source  = "terraform-aws-modules/eks/aws"
   version = "~> 19.0"
 
-  cluster_name    = "payments-cluster"
+  cluster_name    = "${var.app_name}-cluster"
   cluster_version = "1.27"
 
   cluster_endpoint_public_access = true
@@ -47,10 +75,9 @@ module "eks" {
 
   eks_managed_node_groups = {
     default = {
-      min_size     = 1
-      max_size     = 3
-      desired_size = 2
-
+      min_size       = 1
+      max_size       = 3
+      desired_size   = 2
       instance_types = ["t3.medium"]
     }
   }
@@ -58,107 +85,68 @@ module "eks" {
   # Enable IAM roles for service accounts
   enable_irsa = true
 
-  # Add IAM role for RDS access
   cluster_addons = {
     coredns = {
       most_recent = true
     }
-    kube-proxy = {
+    "kube-proxy" = {
       most_recent = true
     }
-    vpc-cni = {
+    "vpc-cni" = {
       most_recent = true
     }
   }
 
   tags = {
-    Environment = "dev"
+    Environment = var.environment
     Terraform   = "true"
   }
 }
 
-# RDS instance configuration
-resource "aws_db_subnet_group" "main" {
-  name       = "payments-db-subnet-group"
-  subnet_ids = module.vpc.private_subnets
-
-  tags = {
-    Name = "payments-db-subnet-group"
-  }
-}
-
-resource "aws_security_group" "rds" {
-  name        = "payments-rds-sg"
-  description = "Security group for RDS instance"
-  vpc_id      = module.vpc.vpc_id
-
-  ingress {
-    from_port       = 5432
-    to_port         = 5432
-    protocol        = "tcp"
-    security_groups = [module.eks.cluster_security_group_id]
-  }
-
-  egress {
-    from_port   = 0
-    to_port     = 0
-    protocol    = "-1"
-    cidr_blocks = ["0.0.0.0/0"]
-  }
+# Create IAM role policy for EKS
+resource "aws_iam_role_policy" "eks_node_policy" {
+  name = "${var.app_name}-eks-node-policy"
+  role = module.eks.eks_managed_node_groups["default"].iam_role_name
 
-  tags = {
-    Name = "payments-rds-sg"
-  }
-}
-
-resource "aws_db_instance" "main" {
-  identifier           = "payments-db"
-  allocated_storage    = 20
-  storage_type        = "gp2"
-  engine              = "postgres"
-  engine_version      = "13.7"
-  instance_class      = "db.t3.micro"
-  db_name             = "payments_db"
-  username            = "postgres"
-  password            = "postgres123"  # In production, use AWS Secrets Manager
-  skip_final_snapshot = true
-
-  vpc_security_group_ids = [aws_security_group.rds.id]
-  db_subnet_group_name   = aws_db_subnet_group.main.name
-
-  tags = {
-    Name = "payments-db"
-  }
-}
-
-# Create OIDC provider for EKS
-data "tls_certificate" "eks" {
-  url = module.eks.cluster_oidc_issuer_url
-}
-
-resource "aws_iam_openid_connect_provider" "eks" {
-  client_id_list  = ["sts.amazonaws.com"]
-  thumbprint_list = [data.tls_certificate.eks.certificates[0].sha1_fingerprint]
-  url             = module.eks.cluster_oidc_issuer_url
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "ec2:DescribeInstances",
+          "ec2:DescribeRegions",
+          "ec2:DescribeRouteTables",
+          "ec2:DescribeSecurityGroups",
+          "ec2:DescribeSubnets",
+          "ec2:DescribeVolumes",
+          "ec2:DescribeVolumesModifications",
+          "ec2:DescribeVpcs",
+          "eks:DescribeCluster"
+        ]
+        Resource = "*"
+      }
+    ]
+  })
 }
 
-# IAM role for EKS to access RDS
-resource "aws_iam_role" "eks_rds_access" {
-  name = "payments-eks-rds-access"
+# IAM role assumed by the workload's service account (IRSA)
+resource "aws_iam_role" "app" {
+  name = "${var.app_name}-app"
 
   assume_role_policy = jsonencode({
     Version = "2012-10-17"
     Statement = [
       {
-        Action = "sts:AssumeRoleWithWebIdentity"
         Effect = "Allow"
+        Action = "sts:AssumeRoleWithWebIdentity"
         Principal = {
-          Federated = aws_iam_openid_connect_provider.eks.arn
+          Federated = module.eks.oidc_provider_arn
         }
         Condition = {
           StringEquals = {
-            "${replace(aws_iam_openid_connect_provider.eks.url, "https://", "")}:sub": "system:serviceaccount:default:payments-app",
-            "${replace(aws_iam_openid_connect_provider.eks.url, "https://", "")}:aud": "sts.amazonaws.com"
+            "${module.eks.oidc_provider}:sub" = "system:serviceaccount:default:${var.app_name}"
+            "${module.eks.oidc_provider}:aud" = "sts.amazonaws.com"
           }
         }
       }
@@ -166,82 +154,161 @@ resource "aws_iam_role" "eks_rds_access" {
   })
 }
 
-# IAM policy for RDS access
-resource "aws_iam_policy" "rds_access" {
-  name = "payments-rds-access-policy"
+# Kubernetes service account with IAM role
+resource "kubernetes_service_account" "app" {
+  metadata {
+    name      = var.app_name
+    namespace = "default"
+
+    annotations = {
+      "eks.amazonaws.com/role-arn" = aws_iam_role.app.arn
+    }
+  }
+}
+
+provider "helm" {
+  kubernetes {
+    host                   = module.eks.cluster_endpoint
+    cluster_ca_certificate = base64decode(module.eks.cluster_certificate_authority_data)
+
+    exec {
+      api_version = "client.authentication.k8s.io/v1beta1"
+      command     = "aws"
+      args        = ["eks", "get-token", "--cluster-name", module.eks.cluster_name]
+    }
+  }
+}
+
+provider "kubectl" {
+  host                   = module.eks.cluster_endpoint
+  cluster_ca_certificate = base64decode(module.eks.cluster_certificate_authority_data)
+  load_config_file       = false
+
+  exec {
+    api_version = "client.authentication.k8s.io/v1beta1"
+    command     = "aws"
+    args        = ["eks", "get-token", "--cluster-name", module.eks.cluster_name]
+  }
+}
+
+# Allow the workload's role to read the secrets it references
+resource "aws_iam_role_policy" "app_secrets" {
+  name = "${var.app_name}-app-secrets"
+  role = aws_iam_role.app.id
 
   policy = jsonencode({
     Version = "2012-10-17"
     Statement = [
       {
-        Effect = "Allow"
-        Action = [
-          "rds-db:connect"
-        ]
-        Resource = [
-          aws_db_instance.main.arn
-        ]
+        Effect   = "Allow"
+        Action   = ["secretsmanager:GetSecretValue", "secretsmanager:DescribeSecret"]
+        Resource = [module.db.credentials_secret_arn]
       }
     ]
   })
 }
 
-# Attach policy to role
-resource "aws_iam_role_policy_attachment" "rds_access" {
-  role       = aws_iam_role.eks_rds_access.name
-  policy_arn = aws_iam_policy.rds_access.arn
+# External Secrets Operator
+resource "helm_release" "external_secrets" {
+  name             = "external-secrets"
+  repository       = "https://charts.external-secrets.io"
+  chart            = "external-secrets"
+  namespace        = "external-secrets"
+  create_namespace = true
+
+  set {
+    name  = "installCRDs"
+    value = "true"
+  }
+
+  depends_on = [module.eks]
 }
 
-# Kubernetes service account with IAM role
-resource "kubernetes_service_account" "app" {
-  metadata {
-    name      = "payments-app"
-    namespace = "default"
-    annotations = {
-      "eks.amazonaws.com/role-arn" = aws_iam_role.eks_rds_access.arn
+resource "kubectl_manifest" "secret_store" {
+  yaml_body = yamlencode({
+    apiVersion = "external-secrets.io/v1beta1"
+    kind       = "SecretStore"
+    metadata = {
+      name      = var.app_name
+      namespace = "default"
     }
-  }
+    spec = {
+      provider = {
+        aws = {
+          service = "SecretsManager"
+          region  = var.aws_region
+          auth = {
+            jwt = {
+              serviceAccountRef = {
+                name = kubernetes_service_account.app.metadata[0].name
+              }
+            }
+          }
+        }
+      }
+    }
+  })
+
+  depends_on = [helm_release.external_secrets, aws_iam_role_policy.app_secrets]
 }
 
-# Kubernetes secret for database connection details
-resource "kubernetes_secret" "db_credentials" {
-  metadata {
-    name      = "payments-db-credentials"
-    namespace = "default"
-  }
+# Kubernetes secret kept in sync with the resource credentials
+resource "kubectl_manifest" "external_secret" {
+  yaml_body = yamlencode({
+    apiVersion = "external-secrets.io/v1beta1"
+    kind       = "ExternalSecret"
+    metadata = {
+      name      = var.app_name
+      namespace = "default"
+    }
+    spec = {
+      refreshInterval = "1h"
+      secretStoreRef = {
+        name = var.app_name
+        kind = "SecretStore"
+      }
+      target = {
+        name = "${var.app_name}-secrets"
+      }
+      data = [
+        {
+          secretKey = "DB_PASSWORD"
+          remoteRef = {
+            key      = module.db.credentials_secret_arn
+            property = "password"
+          }
+        }
+      ]
+    }
+  })
 
-  data = {
-    DB_HOST     = aws_db_instance.main.address
-    DB_PORT     = "5432"
-    DB_NAME     = aws_db_instance.main.db_name
-    DB_USER     = aws_db_instance.main.username
-    DB_PASSWORD = aws_db_instance.main.password
-  }
+  depends_on = [kubectl_manifest.secret_store]
 }
 
-# Update the Kubernetes deployment to use the service account and secrets
-resource "kubernetes_deployment" "main" {
+# Kubernetes deployment
+resource "kubernetes_deployment" "app" {
   metadata {
-    name = "payments"
+    name      = var.app_name
     namespace = "default"
+
     labels = {
-      app = "payments"
+      app = var.app_name
     }
   }
 
   spec {
-    replicas = 2
+    replicas = 1
 
     selector {
       match_labels = {
-        app = "payments"
+        app = var.app_name
       }
     }
 
     template {
       metadata {
         labels = {
-          app = "payments"
+          app = var.app_name
         }
       }
 
@@ -249,18 +316,63 @@ resource "kubernetes_deployment" "main" {
         service_account_name = kubernetes_service_account.app.metadata[0].name
 
         container {
-          image = "payments:latest"
-          name  = "payments"
+          name  = "main"
+          image = "nginx:latest"
+
+          env {
+            name  = "DB_HOST"
+            value = module.db.db_address
+          }
 
-          env_from {
-            secret_ref {
-              name = kubernetes_secret.db_credentials.metadata[0].name
+          env {
+            name  = "DB_PORT"
+            value = module.db.db_port
+          }
+
+          env {
+            name  = "DB_NAME"
+            value = module.db.db_name
+          }
+
+          env {
+            name  = "DB_USER"
+            value = module.db.db_username
+          }
+
+          env {
+            name = "DB_PASSWORD"
+
+            value_from {
+              secret_key_ref {
+                name = "${var.app_name}-secrets"
+                key  = "DB_PASSWORD"
+              }
+            }
+          }
+
+          readiness_probe {
+            http_get {
+              path = "/"
+              port = 80
             }
+
+            initial_delay_seconds = 10
+            period_seconds        = 5
+          }
+
+          liveness_probe {
+            http_get {
+              path = "/"
+              port = 80
+            }
+
+            initial_delay_seconds = 10
+            period_seconds        = 5
           }
 
           resources {
             limits = {
-              cpu    = "0.5"
+              cpu    = "500m"
               memory = "512Mi"
             }
             requests = {
@@ -268,29 +380,94 @@ resource "kubernetes_deployment" "main" {
               memory = "50Mi"
             }
           }
+
+          port {
+            container_port = 80
+          }
         }
       }
     }
   }
+
+  depends_on = [kubectl_manifest.external_secret]
 }
 
-resource "kubernetes_service" "main" {
+# Kubernetes service
+resource "kubernetes_service" "app" {
   metadata {
-    name = "payments"
+    name      = var.app_name
     namespace = "default"
   }
 
   spec {
     selector = {
-      app = "payments"
+      app = var.app_name
     }
 
     port {
+      name        = "web"
       port        = 80
-      target_port = 8080
+      target_port = 80
+      protocol    = "TCP"
     }
 
     type = "LoadBalancer"
   }
 }
 
+# Ingress configuration
+resource "kubernetes_ingress_v1" "app" {
+  metadata {
+    name      = var.app_name
+    namespace = "default"
+
+    annotations = {
+      "kubernetes.io/ingress.class"            = "alb"
+      "alb.ingress.kubernetes.io/scheme"       = "internet-facing"
+      "alb.ingress.kubernetes.io/target-type"  = "ip"
+      "alb.ingress.kubernetes.io/listen-ports" = jsonencode([{ HTTP = 80 }])
+    }
+  }
+
+  spec {
+    rule {
+      http {
+        path {
+          path = "/"
+
+          backend {
+            service {
+              name = kubernetes_service.app.metadata[0].name
+
+              port {
+                number = 80
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}
+
+# Score resource "db" (postgres)
+module "db" {
+  source = "../../modules/database"
+
+  aws_region = var.aws_region
+  name       = "${var.app_name}-db"
+  vpc_id     = module.vpc.vpc_id
+  subnet_ids = module.vpc.private_subnets
+  engine     = "postgres"
+
+  # Catalog properties, small size
+  instance_class          = "db.t3.micro"
+  allocated_storage       = 20
+  engine_version          = "14"
+  backup_retention_period = 7
+
+  # Environment overlay
+  multi_az            = false
+  deletion_protection = false
+  skip_final_snapshot = true
+}
@@ -0,0 +1,35 @@
+output "vpc_id" {
+  value = module.vpc.vpc_id
+}
+
+output "subnet_ids" {
+  value = module.vpc.private_subnets
+}
+
+output "cluster_name" {
+  value = module.eks.cluster_name
+}
+
+output "cluster_endpoint" {
+  value = module.eks.cluster_endpoint
+}
+
+output "db_host" {
+  value = module.db.db_address
+}
+
+output "db_port" {
+  value = module.db.db_port
+}
+
+output "db_name" {
+  value = module.db.db_name
+}
+
+output "db_username" {
+  value = module.db.db_username
+}
+
+output "db_credentials_secret_arn" {
+  value = module.db.credentials_secret_arn
+}
@@ -0,0 +1,179 @@
+const {
+  ref,
+  tmpl,
+  section,
+  block,
+  module: moduleBlock,
+  provider,
+  variable,
+  output,
+} = require('./hcl');
+
+// Convert a Score CPU quantity ("500m", "2") to fractional CPUs
+const parseCpu = (value) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value);
+  return text.endsWith('m') ? Number(text.slice(0, -1)) / 1000 : Number(text);
+};
+
+const MEMORY_UNITS = {
+  Ki: 1 / 1024,
+  Mi: 1,
+  Gi: 1024,
+  K: 1000 / 1024 / 1024,
+  M: 1000 * 1000 / 1024 / 1024,
+  G: 1000 * 1000 * 1000 / 1024 / 1024,
+};
+
+// Convert a Score memory quantity ("512Mi", "1G") to MiB
+const parseMemory = (value) => {
+  if (value === undefined || value === null) return null;
+  const match = /^(\d+(?:\.\d+)?)([KMG]i?)?$/.exec(String(value));
+  if (!match) return null;
+  const [, amount, unit] = match;
+  return unit ? Number(amount) * MEMORY_UNITS[unit] : Number(amount) / 1024 / 1024;
+};
+
+// List the named ports published by the workload's service
+const getServicePorts = workload => Object
+  .entries((workload.service && workload.service.ports) || {})
+  .map(([name, port]) => ({ name, ...port }));
+
+// Terraform providers the generated configuration can require
+const PROVIDERS = {
+  aws: { name: 'aws', source: 'hashicorp/aws', version: '~> 5.0' },
+  kubernetes: { name: 'kubernetes', source: 'hashicorp/kubernetes', version: '~> 2.0' },
+  helm: { name: 'helm', source: 'hashicorp/helm', version: '~> 2.0' },
+  kubectl: { name: 'kubectl', source: 'gavinbunney/kubectl', version: '~> 1.14' },
+  random: { name: 'random', source: 'hashicorp/random', version: '~> 3.0' },
+};
+
+// Root variable and auto-loaded variables file carrying the values of the
+// workload's secret environment variables
+const SECRET_VALUES_VARIABLE = 'secret_values';
+const SECRET_VALUES_FILE = 'secrets.auto.tfvars.json';
+
+// The terraform block with the required providers and, unless state is kept
+// in the workspace, the backend storing it as { type, config }
+const generateTerraformBlock = (providers, backend) => block('terraform', [], {
+  required_providers: block('required_providers', [], Object.fromEntries(
+    providers.map(({ name, source, version }) => [name, { source, version }])
+  )),
+  backend: backend ? block('backend', [backend.type], backend.config) : undefined,
+});
+
+// Tags every AWS resource gets, which the required-tags policy rule checks.
+// `owner` is the team or user the session belongs to, when there is one
+const generateAwsProvider = ({ owner = null } = {}) => provider('aws', {
+  region: ref('var.aws_region'),
+  default_tags: block('default_tags', [], {
+    tags: {
+      Application: ref('var.app_name'),
+      Environment: ref('var.environment'),
+      ...(owner && { Owner: owner }),
+    },
+  }),
+});
+
+const generateVariables = ({ appName, region, environment }) => [
+  variable('aws_region', {
+    description: 'AWS region',
+    type: ref('string'),
+    default: region,
+  }),
+  variable('app_name', {
+    description: 'Application name used as a prefix for resources',
+    type: ref('string'),
+    default: appName,
+  }),
+  variable('environment', {
+    description: 'Deployment environment',
+    type: ref('string'),
+    default: environment,
+  }),
+];
+
+const generateVpc = () => moduleBlock('vpc', [
+  {
+    source: 'terraform-aws-modules/vpc/aws',
+    version: '~> 5.0',
+  },
+  {
+    name: tmpl`${ref('var.app_name')}-vpc`,
+    cidr: '10.0.0.0/16',
+  },
+  {
+    azs: ['a', 'b', 'c'].map(zone => tmpl`${ref('var.aws_region')}${zone}`),
+    private_subnets: ['10.0.1.0/24', '10.0.2.0/24', '10.0.3.0/24'],
+    public_subnets: ['10.0.101.0/24', '10.0.102.0/24', '10.0.103.0/24'],
+  },
+  {
+    enable_nat_gateway: true,
+    single_nat_gateway: true,
+  },
+  {
+    tags: {
+      Terraform: 'true',
+      Environment: ref('var.environment'),
+    },
+  },
+], { comment: 'VPC Configuration' });
+
+const generateOutput = (name, value, { sensitive } = {}) => output(name, {
+  value,
+  ...(sensitive && { sensitive: true }),
+});
+
+/**
+ * Build the block of a module under modules/ provisioning Score resource `id`.
+ * Networked modules are placed in the VPC's private subnets. `inputs` are
+ * further module arguments and `groups` maps a comment to the arguments
+ * rendered under it. Arguments of later groups replace those of the same name
+ * in earlier ones, so an environment overlay can follow the catalog properties.
+ */
+const generateResourceModule = ({
+  id,
+  type,
+  module,
+  modulesPath,
+  networked = false,
+  inputs = {},
+  groups = {},
+}) => {
+  const groupEntries = Object.entries(groups);
+  const inputGroups = groupEntries.map(([comment, groupInputs], index) => {
+    const replaced = groupEntries.slice(index + 1).flatMap(([, later]) => Object.keys(later));
+    return section(comment, Object.fromEntries(
+      Object.entries(groupInputs).filter(([name]) => !replaced.includes(name))
+    ));
+  });
+
+  return moduleBlock(id, [
+    { source: `${modulesPath}/${module}` },
+    {
+      aws_region: ref('var.aws_region'),
+      name: tmpl`${ref('var.app_name')}-${id}`,
+      ...(networked && {
+        vpc_id: ref('module.vpc.vpc_id'),
+        subnet_ids: ref('module.vpc.private_subnets'),
+      }),
+      ...inputs,
+    },
+    ...inputGroups,
+  ], { comment: `Score resource "${id}" (${type})` });
+};
+
+module.exports = {
+  PROVIDERS,
+  SECRET_VALUES_VARIABLE,
+  SECRET_VALUES_FILE,
+  parseCpu,
+  parseMemory,
+  getServicePorts,
+  generateTerraformBlock,
+  generateAwsProvider,
+  generateVariables,
+  generateVpc,
+  generateOutput,
+  generateResourceModule,
+};
@@ -0,0 +1,286 @@
+const { parseCpu, parseMemory, getServicePorts } = require('./common');
+const { resolveContainerVariables, getSecretArns } = require('./resources');
+const {
+  ref,
+  call,
+  tmpl,
+  block,
+  resource,
+} = require('./hcl');
+
+// Valid Fargate task sizes: CPU units and the memory (MiB) allowed for each
+const FARGATE_SIZES = [
+  { cpu: 256, memory: [512, 1024, 2048] },
+  { cpu: 512, memory: [1024, 2048, 3072, 4096] },
+  { cpu: 1024, memory: [2048, 3072, 4096, 5120, 6144, 7168, 8192] },
+  { cpu: 2048, memory: Array.from({ length: 13 }, (_, i) => 4096 + i * 1024) },
+  { cpu: 4096, memory: Array.from({ length: 23 }, (_, i) => 8192 + i * 1024) },
+];
+
+// Pick the smallest Fargate task size that fits the containers' limits
+const getTaskSize = (containers) => {
+  const totals = containers.reduce((sum, container) => {
+    const limits = (container.resources && (container.resources.limits || container.resources.requests)) || {};
+    return {
+      cpu: sum.cpu + (parseCpu(limits.cpu) || 0.25),
+      memory: sum.memory + (parseMemory(limits.memory) || 512),
+    };
+  }, { cpu: 0, memory: 0 });
+
+  const size = FARGATE_SIZES.find(({ cpu, memory }) => (
+    cpu >= totals.cpu * 1024 && memory[memory.length - 1] >= totals.memory
+  )) || FARGATE_SIZES[FARGATE_SIZES.length - 1];
+
+  return {
+    cpu: size.cpu,
+    memory: size.memory.find(memory => memory >= totals.memory) || size.memory[size.memory.length - 1],
+  };
+};
+
+const assumeRolePolicy = () => call('jsonencode', {
+  Version: '2012-10-17',
+  Statement: [
+    {
+      Effect: 'Allow',
+      Action: 'sts:AssumeRole',
+      Principal: {
+        Service: 'ecs-tasks.amazonaws.com',
+      },
+    },
+  ],
+});
+
+const allowAllEgress = () => block('egress', [], {
+  from_port: 0,
+  to_port: 0,
+  protocol: '-1',
+  cidr_blocks: ['0.0.0.0/0'],
+});
+
+const generateCluster = () => [
+  resource('aws_ecs_cluster', 'main', {
+    name: tmpl`${ref('var.app_name')}-cluster`,
+    setting: block('setting', [], {
+      name: 'containerInsights',
+      value: 'enabled',
+    }),
+    tags: {
+      Environment: ref('var.environment'),
+      Terraform: 'true',
+    },
+  }, { comment: 'ECS Cluster' }),
+
+  resource('aws_cloudwatch_log_group', 'app', {
+    name: tmpl`/ecs/${ref('var.app_name')}`,
+    retention_in_days: 14,
+  }),
+
+  resource('aws_iam_role', 'execution', {
+    name: tmpl`${ref('var.app_name')}-execution`,
+    assume_role_policy: assumeRolePolicy(),
+  }, { comment: 'Execution role used by ECS to pull images, write logs and read secrets' }),
+
+  resource('aws_iam_role_policy_attachment', 'execution', {
+    role: ref('aws_iam_role.execution.name'),
+    policy_arn: 'arn:aws:iam::aws:policy/service-role/AmazonECSTaskExecutionRolePolicy',
+  }),
+
+  resource('aws_iam_role', 'app', {
+    name: tmpl`${ref('var.app_name')}-app`,
+    assume_role_policy: assumeRolePolicy(),
+  }, { comment: "Task role assumed by the workload's containers" }),
+];
+
+// Allow the execution role to read the Secrets Manager secrets that ECS
+// injects into the containers
+const generateSecretAccess = (arns) => {
+  if (arns.length === 0) return [];
+
+  return [resource('aws_iam_role_policy', 'execution_secrets', {
+    name: tmpl`${ref('var.app_name')}-execution-secrets`,
+    role: ref('aws_iam_role.execution.id'),
+    policy: call('jsonencode', {
+      Version: '2012-10-17',
+      Statement: [
+        {
+          Effect: 'Allow',
+          Action: ['secretsmanager:GetSecretValue'],
+          Resource: arns,
+        },
+      ],
+    }),
+  })];
+};
+
+const generateContainerDefinition = (containerName, container, { variables, ports }) => {
+  const environment = variables.filter(variable => !variable.secretRef);
+  const secrets = variables.filter(variable => variable.secretRef);
+
+  return {
+    name: containerName,
+    image: container.image,
+    essential: true,
+    entryPoint: container.command,
+    command: container.args,
+    portMappings: ports.length > 0
+      ? ports.map(port => ({
+        containerPort: port.targetPort || port.port,
+        protocol: (port.protocol || 'TCP').toLowerCase(),
+      }))
+      : undefined,
+    environment: environment.length > 0
+      ? environment.map(({ key, expression }) => ({ name: key, value: call('tostring', expression) }))
+      : undefined,
+    secrets: secrets.length > 0
+      ? secrets.map(({ key, secretRef }) => ({ name: key, valueFrom: tmpl`${secretRef.arn}:${secretRef.key}::` }))
+      : undefined,
+    logConfiguration: {
+      logDriver: 'awslogs',
+      options: {
+        'awslogs-group': ref('aws_cloudwatch_log_group.app.name'),
+        'awslogs-region': ref('var.aws_region'),
+        'awslogs-stream-prefix': containerName,
+      },
+    },
+  };
+};
+
+const generateLoadBalancer = (port, { deletionProtection }) => [
+  resource('aws_security_group', 'alb', {
+    name: tmpl`${ref('var.app_name')}-alb-sg`,
+    description: 'Security group for the application load balancer',
+    vpc_id: ref('module.vpc.vpc_id'),
+    ingress: block('ingress', [], {
+      from_port: port.port,
+      to_port: port.port,
+      protocol: 'tcp',
+      cidr_blocks: ['0.0.0.0/0'],
+    }),
+    egress: allowAllEgress(),
+    // Exempts the group from the no-public-ingress policy rule
+    tags: { 'score-ui/public-ingress': 'application load balancer' },
+  }, { comment: 'Application load balancer in front of the service' }),
+
+  resource('aws_lb', 'app', [
+    {
+      name: tmpl`${ref('var.app_name')}-alb`,
+      load_balancer_type: 'application',
+      subnets: ref('module.vpc.public_subnets'),
+      security_groups: [ref('aws_security_group.alb.id')],
+    },
+    { enable_deletion_protection: deletionProtection },
+    { tags: { Environment: ref('var.environment') } },
+  ]),
+
+  resource('aws_lb_target_group', 'app', {
+    name: tmpl`${ref('var.app_name')}-tg`,
+    port: port.targetPort || port.port,
+    protocol: 'HTTP',
+    target_type: 'ip',
+    vpc_id: ref('module.vpc.vpc_id'),
+    health_check: block('health_check', [], {
+      path: '/',
+      matcher: '200-399',
+    }),
+  }),
+
+  resource('aws_lb_listener', 'http', {
+    load_balancer_arn: ref('aws_lb.app.arn'),
+    port: port.port,
+    protocol: 'HTTP',
+    default_action: block('default_action', [], {
+      type: 'forward',
+      target_group_arn: ref('aws_lb_target_group.app.arn'),
+    }),
+  }),
+];
+
+const generateService = ({ containerName, port, replicas }) => [
+  resource('aws_security_group', 'app', {
+    name: tmpl`${ref('var.app_name')}-app-sg`,
+    description: 'Security group for the ECS service',
+    vpc_id: ref('module.vpc.vpc_id'),
+    ingress: port
+      ? block('ingress', [], {
+        from_port: port.targetPort || port.port,
+        to_port: port.targetPort || port.port,
+        protocol: 'tcp',
+        security_groups: [ref('aws_security_group.alb.id')],
+      })
+      : undefined,
+    egress: allowAllEgress(),
+  }),
+
+  resource('aws_ecs_service', 'app', [
+    {
+      name: ref('var.app_name'),
+      cluster: ref('aws_ecs_cluster.main.id'),
+      task_definition: ref('aws_ecs_task_definition.app.arn'),
+      desired_count: replicas,
+      launch_type: 'FARGATE',
+      network_configuration: block('network_configuration', [], {
+        subnets: ref('module.vpc.private_subnets'),
+        security_groups: [ref('aws_security_group.app.id')],
+        assign_public_ip: false,
+      }),
+      load_balancer: port
+        ? block('load_balancer', [], {
+          target_group_arn: ref('aws_lb_target_group.app.arn'),
+          container_name: containerName,
+          container_port: port.targetPort || port.port,
+        })
+        : undefined,
+    },
+    { depends_on: port ? [ref('aws_lb_listener.http')] : undefined },
+  ], { comment: 'ECS service' }),
+];
+
+// Generate an ECS Fargate service running the Score containers
+const generateEcs = (context) => {
+  const { workload } = context;
+  const ports = getServicePorts(workload);
+  const containers = Object.entries(workload.containers);
+  const { cpu, memory } = getTaskSize(containers.map(([, container]) => container));
+
+  const allVariables = [];
+  const definitions = containers.map(([containerName, container], index) => {
+    const variables = resolveContainerVariables(container, context);
+    allVariables.push(...variables);
+    return generateContainerDefinition(containerName, container, {
+      variables,
+      ports: index === 0 ? ports : [],
+    });
+  });
+
+  const taskDefinition = resource('aws_ecs_task_definition', 'app', [
+    {
+      family: ref('var.app_name'),
+      requires_compatibilities: ['FARGATE'],
+      network_mode: 'awsvpc',
+      cpu,
+      memory,
+      execution_role_arn: ref('aws_iam_role.execution.arn'),
+      task_role_arn: ref('aws_iam_role.app.arn'),
+    },
+    { container_definitions: call('jsonencode', definitions) },
+  ], { comment: 'ECS task definition' });
+
+  return [
+    ...generateCluster(),
+    ...generateSecretAccess(getSecretArns(allVariables)),
+    taskDefinition,
+    ...(ports.length > 0 ? generateLoadBalancer(ports[0], context.overlay) : []),
+    ...generateService({ containerName: containers[0][0], port: ports[0], replicas: context.overlay.replicas }),
+  ];
+};
+
+const getEcsOutputs = ({ workload }) => ({
+  ecs_cluster_name: ref('aws_ecs_cluster.main.name'),
+  ecs_service_name: ref('aws_ecs_service.app.name'),
+  ...(getServicePorts(workload).length > 0 && { load_balancer_dns: ref('aws_lb.app.dns_name') }),
+});
+
+module.exports = {
+  generateEcs,
+  getEcsOutputs,
+};
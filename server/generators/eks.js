@@ -0,0 +1,423 @@
+const { getServicePorts } = require('./common');
+const { resolveContainerVariables, getSecretArns } = require('./resources');
+const {
+  ref,
+  call,
+  tmpl,
+  object,
+  section,
+  block,
+  resource,
+  module: moduleBlock,
+  provider,
+} = require('./hcl');
+
+const DEFAULT_PROBE = {
+  initialDelaySeconds: 10,
+  periodSeconds: 5,
+};
+
+// Connection to the cluster's API server shared by the Kubernetes providers
+const clusterConnection = () => ({
+  host: ref('module.eks.cluster_endpoint'),
+  cluster_ca_certificate: call('base64decode', ref('module.eks.cluster_certificate_authority_data')),
+});
+
+const clusterAuthentication = () => block('exec', [], {
+  api_version: 'client.authentication.k8s.io/v1beta1',
+  command: 'aws',
+  args: ['eks', 'get-token', '--cluster-name', ref('module.eks.cluster_name')],
+});
+
+const appMetadata = (extra = {}) => block('metadata', [], {
+  name: ref('var.app_name'),
+  namespace: 'default',
+  ...extra,
+});
+
+const generateCluster = () => [
+  provider('kubernetes', {
+    ...clusterConnection(),
+    exec: clusterAuthentication(),
+  }),
+
+  moduleBlock('eks', [
+    {
+      source: 'terraform-aws-modules/eks/aws',
+      version: '~> 19.0',
+    },
+    {
+      cluster_name: tmpl`${ref('var.app_name')}-cluster`,
+      cluster_version: '1.27',
+    },
+    { cluster_endpoint_public_access: true },
+    {
+      vpc_id: ref('module.vpc.vpc_id'),
+      subnet_ids: ref('module.vpc.private_subnets'),
+      control_plane_subnet_ids: ref('module.vpc.private_subnets'),
+    },
+    {
+      eks_managed_node_groups: {
+        default: {
+          min_size: 1,
+          max_size: 3,
+          desired_size: 2,
+          instance_types: ['t3.medium'],
+        },
+      },
+    },
+    section('Enable IAM roles for service accounts', { enable_irsa: true }),
+    {
+      cluster_addons: {
+        coredns: { most_recent: true },
+        'kube-proxy': { most_recent: true },
+        'vpc-cni': { most_recent: true },
+      },
+    },
+    {
+      tags: {
+        Environment: ref('var.environment'),
+        Terraform: 'true',
+      },
+    },
+  ], { comment: 'EKS Cluster' }),
+
+  resource('aws_iam_role_policy', 'eks_node_policy', {
+    name: tmpl`${ref('var.app_name')}-eks-node-policy`,
+    role: ref('module.eks.eks_managed_node_groups["default"].iam_role_name'),
+    policy: call('jsonencode', {
+      Version: '2012-10-17',
+      Statement: [
+        {
+          Effect: 'Allow',
+          Action: [
+            'ec2:DescribeInstances',
+            'ec2:DescribeRegions',
+            'ec2:DescribeRouteTables',
+            'ec2:DescribeSecurityGroups',
+            'ec2:DescribeSubnets',
+            'ec2:DescribeVolumes',
+            'ec2:DescribeVolumesModifications',
+            'ec2:DescribeVpcs',
+            'eks:DescribeCluster',
+          ],
+          Resource: '*',
+        },
+      ],
+    }),
+  }, { comment: 'Create IAM role policy for EKS' }),
+
+  resource('aws_iam_role', 'app', {
+    name: tmpl`${ref('var.app_name')}-app`,
+    assume_role_policy: call('jsonencode', {
+      Version: '2012-10-17',
+      Statement: [
+        {
+          Effect: 'Allow',
+          Action: 'sts:AssumeRoleWithWebIdentity',
+          Principal: {
+            Federated: ref('module.eks.oidc_provider_arn'),
+          },
+          Condition: {
+            StringEquals: object([
+              [tmpl`${ref('module.eks.oidc_provider')}:sub`, tmpl`system:serviceaccount:default:${ref('var.app_name')}`],
+              [tmpl`${ref('module.eks.oidc_provider')}:aud`, 'sts.amazonaws.com'],
+            ]),
+          },
+        },
+      ],
+    }),
+  }, { comment: "IAM role assumed by the workload's service account (IRSA)" }),
+
+  resource('kubernetes_service_account', 'app', {
+    metadata: appMetadata({
+      annotations: {
+        'eks.amazonaws.com/role-arn': ref('aws_iam_role.app.arn'),
+      },
+    }),
+  }, { comment: 'Kubernetes service account with IAM role' }),
+];
+
+const generateProbe = (blockName, probe) => block(blockName, [], [
+  probe.exec
+    ? { exec: block('exec', [], { command: probe.exec.command }) }
+    : {
+      http_get: block('http_get', [], {
+        path: probe.httpGet.path,
+        port: probe.httpGet.port,
+      }),
+    },
+  {
+    initial_delay_seconds: DEFAULT_PROBE.initialDelaySeconds,
+    period_seconds: DEFAULT_PROBE.periodSeconds,
+  },
+]);
+
+const generateResourceLimits = (resources = {}) => {
+  const limits = ['limits', 'requests'].filter(key => resources[key]);
+  if (limits.length === 0) return undefined;
+
+  return block('resources', [], Object.fromEntries(limits.map(key => [
+    key,
+    Object.fromEntries(Object.entries(resources[key]).map(([name, value]) => [name, String(value)])),
+  ])));
+};
+
+// Build a Score container as a kubernetes_deployment container block,
+// collecting variables that resolve to secret outputs into `secretData`
+const generateContainer = (containerName, container, { context, ports, secretData, defaultProbe }) => {
+  const env = resolveContainerVariables(container, context).map(({ key, expression, secretRef }) => {
+    if (secretRef) {
+      secretData.push({ key, secretRef });
+      return block('env', [], {
+        name: key,
+        value_from: block('value_from', [], {
+          secret_key_ref: block('secret_key_ref', [], {
+            name: tmpl`${ref('var.app_name')}-secrets`,
+            key,
+          }),
+        }),
+      });
+    }
+    return block('env', [], {
+      name: key,
+      value: expression,
+    });
+  });
+
+  const readinessProbe = container.readinessProbe || defaultProbe;
+  const livenessProbe = container.livenessProbe || defaultProbe;
+
+  return block('container', [], [
+    {
+      name: containerName,
+      image: container.image,
+    },
+    {
+      command: container.command,
+      args: container.args,
+      env: env.length > 0 ? env : undefined,
+      readiness_probe: readinessProbe ? generateProbe('readiness_probe', readinessProbe) : undefined,
+      liveness_probe: livenessProbe ? generateProbe('liveness_probe', livenessProbe) : undefined,
+      resources: generateResourceLimits(container.resources),
+      port: ports.length > 0
+        ? ports.map(port => block('port', [], { container_port: port.targetPort || port.port }))
+        : undefined,
+    },
+  ]);
+};
+
+const generateService = ports => [
+  resource('kubernetes_service', 'app', {
+    metadata: appMetadata(),
+    spec: block('spec', [], [
+      {
+        selector: { app: ref('var.app_name') },
+        port: ports.map(({ name, port, targetPort, protocol }) => block('port', [], {
+          name,
+          port,
+          target_port: targetPort || port,
+          protocol: protocol || 'TCP',
+        })),
+      },
+      { type: 'LoadBalancer' },
+    ]),
+  }, { comment: 'Kubernetes service' }),
+
+  resource('kubernetes_ingress_v1', 'app', {
+    metadata: appMetadata({
+      annotations: {
+        'kubernetes.io/ingress.class': 'alb',
+        'alb.ingress.kubernetes.io/scheme': 'internet-facing',
+        'alb.ingress.kubernetes.io/target-type': 'ip',
+        'alb.ingress.kubernetes.io/listen-ports': call('jsonencode', [{ HTTP: 80 }]),
+      },
+    }),
+    spec: block('spec', [], {
+      rule: block('rule', [], {
+        http: block('http', [], {
+          path: block('path', [], {
+            path: '/',
+            backend: block('backend', [], {
+              service: block('service', [], {
+                name: ref('kubernetes_service.app.metadata[0].name'),
+                port: block('port', [], { number: ports[0].port }),
+              }),
+            }),
+          }),
+        }),
+      }),
+    }),
+  }, { comment: 'Ingress configuration' }),
+];
+
+// Sync secret resource outputs from Secrets Manager into a Kubernetes secret
+// with the External Secrets Operator. The operator authenticates as the
+// workload's service account, so only the workload's IAM role can read them
+const generateSecretSync = (secretData) => {
+  const arns = getSecretArns(secretData);
+
+  return [
+    provider('helm', {
+      kubernetes: block('kubernetes', [], {
+        ...clusterConnection(),
+        exec: clusterAuthentication(),
+      }),
+    }),
+
+    provider('kubectl', {
+      ...clusterConnection(),
+      load_config_file: false,
+      exec: clusterAuthentication(),
+    }),
+
+    resource('aws_iam_role_policy', 'app_secrets', {
+      name: tmpl`${ref('var.app_name')}-app-secrets`,
+      role: ref('aws_iam_role.app.id'),
+      policy: call('jsonencode', {
+        Version: '2012-10-17',
+        Statement: [
+          {
+            Effect: 'Allow',
+            Action: ['secretsmanager:GetSecretValue', 'secretsmanager:DescribeSecret'],
+            Resource: arns,
+          },
+        ],
+      }),
+    }, { comment: "Allow the workload's role to read the secrets it references" }),
+
+    resource('helm_release', 'external_secrets', [
+      {
+        name: 'external-secrets',
+        repository: 'https://charts.external-secrets.io',
+        chart: 'external-secrets',
+        namespace: 'external-secrets',
+        create_namespace: true,
+        set: block('set', [], {
+          name: 'installCRDs',
+          value: 'true',
+        }),
+      },
+      { depends_on: [ref('module.eks')] },
+    ], { comment: 'External Secrets Operator' }),
+
+    resource('kubectl_manifest', 'secret_store', [
+      {
+        yaml_body: call('yamlencode', {
+          apiVersion: 'external-secrets.io/v1beta1',
+          kind: 'SecretStore',
+          metadata: {
+            name: ref('var.app_name'),
+            namespace: 'default',
+          },
+          spec: {
+            provider: {
+              aws: {
+                service: 'SecretsManager',
+                region: ref('var.aws_region'),
+                auth: {
+                  jwt: {
+                    serviceAccountRef: {
+                      name: ref('kubernetes_service_account.app.metadata[0].name'),
+                    },
+                  },
+                },
+              },
+            },
+          },
+        }),
+      },
+      { depends_on: [ref('helm_release.external_secrets'), ref('aws_iam_role_policy.app_secrets')] },
+    ]),
+
+    resource('kubectl_manifest', 'external_secret', [
+      {
+        yaml_body: call('yamlencode', {
+          apiVersion: 'external-secrets.io/v1beta1',
+          kind: 'ExternalSecret',
+          metadata: {
+            name: ref('var.app_name'),
+            namespace: 'default',
+          },
+          spec: {
+            refreshInterval: '1h',
+            secretStoreRef: {
+              name: ref('var.app_name'),
+              kind: 'SecretStore',
+            },
+            target: {
+              name: tmpl`${ref('var.app_name')}-secrets`,
+            },
+            data: secretData.map(({ key, secretRef }) => ({
+              secretKey: key,
+              remoteRef: {
+                key: secretRef.arn,
+                property: secretRef.key,
+              },
+            })),
+          },
+        }),
+      },
+      { depends_on: [ref('kubectl_manifest.secret_store')] },
+    ], { comment: 'Kubernetes secret kept in sync with the resource credentials' }),
+  ];
+};
+
+// Generate the Kubernetes workload running the Score containers on EKS
+const generateWorkload = (context) => {
+  const { workload } = context;
+  const ports = getServicePorts(workload);
+  const defaultProbe = ports.length > 0
+    ? { httpGet: { path: '/', port: ports[0].targetPort || ports[0].port } }
+    : null;
+  const secretData = [];
+  const labels = { app: ref('var.app_name') };
+
+  const containers = Object.entries(workload.containers).map(([containerName, container], index) => (
+    generateContainer(containerName, container, {
+      context,
+      ports: index === 0 ? ports : [],
+      secretData,
+      defaultProbe,
+    })
+  ));
+
+  const deployment = resource('kubernetes_deployment', 'app', [
+    {
+      metadata: appMetadata({ labels }),
+      spec: block('spec', [], {
+        replicas: context.overlay.replicas,
+        selector: block('selector', [], { match_labels: labels }),
+        template: block('template', [], {
+          metadata: block('metadata', [], { labels }),
+          spec: block('spec', [], [
+            { service_account_name: ref('kubernetes_service_account.app.metadata[0].name') },
+            { container: containers },
+          ]),
+        }),
+      }),
+    },
+    { depends_on: secretData.length > 0 ? [ref('kubectl_manifest.external_secret')] : undefined },
+  ], { comment: 'Kubernetes deployment' });
+
+  return [
+    ...(secretData.length > 0 ? generateSecretSync(secretData) : []),
+    deployment,
+    ...(ports.length > 0 ? generateService(ports) : []),
+  ];
+};
+
+const generateEks = context => [
+  ...generateCluster(context),
+  ...generateWorkload(context),
+];
+
+const getEksOutputs = () => ({
+  cluster_name: ref('module.eks.cluster_name'),
+  cluster_endpoint: ref('module.eks.cluster_endpoint'),
+});
+
+module.exports = {
+  generateEks,
+  getEksOutputs,
+};
@@ -0,0 +1,458 @@
+// Builder for Terraform configuration. Blocks, attributes and expressions are
+// modelled as values and rendered either as formatted HCL or as Terraform's
+// JSON syntax (.tf.json), so user input never becomes part of the syntax:
+// strings are always escaped and names are validated as identifiers.
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+const TRAVERSAL_PATTERN = /^[A-Za-z_][A-Za-z0-9_-]*(?:\.[A-Za-z_][A-Za-z0-9_-]*|\[(?:\d+|"[^"\\]*")\])*$/;
+// Object keys left unquoted. Hyphenated keys are quoted for readability
+const OBJECT_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const KEYWORDS = ['true', 'false', 'null', 'for', 'in', 'if'];
+
+const INDENT = '  ';
+
+// Raw HCL expression, for references and function calls built by the
+// generators. Never build one from user input
+class Expression {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+// Call of a Terraform function, e.g. jsonencode({ ... })
+class Call {
+  constructor(name, args) {
+    this.name = name;
+    this.args = args;
+  }
+}
+
+// String template mixing literal text with interpolated values
+class Template {
+  constructor(parts) {
+    this.parts = parts;
+  }
+}
+
+// Object whose keys may be templates, which plain JavaScript objects cannot hold
+class ObjectValue {
+  constructor(entries) {
+    this.entries = entries;
+  }
+}
+
+// Attributes rendered together under a comment inside a block body
+class Section {
+  constructor(comment, attributes) {
+    this.comment = comment;
+    this.attributes = attributes;
+  }
+}
+
+class Block {
+  constructor(type, labels, body, comment) {
+    this.type = type;
+    this.labels = labels;
+    this.body = body;
+    this.comment = comment;
+  }
+}
+
+// A comment standing on its own between top-level blocks
+class Comment {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+const assertIdentifier = (name, what) => {
+  if (typeof name !== 'string' || !IDENTIFIER_PATTERN.test(name)) {
+    throw new Error(`Invalid ${what} "${name}": it must start with a letter or underscore and contain only letters, digits, underscores and hyphens`);
+  }
+  return name;
+};
+
+const isPlainObject = value => !!value && Object.getPrototypeOf(value) === Object.prototype;
+
+const expr = text => new Expression(text);
+
+// Reference to a named value, e.g. ref('module', id, 'db_address') or
+// ref('aws_iam_role.app.arn'). Every name in the traversal is validated
+const ref = (...parts) => {
+  const text = parts.join('.');
+  if (!TRAVERSAL_PATTERN.test(text)) {
+    throw new Error(`Invalid reference "${text}"`);
+  }
+  return new Expression(text);
+};
+
+const call = (name, ...args) => new Call(assertIdentifier(name, 'function name'), args);
+
+// String template from a list of parts: builder values are interpolated and
+// anything else is literal, escaped text
+const template = parts => new Template(parts.reduce((merged, part) => {
+  // Adjacent literal text is joined so escaping sees sequences split across parts
+  const last = merged[merged.length - 1];
+  if (typeof part === 'string' && typeof last === 'string') {
+    merged[merged.length - 1] = last + part;
+  } else if (part !== '') {
+    merged.push(part);
+  }
+  return merged;
+}, []));
+
+// Tagged template literal building a string template, e.g.
+// tmpl`${ref('var.app_name')}-vpc`
+const tmpl = (strings, ...values) => template(strings.flatMap((text, index) => (
+  index < values.length ? [text, values[index]] : [text]
+)));
+
+const object = entries => new ObjectValue(entries);
+
+const section = (comment, attributes) => new Section(comment, attributes);
+
+const comment = text => new Comment(text);
+
+const block = (type, labels, body = {}, { comment: blockComment } = {}) => new Block(
+  assertIdentifier(type, 'block type'),
+  labels.map(label => assertIdentifier(label, `${type} label`)),
+  body,
+  blockComment
+);
+
+const resource = (type, name, body, options) => block('resource', [type, name], body, options);
+const data = (type, name, body, options) => block('data', [type, name], body, options);
+const moduleBlock = (name, body, options) => block('module', [name], body, options);
+const provider = (name, body, options) => block('provider', [name], body, options);
+const variable = (name, body, options) => block('variable', [name], body, options);
+const output = (name, body, options) => block('output', [name], body, options);
+
+// Escape text for a quoted HCL string. Template sequences are escaped too, as
+// every quoted string is a template. `$$$$` in a replacement inserts `$$`
+const escapeString = value => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n')
+  .replace(/\r/g, '\\r')
+  .replace(/\t/g, '\\t')
+  .replace(/\$\{/g, '$$$${')
+  .replace(/%\{/g, '%%{');
+
+const escapeTemplateText = value => String(value)
+  .replace(/\$\{/g, '$$$${')
+  .replace(/%\{/g, '%%{');
+
+const isBuilderValue = value => value instanceof Expression || value instanceof Call || value instanceof Template;
+
+// Sections of a block body, each with its comment and its [name, value]
+// entries in order. Attributes set to undefined are left out
+const getBodyItems = (body) => {
+  const sections = Array.isArray(body) ? body : [body];
+  return sections.map(item => (item instanceof Section
+    ? { comment: item.comment, attributes: item.attributes }
+    : { comment: null, attributes: item }))
+    .map(({ comment: sectionComment, attributes }) => ({
+      comment: sectionComment,
+      entries: Object.entries(attributes).filter(([, value]) => value !== undefined),
+    }));
+};
+
+const isBlockValue = value => value instanceof Block
+  || (Array.isArray(value) && value.length > 0 && value.every(item => item instanceof Block));
+
+/* HCL rendering */
+
+const renderKey = (key) => {
+  if (key instanceof Template) return renderHclValue(key, 0);
+  return OBJECT_KEY_PATTERN.test(key) && !KEYWORDS.includes(key) ? key : `"${escapeString(key)}"`;
+};
+
+// Render entries with aligned equals signs. Entries whose value spans several
+// lines end an alignment group and, in block bodies, are set apart from the
+// single-line entries before them
+const renderAssignments = (entries, level, { separateMultiline }) => {
+  const pad = INDENT.repeat(level);
+  const rendered = entries.map(([key, value]) => ({
+    key: renderKey(key),
+    value: renderHclValue(value, level),
+  }));
+
+  const lines = [];
+  let group = [];
+  const flush = () => {
+    const width = Math.max(...group.map(({ key }) => key.length));
+    group.forEach(({ key, value }) => lines.push(`${pad}${key.padEnd(width)} = ${value}`));
+    group = [];
+  };
+
+  rendered.forEach((entry) => {
+    if (!entry.value.includes('\n')) {
+      group.push(entry);
+      return;
+    }
+    if (group.length > 0) {
+      flush();
+      if (separateMultiline) lines.push('');
+    }
+    lines.push(`${pad}${entry.key} = ${entry.value}`);
+  });
+  if (group.length > 0) flush();
+
+  return lines.join('\n');
+};
+
+const renderTemplate = (value, renderPart) => `"${value.parts.map((part) => {
+  if (part instanceof Template) return renderTemplate(part, renderPart).slice(1, -1);
+  if (isBuilderValue(part)) return `\${${renderPart(part)}}`;
+  return escapeString(part);
+}).join('')}"`;
+
+// Objects in lists are kept on one line when they hold only a few scalars
+const renderInlineObject = (entries, level) => {
+  if (entries.some(([, item]) => item !== null && typeof item === 'object' && !isBuilderValue(item))) {
+    return null;
+  }
+  const inline = `{ ${entries.map(([key, item]) => `${renderKey(key)} = ${renderHclValue(item, level)}`).join(', ')} }`;
+  return inline.length <= 80 && !inline.includes('\n') ? inline : null;
+};
+
+const renderHclValue = (value, level, { inList = false } = {}) => {
+  const pad = INDENT.repeat(level);
+  const innerPad = INDENT.repeat(level + 1);
+
+  if (value === null) return 'null';
+  if (typeof value === 'boolean') return String(value);
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new Error(`Cannot render the number ${value}`);
+    return String(value);
+  }
+  if (typeof value === 'string') return `"${escapeString(value)}"`;
+  if (value instanceof Expression) return value.text;
+  if (value instanceof Call) {
+    return `${value.name}(${value.args.map(arg => renderHclValue(arg, level)).join(', ')})`;
+  }
+  if (value instanceof Template) {
+    return renderTemplate(value, part => renderHclValue(part, level));
+  }
+  if (Array.isArray(value)) {
+    const items = value.map(item => renderHclValue(item, level + 1, { inList: true }));
+    const inline = `[${items.join(', ')}]`;
+    if (!items.some(item => item.includes('\n')) && inline.length <= 80) {
+      return inline;
+    }
+    return `[\n${items.map(item => `${innerPad}${item}`).join(',\n')}\n${pad}]`;
+  }
+  if (value instanceof ObjectValue || isPlainObject(value)) {
+    const entries = (value instanceof ObjectValue ? value.entries : Object.entries(value))
+      .filter(([, item]) => item !== undefined);
+    if (entries.length === 0) return '{}';
+    const inline = inList && renderInlineObject(entries, level);
+    if (inline) return inline;
+    return `{\n${renderAssignments(entries, level + 1, { separateMultiline: false })}\n${pad}}`;
+  }
+  throw new Error(`Cannot render ${typeof value} value in Terraform configuration`);
+};
+
+// Render a value on a single line, for expressions embedded in JSON strings
+const renderCompact = (value) => {
+  if (value instanceof Call) return `${value.name}(${value.args.map(renderCompact).join(', ')})`;
+  if (value instanceof Template) return renderTemplate(value, renderCompact);
+  if (Array.isArray(value)) return `[${value.map(renderCompact).join(', ')}]`;
+  if (value instanceof ObjectValue || isPlainObject(value)) {
+    const entries = (value instanceof ObjectValue ? value.entries : Object.entries(value))
+      .filter(([, item]) => item !== undefined);
+    return entries.length === 0
+      ? '{}'
+      : `{ ${entries.map(([key, item]) => `${key instanceof Template ? renderCompact(key) : renderKey(key)} = ${renderCompact(item)}`).join(', ')} }`;
+  }
+  return renderHclValue(value, 0);
+};
+
+const renderBlockHeader = ({ type, labels }) => [type, ...labels.map(label => `"${label}"`)].join(' ');
+
+const renderCommentLines = (text, pad) => text.split('\n').map(line => `${pad}# ${line}`.trimEnd());
+
+const renderHclBody = (body, level) => {
+  const pad = INDENT.repeat(level);
+  const parts = [];
+
+  getBodyItems(body).forEach(({ comment: sectionComment, entries }) => {
+    const chunks = [];
+    let attributes = [];
+    const flushAttributes = () => {
+      if (attributes.length > 0) {
+        chunks.push(renderAssignments(attributes, level, { separateMultiline: true }));
+      }
+      attributes = [];
+    };
+
+    entries.forEach(([name, value]) => {
+      if (isBlockValue(value)) {
+        flushAttributes();
+        (Array.isArray(value) ? value : [value])
+          .forEach(nested => chunks.push(renderHclBlock(nested, level)));
+      } else {
+        attributes.push([assertIdentifier(name, 'attribute name'), value]);
+      }
+    });
+    flushAttributes();
+
+    if (chunks.length === 0) return;
+    const lines = sectionComment ? renderCommentLines(sectionComment, pad).join('\n') : null;
+    parts.push([lines, chunks.join('\n\n')].filter(Boolean).join('\n'));
+  });
+
+  return parts.join('\n\n');
+};
+
+function renderHclBlock(node, level) {
+  const pad = INDENT.repeat(level);
+  const body = renderHclBody(node.body, level + 1);
+  const commentLines = node.comment ? `${renderCommentLines(node.comment, pad).join('\n')}\n` : '';
+  return body
+    ? `${commentLines}${pad}${renderBlockHeader(node)} {\n${body}\n${pad}}`
+    : `${commentLines}${pad}${renderBlockHeader(node)} {}`;
+}
+
+// Render top-level blocks and comments as an HCL file
+const renderHcl = items => items
+  .filter(Boolean)
+  .map(item => (item instanceof Comment
+    ? `${renderCommentLines(item.text, '').join('\n')}\n`
+    : `${renderHclBlock(item, 0)}\n`))
+  .join('\n');
+
+// Render top-level attributes, as in a .tfvars file. `body` is an object or an
+// array of sections like a block body
+const renderAttributes = (body) => {
+  const rendered = renderHclBody(body, 0);
+  return rendered ? `${rendered}\n` : '';
+};
+
+/* JSON rendering */
+
+// In Terraform's JSON syntax strings are templates, so literal text has its
+// template sequences escaped and other values are interpolated
+const toJsonTemplate = (value) => {
+  if (value instanceof Template) {
+    return value.parts.map((part) => {
+      if (part instanceof Template) return toJsonTemplate(part);
+      if (isBuilderValue(part)) return `\${${renderCompact(part)}}`;
+      return escapeTemplateText(part);
+    }).join('');
+  }
+  return `\${${renderCompact(value)}}`;
+};
+
+// `literal` renders values as plain JSON, for the arguments Terraform does
+// not evaluate as expressions, such as a variable's default
+const toJsonValue = (value, { literal = false } = {}) => {
+  if (value === null || typeof value === 'boolean' || typeof value === 'number') return value;
+  if (typeof value === 'string') return literal ? value : escapeTemplateText(value);
+  if (literal && value instanceof Expression) return value.text;
+  if (isBuilderValue(value)) return toJsonTemplate(value);
+  if (Array.isArray(value)) return value.map(item => toJsonValue(item, { literal }));
+  if (value instanceof ObjectValue || isPlainObject(value)) {
+    const entries = value instanceof ObjectValue ? value.entries : Object.entries(value);
+    return Object.fromEntries(entries
+      .filter(([, item]) => item !== undefined)
+      .map(([key, item]) => [
+        key instanceof Template ? toJsonTemplate(key) : (literal && key) || escapeTemplateText(key),
+        toJsonValue(item, { literal }),
+      ]));
+  }
+  throw new Error(`Cannot render ${typeof value} value in Terraform configuration`);
+};
+
+// Meta-arguments holding bare references rather than expressions
+const REFERENCE_LIST_ARGUMENTS = ['depends_on'];
+
+const toJsonBody = (node) => {
+  const result = {};
+  if (node.comment) result['//'] = node.comment;
+  const literal = node.type === 'variable';
+
+  getBodyItems(node.body).forEach(({ entries }) => {
+    entries.forEach(([name, value]) => {
+      if (isBlockValue(value)) {
+        const nestedBlocks = Array.isArray(value) ? value : [value];
+        nestedBlocks.forEach((nested) => {
+          const nestedBody = toJsonBody(nested);
+          const target = nested.labels.reduce((parent, label) => {
+            parent[label] = parent[label] || {};
+            return parent[label];
+          }, nested.labels.length > 0 ? (result[nested.type] = result[nested.type] || {}) : result);
+          if (nested.labels.length > 0) {
+            Object.assign(target, nestedBody);
+          } else if (result[nested.type] === undefined) {
+            result[nested.type] = nestedBody;
+          } else {
+            result[nested.type] = [].concat(result[nested.type], nestedBody);
+          }
+        });
+        return;
+      }
+
+      assertIdentifier(name, 'attribute name');
+      result[name] = REFERENCE_LIST_ARGUMENTS.includes(name) && Array.isArray(value)
+        ? value.map(item => (item instanceof Expression ? item.text : toJsonValue(item)))
+        : toJsonValue(value, { literal });
+    });
+  });
+
+  return result;
+};
+
+// Render top-level blocks as a Terraform JSON file. Standalone comments are
+// kept in the root object's "//" property
+const renderJson = (items) => {
+  const root = {};
+  const comments = items.filter(item => item instanceof Comment).map(item => item.text);
+  if (comments.length > 0) root['//'] = comments.join('\n');
+
+  items.filter(item => item instanceof Block).forEach((node) => {
+    const body = toJsonBody(node);
+    if (node.labels.length === 0) {
+      root[node.type] = root[node.type] === undefined ? body : [].concat(root[node.type], body);
+      return;
+    }
+
+    const parent = node.labels.slice(0, -1).reduce((container, label) => {
+      container[label] = container[label] || {};
+      return container[label];
+    }, (root[node.type] = root[node.type] || {}));
+    const name = node.labels[node.labels.length - 1];
+    if (parent[name] !== undefined) {
+      throw new Error(`Duplicate ${renderBlockHeader(node)} block`);
+    }
+    parent[name] = body;
+  });
+
+  return `${JSON.stringify(root, null, 2)}\n`;
+};
+
+// Render an expression as HCL, e.g. to compare or deduplicate values
+const renderExpression = value => renderHclValue(value, 0);
+
+module.exports = {
+  Block,
+  expr,
+  ref,
+  call,
+  template,
+  tmpl,
+  object,
+  section,
+  comment,
+  block,
+  resource,
+  data,
+  module: moduleBlock,
+  provider,
+  variable,
+  output,
+  renderExpression,
+  renderHcl,
+  renderAttributes,
+  renderJson,
+};
@@ -0,0 +1,69 @@
+const {
+  ref,
+  tmpl,
+  resource,
+  variable,
+  renderHcl,
+  renderJson,
+} = require('./hcl');
+
+// The rendered value of a single attribute
+const renderHclAttribute = value => renderHcl([resource('null_resource', 'test', { value })])
+  .split('\n')
+  .slice(1, -2)
+  .join('\n')
+  .replace(/^ {2}value = /, '');
+const renderJsonAttribute = value => JSON.parse(renderJson([resource('null_resource', 'test', { value })]))
+  .resource.null_resource.test.value;
+
+describe('renderHcl', () => {
+  test('escapes template sequences in strings', () => {
+    expect(renderHclAttribute(`\${var.secret} and %{ if true }`)).toBe(`"$\${var.secret} and %%{ if true }"`);
+  });
+
+  test('escapes quotes and backslashes', () => {
+    expect(renderHclAttribute('say "hi" \\ bye')).toBe('"say \\"hi\\" \\\\ bye"');
+  });
+
+  test('escapes newlines, carriage returns and tabs', () => {
+    expect(renderHclAttribute('a\nb\r\nc\td')).toBe('"a\\nb\\r\\nc\\td"');
+  });
+
+  test('escapes the literal text of templates but not their interpolations', () => {
+    expect(renderHclAttribute(tmpl`${ref('var.app_name')}-"\${x}"`)).toBe(`"\${var.app_name}-\\"$\${x}\\""`);
+  });
+
+  test('quotes object keys that are not identifiers', () => {
+    expect(renderHclAttribute({ 'score-ui/owner': 'a "b"', name: 'c' })).toBe([
+      '{',
+      '    "score-ui/owner" = "a \\"b\\""',
+      '    name             = "c"',
+      '  }',
+    ].join('\n'));
+  });
+
+  test('rejects names that are not identifiers', () => {
+    expect(() => resource('null_resource', 'a"b', {})).toThrow('Invalid resource label "a"b"');
+    expect(() => ref('var', `x}\${y`)).toThrow('Invalid reference');
+  });
+});
+
+describe('renderJson', () => {
+  test('escapes template sequences in strings', () => {
+    expect(renderJsonAttribute(`\${var.secret} and %{ if true }`)).toBe(`$\${var.secret} and %%{ if true }`);
+  });
+
+  test('keeps quotes and newlines as JSON string content', () => {
+    expect(renderJsonAttribute('say "hi"\nbye')).toBe('say "hi"\nbye');
+  });
+
+  test('interpolates expressions and escapes the literal text of templates', () => {
+    expect(renderJsonAttribute(ref('var.app_name'))).toBe(`\${var.app_name}`);
+    expect(renderJsonAttribute(tmpl`${ref('var.app_name')}-\${x}`)).toBe(`\${var.app_name}-$\${x}`);
+  });
+
+  test('renders variable defaults as plain JSON', () => {
+    const rendered = JSON.parse(renderJson([variable('greeting', { default: `\${not_a_template}` })]));
+    expect(rendered.variable.greeting.default).toBe(`\${not_a_template}`);
+  });
+});
@@ -0,0 +1,184 @@
+const { ANNOTATIONS } = require('../score');
+const {
+  PROVIDERS,
+  generateTerraformBlock,
+  generateAwsProvider,
+  generateVariables,
+  generateVpc,
+  generateOutput,
+} = require('./common');
+const {
+  expr,
+  ref,
+  comment,
+  variable,
+  renderHcl,
+  renderJson,
+} = require('./hcl');
+const {
+  SECRET_VALUES_VARIABLE,
+  SECRET_VALUES_FILE,
+  resolveResources,
+  usesSecrets,
+  getSecretValueKeys,
+  generateResourceAccess,
+} = require('./resources');
+const { generateEks, getEksOutputs } = require('./eks');
+const { generateEcs, getEcsOutputs } = require('./ecs');
+const { generateLambda, getLambdaOutputs } = require('./lambda');
+const { ENVIRONMENTS, resolveOverlay } = require('./overlays');
+
+// Generators for each execution environment the workload can target
+const EXECUTION_ENVIRONMENTS = {
+  eks: {
+    label: 'EKS',
+    providers: [PROVIDERS.aws, PROVIDERS.kubernetes],
+    // Used to sync secrets into the cluster with the External Secrets Operator
+    secretProviders: [PROVIDERS.helm, PROVIDERS.kubectl],
+    generate: generateEks,
+    getOutputs: getEksOutputs,
+  },
+  ecs: {
+    label: 'ECS Fargate',
+    providers: [PROVIDERS.aws],
+    generate: generateEcs,
+    getOutputs: getEcsOutputs,
+  },
+  lambda: {
+    label: 'Lambda',
+    providers: [PROVIDERS.aws],
+    generate: generateLambda,
+    getOutputs: getLambdaOutputs,
+  },
+};
+
+// Files of the generated configuration, without extension
+const CONFIG_FILES = ['main', 'variables', 'outputs'];
+
+// Syntaxes the configuration can be written in, with the extension and
+// renderer of each. JSON suits tools that post-process the configuration
+const FORMATS = {
+  hcl: { extension: '.tf', render: renderHcl },
+  json: { extension: '.tf.json', render: renderJson },
+};
+
+// Values of the configuration's variables for a parsed Score workload in an
+// environment, which the generated variables default to
+const getVariableValues = (workload, { region, environment = 'dev' } = {}) => ({
+  aws_region: (workload.metadata.annotations || {})[ANNOTATIONS.region] || region,
+  // Resources of later environments get their own names in the same account.
+  // The first keeps the plain name so existing deployments are not replaced
+  app_name: environment === ENVIRONMENTS[0] ? workload.metadata.name : `${workload.metadata.name}-${environment}`,
+  environment,
+});
+
+// Generate the Terraform workspace files for a parsed Score workload in an
+// environment, applying its overlay. Returns a map of file name to content,
+// written as HCL or as Terraform's JSON syntax depending on `format`. State is
+// kept in the workspace unless a `backend` { type, config } is given.
+// Resources are tagged with the `owner` of the workload, a team or user name
+const generateTerraformConfig = (workload, {
+  modulesPath,
+  region,
+  environment = 'dev',
+  overlay = resolveOverlay(environment),
+  format = 'hcl',
+  backend = null,
+  owner = null,
+} = {}) => {
+  if (!workload || !workload.metadata || !workload.containers) {
+    throw new Error('Invalid score workload');
+  }
+  if (!FORMATS[format]) {
+    throw new Error(`Unsupported Terraform format "${format}", expected one of ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  const annotations = workload.metadata.annotations || {};
+  const { supported, unsupported } = resolveResources(workload, { modulesPath, environment, overlay });
+  const variableValues = getVariableValues(workload, { region, environment });
+
+  const context = {
+    workload,
+    name: workload.metadata.name,
+    appName: variableValues.app_name,
+    region: variableValues.aws_region,
+    environment,
+    overlay,
+    resources: supported,
+    unsupported,
+    modulesPath,
+  };
+
+  if (!context.region) {
+    throw new Error('AWS region is required');
+  }
+
+  const executionEnvironment = annotations[ANNOTATIONS.executionEnvironment] || 'eks';
+  const target = EXECUTION_ENVIRONMENTS[executionEnvironment];
+  if (!target) {
+    throw new Error(`Unsupported execution environment "${executionEnvironment}"`);
+  }
+
+  const unsupportedNotes = unsupported.map(({ id, type }) => (
+    comment(`Score resource "${id}" of type "${type}" is not supported and was not provisioned`)
+  ));
+
+  const providers = [
+    ...target.providers,
+    ...(usesSecrets(context) ? target.secretProviders || [] : []),
+    ...supported.flatMap(resource => resource.providers),
+  ].filter((provider, index, all) => all.findIndex(({ name }) => name === provider.name) === index);
+
+  const main = [
+    generateTerraformBlock(providers, backend),
+    generateAwsProvider({ owner }),
+    generateVpc(),
+    ...target.generate(context),
+    ...supported.flatMap(resource => resource.blocks),
+    ...generateResourceAccess(supported),
+    ...unsupportedNotes,
+  ];
+
+  const outputs = {
+    vpc_id: ref('module.vpc.vpc_id'),
+    subnet_ids: ref('module.vpc.private_subnets'),
+    ...target.getOutputs(context),
+  };
+  supported.forEach(({ id, outputs: resourceOutputs, credentialsSecret }) => {
+    Object.entries(resourceOutputs).forEach(([output, expression]) => {
+      outputs[`${id}_${output}`.replace(/-/g, '_')] = expression;
+    });
+    if (credentialsSecret) {
+      outputs[`${id}_credentials_secret_arn`.replace(/-/g, '_')] = credentialsSecret;
+    }
+  });
+
+  const variables = [
+    ...generateVariables(context),
+    ...(supported.some(({ type }) => type === 'secrets') ? [variable(SECRET_VALUES_VARIABLE, {
+      description: `Values of the workload's secret environment variables, set in ${SECRET_VALUES_FILE}`,
+      type: expr('map(string)'),
+      sensitive: true,
+      default: {},
+    })] : []),
+  ];
+
+  const { extension, render } = FORMATS[format];
+  const blocks = {
+    main,
+    variables,
+    outputs: Object.entries(outputs).map(([name, value]) => generateOutput(name, value)),
+  };
+  return Object.fromEntries(CONFIG_FILES.map(name => [`${name}${extension}`, render(blocks[name])]));
+};
+
+module.exports = {
+  CONFIG_FILES,
+  FORMATS,
+  SECRET_VALUES_VARIABLE,
+  SECRET_VALUES_FILE,
+  EXECUTION_ENVIRONMENTS,
+  generateTerraformConfig,
+  getVariableValues,
+  getSecretValueKeys,
+};
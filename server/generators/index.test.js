@@ -0,0 +1,52 @@
+const { generateTerraformConfig } = require('.');
+
+const workload = executionEnvironment => ({
+  apiVersion: 'score.dev/v1b1',
+  metadata: {
+    name: 'orders',
+    annotations: {
+      'score-ui/application-type': 'api',
+      'score-ui/execution-environment': executionEnvironment,
+      'score-ui/region': 'eu-west-2',
+    },
+  },
+  containers: {
+    main: {
+      image: 'nginx:1.27',
+      variables: {
+        LOG_LEVEL: 'info',
+        DB_HOST: `\${resources.db.host}`,
+        DB_PASSWORD: `\${resources.db.password}`,
+        API_KEY: `\${resources.secrets.API_KEY}`,
+        UPLOADS_BUCKET: `\${resources.uploads.bucket}`,
+      },
+    },
+  },
+  service: {
+    ports: {
+      web: { port: 80, targetPort: 8080 },
+    },
+  },
+  resources: {
+    db: { type: 'postgres', class: 'small' },
+    secrets: { type: 'secrets' },
+    uploads: { type: 's3' },
+  },
+});
+
+describe.each(['eks', 'ecs', 'lambda'])('%s configuration', (executionEnvironment) => {
+  describe.each(['dev', 'prod'])('in %s', (environment) => {
+    test.each(['hcl', 'json'])('matches the %s snapshot', (format) => {
+      const files = generateTerraformConfig(workload(executionEnvironment), {
+        modulesPath: '../../modules',
+        environment,
+        owner: 'payments',
+        format,
+      });
+
+      Object.entries(files).forEach(([fileName, content]) => {
+        expect(content).toMatchSnapshot(fileName);
+      });
+    });
+  });
+});
@@ -0,0 +1,210 @@
+const { ANNOTATIONS } = require('../score');
+const { parseMemory, getServicePorts } = require('./common');
+const { resolveContainerVariables, getSecretArns } = require('./resources');
+const {
+  ref,
+  call,
+  tmpl,
+  comment,
+  block,
+  resource,
+} = require('./hcl');
+
+const DEFAULT_MEMORY_SIZE = 512;
+const DEFAULT_TIMEOUT = 30;
+
+// Application types invoked through an HTTP API rather than a queue
+const HTTP_APPLICATION_TYPES = ['web', 'api'];
+
+const generateFunctionRole = () => [
+  resource('aws_iam_role', 'app', {
+    name: tmpl`${ref('var.app_name')}-app`,
+    assume_role_policy: call('jsonencode', {
+      Version: '2012-10-17',
+      Statement: [
+        {
+          Effect: 'Allow',
+          Action: 'sts:AssumeRole',
+          Principal: {
+            Service: 'lambda.amazonaws.com',
+          },
+        },
+      ],
+    }),
+  }, { comment: 'Execution role assumed by the Lambda function' }),
+
+  resource('aws_iam_role_policy_attachment', 'app_basic', {
+    role: ref('aws_iam_role.app.name'),
+    policy_arn: 'arn:aws:iam::aws:policy/service-role/AWSLambdaBasicExecutionRole',
+  }),
+
+  resource('aws_iam_role_policy_attachment', 'app_vpc', {
+    role: ref('aws_iam_role.app.name'),
+    policy_arn: 'arn:aws:iam::aws:policy/service-role/AWSLambdaVPCAccessExecutionRole',
+  }),
+
+  resource('aws_security_group', 'app', {
+    name: tmpl`${ref('var.app_name')}-lambda-sg`,
+    description: 'Security group for the Lambda function',
+    vpc_id: ref('module.vpc.vpc_id'),
+    egress: block('egress', [], {
+      from_port: 0,
+      to_port: 0,
+      protocol: '-1',
+      cidr_blocks: ['0.0.0.0/0'],
+    }),
+  }),
+
+  resource('aws_cloudwatch_log_group', 'app', {
+    name: tmpl`/aws/lambda/${ref('var.app_name')}`,
+    retention_in_days: 14,
+  }),
+];
+
+const generateHttpTrigger = () => [
+  resource('aws_apigatewayv2_api', 'app', {
+    name: ref('var.app_name'),
+    protocol_type: 'HTTP',
+  }, { comment: 'HTTP API Gateway invoking the function' }),
+
+  resource('aws_apigatewayv2_integration', 'app', {
+    api_id: ref('aws_apigatewayv2_api.app.id'),
+    integration_type: 'AWS_PROXY',
+    integration_uri: ref('aws_lambda_function.app.invoke_arn'),
+    payload_format_version: '2.0',
+  }),
+
+  resource('aws_apigatewayv2_route', 'app', {
+    api_id: ref('aws_apigatewayv2_api.app.id'),
+    route_key: '$default',
+    target: tmpl`integrations/${ref('aws_apigatewayv2_integration.app.id')}`,
+  }),
+
+  resource('aws_apigatewayv2_stage', 'app', {
+    api_id: ref('aws_apigatewayv2_api.app.id'),
+    name: '$default',
+    auto_deploy: true,
+  }),
+
+  resource('aws_lambda_permission', 'api', {
+    statement_id: 'AllowApiGatewayInvoke',
+    action: 'lambda:InvokeFunction',
+    function_name: ref('aws_lambda_function.app.function_name'),
+    principal: 'apigateway.amazonaws.com',
+    source_arn: tmpl`${ref('aws_apigatewayv2_api.app.execution_arn')}/*/*`,
+  }),
+];
+
+const generateQueueTrigger = () => [
+  resource('aws_sqs_queue', 'trigger', {
+    name: tmpl`${ref('var.app_name')}-trigger`,
+    visibility_timeout_seconds: DEFAULT_TIMEOUT * 6,
+  }, { comment: 'SQS queue triggering the function' }),
+
+  resource('aws_iam_role_policy_attachment', 'app_sqs', {
+    role: ref('aws_iam_role.app.name'),
+    policy_arn: 'arn:aws:iam::aws:policy/service-role/AWSLambdaSQSQueueExecutionRole',
+  }),
+
+  resource('aws_lambda_event_source_mapping', 'trigger', {
+    event_source_arn: ref('aws_sqs_queue.trigger.arn'),
+    function_name: ref('aws_lambda_function.app.arn'),
+    batch_size: 10,
+  }),
+];
+
+const isHttpTriggered = (workload) => {
+  const annotations = workload.metadata.annotations || {};
+  const applicationType = annotations[ANNOTATIONS.applicationType];
+  return applicationType
+    ? HTTP_APPLICATION_TYPES.includes(applicationType)
+    : getServicePorts(workload).length > 0;
+};
+
+// Generate a container-image Lambda function running the workload's first
+// container, triggered through API Gateway or SQS depending on its type
+const generateLambda = (context) => {
+  const { workload } = context;
+  const [[containerName, container], ...sidecars] = Object.entries(workload.containers);
+  const limits = (container.resources && container.resources.limits) || {};
+  const memorySize = Math.max(128, Math.ceil(parseMemory(limits.memory) || DEFAULT_MEMORY_SIZE));
+
+  // Lambda cannot inject secrets into environment variables, so a secret
+  // output is passed as <KEY>_SECRET_ARN and <KEY>_SECRET_KEY for the function
+  // to read from Secrets Manager at startup
+  const variables = resolveContainerVariables(container, context);
+  const entries = variables.flatMap(({ key, expression, secretRef }) => (secretRef
+    ? [[`${key}_SECRET_ARN`, secretRef.arn], [`${key}_SECRET_KEY`, secretRef.key]]
+    : [[key, expression]]));
+
+  const sidecarNotes = sidecars.map(([name]) => (
+    comment(`Container "${name}" was not deployed: Lambda runs a single container image`)
+  ));
+
+  const fn = resource('aws_lambda_function', 'app', [
+    {
+      function_name: ref('var.app_name'),
+      role: ref('aws_iam_role.app.arn'),
+      package_type: 'Image',
+      image_uri: container.image,
+      memory_size: memorySize,
+      timeout: DEFAULT_TIMEOUT,
+      vpc_config: block('vpc_config', [], {
+        subnet_ids: ref('module.vpc.private_subnets'),
+        security_group_ids: [ref('aws_security_group.app.id')],
+      }),
+      environment: entries.length > 0
+        ? block('environment', [], { variables: Object.fromEntries(entries) })
+        : undefined,
+      image_config: (container.command || container.args)
+        ? block('image_config', [], {
+          entry_point: container.command,
+          command: container.args,
+        })
+        : undefined,
+    },
+    {
+      depends_on: [
+        ref('aws_cloudwatch_log_group.app'),
+        ref('aws_iam_role_policy_attachment.app_basic'),
+        ref('aws_iam_role_policy_attachment.app_vpc'),
+      ],
+    },
+  ], { comment: `Lambda function (${containerName} container). The image must be hosted in ECR` });
+
+  const secretArns = getSecretArns(variables);
+  const secretAccess = secretArns.length > 0 ? [resource('aws_iam_role_policy', 'app_secrets', {
+    name: tmpl`${ref('var.app_name')}-app-secrets`,
+    role: ref('aws_iam_role.app.id'),
+    policy: call('jsonencode', {
+      Version: '2012-10-17',
+      Statement: [
+        {
+          Effect: 'Allow',
+          Action: ['secretsmanager:GetSecretValue'],
+          Resource: secretArns,
+        },
+      ],
+    }),
+  }, { comment: 'Allow the function to read the secrets it references' })] : [];
+
+  return [
+    ...generateFunctionRole(),
+    ...secretAccess,
+    fn,
+    ...(isHttpTriggered(workload) ? generateHttpTrigger() : generateQueueTrigger()),
+    ...sidecarNotes,
+  ];
+};
+
+const getLambdaOutputs = ({ workload }) => ({
+  function_name: ref('aws_lambda_function.app.function_name'),
+  ...(isHttpTriggered(workload)
+    ? { api_endpoint: ref('aws_apigatewayv2_api.app.api_endpoint') }
+    : { trigger_queue_url: ref('aws_sqs_queue.trigger.url') }),
+});
+
+module.exports = {
+  generateLambda,
+  getLambdaOutputs,
+};
@@ -0,0 +1,120 @@
+const { getProvisioner } = require('../provisioners');
+
+// Environments an application is promoted through, in order
+const ENVIRONMENTS = ['dev', 'staging', 'prod'];
+
+// Settings applied on top of the application definition in each environment.
+// `instanceSizes` can replace the instance class a resource's catalog size maps
+// to, for each Score resource type
+const DEFAULT_OVERLAYS = {
+  dev: {
+    replicas: 1,
+    instanceSizes: {},
+    multiAz: false,
+    deletionProtection: false,
+    skipFinalSnapshot: true,
+  },
+  staging: {
+    replicas: 2,
+    instanceSizes: {},
+    multiAz: false,
+    deletionProtection: false,
+    skipFinalSnapshot: true,
+  },
+  prod: {
+    replicas: 3,
+    instanceSizes: {},
+    multiAz: true,
+    deletionProtection: true,
+    skipFinalSnapshot: false,
+  },
+};
+
+const BOOLEAN_SETTINGS = ['multiAz', 'deletionProtection', 'skipFinalSnapshot'];
+const INSTANCE_SIZE_PATTERN = /^[a-z0-9]+(\.[a-z0-9]+)+$/;
+const MAX_REPLICAS = 20;
+
+// Merge the overrides saved for an environment over its defaults
+const resolveOverlay = (environment, overrides = {}) => {
+  const defaults = DEFAULT_OVERLAYS[environment];
+  if (!defaults) {
+    throw new Error(`Unknown environment "${environment}"`);
+  }
+
+  return {
+    ...defaults,
+    ...overrides,
+    instanceSizes: {
+      ...defaults.instanceSizes,
+      ...(overrides.instanceSizes || {}),
+    },
+  };
+};
+
+// Check overlay overrides. Returns a list of error messages
+const validateOverlay = (overrides) => {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return ['Overlay must be an object'];
+  }
+
+  const errors = [];
+  const known = ['replicas', 'instanceSizes', ...BOOLEAN_SETTINGS];
+  Object.keys(overrides)
+    .filter(key => !known.includes(key))
+    .forEach(key => errors.push(`Unknown setting "${key}"`));
+
+  if (overrides.replicas !== undefined
+    && !(Number.isInteger(overrides.replicas) && overrides.replicas >= 1 && overrides.replicas <= MAX_REPLICAS)) {
+    errors.push(`replicas must be an integer between 1 and ${MAX_REPLICAS}`);
+  }
+
+  BOOLEAN_SETTINGS
+    .filter(key => overrides[key] !== undefined && typeof overrides[key] !== 'boolean')
+    .forEach(key => errors.push(`${key} must be true or false`));
+
+  const { instanceSizes = {} } = overrides;
+  if (typeof instanceSizes !== 'object' || Array.isArray(instanceSizes)) {
+    errors.push('instanceSizes must map resource types to instance types');
+  } else {
+    Object.entries(instanceSizes).forEach(([type, size]) => {
+      const provisioner = getProvisioner(type);
+      if (!provisioner || !provisioner.sizes) {
+        errors.push(`instanceSizes.${type} is not a sized resource type`);
+      } else if (typeof size !== 'string' || !INSTANCE_SIZE_PATTERN.test(size)) {
+        errors.push(`instanceSizes.${type} must be an instance type such as db.t3.micro`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+// List the settings that differ between two resolved overlays
+const diffOverlays = (from, to) => {
+  const flatten = overlay => ({
+    replicas: overlay.replicas,
+    ...Object.fromEntries(Object.entries(overlay.instanceSizes).map(([type, size]) => [`instanceSizes.${type}`, size || null])),
+    ...Object.fromEntries(BOOLEAN_SETTINGS.map(key => [key, overlay[key]])),
+  });
+
+  const before = flatten(from);
+  const after = flatten(to);
+  return Array.from(new Set([...Object.keys(before), ...Object.keys(after)]))
+    .filter(setting => (before[setting] ?? null) !== (after[setting] ?? null))
+    .map(setting => ({ setting, from: before[setting] ?? null, to: after[setting] ?? null }));
+};
+
+// The environment an environment promotes to, if any
+const getNextEnvironment = (environment) => {
+  const index = ENVIRONMENTS.indexOf(environment);
+  return index === -1 ? null : ENVIRONMENTS[index + 1] || null;
+};
+
+module.exports = {
+  ENVIRONMENTS,
+  DEFAULT_OVERLAYS,
+  resolveOverlay,
+  validateOverlay,
+  diffOverlays,
+  getNextEnvironment,
+};
@@ -0,0 +1,197 @@
+const { SECRET_VALUES_VARIABLE, SECRET_VALUES_FILE } = require('./common');
+const {
+  Block,
+  ref,
+  template,
+  resource: resourceBlock,
+  renderExpression,
+} = require('./hcl');
+const { getProvisioner } = require('../provisioners');
+const { resolveProperties, getSize } = require('../catalog');
+
+/**
+ * Resolve the workload's resources against the registered provisioners and
+ * generate the Terraform of each. `generate(params, context)` receives the
+ * resource's params, its class as the `size` param, and a context of
+ * { id, size, modulesPath, environment, overlay } where `size` is the entry of
+ * the provisioner's sizes. It returns:
+ *
+ *   blocks             Terraform blocks added to main.tf, built with ./hcl
+ *   outputs            Score outputs mapped to Terraform values, e.g. refs
+ *   credentialsSecret  ARN reference of the Secrets Manager secret holding
+ *                      outputs that must not appear in the configuration
+ *   secretOutputs      those outputs mapped to their JSON key in the secret,
+ *                      or a function when every output is a key of it
+ *   providers          Terraform providers the blocks need besides aws
+ *   policies           ARN references of IAM policies attached to the
+ *                      workload's role, the IRSA role on EKS
+ */
+const resolveResources = (workload, { modulesPath, environment, overlay } = {}) => {
+  const supported = [];
+  const unsupported = [];
+
+  Object.entries(workload.resources || {}).forEach(([id, resource]) => {
+    const provisioner = getProvisioner(resource.type);
+    if (!provisioner) {
+      unsupported.push({ id, type: resource.type });
+      return;
+    }
+
+    const params = resolveProperties(resource.type, { size: resource.class, ...(resource.params || {}) });
+    const size = getSize(resource.type, params.size);
+    const generated = provisioner.generate(params, { id, size, modulesPath, environment, overlay });
+    const blocks = [].concat(generated.blocks || []);
+    if (!blocks.every(block => block instanceof Block)) {
+      throw new Error(`Provisioner "${resource.type}" in ${provisioner.source} must return blocks built with generators/hcl`);
+    }
+    supported.push({
+      id,
+      type: resource.type,
+      params,
+      size,
+      blocks,
+      outputs: generated.outputs || {},
+      credentialsSecret: generated.credentialsSecret || null,
+      secretOutputs: generated.secretOutputs || {},
+      providers: generated.providers || [],
+      policies: generated.policies || [],
+    });
+  });
+
+  return { supported, unsupported };
+};
+
+// Find the Terraform expression for a `${resources.<id>.<output>}` placeholder,
+// or the secret reference for outputs only available from a credentials secret.
+// Returns null for resources that are declared but could not be provisioned
+const resolveResourceOutput = (placeholder, { resources, unsupported = [] }) => {
+  const [scope, id, output] = placeholder.split('.');
+  if (scope === 'metadata' && id === 'name') {
+    return { expression: ref('var.app_name') };
+  }
+  if (scope === 'resources' && unsupported.some(item => item.id === id)) {
+    return null;
+  }
+
+  const resource = scope === 'resources' && resources.find(item => item.id === id);
+  const secretOutputs = resource && resource.secretOutputs;
+  const secretKey = typeof secretOutputs === 'function' ? secretOutputs(output) : secretOutputs && secretOutputs[output];
+  if (secretKey) {
+    return {
+      secretRef: { arn: resource.credentialsSecret, key: secretKey },
+    };
+  }
+
+  const outputExpression = resource ? resource.outputs[output] : undefined;
+  if (outputExpression === undefined) {
+    throw new Error(`Unknown placeholder "\${${placeholder}}"`);
+  }
+
+  return { expression: outputExpression };
+};
+
+// Convert a Score variable value into a Terraform value, resolving any
+// placeholders. A value referencing a secret output resolves to a `secretRef`
+// instead, so the secret never appears in the generated configuration, and
+// null is returned when it references a resource that was not provisioned
+const resolveValue = (value, context) => {
+  const source = String(value);
+  const pattern = /\$\$|\$\{([^}]+)\}/g;
+  const parts = [];
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    parts.push({ literal: source.slice(lastIndex, match.index) });
+    if (match[1] === undefined) {
+      parts.push({ literal: '$' });
+    } else {
+      const resolved = resolveResourceOutput(match[1].trim(), context);
+      if (!resolved) return null;
+      parts.push({ ...resolved, placeholder: match[0] });
+    }
+    lastIndex = pattern.lastIndex;
+  }
+  parts.push({ literal: source.slice(lastIndex) });
+
+  const significant = parts.filter(part => part.expression !== undefined || part.secretRef || part.literal);
+  const secretPart = significant.find(part => part.secretRef);
+  if (secretPart) {
+    if (significant.length > 1) {
+      throw new Error(`Secret output "${secretPart.placeholder}" must be the whole value of a variable`);
+    }
+    return { secretRef: secretPart.secretRef };
+  }
+
+  if (significant.length === 1 && significant[0].expression !== undefined) {
+    return { expression: significant[0].expression };
+  }
+
+  return {
+    expression: template(significant.map(part => (part.expression !== undefined ? part.expression : part.literal))),
+  };
+};
+
+// Resolve every variable of a Score container, skipping those that reference
+// resources which were not provisioned
+const resolveContainerVariables = (container, context) => Object
+  .entries(container.variables || {})
+  .map(([key, value]) => {
+    const resolved = resolveValue(value, context);
+    return resolved && { key, ...resolved };
+  })
+  .filter(Boolean);
+
+// Distinct ARNs of the secrets referenced by resolved variables
+const getSecretArns = variables => variables
+  .filter(variable => variable.secretRef)
+  .map(variable => variable.secretRef.arn)
+  .filter((arn, index, all) => all.findIndex(other => renderExpression(other) === renderExpression(arn)) === index);
+
+// Whether any container of the workload receives a secret output
+const usesSecrets = context => Object.values(context.workload.containers)
+  .some(container => resolveContainerVariables(container, context).some(variable => variable.secretRef));
+
+// Names of the secret values the workload's containers reference from the
+// secrets resource
+const getSecretValueKeys = (workload) => {
+  const secretIds = Object.entries(workload.resources || {})
+    .filter(([, resource]) => resource.type === 'secrets')
+    .map(([id]) => id);
+
+  const keys = new Set();
+  Object.values(workload.containers || {}).forEach((container) => {
+    Object.values(container.variables || {}).forEach((value) => {
+      Array.from(String(value).matchAll(/\$\{resources\.([^.}]+)\.([^}]+)\}/g))
+        .filter(([, id]) => secretIds.includes(id))
+        .forEach(([, , key]) => keys.add(key.trim()));
+    });
+  });
+
+  return Array.from(keys);
+};
+
+// Attach the IAM policies of the workload's resources to the workload's role,
+// `aws_iam_role.app` in every execution environment
+const generateResourceAccess = resources => resources
+  .flatMap(({ id, policies }) => policies.map((arn, index) => resourceBlock(
+    'aws_iam_role_policy_attachment',
+    `app_${id}${index > 0 ? `_${index + 1}` : ''}`,
+    {
+      role: ref('aws_iam_role.app.name'),
+      policy_arn: arn,
+    },
+    index === 0 ? { comment: `Access to the Score resource "${id}" for the workload's role` } : undefined
+  )));
+
+module.exports = {
+  SECRET_VALUES_VARIABLE,
+  SECRET_VALUES_FILE,
+  resolveResources,
+  resolveValue,
+  resolveContainerVariables,
+  getSecretArns,
+  usesSecrets,
+  getSecretValueKeys,
+  generateResourceAccess,
+};
@@ -1,17 +1,112 @@
 const express = require('express');
 const cors = require('cors');
-const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
-const yaml = require('js-yaml');
 const execa = require('execa');
-const { v4: uuidv4 } = require('uuid');
+const yaml = require('js-yaml');
+const {
+  generateScoreYaml,
+  getSecretValues,
+  importScoreYaml,
+  validateEnvironmentVariables,
+  validateServices,
+  validateScoreYaml
+} = require('./score');
+const { SECRET_VALUES_VARIABLE, SECRET_VALUES_FILE } = require('./generators');
+const { SERVICES, getCatalogResources } = require('./catalog');
+const {
+  ENVIRONMENTS,
+  validateOverlay,
+  diffOverlays,
+  getNextEnvironment
+} = require('./generators/overlays');
+const { summarizePlan } = require('./terraform/plan');
+const { estimateCost } = require('./terraform/cost');
+const { checkPolicies } = require('./policies');
+const { PLAN_FILE, recordPlan, clearPlanRecord, verifyPlan } = require('./terraform/fingerprint');
+const {
+  isValidJobId,
+  readJob,
+  listJobs,
+  getWorkspaceLock,
+  isQueueFull,
+  startJob,
+  cancelJob,
+  parseEventId,
+  streamJob
+} = require('./terraform/jobs');
+const {
+  getWorkspaceDir,
+  migrateLegacyWorkspaces,
+  readOverlayOverrides,
+  saveOverlayOverrides,
+  readSessionOwner,
+  saveSessionOwner,
+  findSessionSharingState,
+  getOverlay,
+  hasDefinition,
+  copyDefinition,
+  readScoreFile,
+  generateWorkspaceFiles,
+  writeWorkspaceFiles
+} = require('./terraform/workspace');
+const { unifiedDiff } = require('./terraform/diff');
+const { collectBundleFiles, createBundle } = require('./terraform/bundle');
+const { isPublishConfigured, publishBundle } = require('./terraform/publish');
+const {
+  isRemoteBackend,
+  hasLocalState,
+  archiveLocalState,
+  describeBackend
+} = require('./terraform/backend');
+const {
+  DRIFT_CHECK_INTERVAL_MS,
+  readDrift,
+  clearDrift,
+  startDriftScheduler
+} = require('./terraform/drift');
+const {
+  AUTH_MODE,
+  startSession,
+  endSession,
+  saveOidcState,
+  takeOidcState,
+  authenticate,
+  requireRole,
+  canAccessSession
+} = require('./auth');
+const { authenticateUser } = require('./auth/users');
+const {
+  OIDC_DEV_IDP,
+  DEV_IDP_PATH,
+  OIDC_ISSUER,
+  getDevIdpClient,
+  createAuthorizationRequest,
+  completeAuthorization
+} = require('./auth/oidc');
+const { createDevIdp } = require('./auth/dev-idp');
+
+// Origins of the UI allowed to call the API with the user's session cookie,
+// comma separated
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:3000')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+// Where users return to after signing in with OIDC
+const AUTH_APP_URL = process.env.AUTH_APP_URL || CORS_ORIGINS[0];
 
 const app = express();
-app.use(cors());
+app.use(cors({ origin: CORS_ORIGINS, credentials: true }));
 app.use(express.json({ limit: '10mb' }));
+app.use(authenticate);
+
+if (OIDC_DEV_IDP) {
+  console.warn(`Serving the development identity provider at ${OIDC_ISSUER}, do not enable OIDC_DEV_IDP in production`);
+  app.use(DEV_IDP_PATH, createDevIdp({ issuer: OIDC_ISSUER, ...getDevIdpClient() }));
+}
 
-const processes = new Map();
+const ENVIRONMENTS_DIR = path.join(__dirname, 'environments');
+const MODULES_DIR = path.join(__dirname, '..', 'modules');
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -24,128 +119,6 @@ app.use((err, req, res, next) => {
   next();
 });
 
-// Helper function to run a command and stream output
-function runCommandWithStream(command, args, cwd, res) {
-  return new Promise((resolve, reject) => {
-    const process = spawn(command, args, { cwd });
-    let error = '';
-
-    process.stdout.on('data', (data) => {
-      const message = data.toString();
-      console.log(`[${command}] stdout:`, message);
-      res.write(`data: ${JSON.stringify({ log: message })}\n\n`);
-    });
-
-    process.stderr.on('data', (data) => {
-      const message = data.toString();
-      console.error(`[${command}] stderr:`, message);
-      error += message;
-      res.write(`data: ${JSON.stringify({ log: message })}\n\n`);
-    });
-
-    process.on('close', (code) => {
-      if (code === 0) {
-        resolve();
-      } else {
-        reject(new Error(error || `Process exited with code ${code}`));
-      }
-    });
-
-    process.on('error', (err) => {
-      console.error(`[${command}] error:`, err);
-      reject(err);
-    });
-  });
-}
-
-// Helper function to check if Terraform state exists
-const checkTerraformState = async (cwd) => {
-  try {
-    await runCommandWithStream('terraform', ['state', 'list'], cwd, null);
-    return true;
-  } catch (error) {
-    return false;
-  }
-};
-
-// Helper function to get Terraform output
-const getTerraformOutput = async (cwd) => {
-  try {
-    const hasState = await checkTerraformState(cwd);
-    if (!hasState) {
-      return {
-        vpc_id: { value: null },
-        subnet_ids: { value: [] }
-      };
-    }
-
-    const output = await runCommandWithStream('terraform', ['output', '-json'], cwd, null);
-    return JSON.parse(output);
-  } catch (error) {
-    console.error('Error getting Terraform output:', error);
-    return {
-      vpc_id: { value: null },
-      subnet_ids: { value: [] }
-    };
-  }
-};
-
-// Generate score.yaml from configuration
-const generateScoreYaml = (config) => {
-  try {
-    const { name, environment, services } = config;
-    
-    if (!name || !environment || !services) {
-      throw new Error('Invalid configuration structure');
-    }
-
-    const scoreConfig = {
-      apiVersion: 'score.dev/v1b1',
-      metadata: {
-        name: name
-      },
-      spec: {
-        environment: {
-          type: environment.type || 'web',
-          executionEnvironment: environment.executionEnvironment || 'aws',
-          region: environment.region
-        },
-        services: {
-          ...(services.database && {
-            database: {
-              type: 'postgres',
-              properties: {
-                size: 'small'
-              }
-            }
-          }),
-          ...(services.cache && {
-            cache: {
-              type: 'redis',
-              properties: {
-                size: 'small'
-              }
-            }
-          }),
-          ...(services.queue && {
-            queue: {
-              type: 'rabbitmq',
-              properties: {
-                size: 'small'
-              }
-            }
-          })
-        }
-      }
-    };
-
-    return JSON.stringify(scoreConfig, null, 2);
-  } catch (error) {
-    console.error('Error generating score config:', error);
-    throw new Error('Failed to generate score configuration');
-  }
-};
-
 const runTerraformCommand = async (command, envDir, region) => {
   try {
     const env = {
@@ -168,31 +141,54 @@ const runTerraformCommand = async (command, envDir, region) => {
   }
 };
 
-const initTerraform = async (envDir, region) => {
-  try {
-    await runTerraformCommand('init', envDir, region);
-    return { success: true };
-  } catch (error) {
-    return { success: false, error: error.message };
+// Check the plan just saved in a workspace against the policy rules, along
+// with the Score file it was made from
+const checkPlanPolicies = async (envDir, environment) => {
+  const result = await runTerraformCommand(`show -json ${PLAN_FILE}`, envDir);
+  if (!result.success) {
+    throw new Error(`Failed to read the plan to check it against the policies: ${result.error}`);
   }
+  return checkPolicies({
+    plan: JSON.parse(result.output),
+    workload: yaml.load(readScoreFile(envDir)),
+    environment
+  });
 };
 
-const planTerraform = async (envDir, region) => {
-  try {
-    const output = await runTerraformCommand('plan -out=tfplan', envDir, region);
-    return { success: true, output };
-  } catch (error) {
-    return { success: false, error: error.message };
+// Why a recorded plan must not be applied: it violates a deny rule, or was
+// made before its policies were checked. Returns { status, error, violations }
+// or null when the plan may be applied
+const getPolicyRefusal = (record) => {
+  if (!record.policy) {
+    return { status: 409, error: 'The plan was not checked against the policies, generate a new plan', violations: [] };
   }
+  const violations = record.policy.violations.filter(({ severity }) => severity === 'deny');
+  if (violations.length === 0) return null;
+
+  const ruleIds = [...new Set(violations.map(({ rule }) => rule))];
+  return {
+    status: 403,
+    error: `The plan violates the deny policies ${ruleIds.join(', ')}, fix the configuration and generate a new plan`,
+    violations
+  };
 };
 
-const applyTerraform = async (envDir, region) => {
-  try {
-    const output = await runTerraformCommand('apply tfplan', envDir, region);
-    return { success: true, output };
-  } catch (error) {
-    return { success: false, error: error.message };
+// Resolve the workspace directory for a session, rejecting IDs that could
+// escape the environments directory
+const getSessionDir = (sessionId) => {
+  if (!sessionId || !/^[A-Za-z0-9_-]+$/.test(sessionId)) {
+    return null;
+  }
+  return path.join(ENVIRONMENTS_DIR, sessionId);
+};
+
+// Resolve the workspace directory of one of a session's environments
+const getEnvironmentDir = (sessionId, environment = 'dev') => {
+  const sessionDir = getSessionDir(sessionId);
+  if (!sessionDir) {
+    return null;
   }
+  return getWorkspaceDir(sessionDir, environment);
 };
 
 // Helper function to send consistent responses
@@ -203,367 +199,154 @@ function sendResponse(res, status, data) {
   });
 }
 
-// Function to generate Terraform configuration from score file
-function generateTerraformConfig(scoreConfig) {
-  const { environment, services } = scoreConfig.spec;
-  const { region } = environment;
-  
-  let hclConfig = '';
-
-  // Generate provider configuration
-  hclConfig += `provider "aws" {
-  region = "${region}"
-}
-
-provider "kubernetes" {
-  host                   = module.eks.cluster_endpoint
-  cluster_ca_certificate = base64decode(module.eks.cluster_certificate_authority_data)
-  exec {
-    api_version = "client.authentication.k8s.io/v1beta1"
-    command     = "aws"
-    args        = ["eks", "get-token", "--cluster-name", module.eks.cluster_name]
-  }
-}
-
-`;
-
-  // Generate VPC configuration
-  hclConfig += `module "vpc" {
-  source  = "terraform-aws-modules/vpc/aws"
-  version = "~> 5.0"
-
-  name = "${scoreConfig.metadata.name}-vpc"
-  cidr = "10.0.0.0/16"
-
-  azs             = ["${region}a", "${region}b", "${region}c"]
-  private_subnets = ["10.0.1.0/24", "10.0.2.0/24", "10.0.3.0/24"]
-  public_subnets  = ["10.0.101.0/24", "10.0.102.0/24", "10.0.103.0/24"]
-
-  enable_nat_gateway = true
-  single_nat_gateway = true
-
-  tags = {
-    Terraform = "true"
-    Environment = "dev"
-  }
-}
-
-`;
-
-  // Generate EKS configuration
-  hclConfig += `module "eks" {
-  source  = "terraform-aws-modules/eks/aws"
-  version = "~> 19.0"
-
-  cluster_name    = "${scoreConfig.metadata.name}-cluster"
-  cluster_version = "1.27"
-
-  cluster_endpoint_public_access = true
-
-  vpc_id                   = module.vpc.vpc_id
-  subnet_ids               = module.vpc.private_subnets
-  control_plane_subnet_ids = module.vpc.private_subnets
-
-  eks_managed_node_groups = {
-    default = {
-      min_size     = 1
-      max_size     = 3
-      desired_size = 2
-
-      instance_types = ["t3.medium"]
-    }
-  }
-
-  # Enable IAM roles for service accounts
-  enable_irsa = true
-
-  # Add IAM role for RDS access
-  cluster_addons = {
-    coredns = {
-      most_recent = true
-    }
-    kube-proxy = {
-      most_recent = true
-    }
-    vpc-cni = {
-      most_recent = true
-    }
-  }
-
-  tags = {
-    Environment = "dev"
-    Terraform   = "true"
-  }
-}
-
-# Create IAM role policy for EKS
-resource "aws_iam_role_policy" "eks_node_policy" {
-  name = "eks-node-policy"
-  role = module.eks.eks_managed_node_groups["default"].iam_role_name
-
-  policy = jsonencode({
-    Version = "2012-10-17"
-    Statement = [
-      {
-        Effect = "Allow"
-        Action = [
-          "ec2:DescribeInstances",
-          "ec2:DescribeRegions",
-          "ec2:DescribeRouteTables",
-          "ec2:DescribeSecurityGroups",
-          "ec2:DescribeSubnets",
-          "ec2:DescribeVolumes",
-          "ec2:DescribeVolumesModifications",
-          "ec2:DescribeVpcs",
-          "eks:DescribeCluster"
-        ]
-        Resource = "*"
-      }
-    ]
-  })
-}
-
-# RDS instance configuration
-resource "aws_db_subnet_group" "main" {
-  name       = "${scoreConfig.metadata.name}-db-subnet-group"
-  subnet_ids = module.vpc.private_subnets
-
-  tags = {
-    Name = "${scoreConfig.metadata.name}-db-subnet-group"
-  }
-}
-
-resource "aws_security_group" "rds" {
-  name        = "${scoreConfig.metadata.name}-rds-sg"
-  description = "Security group for RDS instance"
-  vpc_id      = module.vpc.vpc_id
-
-  ingress {
-    from_port       = 5432
-    to_port         = 5432
-    protocol        = "tcp"
-    security_groups = [module.eks.cluster_security_group_id]
-  }
-
-  egress {
-    from_port   = 0
-    to_port     = 0
-    protocol    = "-1"
-    cidr_blocks = ["0.0.0.0/0"]
+// Refuse requests for a session of another user or team. Sessions not
+// created yet pass, the routes creating them claim them for the user
+const requireSessionAccess = (req, res, next) => {
+  const sessionId = req.params.sessionId || (req.body && req.body.sessionId) || req.query.sessionId;
+  const sessionDir = getSessionDir(sessionId);
+  if (sessionDir && fs.existsSync(sessionDir) && !canAccessSession(req.user, readSessionOwner(sessionDir))) {
+    return sendResponse(res, 403, { error: 'This session belongs to another user or team' });
   }
+  next();
+};
 
-  tags = {
-    Name = "${scoreConfig.metadata.name}-rds-sg"
+// Refuse to start an operation while another job holds the environment's workspace
+const requireWorkspaceUnlocked = (req, res, next) => {
+  const { sessionId, environment = 'dev' } = req.body || {};
+  const envDir = getEnvironmentDir(sessionId, environment);
+  const holder = envDir && getWorkspaceLock(envDir);
+  if (holder) {
+    return res.status(409).json({
+      error: `The ${environment} workspace is locked by a ${holder.status} ${holder.action} job`,
+      holder
+    });
   }
-}
-
-resource "aws_db_instance" "main" {
-  identifier           = "${scoreConfig.metadata.name}-db"
-  allocated_storage    = 20
-  storage_type        = "gp2"
-  engine              = "postgres"
-  engine_version      = "13.7"
-  instance_class      = "db.t3.micro"
-  db_name             = "${scoreConfig.metadata.name}_db"
-  username            = "postgres"
-  password            = "postgres123"  # In production, use AWS Secrets Manager
-  skip_final_snapshot = true
-
-  vpc_security_group_ids = [aws_security_group.rds.id]
-  db_subnet_group_name   = aws_db_subnet_group.main.name
+  next();
+};
 
-  tags = {
-    Name = "${scoreConfig.metadata.name}-db"
+// Refuse to queue another job while MAX_QUEUE_LENGTH jobs are waiting,
+// before the route changes anything in the workspace
+const requireQueueSlot = (req, res, next) => {
+  if (isQueueFull()) {
+    res.set('Retry-After', '30');
+    return sendResponse(res, 503, { error: 'Too many Terraform jobs are waiting, try again later' });
   }
-}
-
-# Create OIDC provider for EKS
-data "tls_certificate" "eks" {
-  url = module.eks.cluster_oidc_issuer_url
-}
+  next();
+};
 
-resource "aws_iam_openid_connect_provider" "eks" {
-  client_id_list  = ["sts.amazonaws.com"]
-  thumbprint_list = [data.tls_certificate.eks.certificates[0].sha1_fingerprint]
-  url             = module.eks.cluster_oidc_issuer_url
-}
+// Start a Terraform command as a job of the session. Clients follow its
+// output from the job events endpoint
+const runTerraformJob = (req, res, { envDir, sessionId, environment, action, args, onSuccess }) => {
+  const job = startJob({
+    envDir,
+    sessionId,
+    environment,
+    action,
+    command: 'terraform',
+    args,
+    onSuccess,
+    startedBy: req.user.username
+  });
+  return sendResponse(res, 202, { job });
+};
 
-# Kubernetes service account with IAM role
-resource "kubernetes_service_account" "app" {
-  metadata {
-    name      = "app"
-    namespace = "default"
-    annotations = {
-      "eks.amazonaws.com/role-arn" = module.eks.eks_managed_node_groups["default"].iam_role_name
-    }
-  }
-}
+// GET /api/auth/config
+// How users sign in, for the login page
+app.get('/api/auth/config', (req, res) => {
+  return sendResponse(res, 200, { mode: AUTH_MODE });
+});
 
-# Kubernetes secret for database connection details
-resource "kubernetes_secret" "db_credentials" {
-  metadata {
-    name      = "app-db-credentials"
-    namespace = "default"
+// POST /api/auth/login
+// Sign in as a local user. Sets the session cookie and returns the session
+// token for API clients
+app.post('/api/auth/login', (req, res) => {
+  if (AUTH_MODE !== 'local') {
+    return sendResponse(res, 400, { error: 'Local sign-in is disabled, sign in with the identity provider' });
   }
 
-  data = {
-    DB_HOST     = aws_db_instance.main.address
-    DB_PORT     = "5432"
-    DB_NAME     = aws_db_instance.main.db_name
-    DB_USER     = aws_db_instance.main.username
-    DB_PASSWORD = aws_db_instance.main.password
+  const { username, password } = req.body || {};
+  const user = authenticateUser(username, password);
+  if (!user) {
+    return sendResponse(res, 401, { error: 'Invalid username or password' });
   }
-}
 
-# Update the Kubernetes deployment to use a public nginx image for testing
-resource "kubernetes_deployment" "app" {
-  metadata {
-    name = "app"
-    namespace = "default"
-    labels = {
-      app = "app"
-    }
-  }
+  console.log(`${user.username} signed in as ${user.role}`);
+  return sendResponse(res, 200, { user, ...startSession(res, user) });
+});
 
-  spec {
-    replicas = 2
+// POST /api/auth/logout
+app.post('/api/auth/logout', (req, res) => {
+  endSession(res);
+  return sendResponse(res, 200, { message: 'Signed out' });
+});
 
-    selector {
-      match_labels = {
-        app = "app"
-      }
-    }
+// GET /api/auth/me
+app.get('/api/auth/me', requireRole('viewer'), (req, res) => {
+  return sendResponse(res, 200, { user: req.user });
+});
 
-    template {
-      metadata {
-        labels = {
-          app = "app"
-        }
-      }
-
-      spec {
-        service_account_name = kubernetes_service_account.app.metadata[0].name
-
-        container {
-          # Use nginx as a test image since app:latest doesn't exist
-          image = "nginx:latest"
-          name  = "app"
-
-          env_from {
-            secret_ref {
-              name = kubernetes_secret.db_credentials.metadata[0].name
-            }
-          }
-
-          # Add readiness and liveness probes
-          readiness_probe {
-            http_get {
-              path = "/"
-              port = 80
-            }
-            initial_delay_seconds = 10
-            period_seconds = 5
-          }
-
-          liveness_probe {
-            http_get {
-              path = "/"
-              port = 80
-            }
-            initial_delay_seconds = 10
-            period_seconds = 5
-          }
-
-          resources {
-            limits = {
-              cpu    = "0.5"
-              memory = "512Mi"
-            }
-            requests = {
-              cpu    = "250m"
-              memory = "50Mi"
-            }
-          }
-
-          # Update container port to match nginx
-          port {
-            container_port = 80
-          }
-        }
-      }
-    }
+// GET /api/auth/oidc/login
+// Send the browser to the identity provider to sign in
+app.get('/api/auth/oidc/login', async (req, res) => {
+  if (AUTH_MODE !== 'oidc') {
+    return sendResponse(res, 400, { error: 'OIDC sign-in is disabled, sign in with a username and password' });
   }
-}
 
-# Update the service to match nginx port
-resource "kubernetes_service" "app" {
-  metadata {
-    name = "app"
-    namespace = "default"
+  try {
+    const { url, ...state } = await createAuthorizationRequest();
+    saveOidcState(res, state);
+    return res.redirect(url);
+  } catch (error) {
+    console.error('Error starting OIDC sign-in:', error);
+    return sendResponse(res, 502, { error: `The identity provider is unavailable: ${error.message}` });
   }
+});
 
-  spec {
-    selector = {
-      app = "app"
-    }
+// GET /api/auth/oidc/callback
+// The identity provider sends the browser back here. Signs the user in and
+// returns them to the UI, with the reason in authError when sign-in failed
+app.get('/api/auth/oidc/callback', async (req, res) => {
+  const saved = takeOidcState(req, res);
+  const appUrl = new URL(AUTH_APP_URL);
 
-    port {
-      port        = 80
-      target_port = 80
+  try {
+    if (req.query.error) {
+      throw new Error(req.query.error_description || req.query.error);
     }
-
-    type = "LoadBalancer"
-  }
-}
-
-# Ingress configuration
-resource "kubernetes_ingress_v1" "app" {
-  metadata {
-    name = "app"
-    namespace = "default"
-    annotations = {
-      "kubernetes.io/ingress.class" = "alb"
-      "alb.ingress.kubernetes.io/scheme" = "internet-facing"
-      "alb.ingress.kubernetes.io/target-type" = "ip"
-      "alb.ingress.kubernetes.io/listen-ports" = jsonencode([{"HTTP": 80}])
+    if (!saved || saved.state !== req.query.state) {
+      throw new Error('The sign-in expired or was started in another browser, try again');
     }
-  }
 
-  spec {
-    rule {
-      http {
-        path {
-          path = "/"
-          backend {
-            service {
-              name = kubernetes_service.app.metadata[0].name
-              port {
-                number = 80
-              }
-            }
-          }
-        }
-      }
-    }
+    const user = await completeAuthorization({ code: req.query.code, nonce: saved.nonce, codeVerifier: saved.codeVerifier });
+    startSession(res, user);
+    console.log(`${user.username} signed in as ${user.role}`);
+  } catch (error) {
+    console.error('Error completing OIDC sign-in:', error);
+    appUrl.searchParams.set('authError', error.message);
   }
-}
-`;
 
-  return hclConfig;
-}
+  return res.redirect(appUrl.toString());
+});
 
 // POST /api/generate
-app.post('/api/generate', (req, res) => {
+app.post('/api/generate', requireRole('developer'), requireSessionAccess, (req, res) => {
   try {
-    const config = req.body;
-
     // Validate request body
-    if (!config || typeof config !== 'object') {
+    if (!req.body || typeof req.body !== 'object') {
       return sendResponse(res, 400, {
         error: 'Invalid request body'
       });
     }
 
+    const { sessionId, ...config } = req.body;
+
+    const envDir = getSessionDir(sessionId);
+    if (!envDir) {
+      return sendResponse(res, 400, {
+        error: 'A valid session ID is required'
+      });
+    }
+
     // Validate required fields
     if (!config.name) {
       return sendResponse(res, 400, {
@@ -577,18 +360,65 @@ app.post('/api/generate', (req, res) => {
       });
     }
 
+    const variableErrors = validateEnvironmentVariables(config);
+    if (variableErrors.length > 0) {
+      return sendResponse(res, 400, {
+        error: `Invalid environment variables: ${variableErrors.map(({ key, message }) => `${key || '(empty)'}: ${message}`).join('; ')}`,
+        variableErrors
+      });
+    }
+
+    const serviceErrors = validateServices(config);
+    if (serviceErrors.length > 0) {
+      return sendResponse(res, 400, {
+        error: `Invalid services: ${serviceErrors.map(({ service, message }) => `${service}: ${message}`).join('; ')}`,
+        serviceErrors
+      });
+    }
+
     // Generate score file
     const scoreFile = generateScoreYaml(config);
+
+    // Validate before anything is written to disk
+    const validation = validateScoreYaml(scoreFile);
+    if (!validation.valid) {
+      return sendResponse(res, 422, {
+        error: 'Generated score file failed validation',
+        errors: validation.errors,
+        scoreFile
+      });
+    }
     
-    // Save the score file
-    const envDir = path.join(__dirname, 'environment');
+    // The team's sessions share the state of an application of the same name
+    const owner = readSessionOwner(envDir) || req.user;
+    const sharingSession = findSessionSharingState(envDir, { owner, name: config.name });
+    if (sharingSession) {
+      return sendResponse(res, 409, {
+        error: `Session ${sharingSession} of team ${owner.team} already defines ${config.name}, open that session or rename the application`,
+        sessionId: sharingSession
+      });
+    }
+
+    // Save the score file in the session workspace, which belongs to the
+    // user creating it
     if (!fs.existsSync(envDir)) {
       fs.mkdirSync(envDir, { recursive: true });
+      saveSessionOwner(envDir, req.user);
     }
     
     const scoreFilePath = path.join(envDir, 'score.yaml');
     fs.writeFileSync(scoreFilePath, scoreFile);
 
+    // Secret values never go into the Score file, Terraform reads them from
+    // an auto-loaded variables file only the server can read
+    const secretValues = getSecretValues(config);
+    const secretValuesPath = path.join(envDir, SECRET_VALUES_FILE);
+    if (Object.keys(secretValues).length > 0) {
+      fs.writeFileSync(secretValuesPath, JSON.stringify({ [SECRET_VALUES_VARIABLE]: secretValues }, null, 2), { mode: 0o600 });
+    } else {
+      fs.rmSync(secretValuesPath, { force: true });
+    }
+
     console.log('Generated score file:', scoreFile);
     
     return sendResponse(res, 200, {
@@ -603,488 +433,534 @@ app.post('/api/generate', (req, res) => {
   }
 });
 
-// Terraform init endpoint
-app.get('/api/terraform/init', (req, res) => {
-  const { sessionId, region } = req.query;
-  
-  if (!sessionId || !region) {
-    return res.status(400).json({ error: 'Session ID and region are required' });
+// GET /api/catalog
+// Resource types the registered provisioners can provision, with their
+// properties and sizes, and the services the form offers them in
+app.get('/api/catalog', requireRole('viewer'), (req, res) => {
+  return sendResponse(res, 200, {
+    services: SERVICES,
+    resources: getCatalogResources()
+  });
+});
+
+// POST /api/score/validate
+app.post('/api/score/validate', requireRole('viewer'), (req, res) => {
+  const { content } = req.body || {};
+
+  if (!content || typeof content !== 'string') {
+    return sendResponse(res, 400, {
+      error: 'Score file content is required'
+    });
   }
 
-  const envDir = path.join(__dirname, 'environments', sessionId);
-  if (!fs.existsSync(envDir)) {
-    fs.mkdirSync(envDir, { recursive: true });
+  const { valid, errors } = validateScoreYaml(content);
+
+  return sendResponse(res, 200, {
+    valid,
+    errors
+  });
+});
+
+// POST /api/score/import
+app.post('/api/score/import', requireRole('viewer'), (req, res) => {
+  const { content } = req.body || {};
+
+  if (!content || typeof content !== 'string') {
+    return sendResponse(res, 400, {
+      error: 'Score file content is required'
+    });
   }
 
-  // Generate Terraform configuration
-  const mainTf = `
-terraform {
-  required_providers {
-    aws = {
-      source  = "hashicorp/aws"
-      version = "~> 5.0"
-    }
-    kubernetes = {
-      source  = "hashicorp/kubernetes"
-      version = "~> 2.0"
-    }
-    helm = {
-      source  = "hashicorp/helm"
-      version = "~> 2.0"
-    }
+  try {
+    const { config, unmapped } = importScoreYaml(content);
+
+    return sendResponse(res, 200, {
+      config,
+      unmapped,
+      message: 'Score file imported successfully'
+    });
+  } catch (error) {
+    console.error('Error importing score file:', error);
+    return sendResponse(res, 400, {
+      error: error.message || 'Failed to import score file'
+    });
   }
-}
+});
 
-provider "aws" {
-  region = "${region}"
-}
+// Terraform init endpoint. The dev workspace deploys the definition edited in
+// the form, later environments the definition last promoted to them
+app.post('/api/terraform/init', requireRole('developer'), requireSessionAccess, requireWorkspaceUnlocked, requireQueueSlot, (req, res) => {
+  const { sessionId, region, environment = 'dev' } = req.body || {};
 
-# VPC Configuration
-module "vpc" {
-  source  = "terraform-aws-modules/vpc/aws"
-  version = "~> 5.0"
+  const envDir = getEnvironmentDir(sessionId, environment);
+  if (!envDir) {
+    return res.status(400).json({ error: 'A valid session ID and environment are required' });
+  }
 
-  name = "app-vpc"
-  cidr = "10.0.0.0/16"
+  const sessionDir = getSessionDir(sessionId);
+  const definitionDir = environment === 'dev' ? sessionDir : envDir;
+  if (!hasDefinition(definitionDir)) {
+    return res.status(404).json({
+      error: environment === 'dev'
+        ? 'Score file not found, generate one first'
+        : `Nothing was promoted to ${environment} yet, promote the previous environment first`
+    });
+  }
 
-  azs             = ["${region}a", "${region}b", "${region}c"]
-  private_subnets = ["10.0.1.0/24", "10.0.2.0/24", "10.0.3.0/24"]
-  public_subnets  = ["10.0.101.0/24", "10.0.102.0/24", "10.0.103.0/24"]
+  // Terraform would ask whether to copy the state, which the job cannot answer
+  if (isRemoteBackend() && hasLocalState(envDir)) {
+    return res.status(409).json({
+      error: `The ${environment} workspace has local state, migrate it to the ${describeBackend().type} backend first`
+    });
+  }
 
-  enable_nat_gateway = true
-  single_nat_gateway = true
+  // Generate Terraform configuration from the definition and the environment's overlay
+  let files;
+  try {
+    files = generateWorkspaceFiles(envDir, {
+      definitionDir,
+      environment,
+      overlay: getOverlay(sessionDir, environment),
+      modulesDir: MODULES_DIR,
+      region
+    });
+  } catch (error) {
+    console.error('Error generating Terraform configuration:', error);
+    return res.status(400).json({ error: error.message });
+  }
 
-  tags = {
-    Terraform = "true"
-    Environment = "dev"
+  if (definitionDir !== envDir) {
+    copyDefinition(definitionDir, envDir);
   }
-}
+  writeWorkspaceFiles(envDir, files);
 
-# EKS Cluster
-module "eks" {
-  source  = "terraform-aws-modules/eks/aws"
-  version = "~> 19.0"
+  runTerraformJob(req, res, { envDir, sessionId, environment, action: 'init', args: ['init'] });
+});
 
-  cluster_name    = "app-cluster"
-  cluster_version = "1.27"
+// Terraform state migration endpoint. Copies the workspace's state into the
+// configured backend, e.g. the local state of a session created before the
+// remote backend was set up
+app.post('/api/terraform/migrate', requireRole('developer'), requireSessionAccess, requireWorkspaceUnlocked, requireQueueSlot, (req, res) => {
+  const { sessionId, region, environment = 'dev' } = req.body || {};
 
-  cluster_endpoint_public_access = true
+  const envDir = getEnvironmentDir(sessionId, environment);
+  if (!envDir) {
+    return res.status(400).json({ error: 'A valid session ID and environment are required' });
+  }
 
-  vpc_id                   = module.vpc.vpc_id
-  subnet_ids               = module.vpc.private_subnets
-  control_plane_subnet_ids = module.vpc.private_subnets
+  if (!isRemoteBackend()) {
+    return res.status(400).json({ error: 'State is kept in the workspace, configure a remote backend to migrate it' });
+  }
 
-  eks_managed_node_groups = {
-    default = {
-      min_size     = 1
-      max_size     = 3
-      desired_size = 2
+  if (!hasDefinition(envDir)) {
+    return res.status(404).json({ error: `The ${environment} workspace was not initialized yet, there is no state to migrate` });
+  }
 
-      instance_types = ["t3.medium"]
-    }
+  let files;
+  try {
+    files = generateWorkspaceFiles(envDir, {
+      environment,
+      overlay: getOverlay(getSessionDir(sessionId), environment),
+      modulesDir: MODULES_DIR,
+      region
+    });
+  } catch (error) {
+    console.error('Error generating Terraform configuration:', error);
+    return res.status(400).json({ error: error.message });
   }
+  writeWorkspaceFiles(envDir, files);
+
+  // Plans were made against the state being moved
+  clearPlanRecord(envDir);
+
+  runTerraformJob(req, res, {
+    envDir,
+    sessionId,
+    environment,
+    action: 'migrate',
+    args: ['init', '-migrate-state', '-force-copy', '-input=false'],
+    onSuccess: () => archiveLocalState(envDir)
+  });
+});
 
-  # Enable IAM roles for service accounts
-  enable_irsa = true
+// Terraform plan endpoint
+app.post('/api/terraform/plan', requireRole('developer'), requireSessionAccess, requireWorkspaceUnlocked, requireQueueSlot, (req, res) => {
+  const { sessionId, environment = 'dev' } = req.body || {};
 
-  # Add IAM role for RDS access
-  cluster_addons = {
-    coredns = {
-      most_recent = true
-    }
-    kube-proxy = {
-      most_recent = true
-    }
-    vpc-cni = {
-      most_recent = true
-    }
+  const envDir = getEnvironmentDir(sessionId, environment);
+  if (!envDir) {
+    return res.status(400).json({ error: 'A valid session ID and environment are required' });
   }
 
-  tags = {
-    Environment = "dev"
-    Terraform   = "true"
+  if (!fs.existsSync(envDir)) {
+    return res.status(400).json({ error: 'Environment directory not found' });
   }
-}
 
-# Create IAM role policy for EKS
-resource "aws_iam_role_policy" "eks_node_policy" {
-  name = "eks-node-policy"
-  role = module.eks.eks_managed_node_groups["default"].iam_role_name
-
-  policy = jsonencode({
-    Version = "2012-10-17"
-    Statement = [
-      {
-        Effect = "Allow"
-        Action = [
-          "ec2:DescribeInstances",
-          "ec2:DescribeRegions",
-          "ec2:DescribeRouteTables",
-          "ec2:DescribeSecurityGroups",
-          "ec2:DescribeSubnets",
-          "ec2:DescribeVolumes",
-          "ec2:DescribeVolumesModifications",
-          "ec2:DescribeVpcs",
-          "eks:DescribeCluster"
-        ]
-        Resource = "*"
-      }
-    ]
-  })
-}
+  // The previous plan is being replaced, so it can no longer be applied
+  clearPlanRecord(envDir);
+
+  runTerraformJob(req, res, {
+    envDir,
+    sessionId,
+    environment,
+    action: 'plan',
+    args: ['plan', `-out=${PLAN_FILE}`],
+    onSuccess: async () => {
+      const policy = await checkPlanPolicies(envDir, environment);
+      return { fingerprint: recordPlan(envDir, { policy }).fingerprint };
+    }
+  });
+});
 
-# RDS Configuration
-resource "aws_db_subnet_group" "main" {
-  name       = "app-db-subnet-group"
-  subnet_ids = module.vpc.private_subnets
+// GET /api/terraform/plan/summary
+app.get('/api/terraform/plan/summary', requireRole('viewer'), requireSessionAccess, async (req, res) => {
+  const { sessionId, environment } = req.query;
 
-  tags = {
-    Name = "app-db-subnet-group"
+  const envDir = getEnvironmentDir(sessionId, environment);
+  if (!envDir) {
+    return sendResponse(res, 400, { error: 'A valid session ID and environment are required' });
   }
-}
 
-resource "aws_security_group" "rds" {
-  name        = "app-rds-sg"
-  description = "Security group for RDS instance"
-  vpc_id      = module.vpc.vpc_id
+  const verification = verifyPlan(envDir);
+  if (!verification.valid) {
+    return sendResponse(res, verification.status, { error: verification.error });
+  }
 
-  ingress {
-    from_port       = 5432
-    to_port         = 5432
-    protocol        = "tcp"
-    security_groups = [module.eks.cluster_security_group_id]
+  const result = await runTerraformCommand(`show -json ${PLAN_FILE}`, envDir);
+  if (!result.success) {
+    return sendResponse(res, 500, { error: result.error });
   }
 
-  egress {
-    from_port   = 0
-    to_port     = 0
-    protocol    = "-1"
-    cidr_blocks = ["0.0.0.0/0"]
+  let plan;
+  let summary;
+  try {
+    plan = JSON.parse(result.output);
+    summary = summarizePlan(plan);
+  } catch (error) {
+    console.error('Error summarizing Terraform plan:', error);
+    return sendResponse(res, 500, { error: 'Failed to parse Terraform plan' });
   }
 
-  tags = {
-    Name = "app-rds-sg"
+  // The plan can still be reviewed without a cost estimate
+  let cost = null;
+  let costError;
+  try {
+    cost = estimateCost(plan);
+  } catch (error) {
+    costError = error.message;
   }
-}
 
-resource "aws_db_instance" "main" {
-  identifier           = "app-db"
-  allocated_storage    = 20
-  storage_type        = "gp2"
-  engine              = "postgres"
-  engine_version      = "14"
-  instance_class      = "db.t3.micro"
-  db_name             = "appdb"
-  username            = "postgres"
-  password            = "postgres123"  # In production, use AWS Secrets Manager
-  skip_final_snapshot = true
+  return sendResponse(res, 200, {
+    summary,
+    cost,
+    ...(costError && { costError }),
+    policy: verification.record.policy || null,
+    fingerprint: verification.record.fingerprint
+  });
+});
 
-  vpc_security_group_ids = [aws_security_group.rds.id]
-  db_subnet_group_name   = aws_db_subnet_group.main.name
+// GET /api/terraform/plan/verify
+app.get('/api/terraform/plan/verify', requireRole('viewer'), requireSessionAccess, (req, res) => {
+  const { sessionId, environment, fingerprint } = req.query;
 
-  tags = {
-    Name = "app-db"
+  const envDir = getEnvironmentDir(sessionId, environment);
+  if (!envDir) {
+    return sendResponse(res, 400, { error: 'A valid session ID and environment are required' });
   }
-}
 
-# Create OIDC provider for EKS
-data "tls_certificate" "eks" {
-  url = module.eks.cluster_oidc_issuer_url
-}
+  if (!fingerprint) {
+    return sendResponse(res, 400, { error: 'Plan fingerprint is required' });
+  }
 
-resource "aws_iam_openid_connect_provider" "eks" {
-  client_id_list  = ["sts.amazonaws.com"]
-  thumbprint_list = [data.tls_certificate.eks.certificates[0].sha1_fingerprint]
-  url             = module.eks.cluster_oidc_issuer_url
-}
+  const verification = verifyPlan(envDir, fingerprint);
+  if (!verification.valid) {
+    return sendResponse(res, verification.status, { error: verification.error });
+  }
 
-# Kubernetes provider configuration
-provider "kubernetes" {
-  host                   = module.eks.cluster_endpoint
-  cluster_ca_certificate = base64decode(module.eks.cluster_certificate_authority_data)
-  exec {
-    api_version = "client.authentication.k8s.io/v1beta1"
-    command     = "aws"
-    args        = ["eks", "get-token", "--cluster-name", module.eks.cluster_name]
+  const refusal = getPolicyRefusal(verification.record);
+  if (refusal) {
+    return sendResponse(res, refusal.status, { error: refusal.error, violations: refusal.violations });
   }
-}
 
-# Kubernetes service account with IAM role
-resource "kubernetes_service_account" "app" {
-  metadata {
-    name      = "app"
-    namespace = "default"
-    annotations = {
-      "eks.amazonaws.com/role-arn" = module.eks.eks_managed_node_groups["default"].iam_role_name
-    }
+  return sendResponse(res, 200, {
+    fingerprint: verification.record.fingerprint,
+    createdAt: verification.record.createdAt
+  });
+});
+
+// Terraform apply endpoint
+app.post('/api/terraform/apply', requireRole('developer'), requireSessionAccess, requireWorkspaceUnlocked, requireQueueSlot, (req, res) => {
+  const { sessionId, environment = 'dev', fingerprint } = req.body || {};
+
+  const envDir = getEnvironmentDir(sessionId, environment);
+  if (!envDir) {
+    return res.status(400).json({ error: 'A valid session ID and environment are required' });
   }
-}
 
-# Kubernetes secret for database connection details
-resource "kubernetes_secret" "db_credentials" {
-  metadata {
-    name      = "app-db-credentials"
-    namespace = "default"
+  if (!fs.existsSync(envDir)) {
+    return res.status(400).json({ error: 'Environment directory not found' });
   }
 
-  data = {
-    DB_HOST     = aws_db_instance.main.address
-    DB_PORT     = "5432"
-    DB_NAME     = aws_db_instance.main.db_name
-    DB_USER     = aws_db_instance.main.username
-    DB_PASSWORD = aws_db_instance.main.password
+  // Only the exact plan the client reviewed may be applied
+  if (!fingerprint) {
+    return res.status(400).json({ error: 'Plan fingerprint is required' });
   }
-}
 
-# Kubernetes deployment
-resource "kubernetes_deployment" "app" {
-  metadata {
-    name = "app"
-    namespace = "default"
-    labels = {
-      app = "app"
-    }
+  const verification = verifyPlan(envDir, fingerprint);
+  if (!verification.valid) {
+    return res.status(verification.status).json({ error: verification.error });
   }
 
-  spec {
-    replicas = 2
+  const refusal = getPolicyRefusal(verification.record);
+  if (refusal) {
+    return res.status(refusal.status).json({ error: refusal.error, violations: refusal.violations });
+  }
 
-    selector {
-      match_labels = {
-        app = "app"
-      }
-    }
+  // A saved plan can only be applied once
+  clearPlanRecord(envDir);
+
+  runTerraformJob(req, res, {
+    envDir,
+    sessionId,
+    environment,
+    action: 'apply',
+    args: ['apply', '-auto-approve', PLAN_FILE],
+    // The reviewed plan reconciled any drift found before
+    onSuccess: () => clearDrift(envDir)
+  });
+});
 
-    template {
-      metadata {
-        labels = {
-          app = "app"
-        }
-      }
-
-      spec {
-        service_account_name = kubernetes_service_account.app.metadata[0].name
-
-        container {
-          # Use nginx as a test image since app:latest doesn't exist
-          image = "nginx:latest"
-          name  = "app"
-
-          env_from {
-            secret_ref {
-              name = kubernetes_secret.db_credentials.metadata[0].name
-            }
-          }
-
-          # Add readiness and liveness probes
-          readiness_probe {
-            http_get {
-              path = "/"
-              port = 80
-            }
-            initial_delay_seconds = 10
-            period_seconds = 5
-          }
-
-          liveness_probe {
-            http_get {
-              path = "/"
-              port = 80
-            }
-            initial_delay_seconds = 10
-            period_seconds = 5
-          }
-
-          resources {
-            limits = {
-              cpu    = "0.5"
-              memory = "512Mi"
-            }
-            requests = {
-              cpu    = "250m"
-              memory = "50Mi"
-            }
-          }
-
-          # Update container port to match nginx
-          port {
-            container_port = 80
-          }
-        }
-      }
-    }
+// Terraform destroy endpoint. Tearing an environment down takes an approver
+app.post('/api/terraform/destroy', requireRole('approver'), requireSessionAccess, requireWorkspaceUnlocked, requireQueueSlot, (req, res) => {
+  const { sessionId, environment = 'dev' } = req.body || {};
+
+  const envDir = getEnvironmentDir(sessionId, environment);
+  if (!envDir) {
+    return res.status(400).json({ error: 'A valid session ID and environment are required' });
   }
-}
 
-# Kubernetes service
-resource "kubernetes_service" "app" {
-  metadata {
-    name = "app"
-    namespace = "default"
+  if (!fs.existsSync(envDir)) {
+    return res.status(400).json({ error: 'Environment directory not found' });
   }
 
-  spec {
-    selector = {
-      app = "app"
-    }
+  // Destroying changes the state any saved plan was made against
+  clearPlanRecord(envDir);
 
-    port {
-      port        = 80
-      target_port = 80
-    }
+  runTerraformJob(req, res, {
+    envDir,
+    sessionId,
+    environment,
+    action: 'destroy',
+    args: ['destroy', '-auto-approve'],
+    onSuccess: () => clearDrift(envDir)
+  });
+});
+
+// POST /api/terraform/cancel
+app.post('/api/terraform/cancel', requireRole('developer'), requireSessionAccess, (req, res) => {
+  const { sessionId, environment, jobId } = req.body || {};
 
-    type = "LoadBalancer"
+  const envDir = getEnvironmentDir(sessionId, environment);
+  if (!envDir) {
+    return sendResponse(res, 400, { error: 'A valid session ID and environment are required' });
   }
-}
 
-# Ingress configuration
-resource "kubernetes_ingress_v1" "app" {
-  metadata {
-    name = "app"
-    namespace = "default"
-    annotations = {
-      "kubernetes.io/ingress.class" = "alb"
-      "alb.ingress.kubernetes.io/scheme" = "internet-facing"
-      "alb.ingress.kubernetes.io/target-type" = "ip"
-      "alb.ingress.kubernetes.io/listen-ports" = jsonencode([{"HTTP": 80}])
-    }
+  const holder = getWorkspaceLock(envDir);
+  if (!holder || (jobId && holder.id !== jobId)) {
+    return sendResponse(res, 404, { error: 'No running job to cancel' });
   }
 
-  spec {
-    rule {
-      http {
-        path {
-          path = "/"
-          backend {
-            service {
-              name = kubernetes_service.app.metadata[0].name
-              port {
-                number = 80
-              }
-            }
-          }
-        }
-      }
-    }
+  if (!cancelJob(holder.id)) {
+    return sendResponse(res, 409, { error: 'The job is already finishing', job: holder });
   }
-}
-`;
-
-  // Write Terraform configuration to file
-  fs.writeFileSync(path.join(envDir, 'main.tf'), mainTf);
-
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-
-  process.chdir(envDir);
-  runCommandWithStream('terraform', ['init'], envDir, res)
-    .then(() => {
-      res.write(`data: ${JSON.stringify({ status: 'completed' })}\n\n`);
-      res.end();
-    })
-    .catch(error => {
-      console.error('Terraform init error:', error);
-      res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
-      res.end();
-    });
+
+  return sendResponse(res, 202, {
+    job: holder,
+    message: 'Cancellation requested'
+  });
 });
 
-// Terraform plan endpoint
-app.get('/api/terraform/plan', (req, res) => {
+// GET /api/environments
+app.get('/api/environments', requireRole('viewer'), requireSessionAccess, (req, res) => {
   const { sessionId } = req.query;
-  
-  if (!sessionId) {
-    return res.status(400).json({ error: 'Session ID is required' });
+
+  const sessionDir = getSessionDir(sessionId);
+  if (!sessionDir) {
+    return sendResponse(res, 400, { error: 'A valid session ID is required' });
   }
 
-  const envDir = path.join(__dirname, 'environments', sessionId);
-  if (!fs.existsSync(envDir)) {
-    return res.status(400).json({ error: 'Environment directory not found' });
+  const overrides = readOverlayOverrides(sessionDir);
+
+  return sendResponse(res, 200, {
+    environments: ENVIRONMENTS.map((name) => {
+      const envDir = getWorkspaceDir(sessionDir, name);
+      return {
+        name,
+        overlay: getOverlay(sessionDir, name),
+        overrides: overrides[name] || {},
+        promotesTo: getNextEnvironment(name),
+        hasDefinition: hasDefinition(envDir),
+        hasLocalState: isRemoteBackend() && hasLocalState(envDir),
+        lock: getWorkspaceLock(envDir)
+      };
+    }),
+    backend: describeBackend()
+  });
+});
+
+// PUT /api/environments/:environment/overlay
+app.put('/api/environments/:environment/overlay', requireRole('developer'), requireSessionAccess, (req, res) => {
+  const { environment } = req.params;
+  const { sessionId, overrides } = req.body || {};
+
+  const sessionDir = getSessionDir(sessionId);
+  if (!sessionDir || !ENVIRONMENTS.includes(environment)) {
+    return sendResponse(res, 400, { error: 'A valid session ID and environment are required' });
   }
 
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-
-  process.chdir(envDir);
-  runCommandWithStream('terraform', ['plan', '-out=tfplan'], envDir, res)
-    .then(() => {
-      res.write(`data: ${JSON.stringify({ status: 'completed' })}\n\n`);
-      res.end();
-    })
-    .catch(error => {
-      console.error('Terraform plan error:', error);
-      res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
-      res.end();
+  const errors = validateOverlay(overrides);
+  if (errors.length > 0) {
+    return sendResponse(res, 400, {
+      error: `Invalid overlay: ${errors.join('; ')}`,
+      errors
     });
+  }
+
+  // The workspace picks up the overlay the next time it is initialized
+  const isNewSession = !fs.existsSync(sessionDir);
+  saveOverlayOverrides(sessionDir, environment, overrides);
+  if (isNewSession) {
+    saveSessionOwner(sessionDir, req.user);
+  }
+
+  return sendResponse(res, 200, {
+    overlay: getOverlay(sessionDir, environment),
+    message: `Saved the ${environment} overlay, initialize ${environment} to use it`
+  });
 });
 
-// Terraform apply endpoint
-app.get('/api/terraform/apply', (req, res) => {
-  const { sessionId } = req.query;
-  
-  if (!sessionId) {
-    return res.status(400).json({ error: 'Session ID is required' });
+// Check a promotion request and resolve the workspaces involved. Returns the
+// error status and message when the promotion is not possible
+const resolvePromotion = ({ sessionId, from, to }) => {
+  const fromDir = getEnvironmentDir(sessionId, from);
+  const toDir = getEnvironmentDir(sessionId, to);
+  if (!fromDir || !toDir) {
+    return { status: 400, error: 'A valid session ID and source and target environments are required' };
   }
 
-  const envDir = path.join(__dirname, 'environments', sessionId);
-  if (!fs.existsSync(envDir)) {
-    return res.status(400).json({ error: 'Environment directory not found' });
+  if (getNextEnvironment(from) !== to) {
+    return { status: 400, error: `${from} can only be promoted to ${getNextEnvironment(from) || 'no other environment'}` };
   }
 
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-
-  process.chdir(envDir);
-  runCommandWithStream('terraform', ['apply', '-auto-approve', 'tfplan'], envDir, res)
-    .then(() => {
-      res.write(`data: ${JSON.stringify({ status: 'completed' })}\n\n`);
-      res.end();
-    })
-    .catch(error => {
-      console.error('Terraform apply error:', error);
-      res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
-      res.end();
-    });
+  if (!hasDefinition(fromDir)) {
+    return { status: 404, error: `Nothing is deployed to ${from} yet, initialize it before promoting it` };
+  }
+
+  return { sessionDir: getSessionDir(sessionId), fromDir, toDir };
+};
+
+// GET /api/environments/promote
+// Show what promoting the definition deployed to one environment to the next
+// changes, before anything is written to the target workspace
+app.get('/api/environments/promote', requireRole('viewer'), requireSessionAccess, (req, res) => {
+  const { sessionId, from, to, region } = req.query;
+
+  const promotion = resolvePromotion({ sessionId, from, to });
+  if (promotion.error) {
+    return sendResponse(res, promotion.status, { error: promotion.error });
+  }
+
+  const { sessionDir, fromDir, toDir } = promotion;
+  const fromOverlay = getOverlay(sessionDir, from);
+  const toOverlay = getOverlay(sessionDir, to);
+
+  let fromFiles;
+  let toFiles;
+  try {
+    fromFiles = generateWorkspaceFiles(fromDir, { environment: from, overlay: fromOverlay, modulesDir: MODULES_DIR, region });
+    toFiles = generateWorkspaceFiles(toDir, { definitionDir: fromDir, environment: to, overlay: toOverlay, modulesDir: MODULES_DIR, region });
+  } catch (error) {
+    console.error('Error generating Terraform configuration:', error);
+    return sendResponse(res, 400, { error: error.message });
+  }
+
+  const files = Object.keys({ ...fromFiles, ...toFiles })
+    .map(file => ({
+      file,
+      diff: unifiedDiff(fromFiles[file] || '', toFiles[file] || '', { fromFile: `${from}/${file}`, toFile: `${to}/${file}` })
+    }))
+    .filter(({ diff }) => diff);
+
+  // The application changes the target receives, against what it runs now
+  const targetHasDefinition = hasDefinition(toDir);
+  const definition = unifiedDiff(
+    targetHasDefinition ? readScoreFile(toDir) : '',
+    readScoreFile(fromDir),
+    { fromFile: `${to}/score.yaml`, toFile: `${from}/score.yaml` }
+  );
+
+  return sendResponse(res, 200, {
+    from,
+    to,
+    settings: diffOverlays(fromOverlay, toOverlay),
+    definition: { isNew: !targetHasDefinition, diff: definition },
+    files
+  });
 });
 
-// Terraform destroy endpoint
-app.get('/api/terraform/destroy', (req, res) => {
-  const { sessionId } = req.query;
-  
-  if (!sessionId) {
-    return res.status(400).json({ error: 'Session ID is required' });
+// POST /api/environments/promote
+// Copy the definition deployed to one environment into the next and generate
+// its workspace with that environment's overlay
+app.post('/api/environments/promote', requireRole('developer'), requireSessionAccess, (req, res) => {
+  const { sessionId, from, to, region } = req.body || {};
+
+  const promotion = resolvePromotion({ sessionId, from, to });
+  if (promotion.error) {
+    return sendResponse(res, promotion.status, { error: promotion.error });
   }
 
-  const envDir = path.join(__dirname, 'environments', sessionId);
-  if (!fs.existsSync(envDir)) {
-    return res.status(400).json({ error: 'Environment directory not found' });
+  const { sessionDir, fromDir, toDir } = promotion;
+  const holder = getWorkspaceLock(toDir);
+  if (holder) {
+    return sendResponse(res, 409, {
+      error: `The ${to} workspace is locked by a ${holder.status} ${holder.action} job`,
+      holder
+    });
   }
 
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-
-  process.chdir(envDir);
-  runCommandWithStream('terraform', ['destroy', '-auto-approve'], envDir, res)
-    .then(() => {
-      res.write(`data: ${JSON.stringify({ status: 'completed' })}\n\n`);
-      res.end();
-    })
-    .catch(error => {
-      console.error('Terraform destroy error:', error);
-      res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
-      res.end();
+  let files;
+  try {
+    files = generateWorkspaceFiles(toDir, {
+      definitionDir: fromDir,
+      environment: to,
+      overlay: getOverlay(sessionDir, to),
+      modulesDir: MODULES_DIR,
+      region
     });
+  } catch (error) {
+    console.error('Error generating Terraform configuration:', error);
+    return sendResponse(res, 400, { error: error.message });
+  }
+
+  copyDefinition(fromDir, toDir);
+  writeWorkspaceFiles(toDir, files);
+  clearPlanRecord(toDir);
+
+  return sendResponse(res, 200, {
+    environment: to,
+    files: Object.keys(files),
+    message: `Promoted ${from} to ${to}, initialize ${to} to deploy it`
+  });
 });
 
 // GET /api/score/:sessionId
-app.get('/api/score/:sessionId', (req, res) => {
+app.get('/api/score/:sessionId', requireRole('viewer'), requireSessionAccess, (req, res) => {
   try {
-    const { sessionId } = req.params;
-    const envDir = path.join(__dirname, 'environments', 'dev');
+    const envDir = getSessionDir(req.params.sessionId);
+    if (!envDir) {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
+
     const scoreFilePath = path.join(envDir, 'score.yaml');
 
     if (!fs.existsSync(scoreFilePath)) {
@@ -1099,26 +975,182 @@ app.get('/api/score/:sessionId', (req, res) => {
   }
 });
 
-// GET /api/status/:sessionId
-app.get('/api/status/:sessionId', (req, res) => {
+// GET /api/sessions/:sessionId/bundle?environment=&region=
+// Download an environment's configuration as a tar.gz to run it in another pipeline
+app.get('/api/sessions/:sessionId/bundle', requireRole('viewer'), requireSessionAccess, (req, res) => {
   const { sessionId } = req.params;
-  const process = processes.get(sessionId);
+  const { region, environment = 'dev' } = req.query;
+
+  const envDir = getEnvironmentDir(sessionId, environment);
+  if (!envDir) {
+    return sendResponse(res, 400, { error: 'A valid session ID and environment are required' });
+  }
+
+  const sessionDir = getSessionDir(sessionId);
+  const definitionDir = environment === 'dev' ? sessionDir : envDir;
+  if (!hasDefinition(definitionDir)) {
+    return sendResponse(res, 404, {
+      error: environment === 'dev'
+        ? 'Score file not found, generate one first'
+        : `Nothing was promoted to ${environment} yet, promote the previous environment first`
+    });
+  }
 
-  if (!process) {
-    return res.status(404).json({ error: 'Session not found' });
+  let bundle;
+  try {
+    bundle = createBundle(envDir, {
+      definitionDir,
+      environment,
+      overlay: getOverlay(sessionDir, environment),
+      modulesDir: MODULES_DIR,
+      region
+    });
+  } catch (error) {
+    console.error('Error creating bundle:', error);
+    return sendResponse(res, 400, { error: error.message });
   }
 
-  res.json({
-    status: process.status,
-    logs: process.logs,
+  res.set({
+    'Content-Type': 'application/gzip',
+    'Content-Disposition': `attachment; filename="${bundle.fileName}"`
   });
+  return res.send(bundle.archive);
+});
+
+// POST /api/sessions/:sessionId/publish
+// Commit an environment's configuration to a new branch of the configured git
+// repository, to be reviewed and applied through a pull request
+app.post('/api/sessions/:sessionId/publish', requireRole('developer'), requireSessionAccess, async (req, res) => {
+  const { sessionId } = req.params;
+  const { region, environment = 'dev' } = req.body;
+
+  if (!isPublishConfigured()) {
+    return sendResponse(res, 503, { error: 'Publishing to git is not configured, set GIT_PUBLISH_REPOSITORY' });
+  }
+
+  const envDir = getEnvironmentDir(sessionId, environment);
+  if (!envDir) {
+    return sendResponse(res, 400, { error: 'A valid session ID and environment are required' });
+  }
+
+  const sessionDir = getSessionDir(sessionId);
+  const definitionDir = environment === 'dev' ? sessionDir : envDir;
+  if (!hasDefinition(definitionDir)) {
+    return sendResponse(res, 404, {
+      error: environment === 'dev'
+        ? 'Score file not found, generate one first'
+        : `Nothing was promoted to ${environment} yet, promote the previous environment first`
+    });
+  }
+
+  let bundle;
+  try {
+    bundle = collectBundleFiles(envDir, {
+      definitionDir,
+      environment,
+      overlay: getOverlay(sessionDir, environment),
+      modulesDir: MODULES_DIR,
+      region
+    });
+  } catch (error) {
+    console.error('Error generating Terraform configuration:', error);
+    return sendResponse(res, 400, { error: error.message });
+  }
+
+  try {
+    const { status, ...result } = await publishBundle(bundle, { sessionId });
+    if (!result.published) {
+      return sendResponse(res, status, { error: result.error });
+    }
+    return sendResponse(res, status, {
+      ...result,
+      message: `Published ${result.path} to branch ${result.branch} (commit ${result.commit.slice(0, 7)})`
+    });
+  } catch (error) {
+    console.error('Error publishing to git:', error);
+    return sendResponse(res, 500, { error: error.message });
+  }
+});
+
+// GET /api/sessions/:sessionId/drift
+// Latest drift check of each environment, null for those never checked
+app.get('/api/sessions/:sessionId/drift', requireRole('viewer'), requireSessionAccess, (req, res) => {
+  const sessionDir = getSessionDir(req.params.sessionId);
+  if (!sessionDir) {
+    return sendResponse(res, 400, { error: 'Invalid session ID' });
+  }
+
+  if (!fs.existsSync(sessionDir)) {
+    return sendResponse(res, 404, { error: 'Session not found' });
+  }
+
+  return sendResponse(res, 200, {
+    environments: Object.fromEntries(ENVIRONMENTS.map(name => [name, readDrift(getWorkspaceDir(sessionDir, name))])),
+    intervalMs: DRIFT_CHECK_INTERVAL_MS
+  });
+});
+
+// GET /api/status/:sessionId
+app.get('/api/status/:sessionId', requireRole('viewer'), requireSessionAccess, (req, res) => {
+  const envDir = getEnvironmentDir(req.params.sessionId, req.query.environment);
+  if (!envDir) {
+    return sendResponse(res, 400, { error: 'Invalid session ID or environment' });
+  }
+
+  if (!fs.existsSync(getSessionDir(req.params.sessionId))) {
+    return sendResponse(res, 404, { error: 'Session not found' });
+  }
+
+  // Drift checks run in the background and are reported with the drift of each
+  // environment, so a scheduled check does not replace the user's latest job
+  const jobs = listJobs(envDir).filter(({ action }) => action !== 'drift');
+
+  return sendResponse(res, 200, {
+    status: jobs.length > 0 ? jobs[0].status : 'idle',
+    lock: getWorkspaceLock(envDir),
+    jobs
+  });
+});
+
+// GET /api/jobs/:jobId
+app.get('/api/jobs/:jobId', requireRole('viewer'), requireSessionAccess, (req, res) => {
+  const envDir = getEnvironmentDir(req.query.sessionId, req.query.environment);
+  if (!envDir) {
+    return sendResponse(res, 400, { error: 'A valid session ID and environment are required' });
+  }
+
+  const job = readJob(envDir, req.params.jobId);
+  if (!job) {
+    return sendResponse(res, 404, { error: 'Job not found' });
+  }
+
+  return sendResponse(res, 200, { job });
+});
+
+// Job events endpoint, replaying the persisted output before following the
+// job live. The replay starts after Last-Event-ID when the client sends one
+app.get('/api/jobs/:jobId/events', requireRole('viewer'), requireSessionAccess, (req, res) => {
+  const { jobId } = req.params;
+
+  const envDir = getEnvironmentDir(req.query.sessionId, req.query.environment);
+  if (!envDir) {
+    return res.status(400).json({ error: 'A valid session ID and environment are required' });
+  }
+
+  if (!isValidJobId(jobId) || !readJob(envDir, jobId)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const lastEvent = parseEventId(req.get('Last-Event-ID'));
+  streamJob(req, res, envDir, jobId, lastEvent && lastEvent.jobId === jobId ? lastEvent.seq : 0);
 });
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   return sendResponse(res, 200, {
     status: 'ok',
-    message: 'Server is running'
+    message: 'Server is running',
+    gitPublish: isPublishConfigured()
   });
 });
 
@@ -1137,7 +1169,14 @@ app.use((err, req, res, next) => {
   });
 });
 
-const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-}); 
\ No newline at end of file
+// Tests load the app without starting the server
+if (require.main === module) {
+  const PORT = process.env.PORT || 3001;
+  migrateLegacyWorkspaces(ENVIRONMENTS_DIR);
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    startDriftScheduler(ENVIRONMENTS_DIR);
+  });
+}
+
+module.exports = app; 
\ No newline at end of file
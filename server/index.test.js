@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.AUTH_TOKEN_SECRET = 'test-secret';
+const app = require('.');
+const { signToken } = require('./auth/tokens');
+const { saveSessionOwner } = require('./terraform/workspace');
+const { PLAN_FILE, recordPlan, readPlanRecord } = require('./terraform/fingerprint');
+const { startJob, readJob } = require('./terraform/jobs');
+
+const alice = { id: 'alice', role: 'developer', team: 't1' };
+
+const tokenFor = ({ id, role, team }) => signToken('session', { sub: id, name: id, role, team }, 60);
+
+let server;
+let baseUrl;
+
+const call = (user, method, route, body) => fetch(`${baseUrl}${route}`, {
+  method,
+  headers: { Authorization: `Bearer ${tokenFor(user)}`, 'Content-Type': 'application/json' },
+  body: body && JSON.stringify(body),
+});
+
+// Create a session owned by alice, removed after the tests
+const createSession = () => {
+  const sessionId = `test-${crypto.randomUUID()}`;
+  const sessionDir = path.join(__dirname, 'environments', sessionId);
+  saveSessionOwner(sessionDir, { id: alice.id, username: alice.id, team: alice.team });
+  afterAll(() => fs.rmSync(sessionDir, { recursive: true, force: true }));
+  return { sessionId, sessionDir };
+};
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('session access', () => {
+  const { sessionId, sessionDir } = createSession();
+
+  beforeAll(() => {
+    fs.writeFileSync(path.join(sessionDir, 'score.yaml'), 'apiVersion: score.dev/v1b1\n');
+  });
+
+  test('lets the owner and their team read the session', async () => {
+    const owner = await call({ ...alice, role: 'viewer' }, 'GET', `/api/score/${sessionId}`);
+    expect(owner.status).toBe(200);
+
+    const teammate = await call({ id: 'carol', role: 'viewer', team: 't1' }, 'GET', `/api/score/${sessionId}`);
+    expect(teammate.status).toBe(200);
+    expect((await teammate.json()).scoreFile).toBe('apiVersion: score.dev/v1b1\n');
+  });
+
+  test('answers 403 to another team', async () => {
+    const response = await call({ id: 'bob', role: 'approver', team: 't2' }, 'GET', `/api/score/${sessionId}`);
+    expect(response.status).toBe(403);
+    expect((await response.json()).error).toBe('This session belongs to another user or team');
+  });
+
+  test('lets admins read every session', async () => {
+    const response = await call({ id: 'root', role: 'admin', team: null }, 'GET', `/api/score/${sessionId}`);
+    expect(response.status).toBe(200);
+  });
+
+  test('takes an approver to destroy an environment', async () => {
+    const response = await call(alice, 'POST', '/api/terraform/destroy', { sessionId, environment: 'dev' });
+    expect(response.status).toBe(403);
+    expect((await response.json()).error).toBe('This requires the approver role, you have the developer role');
+
+    const otherTeam = await call({ id: 'bob', role: 'approver', team: 't2' }, 'POST', '/api/terraform/destroy', {
+      sessionId,
+      environment: 'dev',
+    });
+    expect(otherTeam.status).toBe(403);
+    expect((await otherTeam.json()).error).toBe('This session belongs to another user or team');
+  });
+});
+
+describe('POST /api/terraform/apply', () => {
+  const { sessionId, sessionDir } = createSession();
+  const envDir = path.join(sessionDir, 'dev');
+
+  beforeAll(() => {
+    fs.mkdirSync(envDir, { recursive: true });
+    fs.writeFileSync(path.join(envDir, 'main.tf'), '');
+    fs.writeFileSync(path.join(envDir, PLAN_FILE), 'plan');
+  });
+
+  test('applies the reviewed plan once', async () => {
+    const { fingerprint } = recordPlan(envDir, { policy: { violations: [] } });
+
+    const response = await call(alice, 'POST', '/api/terraform/apply', { sessionId, environment: 'dev', fingerprint });
+    expect(response.status).toBe(202);
+    const { job } = await response.json();
+    expect(readPlanRecord(envDir)).toBeNull();
+
+    // The job's outcome does not matter, wait for it to end before the
+    // session is removed
+    await (await call(alice, 'GET', `/api/jobs/${job.id}/events?sessionId=${sessionId}&environment=dev`)).text();
+
+    const again = await call(alice, 'POST', '/api/terraform/apply', { sessionId, environment: 'dev', fingerprint });
+    expect(again.status).toBe(404);
+    expect((await again.json()).error).toBe('No reviewed plan found, generate a plan first');
+  });
+
+  test('refuses a plan whose inputs changed since it was reviewed', async () => {
+    const { fingerprint } = recordPlan(envDir, { policy: { violations: [] } });
+    fs.writeFileSync(path.join(envDir, 'main.tf'), 'locals {}\n');
+
+    const response = await call(alice, 'POST', '/api/terraform/apply', { sessionId, environment: 'dev', fingerprint });
+    expect(response.status).toBe(409);
+    expect(readPlanRecord(envDir)).not.toBeNull();
+  });
+});
+
+describe('workspace lock', () => {
+  const { sessionId, sessionDir } = createSession();
+  const envDir = path.join(sessionDir, 'dev');
+  let scriptDir;
+
+  beforeAll(() => {
+    fs.mkdirSync(envDir, { recursive: true });
+    scriptDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-'));
+    fs.writeFileSync(path.join(scriptDir, 'wait'), '#!/bin/sh\ntrap \'exit 130\' INT\nwhile true; do sleep 0.05; done\n', { mode: 0o755 });
+  });
+
+  afterAll(() => {
+    fs.rmSync(scriptDir, { recursive: true, force: true });
+  });
+
+  test('answers 409 while a job holds the workspace, until it is cancelled', async () => {
+    const job = startJob({ envDir, sessionId, environment: 'dev', action: 'plan', command: path.join(scriptDir, 'wait'), args: [] });
+
+    const plan = await call(alice, 'POST', '/api/terraform/plan', { sessionId, environment: 'dev' });
+    expect(plan.status).toBe(409);
+    expect(await plan.json()).toMatchObject({
+      error: 'The dev workspace is locked by a running plan job',
+      holder: { id: job.id },
+    });
+
+    const cancel = await call(alice, 'POST', '/api/terraform/cancel', { sessionId, environment: 'dev' });
+    expect(cancel.status).toBe(202);
+    const again = await call(alice, 'POST', '/api/terraform/cancel', { sessionId, environment: 'dev' });
+    expect(again.status).toBe(409);
+    expect((await again.json()).error).toBe('The job is already finishing');
+
+    await (await call(alice, 'GET', `/api/jobs/${job.id}/events?sessionId=${sessionId}&environment=dev`)).text();
+    expect(readJob(envDir, job.id).status).toBe('cancelled');
+    const none = await call(alice, 'POST', '/api/terraform/cancel', { sessionId, environment: 'dev' });
+    expect(none.status).toBe(404);
+  });
+});
@@ -0,0 +1,296 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Rules shipped with the server. Further directories are listed in
+// POLICY_RULES_PATH separated like PATH, and their rules replace the rules of
+// the same id loaded before them, e.g. to change a rule's severity
+const BUILTIN_DIR = path.join(__dirname, 'rules');
+
+const ID_PATTERN = /^[a-z][a-z0-9-]*$/;
+const SEVERITIES = ['warn', 'deny', 'off'];
+const TARGETS = ['plan', 'score'];
+const REGEXP_LITERAL_PATTERN = /^\/(.*)\/([a-z]*)$/s;
+
+// Rules by id, in the order they were loaded
+const rules = new Map();
+
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// A pattern is a regular expression, written /pattern/flags to pass flags
+const toRegExp = (pattern) => {
+  const literal = REGEXP_LITERAL_PATTERN.exec(pattern);
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern);
+};
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Condition operators, testing one value against the condition's operand
+const OPERATORS = {
+  equals: (value, operand) => isEqual(value, operand),
+  notEquals: (value, operand) => !isEqual(value, operand),
+  in: (value, operand) => operand.some(item => isEqual(value, item)),
+  notIn: (value, operand) => !operand.some(item => isEqual(value, item)),
+  matches: (value, operand) => toRegExp(operand).test(String(value)),
+  notMatches: (value, operand) => !toRegExp(operand).test(String(value)),
+};
+
+const splitPath = rulePath => (rulePath ? String(rulePath).split('.') : []);
+
+// Values at a dotted path, with `*` standing for every item of a list or value
+// of a map. Returns a list of { key, path, value } with the key and full path
+// of each value
+const resolvePath = (value, segments, trail = []) => {
+  if (segments.length === 0) return [{ key: trail[trail.length - 1], path: trail, value }];
+  if (!value || typeof value !== 'object') return [];
+
+  const [segment, ...rest] = segments;
+  const keys = segment === '*' ? Object.keys(value) : [segment].filter(key => key in value);
+  return keys.flatMap(key => resolvePath(value[key], rest, [...trail, key]));
+};
+
+// Whether a selected entry satisfies a condition. The condition's path is
+// relative to the entry's value, `$key` is the entry's key. Conditions hold
+// for every value at a path, so paths without values only fail `exists: true`
+const testCondition = (entry, condition) => {
+  const values = (condition.path === '$key'
+    ? [entry.key]
+    : resolvePath(entry.value, splitPath(condition.path)).map(({ value }) => value))
+    .filter(value => value !== null && value !== undefined);
+
+  if ('exists' in condition) return (values.length > 0) === condition.exists;
+  const [operator] = Object.keys(condition).filter(key => key in OPERATORS);
+  return values.every(value => OPERATORS[operator](value, condition[operator]));
+};
+
+// Check a condition of a rule. Returns an error message or null
+const validateCondition = (condition) => {
+  if (!isObject(condition)) return 'must be an object';
+  if (condition.path !== undefined && typeof condition.path !== 'string') return 'path must be a string';
+
+  const operators = Object.keys(condition).filter(key => key !== 'path');
+  if (operators.length !== 1 || !(operators[0] in OPERATORS || operators[0] === 'exists')) {
+    return `must have exactly one of ${[...Object.keys(OPERATORS), 'exists'].join(', ')}`;
+  }
+  const [operator] = operators;
+  const operand = condition[operator];
+  if (operator === 'exists' && typeof operand !== 'boolean') return 'exists must be true or false';
+  if (['in', 'notIn'].includes(operator) && !Array.isArray(operand)) return `${operator} must be a list`;
+  if (['matches', 'notMatches'].includes(operator)) {
+    if (typeof operand !== 'string') return `${operator} must be a string`;
+    try {
+      toRegExp(operand);
+    } catch (error) {
+      return `${operator} is not a valid regular expression: ${error.message}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Check a rule and fill in its optional fields. A rule selects values of a
+ * document and asserts conditions on each of them:
+ *
+ *   id            unique name of the rule, e.g. "no-public-ingress"
+ *   description   what the rule requires, shown with its violations
+ *   severity      `deny` blocks applying the plan, `warn` only reports,
+ *                 `off` disables the rule
+ *   target        the document checked: `plan`, the resources of the plan by
+ *                 address, or `score`, the Score workload
+ *   environments  (optional) the environments the rule applies to, by
+ *                 default all of them
+ *   select        dotted path of the values checked, `*` matching every item
+ *   where         (optional) conditions a value must meet to be checked
+ *   assert        conditions every checked value must meet
+ *
+ * Throws when the rule is invalid.
+ */
+const normalizeRule = (rule, source) => {
+  const fail = (message) => {
+    throw new Error(`Invalid policy rule ${rule && rule.id ? `"${rule.id}" ` : ''}in ${source}: ${message}`);
+  };
+
+  if (!isObject(rule)) fail('must be an object');
+  if (typeof rule.id !== 'string' || !ID_PATTERN.test(rule.id)) {
+    fail('id must start with a lowercase letter and contain only lowercase letters, digits and hyphens');
+  }
+  if (typeof rule.description !== 'string' || !rule.description) fail('description is required');
+  if (!SEVERITIES.includes(rule.severity)) fail(`severity must be one of ${SEVERITIES.join(', ')}`);
+  if (!TARGETS.includes(rule.target)) fail(`target must be one of ${TARGETS.join(', ')}`);
+  if (rule.environments !== undefined
+    && !(Array.isArray(rule.environments) && rule.environments.every(environment => typeof environment === 'string'))) {
+    fail('environments must be a list of environment names');
+  }
+  if (typeof rule.select !== 'string' || !rule.select) fail('select must be a path');
+
+  const { where = [], assert } = rule;
+  if (!Array.isArray(where)) fail('where must be a list of conditions');
+  if (!Array.isArray(assert) || assert.length === 0) fail('assert must be a list of at least one condition');
+  [['where', where], ['assert', assert]].forEach(([key, conditions]) => conditions.forEach((condition, index) => {
+    const error = validateCondition(condition);
+    if (error) fail(`${key}[${index}] ${error}`);
+  }));
+
+  return {
+    environments: null,
+    ...rule,
+    where,
+    source,
+  };
+};
+
+// Register the rules of every .yaml file of a directory, in file name order.
+// Each file holds a `rules` list
+const loadRules = (dir) => {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new Error(`Policy rule directory ${dir} does not exist`);
+  }
+
+  const loaded = new Map();
+  fs.readdirSync(dir)
+    .filter(file => /\.ya?ml$/.test(file))
+    .sort()
+    .forEach((file) => {
+      const source = path.join(dir, file);
+      const content = yaml.load(fs.readFileSync(source, 'utf8'));
+      if (!isObject(content) || !Array.isArray(content.rules)) {
+        throw new Error(`Policy rule file ${source} must hold a rules list`);
+      }
+      content.rules.forEach((rule) => {
+        const normalized = normalizeRule(rule, source);
+        if (loaded.has(normalized.id)) {
+          throw new Error(`Policy rule "${normalized.id}" in ${source} is already defined by ${loaded.get(normalized.id).source}`);
+        }
+        loaded.set(normalized.id, normalized);
+      });
+    });
+
+  loaded.forEach((rule, id) => rules.set(id, rule));
+};
+
+const listRules = () => Array.from(rules.values());
+
+// Address of a resource in the configuration: its plan address without the
+// count and for_each keys of the resource and its modules
+const getConfigAddress = address => address.replace(/\[(?:"(?:[^"\\]|\\.)*"|[^\]]*)\]/g, '');
+
+// Every reference an expression, or a nested block of them, makes
+const collectReferences = expression => (Array.isArray(expression) || isObject(expression)
+  ? Object.entries(expression).flatMap(([key, value]) => (
+    key === 'references' && Array.isArray(value) ? value : collectReferences(value)))
+  : []);
+
+// Arguments set to a literal value in the configuration, as [name, value]
+// pairs. Arguments of nested blocks are named like `user.0.password`
+const collectConstants = (expressions, prefix = []) => Object.entries(expressions || {})
+  .flatMap(([key, expression]) => {
+    const name = [...prefix, key];
+    if (Array.isArray(expression)) return expression.flatMap((block, index) => collectConstants(block, [...name, index]));
+    if (!isObject(expression)) return [];
+    if ('constant_value' in expression) return [[name.join('.'), expression.constant_value]];
+    if ('references' in expression) return [];
+    return collectConstants(expression, name);
+  });
+
+// The managed resources of the plan's configuration and its modules, by
+// address, each with its literal arguments and the resources it references
+const getConfigResources = (module, prefix = '') => {
+  if (!isObject(module)) return [];
+  const resources = (module.resources || [])
+    .filter(resource => resource.mode === 'managed')
+    .map(resource => ({
+      address: `${prefix}${resource.address}`,
+      type: resource.type,
+      constants: Object.fromEntries(collectConstants(resource.expressions)),
+      // References are relative to the module, only those to its managed
+      // resources are kept
+      references: collectReferences(resource.expressions)
+        .filter(reference => !/^(var|local|module|data|each|count|path|self|terraform)\./.test(reference))
+        .map(reference => `${prefix}${reference.split('.').slice(0, 2).join('.')}`),
+    }));
+  return [
+    ...resources,
+    ...Object.entries(module.module_calls || {})
+      .flatMap(([name, call]) => getConfigResources(call.module, `${prefix}module.${name}.`)),
+  ];
+};
+
+// The resources a plan leaves in place, keyed by address, with the values
+// they have once it is applied. From the configuration each also has its
+// `constants`, the arguments set to literal values, and `referencedBy`, the
+// addresses of the resources referencing it by their type
+const getPlannedResources = (plan) => {
+  const configResources = getConfigResources(plan.configuration && plan.configuration.root_module);
+  const byAddress = new Map(configResources.map(resource => [resource.address, resource]));
+  const referencedBy = new Map();
+  configResources.forEach(resource => new Set(resource.references).forEach((target) => {
+    if (!byAddress.has(target) || target === resource.address) return;
+    const referrers = referencedBy.get(target) || {};
+    referrers[resource.type] = [...(referrers[resource.type] || []), resource.address];
+    referencedBy.set(target, referrers);
+  }));
+
+  return Object.fromEntries((plan.resource_changes || [])
+    .filter(({ mode, change }) => mode === 'managed' && change.after)
+    .map(({ address, module_address: module, type, name, change }) => {
+      const configAddress = getConfigAddress(address);
+      return [address, {
+        address,
+        module: module || null,
+        type,
+        name,
+        actions: change.actions,
+        values: change.after,
+        constants: (byAddress.get(configAddress) || {}).constants || {},
+        referencedBy: referencedBy.get(configAddress) || {},
+      }];
+    }));
+};
+
+/**
+ * Check the JSON representation of a saved plan and the Score workload it was
+ * made from against the rules that apply to the environment.
+ * Returns { checkedAt, rules, violations, denied } with `rules` the number of
+ * rules checked and each violation { rule, description, severity, target,
+ * location }, `location` being the path of the offending value, e.g. a
+ * resource address. `denied` is true when a deny rule is violated.
+ */
+const checkPolicies = ({ plan, workload, environment }) => {
+  const documents = {
+    plan: getPlannedResources(plan),
+    score: workload,
+  };
+  const applicable = listRules().filter(rule => rule.severity !== 'off'
+    && (!rule.environments || rule.environments.includes(environment)));
+
+  const violations = applicable.flatMap(rule => resolvePath(documents[rule.target], splitPath(rule.select))
+    .filter(entry => rule.where.every(condition => testCondition(entry, condition)))
+    .filter(entry => !rule.assert.every(condition => testCondition(entry, condition)))
+    .map(entry => ({
+      rule: rule.id,
+      description: rule.description,
+      severity: rule.severity,
+      target: rule.target,
+      location: entry.path.join('.'),
+    })))
+    // Violations blocking the apply first
+    .sort((a, b) => (b.severity === 'deny') - (a.severity === 'deny'));
+
+  return {
+    checkedAt: new Date().toISOString(),
+    rules: applicable.length,
+    violations,
+    denied: violations.some(violation => violation.severity === 'deny'),
+  };
+};
+
+loadRules(BUILTIN_DIR);
+(process.env.POLICY_RULES_PATH || '')
+  .split(path.delimiter)
+  .filter(Boolean)
+  .forEach(dir => loadRules(path.resolve(dir)));
+
+module.exports = {
+  listRules,
+  checkPolicies,
+};
@@ -0,0 +1,308 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Load the policies module with the rules of `files`, a map of file name to
+// YAML content, in a directory of POLICY_RULES_PATH
+const loadPolicies = (files = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'policies-'));
+  Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(dir, name), content));
+
+  const previous = process.env.POLICY_RULES_PATH;
+  process.env.POLICY_RULES_PATH = dir;
+  let policies;
+  try {
+    jest.isolateModules(() => {
+      policies = require('.');
+    });
+  } finally {
+    if (previous === undefined) {
+      delete process.env.POLICY_RULES_PATH;
+    } else {
+      process.env.POLICY_RULES_PATH = previous;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  return policies;
+};
+
+const change = (address, type, after, actions = ['create']) => ({
+  address,
+  mode: 'managed',
+  type,
+  name: address.split('.').pop(),
+  change: { actions, after },
+});
+
+const plan = (resourceChanges, configuration) => ({ resource_changes: resourceChanges, configuration });
+
+const workload = (variables = {}) => ({
+  apiVersion: 'score.dev/v1b1',
+  metadata: { name: 'orders' },
+  containers: { main: { image: 'nginx:1.27', variables } },
+});
+
+// Violations of one rule, as their locations
+const locationsOf = (result, ruleId) => result.violations
+  .filter(({ rule }) => rule === ruleId)
+  .map(({ location }) => location);
+
+const TEST_RULES = `
+rules:
+  - id: test-deny-instance-class
+    description: Databases must not be large
+    severity: deny
+    target: plan
+    select: '*'
+    where:
+      - path: type
+        equals: aws_db_instance
+    assert:
+      - path: values.instance_class
+        notMatches: '\\.large$'
+  - id: test-warn-description
+    description: Queues should have a description tag
+    severity: warn
+    target: plan
+    select: '*'
+    where:
+      - path: type
+        equals: aws_sqs_queue
+    assert:
+      - path: values.tags.Description
+        exists: true
+  - id: test-off
+    description: Disabled rule
+    severity: off
+    target: plan
+    select: '*'
+    assert:
+      - path: address
+        equals: never
+  - id: test-staging-only
+    description: Staging queues must not be FIFO
+    severity: deny
+    target: plan
+    environments: [staging]
+    select: '*'
+    where:
+      - path: type
+        equals: aws_sqs_queue
+    assert:
+      - path: values.fifo_queue
+        equals: false
+  - id: test-variable-names
+    description: Variables named like URLs must hold a URL
+    severity: warn
+    target: score
+    select: containers.*.variables.*
+    where:
+      - path: $key
+        matches: /_URL$/i
+    assert:
+      - matches: '^https?://'
+`;
+
+describe('checkPolicies', () => {
+  const { checkPolicies } = loadPolicies({ 'test.yaml': TEST_RULES });
+
+  const resources = plan([
+    change('aws_db_instance.small', 'aws_db_instance', { instance_class: 'db.t3.micro' }),
+    change('aws_db_instance.big', 'aws_db_instance', { instance_class: 'db.m5.large' }),
+    change('aws_sqs_queue.tagged', 'aws_sqs_queue', { fifo_queue: true, tags: { Description: 'orders' } }),
+    change('aws_sqs_queue.untagged', 'aws_sqs_queue', { fifo_queue: false, tags: null }),
+    change('aws_sqs_queue.deleted', 'aws_sqs_queue', null, ['delete']),
+  ]);
+
+  test('reports the values of selected entries failing an assertion', () => {
+    const result = checkPolicies({ plan: resources, workload: workload(), environment: 'dev' });
+    expect(locationsOf(result, 'test-deny-instance-class')).toEqual(['aws_db_instance.big']);
+  });
+
+  test('blocks the apply on deny violations only', () => {
+    const denied = checkPolicies({ plan: resources, workload: workload(), environment: 'dev' });
+    expect(denied.denied).toBe(true);
+    expect(denied.violations[0]).toEqual({
+      rule: 'test-deny-instance-class',
+      description: 'Databases must not be large',
+      severity: 'deny',
+      target: 'plan',
+      location: 'aws_db_instance.big',
+    });
+
+    const warned = checkPolicies({
+      plan: plan([change('aws_sqs_queue.untagged', 'aws_sqs_queue', { fifo_queue: false })]),
+      workload: workload(),
+      environment: 'dev',
+    });
+    expect(locationsOf(warned, 'test-warn-description')).toEqual(['aws_sqs_queue.untagged']);
+    expect(warned.violations.every(({ severity }) => severity === 'warn')).toBe(true);
+    expect(warned.denied).toBe(false);
+  });
+
+  test('skips rules that are off', () => {
+    const result = checkPolicies({ plan: resources, workload: workload(), environment: 'dev' });
+    expect(locationsOf(result, 'test-off')).toEqual([]);
+  });
+
+  test('fails exists: true on missing and null values', () => {
+    const result = checkPolicies({ plan: resources, workload: workload(), environment: 'dev' });
+    expect(locationsOf(result, 'test-warn-description')).toEqual(['aws_sqs_queue.untagged']);
+  });
+
+  test('leaves out resources the plan deletes', () => {
+    const result = checkPolicies({ plan: resources, workload: workload(), environment: 'dev' });
+    expect(result.violations.map(({ location }) => location)).not.toContain('aws_sqs_queue.deleted');
+  });
+
+  test('applies rules only to their environments', () => {
+    const dev = checkPolicies({ plan: resources, workload: workload(), environment: 'dev' });
+    const staging = checkPolicies({ plan: resources, workload: workload(), environment: 'staging' });
+    expect(locationsOf(dev, 'test-staging-only')).toEqual([]);
+    expect(locationsOf(staging, 'test-staging-only')).toEqual(['aws_sqs_queue.tagged']);
+    expect(staging.rules).toBe(dev.rules + 1);
+  });
+
+  test('matches $key against the key of each selected entry', () => {
+    const result = checkPolicies({
+      plan: plan([]),
+      workload: workload({ API_URL: 'https://api.example.com', CALLBACK_URL: 'localhost', URL_PREFIX: 'x' }),
+      environment: 'dev',
+    });
+    expect(locationsOf(result, 'test-variable-names')).toEqual(['containers.main.variables.CALLBACK_URL']);
+  });
+});
+
+describe('built-in rules', () => {
+  const { checkPolicies } = loadPolicies();
+
+  const bucketPlan = withBlock => plan([
+    change('aws_s3_bucket.main', 'aws_s3_bucket', { bucket: 'orders' }),
+    ...(withBlock ? [change('aws_s3_bucket_public_access_block.main', 'aws_s3_bucket_public_access_block', {
+      block_public_acls: true,
+      block_public_policy: true,
+      ignore_public_acls: true,
+      restrict_public_buckets: true,
+    })] : []),
+  ], {
+    root_module: {
+      resources: [
+        { address: 'aws_s3_bucket.main', mode: 'managed', type: 'aws_s3_bucket', expressions: {} },
+        ...(withBlock ? [{
+          address: 'aws_s3_bucket_public_access_block.main',
+          mode: 'managed',
+          type: 'aws_s3_bucket_public_access_block',
+          expressions: { bucket: { references: ['aws_s3_bucket.main.id', 'aws_s3_bucket.main'] } },
+        }] : []),
+      ],
+    },
+  });
+
+  test('denies buckets no public access block references', () => {
+    const result = checkPolicies({ plan: bucketPlan(false), workload: workload(), environment: 'dev' });
+    expect(locationsOf(result, 's3-bucket-public-access-block')).toEqual(['aws_s3_bucket.main']);
+    expect(result.denied).toBe(true);
+  });
+
+  test('passes buckets with a public access block blocking everything', () => {
+    const result = checkPolicies({ plan: bucketPlan(true), workload: workload(), environment: 'dev' });
+    expect(locationsOf(result, 's3-bucket-public-access-block')).toEqual([]);
+    expect(locationsOf(result, 's3-public-access-blocked')).toEqual([]);
+  });
+
+  test('finds references of resources in modules and with count keys', () => {
+    const result = checkPolicies({
+      plan: plan([
+        { ...change('module.files.aws_s3_bucket.main[0]', 'aws_s3_bucket', {}), module_address: 'module.files' },
+      ], {
+        root_module: {
+          module_calls: {
+            files: {
+              module: {
+                resources: [
+                  { address: 'aws_s3_bucket.main', mode: 'managed', type: 'aws_s3_bucket', expressions: {} },
+                  {
+                    address: 'aws_s3_bucket_public_access_block.main',
+                    mode: 'managed',
+                    type: 'aws_s3_bucket_public_access_block',
+                    expressions: { bucket: { references: ['aws_s3_bucket.main[0].id', 'aws_s3_bucket.main'] } },
+                  },
+                ],
+              },
+            },
+          },
+        },
+      }),
+      workload: workload(),
+      environment: 'dev',
+    });
+    expect(locationsOf(result, 's3-bucket-public-access-block')).toEqual([]);
+  });
+});
+
+describe('required-tags', () => {
+  const { checkPolicies } = loadPolicies();
+
+  test('flags stateful resources without Name, Environment and Owner tags', () => {
+    const result = checkPolicies({
+      plan: plan([
+        change('aws_sqs_queue.tagged', 'aws_sqs_queue', {
+          tags: { Name: 'orders' },
+          tags_all: { Name: 'orders', Environment: 'dev', Owner: 'payments' },
+        }),
+        change('aws_sqs_queue.unowned', 'aws_sqs_queue', {
+          tags: { Name: 'orders' },
+          tags_all: { Name: 'orders', Environment: 'dev' },
+        }),
+        change('aws_sqs_queue.untagged', 'aws_sqs_queue', { tags: null, tags_all: {} }),
+        change('aws_iam_role.app', 'aws_iam_role', { tags_all: {} }),
+      ]),
+      workload: workload(),
+      environment: 'dev',
+    });
+    expect(locationsOf(result, 'required-tags')).toEqual(['aws_sqs_queue.unowned', 'aws_sqs_queue.untagged']);
+    expect(result.denied).toBe(false);
+  });
+});
+
+describe('POLICY_RULES_PATH', () => {
+  test('rules replace the built-in rule of the same id', () => {
+    const { listRules, checkPolicies } = loadPolicies({
+      'override.yaml': `
+rules:
+  - id: s3-bucket-public-access-block
+    description: Relaxed for the test
+    severity: warn
+    target: plan
+    select: '*'
+    where:
+      - path: type
+        equals: aws_s3_bucket
+    assert:
+      - path: referencedBy.aws_s3_bucket_public_access_block
+        exists: true
+`,
+    });
+
+    const rules = listRules().filter(({ id }) => id === 's3-bucket-public-access-block');
+    expect(rules).toHaveLength(1);
+    expect(rules[0].severity).toBe('warn');
+
+    const result = checkPolicies({
+      plan: plan([change('aws_s3_bucket.main', 'aws_s3_bucket', {})]),
+      workload: workload(),
+      environment: 'dev',
+    });
+    expect(locationsOf(result, 's3-bucket-public-access-block')).toEqual(['aws_s3_bucket.main']);
+    expect(result.denied).toBe(false);
+  });
+
+  test('invalid rules fail loading', () => {
+    expect(() => loadPolicies({
+      'bad.yaml': 'rules:\n  - id: Bad\n    description: x\n    severity: deny\n    target: plan\n    select: "*"\n    assert: [{ exists: true }]\n',
+    })).toThrow('id must start with a lowercase letter');
+    expect(() => loadPolicies({
+      'bad.yaml': 'rules:\n  - id: bad\n    description: x\n    severity: block\n    target: plan\n    select: "*"\n    assert: [{ exists: true }]\n',
+    })).toThrow('severity must be one of warn, deny, off');
+  });
+});
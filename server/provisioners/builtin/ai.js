@@ -0,0 +1,47 @@
+const { generateResourceModule } = require('../../generators/common');
+const { ref, call } = require('../../generators/hcl');
+
+// Permission for the workload's role to invoke the chosen Bedrock foundation
+// models, granted by the ai module
+module.exports = {
+  type: 'bedrock',
+  label: 'Bedrock',
+  description: 'Amazon Bedrock model access',
+  service: 'ai',
+  params: {
+    models: {
+      label: 'Models',
+      type: 'list',
+      values: [
+        'anthropic.claude-3-5-sonnet-20240620-v1:0',
+        'anthropic.claude-3-haiku-20240307-v1:0',
+        'amazon.titan-text-express-v1',
+        'amazon.titan-embed-text-v2:0',
+      ],
+      default: ['anthropic.claude-3-haiku-20240307-v1:0'],
+    },
+  },
+  variables: {
+    BEDROCK_MODEL_IDS: 'models',
+    BEDROCK_REGION: 'region',
+  },
+  generate: (params, { id, modulesPath }) => ({
+    blocks: generateResourceModule({
+      id,
+      type: 'bedrock',
+      module: 'ai',
+      modulesPath,
+      groups: {
+        'Catalog properties': {
+          model_ids: params.models,
+        },
+      },
+    }),
+    outputs: {
+      // Comma-separated, as environment variables are strings
+      models: call('join', ',', ref('module', id, 'model_ids')),
+      region: ref('var.aws_region'),
+    },
+    policies: [ref('module', id, 'access_policy_arn')],
+  }),
+};
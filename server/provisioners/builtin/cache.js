@@ -0,0 +1,44 @@
+const { generateResourceModule } = require('../../generators/common');
+const { ref } = require('../../generators/hcl');
+
+// An ElastiCache for Redis node of the cache module
+module.exports = {
+  type: 'redis',
+  label: 'Redis',
+  description: 'Amazon ElastiCache for Redis node',
+  service: 'cache',
+  params: {
+    snapshotRetentionDays: { label: 'Snapshot retention (days)', type: 'integer', min: 0, max: 35, default: 0 },
+  },
+  sizes: {
+    small: { instanceClass: 'cache.t3.micro' },
+    medium: { instanceClass: 'cache.t3.medium' },
+    large: { instanceClass: 'cache.m5.large' },
+  },
+  variables: {
+    REDIS_HOST: 'host',
+    REDIS_PORT: 'port',
+  },
+  generate: (params, { id, size, modulesPath, overlay }) => ({
+    blocks: generateResourceModule({
+      id,
+      type: 'redis',
+      module: 'cache',
+      modulesPath,
+      networked: true,
+      groups: {
+        [`Catalog properties, ${params.size} size`]: {
+          node_type: size.instanceClass,
+          snapshot_retention_limit: params.snapshotRetentionDays,
+        },
+        'Environment overlay': {
+          ...(overlay.instanceSizes.redis && { node_type: overlay.instanceSizes.redis }),
+        },
+      },
+    }),
+    outputs: {
+      host: ref('module', id, 'cache_address'),
+      port: ref('module', id, 'cache_port'),
+    },
+  }),
+};
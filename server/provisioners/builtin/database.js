@@ -0,0 +1,70 @@
+const { PROVIDERS, generateResourceModule } = require('../../generators/common');
+const { ref } = require('../../generators/hcl');
+
+const DATABASE_SIZES = {
+  small: { instanceClass: 'db.t3.micro', storageGb: 20 },
+  medium: { instanceClass: 'db.t3.medium', storageGb: 100 },
+  large: { instanceClass: 'db.m5.large', storageGb: 500 },
+};
+
+// An RDS instance of the database module, which generates the master password
+// and stores it in a Secrets Manager secret
+const databaseProvisioner = ({ type, label, engineVersions }) => ({
+  type,
+  label,
+  description: `Amazon RDS for ${label} instance`,
+  service: 'database',
+  params: {
+    engineVersion: { label: 'Engine version', type: 'enum', values: engineVersions, default: engineVersions[0] },
+    backupRetentionDays: { label: 'Backup retention (days)', type: 'integer', min: 0, max: 35, default: 7 },
+  },
+  sizes: DATABASE_SIZES,
+  variables: {
+    DB_HOST: 'host',
+    DB_PORT: 'port',
+    DB_NAME: 'name',
+    DB_USER: 'username',
+    DB_PASSWORD: 'password',
+  },
+  generate: (params, { id, size, modulesPath, overlay }) => {
+    const output = name => ref('module', id, name);
+    return {
+      blocks: generateResourceModule({
+        id,
+        type,
+        module: 'database',
+        modulesPath,
+        networked: true,
+        inputs: { engine: type },
+        groups: {
+          [`Catalog properties, ${params.size} size`]: {
+            instance_class: size.instanceClass,
+            allocated_storage: size.storageGb,
+            engine_version: params.engineVersion,
+            backup_retention_period: params.backupRetentionDays,
+          },
+          'Environment overlay': {
+            ...(overlay.instanceSizes[type] && { instance_class: overlay.instanceSizes[type] }),
+            multi_az: overlay.multiAz,
+            deletion_protection: overlay.deletionProtection,
+            skip_final_snapshot: overlay.skipFinalSnapshot,
+          },
+        },
+      }),
+      outputs: {
+        host: output('db_address'),
+        port: output('db_port'),
+        name: output('db_name'),
+        username: output('db_username'),
+      },
+      credentialsSecret: output('credentials_secret_arn'),
+      secretOutputs: { password: 'password' },
+      providers: [PROVIDERS.random],
+    };
+  },
+});
+
+module.exports = [
+  databaseProvisioner({ type: 'postgres', label: 'PostgreSQL', engineVersions: ['14', '15', '16'] }),
+  databaseProvisioner({ type: 'mysql', label: 'MySQL', engineVersions: ['8.0', '8.4'] }),
+];
@@ -0,0 +1,161 @@
+const { PROVIDERS, generateResourceModule } = require('../../generators/common');
+const { ref, call } = require('../../generators/hcl');
+
+const FIFO_PARAM = { label: 'FIFO', type: 'boolean', default: false };
+
+const MAX_RECEIVE_COUNT_PARAM = {
+  label: 'Receives before dead-lettering',
+  type: 'integer',
+  min: 1,
+  max: 1000,
+  default: 5,
+};
+
+// An SQS queue with a dead-letter queue receiving the messages that failed
+// processing too often
+const sqs = {
+  type: 'sqs',
+  label: 'SQS',
+  description: 'Amazon SQS queue with a dead-letter queue',
+  service: 'messageQueue',
+  params: {
+    fifo: FIFO_PARAM,
+    visibilityTimeoutSeconds: { label: 'Visibility timeout (seconds)', type: 'integer', min: 0, max: 43200, default: 30 },
+    messageRetentionSeconds: { label: 'Message retention (seconds)', type: 'integer', min: 60, max: 1209600, default: 345600 },
+    maxReceiveCount: MAX_RECEIVE_COUNT_PARAM,
+  },
+  variables: {
+    QUEUE_URL: 'url',
+    QUEUE_ARN: 'arn',
+    QUEUE_DLQ_URL: 'dlqUrl',
+    QUEUE_REGION: 'region',
+  },
+  generate: (params, { id, modulesPath }) => {
+    const output = name => ref('module', id, name);
+    return {
+      blocks: generateResourceModule({
+        id,
+        type: 'sqs',
+        module: 'sqs',
+        modulesPath,
+        groups: {
+          'Catalog properties': {
+            fifo: params.fifo,
+            visibility_timeout_seconds: params.visibilityTimeoutSeconds,
+            message_retention_seconds: params.messageRetentionSeconds,
+            max_receive_count: params.maxReceiveCount,
+          },
+        },
+      }),
+      outputs: {
+        url: output('queue_url'),
+        arn: output('queue_arn'),
+        dlqUrl: output('dlq_url'),
+        region: ref('var.aws_region'),
+      },
+      policies: [output('access_policy_arn')],
+    };
+  },
+};
+
+// An SNS topic fanning out to SQS queues, each with its own dead-letter queue.
+// The workload publishes to the topic and consumes the queues
+const sns = {
+  type: 'sns',
+  label: 'SNS',
+  description: 'Amazon SNS topic with SQS subscriptions',
+  service: 'messageQueue',
+  params: {
+    fifo: FIFO_PARAM,
+    subscriptions: { label: 'Subscription queues', type: 'integer', min: 1, max: 10, default: 1 },
+    rawMessageDelivery: { label: 'Raw message delivery', type: 'boolean', default: true },
+    maxReceiveCount: MAX_RECEIVE_COUNT_PARAM,
+  },
+  variables: {
+    TOPIC_ARN: 'topicArn',
+    TOPIC_REGION: 'region',
+    SUBSCRIPTION_QUEUE_URLS: 'queueUrls',
+  },
+  generate: (params, { id, modulesPath }) => {
+    const output = name => ref('module', id, name);
+    return {
+      blocks: generateResourceModule({
+        id,
+        type: 'sns',
+        module: 'sns',
+        modulesPath,
+        groups: {
+          'Catalog properties': {
+            fifo: params.fifo,
+            subscriptions: params.subscriptions,
+            raw_message_delivery: params.rawMessageDelivery,
+            max_receive_count: params.maxReceiveCount,
+          },
+        },
+      }),
+      outputs: {
+        topicArn: output('topic_arn'),
+        region: ref('var.aws_region'),
+        // Comma-separated, as environment variables are strings
+        queueUrls: call('join', ',', output('subscription_queue_urls')),
+      },
+      policies: [output('access_policy_arn')],
+    };
+  },
+};
+
+// An Amazon MQ for RabbitMQ broker of the queue module, which generates the
+// broker password and stores it in a Secrets Manager secret
+const amqp = {
+  type: 'amqp',
+  label: 'RabbitMQ',
+  description: 'Amazon MQ for RabbitMQ broker',
+  service: 'messageQueue',
+  sizes: {
+    small: { instanceClass: 'mq.t3.micro' },
+    medium: { instanceClass: 'mq.m5.large' },
+    large: { instanceClass: 'mq.m5.xlarge' },
+  },
+  variables: {
+    AMQP_HOST: 'host',
+    AMQP_PORT: 'port',
+    AMQP_VHOST: 'vhost',
+    AMQP_USER: 'username',
+    AMQP_PASSWORD: 'password',
+  },
+  generate: (params, { id, size, modulesPath, overlay }) => {
+    const output = name => ref('module', id, name);
+    return {
+      blocks: generateResourceModule({
+        id,
+        type: 'amqp',
+        module: 'queue',
+        modulesPath,
+        networked: true,
+        groups: {
+          [`Catalog properties, ${params.size} size`]: {
+            instance_type: size.instanceClass,
+          },
+          'Environment overlay': {
+            ...(overlay.instanceSizes.amqp && { instance_type: overlay.instanceSizes.amqp }),
+            multi_az: overlay.multiAz,
+          },
+        },
+      }),
+      outputs: {
+        host: output('queue_host'),
+        port: output('queue_port'),
+        vhost: '/',
+        username: output('queue_username'),
+      },
+      credentialsSecret: output('credentials_secret_arn'),
+      secretOutputs: { password: 'password' },
+      providers: [PROVIDERS.random],
+    };
+  },
+};
+
+// The flavours of the form's message queue, SQS being the default. Each grants
+// the workload's role what it needs, except Amazon MQ whose clients sign in
+// with the broker credentials rather than IAM
+module.exports = [sqs, sns, amqp];
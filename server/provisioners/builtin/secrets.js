@@ -0,0 +1,23 @@
+const { SECRET_VALUES_VARIABLE, generateResourceModule } = require('../../generators/common');
+const { ref } = require('../../generators/hcl');
+
+// The workload's secret environment variables, stored in a Secrets Manager
+// secret by the secrets module. Every output is a key of that secret, and the
+// values come from the root variable written outside the Score file
+module.exports = {
+  type: 'secrets',
+  label: 'Secrets',
+  description: 'AWS Secrets Manager secret holding the secret environment variables',
+  generate: (params, { id, modulesPath }) => ({
+    blocks: generateResourceModule({
+      id,
+      type: 'secrets',
+      module: 'secrets',
+      modulesPath,
+      inputs: { values: ref('var', SECRET_VALUES_VARIABLE) },
+    }),
+    outputs: {},
+    credentialsSecret: ref('module', id, 'secret_arn'),
+    secretOutputs: output => output,
+  }),
+};
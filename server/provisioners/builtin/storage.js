@@ -0,0 +1,39 @@
+const { generateResourceModule } = require('../../generators/common');
+const { ref } = require('../../generators/hcl');
+
+// A private, encrypted S3 bucket of the storage module. Its access policy is
+// attached to the workload's role, which on EKS is the IRSA role of the
+// workload's service account
+module.exports = {
+  type: 's3',
+  label: 'S3',
+  description: 'Amazon S3 bucket',
+  service: 'storage',
+  params: {
+    versioning: { label: 'Versioning', type: 'boolean', default: true },
+    expirationDays: { label: 'Expire objects after (days, 0 for never)', type: 'integer', min: 0, max: 3650, default: 0 },
+  },
+  variables: {
+    BUCKET_NAME: 'bucket',
+    BUCKET_REGION: 'region',
+  },
+  generate: (params, { id, modulesPath }) => ({
+    blocks: generateResourceModule({
+      id,
+      type: 's3',
+      module: 'storage',
+      modulesPath,
+      groups: {
+        'Catalog properties': {
+          versioning: params.versioning,
+          expiration_days: params.expirationDays,
+        },
+      },
+    }),
+    outputs: {
+      bucket: ref('module', id, 'bucket_name'),
+      region: ref('var.aws_region'),
+    },
+    policies: [ref('module', id, 'access_policy_arn')],
+  }),
+};
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+
+// Provisioners shipped with the server. Further directories, for example with
+// in-house resource types, are listed in PROVISIONERS_PATH separated like PATH
+const BUILTIN_DIR = path.join(__dirname, 'builtin');
+
+const TYPE_PATTERN = /^[a-z][a-z0-9-]*$/;
+const VARIABLE_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Resource types that can be provisioned, in the order they were loaded
+const provisioners = new Map();
+
+// Check a single param value against its definition. Param types are `enum`
+// (one of `values`), `list` (any of `values`), `integer` (between `min` and
+// `max`) and `boolean`. Returns an error message, or null when the value is valid
+const validateParamValue = (param, value) => {
+  switch (param.type) {
+    case 'enum':
+      return param.values.includes(value) ? null : `must be one of ${param.values.join(', ')}`;
+    case 'list':
+      return Array.isArray(value) && value.every(item => param.values.includes(item))
+        ? null
+        : `must be a list of ${param.values.join(', ')}`;
+    case 'integer':
+      return Number.isInteger(value) && value >= param.min && value <= param.max
+        ? null
+        : `must be an integer between ${param.min} and ${param.max}`;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    default:
+      return `has an unknown param type "${param.type}"`;
+  }
+};
+
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Check the definition of a param. Returns an error message or null
+const validateParamDefinition = (param) => {
+  if (!isObject(param) || !param.label) {
+    return 'must be an object with a label';
+  }
+  if (['enum', 'list'].includes(param.type) && (!Array.isArray(param.values) || param.values.length === 0)) {
+    return `of type ${param.type} must list its values`;
+  }
+  if (param.type === 'integer' && !(Number.isInteger(param.min) && Number.isInteger(param.max))) {
+    return 'of type integer must have an integer min and max';
+  }
+  const error = validateParamValue(param, param.default);
+  return error && `default ${error}`;
+};
+
+/**
+ * Check a provisioner and fill in its optional fields. A provisioner turns one
+ * Score resource type into Terraform:
+ *
+ *   type        the Score resource type, e.g. "postgres"
+ *   label       name shown in the form, with an optional `description`
+ *   service     key of the form service offering it (optional, see ../catalog)
+ *   params      schema of the Score params it accepts, { name: param }
+ *   sizes       (optional) the sizes it accepts as the resource's class, each
+ *               { instanceClass, storageGb }. The first one is the default
+ *   variables   container variables it exposes, mapped to its outputs
+ *   generate(params, context)
+ *               returns the Terraform for one resource, see resolveResources
+ *               in ../generators/resources
+ *
+ * The resource's class is available to `generate` as the `size` param, which
+ * is derived from `sizes`. Throws when the provisioner is invalid.
+ */
+const normalizeProvisioner = (provisioner, source) => {
+  const fail = (message) => {
+    throw new Error(`Invalid provisioner ${provisioner && provisioner.type ? `"${provisioner.type}" ` : ''}in ${source}: ${message}`);
+  };
+
+  if (!isObject(provisioner)) fail('must export an object or an array of objects');
+  if (typeof provisioner.type !== 'string' || !TYPE_PATTERN.test(provisioner.type)) {
+    fail('type must start with a lowercase letter and contain only lowercase letters, digits and hyphens');
+  }
+  if (typeof provisioner.generate !== 'function') fail('generate must be a function');
+
+  const { params = {}, sizes, variables = {} } = provisioner;
+  if (!isObject(params)) fail('params must be an object');
+  if ('size' in params) fail('params must not declare size, it is derived from sizes');
+  Object.entries(params).forEach(([name, param]) => {
+    const error = validateParamDefinition(param);
+    if (error) fail(`param ${name} ${error}`);
+  });
+
+  if (sizes !== undefined && (!isObject(sizes) || Object.keys(sizes).length === 0)) {
+    fail('sizes must be an object with at least one size');
+  }
+  Object.entries(sizes || {}).forEach(([name, size]) => {
+    if (!isObject(size) || typeof size.instanceClass !== 'string'
+      || (size.storageGb !== undefined && !Number.isInteger(size.storageGb))) {
+      fail(`size ${name} must have an instanceClass and an integer storageGb, if any`);
+    }
+  });
+
+  if (!isObject(variables)) fail('variables must be an object');
+  Object.entries(variables).forEach(([name, output]) => {
+    if (!VARIABLE_PATTERN.test(name) || typeof output !== 'string') {
+      fail(`variable ${name} must be a valid variable name mapped to an output name`);
+    }
+  });
+
+  return {
+    label: provisioner.type,
+    description: '',
+    ...provisioner,
+    params: {
+      ...(sizes && {
+        size: { label: 'Size', type: 'enum', values: Object.keys(sizes), default: Object.keys(sizes)[0] },
+      }),
+      ...params,
+    },
+    variables,
+    source,
+  };
+};
+
+const registerProvisioner = (provisioner, source) => {
+  const normalized = normalizeProvisioner(provisioner, source);
+  const existing = provisioners.get(normalized.type);
+  if (existing) {
+    throw new Error(`Provisioner "${normalized.type}" in ${source} is already registered by ${existing.source}`);
+  }
+  provisioners.set(normalized.type, normalized);
+};
+
+// Register the provisioners exported by every .js file of a directory, in
+// file name order
+const loadProvisioners = (dir) => {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new Error(`Provisioner directory ${dir} does not exist`);
+  }
+
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .forEach((file) => {
+      const source = path.join(dir, file);
+      const exported = require(source);
+      (Array.isArray(exported) ? exported : [exported])
+        .forEach(provisioner => registerProvisioner(provisioner, source));
+    });
+};
+
+const getProvisioner = type => provisioners.get(type) || null;
+
+const listProvisioners = () => Array.from(provisioners.values());
+
+loadProvisioners(BUILTIN_DIR);
+(process.env.PROVISIONERS_PATH || '')
+  .split(path.delimiter)
+  .filter(Boolean)
+  .forEach(dir => loadProvisioners(path.resolve(dir)));
+
+module.exports = {
+  validateParamValue,
+  getProvisioner,
+  listProvisioners,
+};
@@ -0,0 +1,271 @@
+const yaml = require('js-yaml');
+const { getProvisioner } = require('../provisioners');
+const { SERVICES, validateProperties, resolveProperties } = require('../catalog');
+const { resolveResources, resolveValue } = require('../generators/resources');
+const { ENVIRONMENTS, resolveOverlay } = require('../generators/overlays');
+
+const SCORE_API_VERSION = 'score.dev/v1b1';
+
+// Annotations used to carry settings Score itself has no field for
+const ANNOTATIONS = {
+  applicationType: 'score-ui/application-type',
+  executionEnvironment: 'score-ui/execution-environment',
+  region: 'score-ui/region',
+};
+
+// Form service keys mapped to Score resource ids and their default types
+const SERVICE_RESOURCES = Object.fromEntries(
+  SERVICES.map(({ key, resourceId, types }) => [key, { id: resourceId, type: types[0] }])
+);
+
+// Resource whose outputs are the secret environment variables. Their values
+// are kept out of the Score file and supplied to Terraform separately
+const SECRETS_RESOURCE = { id: 'secrets', type: 'secrets' };
+
+// Environment variable names accepted by containers and Lambda alike
+const VARIABLE_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const DEFAULT_IMAGE = 'nginx:latest';
+
+const DEFAULT_CONTAINER_RESOURCES = {
+  limits: {
+    cpu: '500m',
+    memory: '512Mi',
+  },
+  requests: {
+    cpu: '250m',
+    memory: '50Mi',
+  },
+};
+
+// Application types that receive inbound traffic and need a service port
+const SERVED_APPLICATION_TYPES = ['web', 'api'];
+
+const getSecretVariables = (environmentVariables = []) => environmentVariables
+  .filter(({ key, isSecret }) => key && isSecret);
+
+// Build the Score resources map from the form's services object, adding the
+// secrets resource when any environment variable is secret. Catalog types get
+// every property, with defaults for those not set: the size as the resource
+// class and the others as params
+const buildResources = (services, environmentVariables) => {
+  const resources = {};
+
+  Object.entries(services).forEach(([key, service]) => {
+    if (!service) return;
+
+    const mapping = SERVICE_RESOURCES[key] || { id: key, type: key };
+    const type = service.type || mapping.type;
+    const { size, ...params } = getProvisioner(type)
+      ? resolveProperties(type, service.properties)
+      : (service.properties || {});
+
+    resources[mapping.id] = {
+      type,
+      ...(size && { class: size }),
+      ...(Object.keys(params).length > 0 && { params }),
+    };
+  });
+
+  if (getSecretVariables(environmentVariables).length > 0) {
+    resources[SECRETS_RESOURCE.id] = { type: SECRETS_RESOURCE.type };
+  }
+
+  return resources;
+};
+
+// Container variables a resource type exposes, keyed by variable name with
+// the resource output they resolve to
+const getResourceVariables = (type) => {
+  const provisioner = getProvisioner(type);
+  return provisioner ? provisioner.variables : {};
+};
+
+// Build container variables referencing the outputs of the declared resources
+const buildVariables = (resources, environmentVariables = []) => {
+  const variables = {};
+
+  Object.entries(resources).forEach(([id, resource]) => {
+    Object.entries(getResourceVariables(resource.type)).forEach(([name, output]) => {
+      variables[name] = `\${resources.${id}.${output}}`;
+    });
+  });
+
+  environmentVariables.forEach(({ key, value, isSecret }) => {
+    if (key) {
+      variables[key] = isSecret ? `\${resources.${SECRETS_RESOURCE.id}.${key}}` : value;
+    }
+  });
+
+  return variables;
+};
+
+// Build a score.dev/v1b1 workload from the application configuration
+const buildScoreWorkload = (config) => {
+  const { name, environment, services, image, environmentVariables } = config;
+
+  if (!name || !environment || !services) {
+    throw new Error('Invalid configuration structure');
+  }
+
+  const resources = buildResources(services, environmentVariables);
+  const variables = buildVariables(resources, environmentVariables);
+  const applicationType = environment.type || 'web';
+
+  const workload = {
+    apiVersion: SCORE_API_VERSION,
+    metadata: {
+      name,
+      annotations: {
+        [ANNOTATIONS.applicationType]: applicationType,
+        [ANNOTATIONS.executionEnvironment]: environment.executionEnvironment || 'eks',
+        [ANNOTATIONS.region]: environment.region,
+      },
+    },
+    containers: {
+      main: {
+        image: image || DEFAULT_IMAGE,
+        ...(Object.keys(variables).length > 0 && { variables }),
+        resources: DEFAULT_CONTAINER_RESOURCES,
+      },
+    },
+  };
+
+  if (SERVED_APPLICATION_TYPES.includes(applicationType)) {
+    workload.service = {
+      ports: {
+        web: {
+          port: 80,
+          targetPort: 80,
+        },
+      },
+    };
+  }
+
+  if (Object.keys(resources).length > 0) {
+    workload.resources = resources;
+  }
+
+  return workload;
+};
+
+// Values of the secret environment variables, keyed by variable name
+const getSecretValues = ({ environmentVariables }) => Object.fromEntries(
+  getSecretVariables(environmentVariables).map(({ key, value }) => [key, value])
+);
+
+// Resolve the resources as the Terraform generator does, to check the
+// placeholders of variables against their outputs. Returns null when the
+// services are invalid, which validateServices reports
+const resolveDeclaredResources = (resources) => {
+  try {
+    const environment = ENVIRONMENTS[0];
+    const { supported, unsupported } = resolveResources(
+      { resources },
+      { modulesPath: '.', environment, overlay: resolveOverlay(environment) }
+    );
+    return { resources: supported, unsupported };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Check the form's environment variables: keys must be valid and unique,
+// secrets need a value and placeholders must reference outputs of declared
+// resources, secret outputs being the whole value. Returns a list of
+// { key, message }
+const validateEnvironmentVariables = ({ services = {}, environmentVariables = [] }) => {
+  const errors = [];
+  const resources = buildResources(services, environmentVariables);
+  const resolved = resolveDeclaredResources(resources);
+  const seen = new Set();
+
+  environmentVariables.forEach(({ key, value, isSecret }) => {
+    if (!key || !VARIABLE_KEY_PATTERN.test(key)) {
+      errors.push({ key, message: 'Must start with a letter or underscore and contain only letters, digits and underscores' });
+      return;
+    }
+    if (seen.has(key)) {
+      errors.push({ key, message: 'Is defined more than once' });
+    }
+    seen.add(key);
+
+    if (isSecret) {
+      if (!value) {
+        errors.push({ key, message: 'Secret value is required' });
+      }
+      return;
+    }
+
+    const undeclared = Array.from(String(value || '').matchAll(/\$\$|\$\{([^}]*)\}/g))
+      .filter(([, reference]) => {
+        if (reference === undefined) return false;
+        const [scope, id] = reference.trim().split('.');
+        return scope !== 'metadata' && (scope !== 'resources' || !resources[id]);
+      });
+    undeclared.forEach(([placeholder]) => {
+      errors.push({ key, message: `${placeholder} does not reference a declared resource` });
+    });
+
+    if (undeclared.length === 0 && resolved) {
+      try {
+        resolveValue(value || '', resolved);
+      } catch (error) {
+        errors.push({ key, message: error.message });
+      }
+    }
+  });
+
+  return errors;
+};
+
+// Check the form's services against the catalog: each must be one of the
+// service's resource types with valid properties. Returns a list of
+// { service, message }
+const validateServices = ({ services = {} }) => {
+  const errors = [];
+
+  Object.entries(services).forEach(([key, service]) => {
+    if (!service) return;
+
+    const catalogService = SERVICES.find(item => item.key === key);
+    if (!catalogService) {
+      errors.push({ service: key, message: 'Is not a service the catalog offers' });
+      return;
+    }
+
+    const type = service.type || catalogService.types[0];
+    if (!catalogService.types.includes(type)) {
+      errors.push({ service: key, message: `Type must be one of ${catalogService.types.join(', ')}` });
+      return;
+    }
+
+    validateProperties(type, service.properties)
+      .forEach(message => errors.push({ service: key, message }));
+  });
+
+  return errors;
+};
+
+// Generate score.yaml content from configuration
+const generateScoreYaml = (config) => {
+  try {
+    return yaml.dump(buildScoreWorkload(config), { noRefs: true, lineWidth: -1 });
+  } catch (error) {
+    console.error('Error generating score config:', error);
+    throw new Error('Failed to generate score configuration');
+  }
+};
+
+module.exports = {
+  SCORE_API_VERSION,
+  ANNOTATIONS,
+  SERVICE_RESOURCES,
+  SECRETS_RESOURCE,
+  getResourceVariables,
+  buildScoreWorkload,
+  generateScoreYaml,
+  getSecretValues,
+  validateEnvironmentVariables,
+  validateServices,
+};
@@ -0,0 +1,189 @@
+const yaml = require('js-yaml');
+const {
+  SCORE_API_VERSION,
+  ANNOTATIONS,
+  SECRETS_RESOURCE,
+  buildScoreWorkload,
+  getResourceVariables,
+} = require('./generate');
+const { getServiceForType, validateProperties } = require('../catalog');
+
+const KNOWN_TOP_LEVEL_FIELDS = ['apiVersion', 'metadata', 'containers', 'service', 'resources'];
+const KNOWN_CONTAINER_FIELDS = ['image', 'variables', 'resources'];
+const KNOWN_RESOURCE_FIELDS = ['type', 'class', 'params'];
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const isMapping = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// The entries of a mapping field of the workload. Anything else is reported
+// at `field` and read as empty
+const mappingEntries = (value, field, addUnmapped) => {
+  if (value === undefined || value === null) return [];
+  if (!isMapping(value)) {
+    addUnmapped(field, 'Field must be a mapping');
+    return [];
+  }
+  return Object.entries(value);
+};
+
+// Check whether a variable is one the generator injects for a declared resource
+const isGeneratedVariable = (key, value, resources) => {
+  const match = /^\$\{resources\.([^.}]+)\.([^}]+)\}$/.exec(value);
+  if (!match) return false;
+
+  const [, id, output] = match;
+  const resource = resources[id];
+  return !!resource && getResourceVariables(resource.type)[key] === output;
+};
+
+// Map a parsed Score workload back into the ApplicationForm configuration,
+// collecting everything the form cannot represent
+const mapScoreWorkload = (workload) => {
+  if (!isMapping(workload)) {
+    throw new Error('Score file must contain a YAML mapping');
+  }
+
+  if (workload.apiVersion !== SCORE_API_VERSION) {
+    throw new Error(`Unsupported apiVersion "${workload.apiVersion}", expected ${SCORE_API_VERSION}`);
+  }
+
+  const unmapped = [];
+  const addUnmapped = (field, reason) => unmapped.push({ path: field, reason });
+
+  Object.keys(workload)
+    .filter(key => !KNOWN_TOP_LEVEL_FIELDS.includes(key))
+    .forEach(key => addUnmapped(key, 'Unknown top-level field'));
+
+  const metadata = Object.fromEntries(mappingEntries(workload.metadata, 'metadata', addUnmapped));
+  const annotations = Object.fromEntries(mappingEntries(metadata.annotations, 'metadata.annotations', addUnmapped));
+  const knownAnnotations = Object.values(ANNOTATIONS);
+
+  Object.keys(metadata)
+    .filter(key => key !== 'name' && key !== 'annotations')
+    .forEach(key => addUnmapped(`metadata.${key}`, 'Metadata field is not editable in the form'));
+  Object.keys(annotations)
+    .filter(key => !knownAnnotations.includes(key))
+    .forEach(key => addUnmapped(`metadata.annotations.${key}`, 'Annotation is not editable in the form'));
+
+  const config = {
+    name: metadata.name || '',
+    image: '',
+    environment: {
+      type: annotations[ANNOTATIONS.applicationType] || (workload.service ? 'api' : 'worker'),
+      executionEnvironment: annotations[ANNOTATIONS.executionEnvironment] || 'eks',
+      region: annotations[ANNOTATIONS.region] || 'us-east-1',
+    },
+    services: {},
+    environmentVariables: [],
+  };
+
+  const resources = Object.fromEntries(mappingEntries(workload.resources, 'resources', addUnmapped));
+  Object.entries(resources).forEach(([id, resource]) => {
+    if (!isMapping(resource)) {
+      addUnmapped(`resources.${id}`, 'Resource must be a mapping');
+      return;
+    }
+
+    // Secret values are not part of the Score file and are entered again below
+    if (resource.type === SECRETS_RESOURCE.type) return;
+
+    const service = getServiceForType(resource.type);
+    const serviceKey = service && service.key;
+    if (!serviceKey) {
+      addUnmapped(`resources.${id}`, `Resource type "${resource.type}" is not supported by the form`);
+      return;
+    }
+    if (config.services[serviceKey]) {
+      addUnmapped(`resources.${id}`, `Only one ${serviceKey} resource can be configured in the form`);
+      return;
+    }
+
+    Object.keys(resource)
+      .filter(key => !KNOWN_RESOURCE_FIELDS.includes(key))
+      .forEach(key => addUnmapped(`resources.${id}.${key}`, 'Resource field is not editable in the form'));
+
+    // Properties the catalog does not accept are reported and left to their defaults
+    const properties = {};
+    Object.entries({
+      ...(resource.class && { size: resource.class }),
+      ...Object.fromEntries(mappingEntries(resource.params, `resources.${id}.params`, addUnmapped)),
+    }).forEach(([name, value]) => {
+      const field = name === 'size' ? `resources.${id}.class` : `resources.${id}.params.${name}`;
+      const [error] = validateProperties(resource.type, { [name]: value });
+      if (error) {
+        addUnmapped(field, `Not accepted by the service catalog: ${error}`);
+      } else {
+        properties[name] = value;
+      }
+    });
+
+    config.services[serviceKey] = {
+      type: resource.type,
+      properties,
+    };
+  });
+
+  const declaredContainers = mappingEntries(workload.containers, 'containers', addUnmapped);
+  if (declaredContainers.length === 0) {
+    addUnmapped('containers', 'Workload does not declare a container');
+  }
+  const containerEntries = declaredContainers.filter(([containerName, container]) => {
+    if (!isMapping(container)) {
+      addUnmapped(`containers.${containerName}`, 'Container must be a mapping');
+    }
+    return isMapping(container);
+  });
+
+  containerEntries.forEach(([containerName, container], index) => {
+    if (index > 0) {
+      addUnmapped(`containers.${containerName}`, 'Only a single container can be configured in the form');
+      return;
+    }
+
+    config.image = container.image || '';
+
+    Object.keys(container)
+      .filter(key => !KNOWN_CONTAINER_FIELDS.includes(key))
+      .forEach(key => addUnmapped(`containers.${containerName}.${key}`, 'Container field is not editable in the form'));
+
+    mappingEntries(container.variables, `containers.${containerName}.variables`, addUnmapped).forEach(([key, value]) => {
+      const secret = /^\$\{resources\.([^.}]+)\.[^}]+\}$/.exec(value);
+      if (secret && resources[secret[1]] && resources[secret[1]].type === SECRETS_RESOURCE.type) {
+        config.environmentVariables.push({ key, value: '', isSecret: true });
+      } else if (!isGeneratedVariable(key, value, resources)) {
+        config.environmentVariables.push({ key, value: String(value), isSecret: false });
+      }
+    });
+  });
+
+  // Anything the generator would not reproduce as-is is reported rather than dropped
+  const regenerated = buildScoreWorkload({ ...config, name: config.name || 'imported' });
+  const [firstContainer] = containerEntries;
+  if (firstContainer && firstContainer[1].resources
+    && !isEqual(firstContainer[1].resources, regenerated.containers.main.resources)) {
+    addUnmapped(`containers.${firstContainer[0]}.resources`, 'Custom container resource limits are not editable in the form');
+  }
+  if (workload.service && !isEqual(workload.service, regenerated.service)) {
+    addUnmapped('service', 'Custom service ports are not editable in the form');
+  }
+
+  return { config, unmapped };
+};
+
+// Parse score.yaml content and map it into the form configuration
+const importScoreYaml = (content) => {
+  let workload;
+  try {
+    workload = yaml.load(content);
+  } catch (error) {
+    throw new Error(`Invalid YAML: ${error.reason || error.message}`);
+  }
+
+  return mapScoreWorkload(workload);
+};
+
+module.exports = {
+  mapScoreWorkload,
+  importScoreYaml,
+};
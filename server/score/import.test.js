@@ -0,0 +1,62 @@
+const { importScoreYaml } = require('./import');
+
+const score = body => `apiVersion: score.dev/v1b1\nmetadata:\n  name: orders\n${body}`;
+
+describe('importScoreYaml', () => {
+  test('maps the container of a workload', () => {
+    const { config, unmapped } = importScoreYaml(score([
+      'containers:',
+      '  app:',
+      '    image: nginx:1.27',
+      '    variables:',
+      '      LOG_LEVEL: info',
+    ].join('\n')));
+
+    expect(config).toMatchObject({
+      name: 'orders',
+      image: 'nginx:1.27',
+      environmentVariables: [{ key: 'LOG_LEVEL', value: 'info', isSecret: false }],
+    });
+    expect(unmapped).toEqual([]);
+  });
+
+  test('reports containers that are not mappings', () => {
+    expect(importScoreYaml(score('containers:\n  app:\n')).unmapped).toEqual([
+      { path: 'containers.app', reason: 'Container must be a mapping' },
+    ]);
+
+    const { config, unmapped } = importScoreYaml(score('containers:\n  sidecar: [envoy]\n  app:\n    image: nginx:1.27\n'));
+    expect(config.image).toBe('nginx:1.27');
+    expect(unmapped).toEqual([{ path: 'containers.sidecar', reason: 'Container must be a mapping' }]);
+
+    expect(importScoreYaml(score('containers: nginx\n')).unmapped).toContainEqual(
+      { path: 'containers', reason: 'Field must be a mapping' }
+    );
+  });
+
+  test('reports variables, resources and params that are not mappings', () => {
+    const { unmapped } = importScoreYaml(score([
+      'containers:',
+      '  app:',
+      '    image: nginx:1.27',
+      '    variables: [LOG_LEVEL]',
+      'resources:',
+      '  cache:',
+      '  db:',
+      '    type: postgres',
+      '    params: large',
+    ].join('\n')));
+
+    expect(unmapped).toEqual([
+      { path: 'resources.cache', reason: 'Resource must be a mapping' },
+      { path: 'resources.db.params', reason: 'Field must be a mapping' },
+      { path: 'containers.app.variables', reason: 'Field must be a mapping' },
+    ]);
+  });
+
+  test('refuses files that are not a Score workload', () => {
+    expect(() => importScoreYaml('- a\n- b\n')).toThrow('Score file must contain a YAML mapping');
+    expect(() => importScoreYaml('apiVersion: score.dev/v1\n')).toThrow('Unsupported apiVersion "score.dev/v1"');
+    expect(() => importScoreYaml('a: [')).toThrow('Invalid YAML');
+  });
+});
@@ -0,0 +1,9 @@
+const generate = require('./generate');
+const importer = require('./import');
+const validate = require('./validate');
+
+module.exports = {
+  ...generate,
+  ...importer,
+  ...validate,
+};
@@ -0,0 +1,120 @@
+const Ajv = require('ajv');
+const { LineCounter, parseDocument, isMap } = require('yaml');
+const scoreSchema = require('./schema/score-v1b1.json');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validateSchema = ajv.compile(scoreSchema);
+
+// Decode a JSON pointer into its path segments
+const pointerToPath = (pointer) => pointer
+  .split('/')
+  .slice(1)
+  .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+// Resolve the pointer an error refers to, pointing at the offending key
+// for errors raised on a property name rather than a value
+const getErrorPointer = (error) => {
+  const key = error.params.additionalProperty || error.propertyName;
+  if (key !== undefined) {
+    return `${error.instancePath}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+  }
+  return error.instancePath;
+};
+
+const formatErrorMessage = (error) => {
+  if (error.params.additionalProperty) {
+    return `unknown property "${error.params.additionalProperty}"`;
+  }
+  if (error.propertyName !== undefined) {
+    return `invalid name "${error.propertyName}": ${error.message}`;
+  }
+  return error.message;
+};
+
+// Find the YAML node for a JSON pointer, falling back to the closest parent
+// that exists in the document (e.g. for missing required properties)
+const findNode = (doc, pointer, { preferKey = false } = {}) => {
+  const segments = pointerToPath(pointer);
+
+  for (let length = segments.length; length >= 0; length -= 1) {
+    const parentPath = segments.slice(0, length - 1);
+    const parent = length > 0 ? doc.getIn(parentPath, true) : null;
+    const key = segments[length - 1];
+
+    if (length === 0) {
+      return doc.contents;
+    }
+
+    if (isMap(parent)) {
+      const pair = parent.items.find(item => item.key && String(item.key.value ?? item.key) === key);
+      if (pair) {
+        return (preferKey || !pair.value) ? pair.key : pair.value;
+      }
+    } else {
+      const node = doc.getIn(segments.slice(0, length), true);
+      if (node) return node;
+    }
+
+    preferKey = true;
+  }
+
+  return null;
+};
+
+const getPosition = (doc, lineCounter, pointer, preferKey) => {
+  const node = findNode(doc, pointer, { preferKey });
+  if (!node || !node.range) {
+    return { line: 1, column: 1 };
+  }
+  const { line, col } = lineCounter.linePos(node.range[0]);
+  return { line, column: col };
+};
+
+// Validate a parsed Score workload against the bundled score.dev v1b1 schema
+const validateScoreWorkload = (workload) => {
+  if (validateSchema(workload)) {
+    return [];
+  }
+
+  // propertyNames failures are reported through the nested error that names the key
+  return validateSchema.errors
+    .filter(error => error.keyword !== 'propertyNames')
+    .map(error => ({
+      pointer: getErrorPointer(error),
+      message: formatErrorMessage(error),
+    }));
+};
+
+// Validate score.yaml content, reporting the JSON pointer and the YAML
+// line/column of every error
+const validateScoreYaml = (content) => {
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(content, { lineCounter });
+
+  if (doc.errors.length > 0) {
+    return {
+      valid: false,
+      errors: doc.errors.map(error => ({
+        pointer: '',
+        message: error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, ''),
+        line: error.linePos ? error.linePos[0].line : 1,
+        column: error.linePos ? error.linePos[0].col : 1,
+      })),
+    };
+  }
+
+  const errors = validateScoreWorkload(doc.toJS()).map((error) => {
+    const onKey = error.pointer !== '' && /^unknown property|^invalid name/.test(error.message);
+    return {
+      ...error,
+      ...getPosition(doc, lineCounter, error.pointer, onKey),
+    };
+  });
+
+  return { valid: errors.length === 0, errors };
+};
+
+module.exports = {
+  validateScoreWorkload,
+  validateScoreYaml,
+};
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const { getVariableValues } = require('../generators');
+
+const STATE_FILE = 'terraform.tfstate';
+const STATE_BACKUP_FILE = 'terraform.tfstate.backup';
+// Local state moved aside once it was copied into the remote backend
+const MIGRATED_STATE_SUFFIX = '.migrated';
+
+const BACKEND_TYPES = ['s3', 'http', 'local'];
+
+// Where Terraform keeps the state of every workspace. `s3` stores it in
+// TF_STATE_BUCKET with locks in the TF_STATE_LOCK_TABLE DynamoDB table, `http`
+// sends it to TF_BACKEND_HTTP_ADDRESS, e.g. a test server, and `local` leaves
+// it in the workspace directory. These settings only come from the environment:
+// changing them points every workspace at other state
+const TF_BACKEND = process.env.TF_BACKEND || (process.env.TF_STATE_BUCKET ? 's3' : 'local');
+const TF_STATE_BUCKET = process.env.TF_STATE_BUCKET || '';
+// Prefix of the state keys, which continue with the owner's scope, then
+// <app>/<environment>
+const TF_STATE_PREFIX = (process.env.TF_STATE_PREFIX || 'score-ui').replace(/^\/+|\/+$/g, '');
+const TF_STATE_LOCK_TABLE = process.env.TF_STATE_LOCK_TABLE || 'terraform-locks';
+// Region of the bucket and lock table, by default the workload's region
+const TF_STATE_REGION = process.env.TF_STATE_REGION || '';
+const TF_BACKEND_HTTP_ADDRESS = (process.env.TF_BACKEND_HTTP_ADDRESS || '').replace(/\/+$/, '');
+
+if (!BACKEND_TYPES.includes(TF_BACKEND)) {
+  throw new Error(`TF_BACKEND must be one of ${BACKEND_TYPES.join(', ')}, got "${TF_BACKEND}"`);
+}
+if (TF_BACKEND === 's3' && !TF_STATE_BUCKET) {
+  throw new Error('TF_STATE_BUCKET is required for the s3 backend');
+}
+if (TF_BACKEND === 'http' && !TF_BACKEND_HTTP_ADDRESS) {
+  throw new Error('TF_BACKEND_HTTP_ADDRESS is required for the http backend');
+}
+// The address ends up in the generated files, bundles and published branches.
+// Terraform reads the credentials from TF_HTTP_USERNAME and TF_HTTP_PASSWORD
+if (/^[a-z][a-z0-9+.-]*:\/\/[^/]*@/i.test(TF_BACKEND_HTTP_ADDRESS)) {
+  throw new Error('TF_BACKEND_HTTP_ADDRESS must not contain credentials, set TF_HTTP_USERNAME and TF_HTTP_PASSWORD instead');
+}
+
+// Escape a name for a key segment, dots included so it cannot be `..`
+const toKeySegment = value => encodeURIComponent(value).replace(/\./g, '%2E');
+
+// Key of the state of an application in an environment. The key is scoped to
+// the team owning the session, or to the session when its owner has no team,
+// so applications of the same name owned by others never share state. Only
+// one session of a team may hold an application, see findSessionSharingState
+// in ./workspace. Sessions created before users signed in have no owner and
+// keep the unscoped key
+const getStateKey = (name, environment, { sessionId, owner } = {}) => {
+  let scope = [];
+  if (owner && owner.team) {
+    scope = ['teams', toKeySegment(owner.team)];
+  } else if (owner) {
+    scope = ['sessions', toKeySegment(sessionId)];
+  }
+  return [TF_STATE_PREFIX, ...scope, name, environment, STATE_FILE].filter(Boolean).join('/');
+};
+
+/**
+ * Backend storing the state of a parsed Score workload in an environment of a
+ * session, as { type, config } for generateTerraformConfig, or null when
+ * state stays in the workspace. `owner` is the session's owner, see
+ * getStateKey.
+ */
+const getBackend = (workload, { environment, region, sessionId, owner }) => {
+  if (TF_BACKEND === 'local') return null;
+
+  const key = getStateKey(workload.metadata.name, environment, { sessionId, owner });
+  if (TF_BACKEND === 'http') {
+    const address = `${TF_BACKEND_HTTP_ADDRESS}/${key}`;
+    return {
+      type: 'http',
+      config: { address, lock_address: address, unlock_address: address },
+    };
+  }
+
+  return {
+    type: 's3',
+    config: {
+      bucket: TF_STATE_BUCKET,
+      key,
+      region: TF_STATE_REGION || getVariableValues(workload, { region, environment }).aws_region,
+      dynamodb_table: TF_STATE_LOCK_TABLE,
+      encrypt: true,
+    },
+  };
+};
+
+const isRemoteBackend = () => TF_BACKEND !== 'local';
+
+// Whether the workspace holds state Terraform wrote before the remote backend
+// was configured, which must be migrated before the workspace can be used
+const hasLocalState = (envDir) => {
+  const statePath = path.join(envDir, STATE_FILE);
+  return fs.existsSync(statePath) && fs.statSync(statePath).size > 0;
+};
+
+// Keep the local state of a migrated workspace aside, so it is neither used
+// again nor lost
+const archiveLocalState = (envDir) => {
+  [STATE_FILE, STATE_BACKUP_FILE]
+    .map(fileName => path.join(envDir, fileName))
+    .filter(statePath => fs.existsSync(statePath))
+    .forEach(statePath => fs.renameSync(statePath, `${statePath}${MIGRATED_STATE_SUFFIX}`));
+};
+
+// The backend shown to clients
+const describeBackend = () => ({
+  type: TF_BACKEND,
+  ...(TF_BACKEND === 's3' && { bucket: TF_STATE_BUCKET, prefix: TF_STATE_PREFIX, lockTable: TF_STATE_LOCK_TABLE }),
+  ...(TF_BACKEND === 'http' && { address: TF_BACKEND_HTTP_ADDRESS }),
+});
+
+module.exports = {
+  getBackend,
+  isRemoteBackend,
+  hasLocalState,
+  archiveLocalState,
+  describeBackend,
+};
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ANNOTATIONS } = require('../score');
+const { getProvisioner } = require('../provisioners');
+const {
+  EXECUTION_ENVIRONMENTS,
+  SECRET_VALUES_VARIABLE,
+  SECRET_VALUES_FILE,
+  generateTerraformConfig,
+  getVariableValues,
+  getSecretValueKeys,
+} = require('../generators');
+const { section, renderAttributes } = require('../generators/hcl');
+const { getLocalModuleSources } = require('./fingerprint');
+const {
+  SCORE_FILE,
+  TERRAFORM_FORMAT,
+  readScoreFile,
+  getWorkspaceSession,
+  getOwnerName,
+} = require('./workspace');
+const { createTarGz } = require('./tar');
+const { getBackend } = require('./backend');
+
+const LOCK_FILE = '.terraform.lock.hcl';
+const TFVARS_EXAMPLE_FILE = 'terraform.tfvars.example';
+
+const RESOURCE_REFERENCE_PATTERN = /\$\{resources\.([^.}]+)\./g;
+
+// Files of the local modules the configuration references, including modules
+// those reference in turn, as paths relative to `rootDir`
+const collectModuleFiles = (rootDir, files) => {
+  const moduleDirs = new Set();
+
+  const visit = (baseDir, content) => getLocalModuleSources(content).forEach((source) => {
+    const moduleDir = path.resolve(baseDir, source);
+    if (moduleDirs.has(moduleDir) || !fs.existsSync(moduleDir)) return;
+    if (path.relative(rootDir, moduleDir).startsWith('..')) {
+      throw new Error(`Module source ${source} is outside of ${rootDir}`);
+    }
+    moduleDirs.add(moduleDir);
+    fs.readdirSync(moduleDir)
+      .filter(fileName => fs.statSync(path.join(moduleDir, fileName)).isFile())
+      .forEach(fileName => visit(moduleDir, fs.readFileSync(path.join(moduleDir, fileName), 'utf8')));
+  });
+  Object.values(files).forEach(content => visit(rootDir, content));
+
+  return Array.from(moduleDirs).sort().flatMap(moduleDir => fs.readdirSync(moduleDir)
+    .filter(fileName => fs.statSync(path.join(moduleDir, fileName)).isFile())
+    .sort()
+    .map(fileName => path.relative(rootDir, path.join(moduleDir, fileName)).split(path.sep).join('/')));
+};
+
+// Variable values to copy into terraform.tfvars. Secret values are left empty,
+// they never leave the server
+const generateTfvarsExample = (workload, variableValues) => {
+  const secretKeys = getSecretValueKeys(workload);
+  return renderAttributes([
+    section('Copy to terraform.tfvars and adjust. The values below are the defaults of the variables', variableValues),
+    ...(secretKeys.length > 0 ? [section(
+      'Values of the secret environment variables, stored in AWS Secrets Manager',
+      { [SECRET_VALUES_VARIABLE]: Object.fromEntries(secretKeys.map(key => [key, ''])) },
+    )] : []),
+  ]);
+};
+
+// Container variables reading each resource's outputs, keyed by resource id
+const getResourceVariables = (workload) => {
+  const variables = {};
+  Object.values(workload.containers || {}).forEach((container) => {
+    Object.entries(container.variables || {}).forEach(([name, value]) => {
+      Array.from(String(value).matchAll(RESOURCE_REFERENCE_PATTERN)).forEach(([, id]) => {
+        variables[id] = [...new Set([...(variables[id] || []), name])];
+      });
+    });
+  });
+  return variables;
+};
+
+const generateReadme = (workload, { variableValues, files, hasLockFile }) => {
+  const annotations = workload.metadata.annotations || {};
+  const executionEnvironment = EXECUTION_ENVIRONMENTS[annotations[ANNOTATIONS.executionEnvironment] || 'eks'];
+  const resourceVariables = getResourceVariables(workload);
+  const hasSecrets = getSecretValueKeys(workload).length > 0;
+
+  const resourceRows = Object.entries(workload.resources || {}).map(([id, { type }]) => {
+    const provisioner = getProvisioner(type);
+    const provisionedBy = provisioner ? provisioner.label : 'Not supported, not provisioned';
+    const variables = (resourceVariables[id] || []).map(name => `\`${name}\``).join(', ') || '-';
+    return `| \`${id}\` | \`${type}\` | ${provisionedBy} | ${variables} |`;
+  });
+
+  return [
+    `# ${workload.metadata.name} (${variableValues.environment})`,
+    '',
+    `Terraform configuration generated by Score UI from \`${SCORE_FILE}\` for the ${variableValues.environment} environment.`,
+    `The workload runs on ${executionEnvironment.label} in \`${variableValues.aws_region}\`, in its own VPC, and its`,
+    `resources are named after \`${variableValues.app_name}\`.`,
+    '',
+    '## Resources',
+    '',
+    ...(resourceRows.length > 0 ? [
+      '| Score resource | Type | Provisioned by | Container variables |',
+      '| --- | --- | --- | --- |',
+      ...resourceRows,
+    ] : ['The workload declares no resources.']),
+    '',
+    '## Files',
+    '',
+    `- \`${SCORE_FILE}\`: the Score file the configuration was generated from`,
+    ...Object.keys(files).map(fileName => `- \`${fileName}\`: generated Terraform configuration`),
+    '- `modules/`: the local modules the configuration uses',
+    `- \`${TFVARS_EXAMPLE_FILE}\`: example variable values`,
+    ...(hasLockFile ? [`- \`${LOCK_FILE}\`: provider versions selected when the workspace was initialized`] : []),
+    '',
+    '## Usage',
+    '',
+    '```bash',
+    `cp ${TFVARS_EXAMPLE_FILE} terraform.tfvars`,
+    'terraform init',
+    'terraform plan -out tfplan',
+    'terraform apply tfplan',
+    '```',
+    '',
+    ...(hasSecrets ? [
+      `Secret values are not part of the bundle. Set \`${SECRET_VALUES_VARIABLE}\` in terraform.tfvars, or in a`,
+      `\`${SECRET_VALUES_FILE}\` file kept out of version control, before planning.`,
+      '',
+    ] : []),
+  ].join('\n');
+};
+
+/**
+ * Collect the files making up a workspace's configuration for teams running
+ * Terraform in their own pipeline: the Score file, the generated files of the
+ * definition in `definitionDir`, the local modules they use, an example
+ * tfvars file, the lock file if the workspace was initialized and a README
+ * describing the resources. Secret values are never included. Throws when the
+ * definition is invalid.
+ * Returns { name, workload, variableValues, entries } with `name` the
+ * bundle's directory name and `entries` a list of { name, content }.
+ */
+const collectBundleFiles = (workspaceDir, {
+  definitionDir = workspaceDir,
+  environment,
+  overlay,
+  modulesDir,
+  region,
+}) => {
+  const scoreFile = readScoreFile(definitionDir);
+  const workload = yaml.load(scoreFile);
+  const session = getWorkspaceSession(workspaceDir);
+  const files = generateTerraformConfig(workload, {
+    modulesPath: `./${path.basename(modulesDir)}`,
+    region,
+    environment,
+    overlay,
+    format: TERRAFORM_FORMAT,
+    backend: getBackend(workload, { environment, region, ...session }),
+    owner: getOwnerName(session.owner),
+  });
+  const variableValues = getVariableValues(workload, { region, environment });
+
+  const rootDir = path.dirname(modulesDir);
+  const lockFilePath = path.join(workspaceDir, LOCK_FILE);
+  const hasLockFile = fs.existsSync(lockFilePath);
+
+  return {
+    name: `${workload.metadata.name}-${environment}`.replace(/[^A-Za-z0-9._-]/g, '-'),
+    workload,
+    variableValues,
+    entries: [
+      { name: 'README.md', content: generateReadme(workload, { variableValues, files, hasLockFile }) },
+      { name: SCORE_FILE, content: scoreFile },
+      ...Object.entries(files).map(([name, content]) => ({ name, content })),
+      { name: TFVARS_EXAMPLE_FILE, content: generateTfvarsExample(workload, variableValues) },
+      ...(hasLockFile ? [{ name: LOCK_FILE, content: fs.readFileSync(lockFilePath) }] : []),
+      ...collectModuleFiles(rootDir, files).map(name => ({
+        name,
+        content: fs.readFileSync(path.join(rootDir, name)),
+      })),
+    ],
+  };
+};
+
+// Bundle a workspace's configuration, see collectBundleFiles, as a gzipped
+// tar extracting into a directory named after the bundle.
+// Returns { fileName, archive } with the archive as a Buffer
+const createBundle = (workspaceDir, options) => {
+  const { name, entries } = collectBundleFiles(workspaceDir, options);
+  return {
+    fileName: `${name}.tar.gz`,
+    archive: createTarGz(entries.map(entry => ({ ...entry, name: `${name}/${entry.name}` }))),
+  };
+};
+
+module.exports = {
+  collectBundleFiles,
+  createBundle,
+};
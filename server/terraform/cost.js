@@ -0,0 +1,266 @@
+const fs = require('fs');
+const path = require('path');
+const { getAction } = require('./plan');
+
+// Price table of every region, see prices.json. Point PRICE_TABLE_FILE at a
+// copy to update prices without a release, it is read for every estimate
+const PRICE_TABLE_FILE = process.env.PRICE_TABLE_FILE || path.join(__dirname, 'prices.json');
+
+// Members of a broker of each deployment mode
+const MQ_BROKER_INSTANCES = {
+  SINGLE_INSTANCE: 1,
+  ACTIVE_STANDBY_MULTI_AZ: 2,
+  CLUSTER_MULTI_AZ: 3,
+};
+
+const readPriceTable = () => {
+  try {
+    return JSON.parse(fs.readFileSync(PRICE_TABLE_FILE, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read the price table ${PRICE_TABLE_FILE}: ${error.message}`);
+  }
+};
+
+const first = value => (Array.isArray(value) ? value[0] : value) || {};
+
+const unpriced = note => ({ monthly: null, note });
+
+const usageBased = note => ({ monthly: 0, usageBased: true, note });
+
+// Monthly price of `count` instances of a type billed by the hour
+const instancePrice = (rates, instanceType, count, { hours }) => {
+  if (!instanceType) return unpriced('Instance type known after apply');
+  if (rates[instanceType] === undefined) return unpriced(`No price for ${instanceType}`);
+  return { monthly: rates[instanceType] * count * hours, note: `${count} × ${instanceType}` };
+};
+
+const loadBalancerPrice = (type, { prices, hours }) => {
+  const rate = prices.elb[`${type}Hourly`];
+  if (rate === undefined) return unpriced(`No price for ${type} load balancers`);
+  return { monthly: rate * hours, note: `${type.charAt(0).toUpperCase()}${type.slice(1)} load balancer, excluding capacity units` };
+};
+
+/**
+ * Price of a resource type's planned values, given { prices, hours, tasks }
+ * with `prices` the region's prices and `tasks` the ECS tasks running in the
+ * resource's module. Returns { monthly, note, usageBased } with a null
+ * `monthly` when the table has no price, or null for resources that are not
+ * billed.
+ */
+const PRICERS = {
+  aws_eks_cluster: (values, { prices, hours }) => ({
+    monthly: prices.eks.clusterHourly * hours,
+    note: 'EKS control plane',
+  }),
+  // EKS starts nodes of the first instance type, t3.medium when none is given
+  aws_eks_node_group: (values, context) => instancePrice(
+    context.prices.ec2.instanceHourly,
+    (values.instance_types || [])[0] || 't3.medium',
+    first(values.scaling_config).desired_size || 0,
+    context,
+  ),
+  aws_instance: (values, context) => instancePrice(context.prices.ec2.instanceHourly, values.instance_type, 1, context),
+  aws_db_instance: (values, context) => {
+    const copies = values.multi_az ? 2 : 1;
+    const instance = instancePrice(context.prices.rds.instanceHourly, values.instance_class, copies, context);
+    if (instance.monthly === null) return instance;
+    const storageGb = values.allocated_storage || 0;
+    return {
+      monthly: instance.monthly + storageGb * copies * context.prices.rds.storageGbMonthly,
+      note: `${instance.note}${values.multi_az ? ' (Multi-AZ)' : ''}, ${storageGb} GB storage`,
+    };
+  },
+  aws_elasticache_cluster: (values, context) => instancePrice(
+    context.prices.elasticache.nodeHourly,
+    values.node_type,
+    values.num_cache_nodes || 1,
+    context,
+  ),
+  aws_elasticache_replication_group: (values, context) => instancePrice(
+    context.prices.elasticache.nodeHourly,
+    values.node_type,
+    values.num_cache_clusters || 1,
+    context,
+  ),
+  aws_mq_broker: (values, context) => instancePrice(
+    context.prices.mq.brokerHourly,
+    values.host_instance_type,
+    MQ_BROKER_INSTANCES[values.deployment_mode] || 1,
+    context,
+  ),
+  aws_nat_gateway: (values, { prices, hours }) => ({
+    monthly: prices.natGateway.hourly * hours,
+    note: 'NAT gateway, excluding data processed',
+  }),
+  aws_lb: (values, context) => loadBalancerPrice(values.load_balancer_type || 'application', context),
+  aws_alb: (values, context) => loadBalancerPrice(values.load_balancer_type || 'application', context),
+  aws_elb: (values, context) => loadBalancerPrice('classic', context),
+  // Kubernetes creates a classic load balancer for LoadBalancer services
+  kubernetes_service: (values, context) => (
+    first(values.spec).type === 'LoadBalancer' ? loadBalancerPrice('classic', context) : null
+  ),
+  kubernetes_service_v1: (values, context) => (
+    first(values.spec).type === 'LoadBalancer' ? loadBalancerPrice('classic', context) : null
+  ),
+  // Fargate bills the task size of every running task
+  aws_ecs_task_definition: (values, { prices, hours, tasks }) => {
+    const vcpu = Number(values.cpu) / 1024;
+    const memoryGb = Number(values.memory) / 1024;
+    if (!vcpu || !memoryGb) return unpriced('Task size known after apply');
+    return {
+      monthly: (vcpu * prices.fargate.vcpuHourly + memoryGb * prices.fargate.gbHourly) * tasks * hours,
+      note: `${tasks} Fargate task(s) of ${vcpu} vCPU and ${memoryGb} GB`,
+    };
+  },
+  aws_secretsmanager_secret: (values, { prices }) => ({
+    monthly: prices.secretsManager.secretMonthly,
+    note: 'Secret, excluding API calls',
+  }),
+  aws_s3_bucket: (values, { prices }) => usageBased(`Storage billed at $${prices.s3.storageGbMonthly} per GB-month`),
+  aws_lambda_function: () => usageBased('Billed per request and GB-second'),
+  aws_apigatewayv2_api: () => usageBased('Billed per request'),
+  aws_sqs_queue: () => usageBased('Billed per request'),
+  aws_sns_topic: () => usageBased('Billed per request and delivery'),
+  aws_cloudwatch_log_group: () => usageBased('Billed per GB ingested and stored'),
+  // The AWS Load Balancer Controller creates an application load balancer
+  // for ALB ingresses
+  kubernetes_ingress_v1: (values, context) => {
+    const { annotations } = first(values.metadata);
+    const isAlb = (annotations || {})['kubernetes.io/ingress.class'] === 'alb'
+      || first(values.spec).ingress_class_name === 'alb';
+    return isAlb ? loadBalancerPrice('application', context) : null;
+  },
+};
+
+// Resource types that cost nothing themselves: configuration of other
+// resources, and Kubernetes objects running on the cluster's nodes. Any other
+// type without a pricer is flagged unpriced rather than counted as free
+const NOT_BILLED = new Set([
+  'aws_apigatewayv2_integration',
+  'aws_apigatewayv2_route',
+  'aws_apigatewayv2_stage',
+  'aws_db_subnet_group',
+  'aws_ecs_cluster',
+  // Billed through its task definition
+  'aws_ecs_service',
+  'aws_elasticache_subnet_group',
+  'aws_iam_policy',
+  'aws_iam_role',
+  'aws_iam_role_policy',
+  'aws_iam_role_policy_attachment',
+  'aws_lambda_event_source_mapping',
+  'aws_lambda_permission',
+  'aws_lb_listener',
+  'aws_lb_target_group',
+  'aws_s3_bucket_lifecycle_configuration',
+  'aws_s3_bucket_ownership_controls',
+  'aws_s3_bucket_policy',
+  'aws_s3_bucket_public_access_block',
+  'aws_s3_bucket_server_side_encryption_configuration',
+  'aws_s3_bucket_versioning',
+  'aws_secretsmanager_secret_version',
+  'aws_security_group',
+  'aws_sns_topic_subscription',
+  'aws_sqs_queue_policy',
+  'aws_sqs_queue_redrive_allow_policy',
+  'aws_subnet',
+  'aws_vpc',
+  'helm_release',
+  'kubectl_manifest',
+  'kubernetes_deployment',
+  'kubernetes_deployment_v1',
+  'kubernetes_service_account',
+  'kubernetes_service_account_v1',
+  'null_resource',
+  'random_password',
+]);
+
+const getPricer = type => PRICERS[type] || (() => unpriced(`No price for ${type} resources`));
+
+// ECS tasks running in each module before or after the plan, keyed by module
+// address. Task definitions are priced by the tasks of the services next to
+// them, since a service's task definition is only known after apply
+const countTasks = (resourceChanges, side) => resourceChanges
+  .filter(({ type, change }) => type === 'aws_ecs_service' && change[side])
+  .reduce((tasks, { module_address: module, change }) => ({
+    ...tasks,
+    [module || '']: (tasks[module || ''] || 0) + (change[side].desired_count || 0),
+  }), {});
+
+const round = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Estimate the monthly cost of the resources in the JSON representation of a
+ * saved plan from the price table, before and after applying it. Resources
+ * billed by usage are listed at no fixed cost, resources the table has no
+ * price for, or of a type neither priced nor NOT_BILLED, are flagged
+ * `unpriced` and left out of the totals. Throws when the price table cannot be
+ * read or has no prices for the plan's region.
+ * Returns { currency, region, updatedAt, resources, total, unpriced } with
+ * `total` and each resource holding the monthly `before`, `after` and `delta`.
+ */
+const estimateCost = (plan, { region } = {}) => {
+  const priceTable = readPriceTable();
+  const planRegion = region || ((plan.variables || {}).aws_region || {}).value;
+  const prices = priceTable.regions[planRegion];
+  if (!prices) {
+    throw new Error(`The price table has no prices for ${planRegion || 'the plan\'s region'}`);
+  }
+
+  const resourceChanges = (plan.resource_changes || []).filter(({ mode }) => mode === 'managed');
+  const tasks = {
+    before: countTasks(resourceChanges, 'before'),
+    after: countTasks(resourceChanges, 'after'),
+  };
+
+  const resources = resourceChanges
+    .filter(({ type }) => !NOT_BILLED.has(type))
+    .map((resourceChange) => {
+      const { address, module_address: module, type, change } = resourceChange;
+      const [before, after] = ['before', 'after'].map(side => (change[side]
+        ? getPricer(type)(change[side], {
+          prices,
+          hours: priceTable.hoursPerMonth,
+          tasks: tasks[side][module || ''] || 0,
+        })
+        : null));
+      if (!before && !after) return null;
+
+      const isUnpriced = [before, after].some(price => price && price.monthly === null);
+      const beforeMonthly = isUnpriced || !before ? 0 : before.monthly;
+      const afterMonthly = isUnpriced || !after ? 0 : after.monthly;
+      return {
+        address,
+        module: module || null,
+        type,
+        action: getAction(change.actions) || 'no-op',
+        before: isUnpriced ? null : round(beforeMonthly),
+        after: isUnpriced ? null : round(afterMonthly),
+        delta: isUnpriced ? null : round(afterMonthly - beforeMonthly),
+        note: (after || before).note,
+        usageBased: !!(after || before).usageBased,
+        unpriced: isUnpriced,
+        // Unrounded, for the totals
+        beforeMonthly,
+        afterMonthly,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => Math.max(b.beforeMonthly, b.afterMonthly) - Math.max(a.beforeMonthly, a.afterMonthly));
+
+  const before = resources.reduce((sum, resource) => sum + resource.beforeMonthly, 0);
+  const after = resources.reduce((sum, resource) => sum + resource.afterMonthly, 0);
+
+  return {
+    currency: priceTable.currency,
+    region: planRegion,
+    updatedAt: priceTable.updatedAt,
+    resources: resources.map(({ beforeMonthly, afterMonthly, ...resource }) => resource),
+    total: { before: round(before), after: round(after), delta: round(after - before) },
+    unpriced: resources.filter(resource => resource.unpriced).length,
+  };
+};
+
+module.exports = {
+  estimateCost,
+};
@@ -0,0 +1,156 @@
+const { estimateCost } = require('./cost');
+
+const change = (address, type, after, { before = null, actions = ['create'], module } = {}) => ({
+  address,
+  mode: 'managed',
+  type,
+  name: address.split('.').pop(),
+  ...(module && { module_address: module }),
+  change: { actions, before, after },
+});
+
+const estimate = resourceChanges => estimateCost({
+  variables: { aws_region: { value: 'eu-west-2' } },
+  resource_changes: resourceChanges,
+});
+
+const byAddress = (cost, address) => cost.resources.find(resource => resource.address === address);
+
+describe('estimateCost', () => {
+  test('prices resources from the region of the plan', () => {
+    const cost = estimate([
+      change('aws_db_instance.main', 'aws_db_instance', { instance_class: 'db.t3.micro', allocated_storage: 20 }),
+    ]);
+
+    expect(cost).toMatchObject({ currency: 'USD', region: 'eu-west-2', unpriced: 0 });
+    expect(byAddress(cost, 'aws_db_instance.main')).toEqual({
+      address: 'aws_db_instance.main',
+      module: null,
+      type: 'aws_db_instance',
+      action: 'create',
+      before: 0,
+      after: 17.51,
+      delta: 17.51,
+      note: '1 × db.t3.micro, 20 GB storage',
+      usageBased: false,
+      unpriced: false,
+    });
+    expect(cost.total).toEqual({ before: 0, after: 17.51, delta: 17.51 });
+  });
+
+  test('prices the change of an updated resource', () => {
+    const cost = estimate([
+      change('aws_db_instance.main', 'aws_db_instance', { instance_class: 'db.t3.small', allocated_storage: 20 }, {
+        before: { instance_class: 'db.t3.micro', allocated_storage: 20 },
+        actions: ['update'],
+      }),
+    ]);
+    expect(cost.total).toEqual({ before: 17.51, after: 32.48, delta: 14.96 });
+  });
+
+  test('flags resources without a price and leaves them out of the total', () => {
+    const cost = estimate([
+      change('aws_db_instance.main', 'aws_db_instance', { instance_class: 'db.t3.micro', allocated_storage: 20 }),
+      change('aws_db_instance.huge', 'aws_db_instance', { instance_class: 'db.x9.huge', allocated_storage: 20 }),
+      change('aws_dynamodb_table.orders', 'aws_dynamodb_table', { billing_mode: 'PROVISIONED' }),
+    ]);
+
+    expect(cost.unpriced).toBe(2);
+    expect(byAddress(cost, 'aws_db_instance.huge')).toMatchObject({
+      before: null,
+      after: null,
+      delta: null,
+      note: 'No price for db.x9.huge',
+      unpriced: true,
+    });
+    expect(byAddress(cost, 'aws_dynamodb_table.orders')).toMatchObject({
+      after: null,
+      note: 'No price for aws_dynamodb_table resources',
+      unpriced: true,
+    });
+    expect(cost.total.after).toBe(17.51);
+  });
+
+  test('leaves out resources that are not billed', () => {
+    const cost = estimate([
+      change('aws_iam_role.app', 'aws_iam_role', { name: 'app' }),
+      change('aws_security_group.app', 'aws_security_group', { name: 'app' }),
+      change('random_password.db', 'random_password', { length: 32 }),
+    ]);
+    expect(cost.resources).toEqual([]);
+    expect(cost.unpriced).toBe(0);
+  });
+
+  test('refuses plans of a region without prices', () => {
+    expect(() => estimateCost({ variables: { aws_region: { value: 'mars-north-1' } }, resource_changes: [] }))
+      .toThrow('The price table has no prices for mars-north-1');
+  });
+});
+
+describe('estimateCost of an environment', () => {
+  test('eks prices the load balancers of the service and ingress', () => {
+    const cost = estimate([
+      change('kubernetes_deployment.app', 'kubernetes_deployment', { spec: [{ replicas: 2 }] }),
+      change('kubernetes_service.app', 'kubernetes_service', { spec: [{ type: 'LoadBalancer' }] }),
+      change('kubernetes_ingress_v1.app', 'kubernetes_ingress_v1', {
+        metadata: [{ annotations: { 'kubernetes.io/ingress.class': 'alb' } }],
+        spec: [{}],
+      }),
+      change('kubernetes_service_account.app', 'kubernetes_service_account', {}),
+      change('aws_iam_role.app', 'aws_iam_role', {}),
+      change('helm_release.external_secrets', 'helm_release', {}),
+    ]);
+
+    expect(cost.resources.map(({ address, after }) => [address, after])).toEqual([
+      ['kubernetes_service.app', 20.44],
+      ['kubernetes_ingress_v1.app', 18.61],
+    ]);
+    expect(cost.total.after).toBeCloseTo(39.06, 1);
+    expect(cost.unpriced).toBe(0);
+  });
+
+  test('ecs prices the Fargate tasks of the service and the load balancer', () => {
+    const cost = estimate([
+      change('aws_ecs_cluster.main', 'aws_ecs_cluster', {}),
+      change('aws_ecs_service.app', 'aws_ecs_service', { desired_count: 2 }),
+      change('aws_ecs_task_definition.app', 'aws_ecs_task_definition', { cpu: '512', memory: '1024' }),
+      change('aws_lb.app', 'aws_lb', { load_balancer_type: 'application' }),
+      change('aws_lb_listener.http', 'aws_lb_listener', {}),
+      change('aws_lb_target_group.app', 'aws_lb_target_group', {}),
+      change('aws_cloudwatch_log_group.app', 'aws_cloudwatch_log_group', {}),
+    ]);
+
+    expect(byAddress(cost, 'aws_ecs_task_definition.app')).toMatchObject({
+      after: 40.9,
+      note: '2 Fargate task(s) of 0.5 vCPU and 1 GB',
+    });
+    expect(byAddress(cost, 'aws_lb.app').after).toBe(18.61);
+    expect(byAddress(cost, 'aws_cloudwatch_log_group.app')).toMatchObject({ after: 0, usageBased: true });
+    expect(cost.total.after).toBe(59.52);
+    expect(cost.unpriced).toBe(0);
+  });
+
+  test('lambda lists its resources as billed by usage', () => {
+    const cost = estimate([
+      change('aws_lambda_function.app', 'aws_lambda_function', { memory_size: 512 }),
+      change('aws_apigatewayv2_api.app', 'aws_apigatewayv2_api', {}),
+      change('aws_apigatewayv2_stage.app', 'aws_apigatewayv2_stage', {}),
+      change('aws_apigatewayv2_route.app', 'aws_apigatewayv2_route', {}),
+      change('aws_apigatewayv2_integration.app', 'aws_apigatewayv2_integration', {}),
+      change('aws_lambda_permission.api', 'aws_lambda_permission', {}),
+      change('aws_sqs_queue.trigger', 'aws_sqs_queue', {}),
+      change('aws_lambda_event_source_mapping.trigger', 'aws_lambda_event_source_mapping', {}),
+      change('aws_cloudwatch_log_group.app', 'aws_cloudwatch_log_group', {}),
+    ]);
+
+    expect(cost.resources.map(({ type }) => type).sort()).toEqual([
+      'aws_apigatewayv2_api',
+      'aws_cloudwatch_log_group',
+      'aws_lambda_function',
+      'aws_sqs_queue',
+    ]);
+    expect(cost.resources.every(({ usageBased, after }) => usageBased && after === 0)).toBe(true);
+    expect(cost.total).toEqual({ before: 0, after: 0, delta: 0 });
+    expect(cost.unpriced).toBe(0);
+  });
+});
@@ -0,0 +1,82 @@
+// Number of unchanged lines shown around each change
+const CONTEXT_LINES = 3;
+
+// Compare two texts line by line using their longest common subsequence.
+// Returns the lines of both texts tagged ' ', '-' or '+'
+const diffLines = (before, after) => {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ type: ' ', text: a[i], oldLine: i + 1, newLine: j + 1 });
+      i += 1;
+      j += 1;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      lines.push({ type: '-', text: a[i], oldLine: i + 1 });
+      i += 1;
+    } else {
+      lines.push({ type: '+', text: b[j], newLine: j + 1 });
+      j += 1;
+    }
+  }
+  return lines;
+};
+
+/**
+ * Render a unified diff between two versions of a file, with a hunk for each
+ * group of nearby changes. Returns an empty string when the texts are equal.
+ */
+const unifiedDiff = (before, after, { fromFile = 'a', toFile = 'b' } = {}) => {
+  const lines = diffLines(before, after);
+  const changed = lines.map((line, index) => (line.type !== ' ' ? index : -1)).filter(index => index !== -1);
+  if (changed.length === 0) {
+    return '';
+  }
+
+  // Group changes whose context would overlap into one hunk
+  const hunks = [];
+  changed.forEach((index) => {
+    const start = Math.max(0, index - CONTEXT_LINES);
+    const end = Math.min(lines.length, index + CONTEXT_LINES + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  });
+
+  const header = [`--- ${fromFile}`, `+++ ${toFile}`];
+  const body = hunks.flatMap(({ start, end }) => {
+    const hunkLines = lines.slice(start, end);
+    const oldLines = hunkLines.filter(line => line.type !== '+');
+    const newLines = hunkLines.filter(line => line.type !== '-');
+    // Line numbers of an empty side are those of the line before the hunk
+    const oldStart = oldLines.length > 0 ? oldLines[0].oldLine : lines.slice(0, start).filter(line => line.type !== '+').length;
+    const newStart = newLines.length > 0 ? newLines[0].newLine : lines.slice(0, start).filter(line => line.type !== '-').length;
+
+    return [
+      `@@ -${oldStart},${oldLines.length} +${newStart},${newLines.length} @@`,
+      ...hunkLines.map(line => `${line.type}${line.text}`),
+    ];
+  });
+
+  return [...header, ...body].join('\n');
+};
+
+module.exports = {
+  unifiedDiff,
+};
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const execa = require('execa');
+const { ENVIRONMENTS } = require('../generators/overlays');
+const { listJobs, getWorkspaceLock, isQueueFull, startJob } = require('./jobs');
+const { summarizeDrift } = require('./plan');
+
+const DRIFT_PLAN_FILE = 'drift.tfplan';
+const DRIFT_RECORD_FILE = '.drift.json';
+
+// How often applied environments are checked for drift, 0 to disable
+const DRIFT_CHECK_INTERVAL_MS = process.env.DRIFT_CHECK_INTERVAL_MS === undefined
+  ? 6 * 60 * 60 * 1000
+  : Math.max(0, parseInt(process.env.DRIFT_CHECK_INTERVAL_MS, 10) || 0);
+
+// Exit codes of `terraform plan -detailed-exitcode`
+const EXIT_IN_SYNC = 0;
+const EXIT_DRIFTED = 2;
+
+const getRecordPath = envDir => path.join(envDir, DRIFT_RECORD_FILE);
+
+/**
+ * The latest drift check of a workspace, or null when it was never checked:
+ *
+ *   status     `in-sync`, `drifted` or `error`
+ *   checkedAt  when the check finished
+ *   jobId      the job that ran it, whose log has Terraform's output
+ *   resources  the resources changed outside of Terraform, see summarizeDrift
+ *   error      why the check failed
+ */
+const readDrift = (envDir) => {
+  const recordPath = getRecordPath(envDir);
+  return fs.existsSync(recordPath) ? JSON.parse(fs.readFileSync(recordPath, 'utf8')) : null;
+};
+
+const saveDrift = (envDir, record) => {
+  fs.writeFileSync(getRecordPath(envDir), JSON.stringify(record, null, 2));
+};
+
+// Forget the drift found by the last check once the environment was applied
+// or destroyed
+const clearDrift = (envDir) => {
+  fs.rmSync(getRecordPath(envDir), { force: true });
+};
+
+// Whether the environment's resources exist: its latest apply or destroy was
+// an apply that succeeded
+const isApplied = (envDir) => {
+  const latest = listJobs(envDir)
+    .find(({ action, status }) => ['apply', 'destroy'].includes(action) && status === 'succeeded');
+  return !!latest && latest.action === 'apply';
+};
+
+/**
+ * Check a workspace for drift with a refresh-only plan, as a job holding the
+ * workspace's lock like any other Terraform run. The plan is saved to its own
+ * file so a plan waiting for review is left alone. Calls onFinish with the
+ * job once the check is recorded. Returns the job.
+ */
+const checkDrift = (envDir, { sessionId, environment, onFinish }) => {
+  let resources = [];
+
+  return startJob({
+    envDir,
+    sessionId,
+    environment,
+    action: 'drift',
+    command: 'terraform',
+    args: ['plan', '-refresh-only', '-detailed-exitcode', '-input=false', `-out=${DRIFT_PLAN_FILE}`],
+    successCodes: [EXIT_IN_SYNC, EXIT_DRIFTED],
+    onSuccess: async (exitCode) => {
+      if (exitCode === EXIT_DRIFTED) {
+        const { stdout } = await execa('terraform', ['show', '-json', DRIFT_PLAN_FILE], { cwd: envDir });
+        resources = summarizeDrift(JSON.parse(stdout));
+      }
+      return { drifted: resources.length > 0 };
+    },
+    onFinish: (job) => {
+      fs.rmSync(path.join(envDir, DRIFT_PLAN_FILE), { force: true });
+      // A cancelled check says nothing about the environment
+      if (job.status !== 'cancelled') {
+        const succeeded = job.status === 'succeeded';
+        saveDrift(envDir, {
+          status: succeeded ? (resources.length > 0 ? 'drifted' : 'in-sync') : 'error',
+          checkedAt: job.finishedAt,
+          jobId: job.id,
+          resources: succeeded ? resources : [],
+          ...(!succeeded && { error: job.error }),
+        });
+      }
+      if (onFinish) onFinish(job);
+    },
+  });
+};
+
+// Check the applied environments of every session, one at a time so the
+// checks neither fill the job queue nor keep many workspaces locked.
+// Workspaces busy with another job, or found while the queue is full, are
+// checked in the next round
+const checkAllSessions = (environmentsDir) => {
+  const workspaces = fs.readdirSync(environmentsDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .flatMap(({ name: sessionId }) => ENVIRONMENTS.map(environment => ({
+      sessionId,
+      environment,
+      envDir: path.join(environmentsDir, sessionId, environment),
+    })))
+    .filter(({ envDir }) => fs.existsSync(envDir) && isApplied(envDir));
+
+  return workspaces.reduce((previous, { sessionId, environment, envDir }) => previous.then(() => {
+    if (getWorkspaceLock(envDir) || isQueueFull()) return null;
+    return new Promise((resolve) => {
+      checkDrift(envDir, { sessionId, environment, onFinish: resolve });
+    }).catch((error) => {
+      console.error(`Drift check of ${sessionId}/${environment} failed:`, error);
+    });
+  }), Promise.resolve());
+};
+
+// Check applied environments for drift every DRIFT_CHECK_INTERVAL_MS. A round
+// is skipped while the previous one is still running
+const startDriftScheduler = (environmentsDir) => {
+  if (DRIFT_CHECK_INTERVAL_MS === 0) return null;
+
+  let running = false;
+  const timer = setInterval(() => {
+    if (running || !fs.existsSync(environmentsDir)) return;
+    running = true;
+    checkAllSessions(environmentsDir)
+      .catch(error => console.error('Drift checks failed:', error))
+      .finally(() => {
+        running = false;
+      });
+  }, DRIFT_CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  DRIFT_CHECK_INTERVAL_MS,
+  readDrift,
+  clearDrift,
+  checkDrift,
+  startDriftScheduler,
+};
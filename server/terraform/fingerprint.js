@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PLAN_FILE = 'tfplan';
+const PLAN_RECORD_FILE = '.plan.json';
+
+// Workspace files that determine what a plan does
+const INPUT_FILE_PATTERN = /(\.tf|\.tf\.json|\.tfvars|\.tfvars\.json|^score\.yaml|^\.terraform\.lock\.hcl)$/;
+// Local module sources, in HCL (source = "...") and JSON ("source": "...")
+const LOCAL_MODULE_PATTERN = /"?source"?\s*[=:]\s*"(\.{1,2}\/[^"]+)"/g;
+
+// Relative sources of the local modules referenced by a Terraform file
+const getLocalModuleSources = content => Array.from(String(content).matchAll(LOCAL_MODULE_PATTERN))
+  .map(([, source]) => source);
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+const listInputFiles = dir => fs.readdirSync(dir)
+  .filter(fileName => INPUT_FILE_PATTERN.test(fileName))
+  .filter(fileName => fs.statSync(path.join(dir, fileName)).isFile())
+  .sort();
+
+// Hash the workspace inputs: the Terraform files, variables, Score file and
+// lock file, plus the sources of local modules they reference
+const hashInputs = (envDir) => {
+  const hash = crypto.createHash('sha256');
+  const moduleDirs = new Set();
+
+  listInputFiles(envDir).forEach((fileName) => {
+    const content = fs.readFileSync(path.join(envDir, fileName));
+    hash.update(`${fileName}\0`).update(content).update('\0');
+
+    if (fileName.endsWith('.tf') || fileName.endsWith('.tf.json')) {
+      getLocalModuleSources(content)
+        .forEach(source => moduleDirs.add(path.resolve(envDir, source)));
+    }
+  });
+
+  Array.from(moduleDirs).sort().forEach((moduleDir) => {
+    if (!fs.existsSync(moduleDir)) return;
+    listInputFiles(moduleDir).forEach((fileName) => {
+      hash.update(`${path.relative(envDir, path.join(moduleDir, fileName))}\0`)
+        .update(fs.readFileSync(path.join(moduleDir, fileName)))
+        .update('\0');
+    });
+  });
+
+  return hash.digest('hex');
+};
+
+// Compute the fingerprint of the plan file on disk and the inputs it was made from
+const computeFingerprint = (envDir) => {
+  const planHash = sha256(fs.readFileSync(path.join(envDir, PLAN_FILE)));
+  const inputsHash = hashInputs(envDir);
+
+  return {
+    planHash,
+    inputsHash,
+    fingerprint: sha256(`${planHash}:${inputsHash}`),
+  };
+};
+
+const readPlanRecord = (envDir) => {
+  const recordPath = path.join(envDir, PLAN_RECORD_FILE);
+  if (!fs.existsSync(recordPath)) return null;
+  return JSON.parse(fs.readFileSync(recordPath, 'utf8'));
+};
+
+// Record the fingerprint of a freshly created plan, along with `details`
+// such as the results of its policy checks
+const recordPlan = (envDir, details = {}) => {
+  const record = {
+    ...computeFingerprint(envDir),
+    ...details,
+    createdAt: new Date().toISOString(),
+  };
+  fs.writeFileSync(path.join(envDir, PLAN_RECORD_FILE), JSON.stringify(record, null, 2));
+  return record;
+};
+
+// Forget the recorded plan once it has been applied or discarded
+const clearPlanRecord = (envDir) => {
+  fs.rmSync(path.join(envDir, PLAN_RECORD_FILE), { force: true });
+};
+
+// Check that the plan on disk is still the recorded one and, when a
+// fingerprint is given, that it is the plan the client reviewed.
+// Returns { valid, status, error, record }
+const verifyPlan = (envDir, fingerprint) => {
+  const record = readPlanRecord(envDir);
+  if (!record || !fs.existsSync(path.join(envDir, PLAN_FILE))) {
+    return { valid: false, status: 404, error: 'No reviewed plan found, generate a plan first' };
+  }
+
+  const current = computeFingerprint(envDir);
+  if (current.planHash !== record.planHash) {
+    return { valid: false, status: 409, error: 'The plan file changed since it was reviewed, generate a new plan' };
+  }
+  if (current.inputsHash !== record.inputsHash) {
+    return { valid: false, status: 409, error: 'The workspace configuration changed since the plan was created, generate a new plan' };
+  }
+  if (fingerprint !== undefined && fingerprint !== record.fingerprint) {
+    return { valid: false, status: 409, error: 'The plan was replaced since it was reviewed, review the latest plan before applying' };
+  }
+
+  return { valid: true, status: 200, record };
+};
+
+module.exports = {
+  PLAN_FILE,
+  getLocalModuleSources,
+  recordPlan,
+  readPlanRecord,
+  clearPlanRecord,
+  verifyPlan,
+};
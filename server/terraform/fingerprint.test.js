@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  PLAN_FILE,
+  getLocalModuleSources,
+  recordPlan,
+  readPlanRecord,
+  clearPlanRecord,
+  verifyPlan,
+} = require('./fingerprint');
+
+let baseDir;
+let envDir;
+
+const write = (fileName, content) => fs.writeFileSync(path.join(envDir, fileName), content);
+
+beforeEach(() => {
+  baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fingerprint-'));
+  envDir = path.join(baseDir, 'dev');
+  fs.mkdirSync(envDir);
+  fs.mkdirSync(path.join(baseDir, 'modules', 'queue'), { recursive: true });
+  fs.writeFileSync(path.join(baseDir, 'modules', 'queue', 'main.tf'), 'resource "aws_sqs_queue" "main" {}\n');
+
+  write('main.tf', 'module "queue" {\n  source = "../modules/queue"\n}\n');
+  write('terraform.tfvars', 'app_name = "orders"\n');
+  write('score.yaml', 'apiVersion: score.dev/v1b1\n');
+  write(PLAN_FILE, 'plan v1');
+});
+
+afterEach(() => {
+  fs.rmSync(baseDir, { recursive: true, force: true });
+});
+
+describe('verifyPlan', () => {
+  test('accepts the recorded plan and its fingerprint', () => {
+    const record = recordPlan(envDir, { policy: { violations: [] } });
+    const result = verifyPlan(envDir, record.fingerprint);
+    expect(result).toEqual({ valid: true, status: 200, record });
+    expect(result.record.policy).toEqual({ violations: [] });
+    expect(verifyPlan(envDir).valid).toBe(true);
+  });
+
+  test('refuses a plan whose inputs changed', () => {
+    const { fingerprint } = recordPlan(envDir);
+    const changed = {
+      valid: false,
+      status: 409,
+      error: 'The workspace configuration changed since the plan was created, generate a new plan',
+    };
+
+    write('terraform.tfvars', 'app_name = "payments"\n');
+    expect(verifyPlan(envDir, fingerprint)).toEqual(changed);
+    write('terraform.tfvars', 'app_name = "orders"\n');
+    expect(verifyPlan(envDir, fingerprint).valid).toBe(true);
+
+    write('score.yaml', 'apiVersion: score.dev/v1b1\nmetadata: {}\n');
+    expect(verifyPlan(envDir, fingerprint)).toEqual(changed);
+  });
+
+  test('refuses a plan whose local modules changed', () => {
+    const { fingerprint } = recordPlan(envDir);
+    fs.writeFileSync(path.join(baseDir, 'modules', 'queue', 'main.tf'), 'resource "aws_sqs_queue" "other" {}\n');
+    expect(verifyPlan(envDir, fingerprint).error).toBe(
+      'The workspace configuration changed since the plan was created, generate a new plan'
+    );
+  });
+
+  test('ignores files that are not inputs', () => {
+    const { fingerprint } = recordPlan(envDir);
+    write('notes.txt', 'not an input');
+    fs.mkdirSync(path.join(envDir, '.jobs'));
+    expect(verifyPlan(envDir, fingerprint).valid).toBe(true);
+  });
+
+  test('refuses a changed plan file', () => {
+    const { fingerprint } = recordPlan(envDir);
+    write(PLAN_FILE, 'plan v2');
+    expect(verifyPlan(envDir, fingerprint)).toEqual({
+      valid: false,
+      status: 409,
+      error: 'The plan file changed since it was reviewed, generate a new plan',
+    });
+  });
+
+  test('refuses a plan replaced since the client reviewed it', () => {
+    const { fingerprint } = recordPlan(envDir);
+    write(PLAN_FILE, 'plan v2');
+    recordPlan(envDir);
+    expect(verifyPlan(envDir, fingerprint)).toEqual({
+      valid: false,
+      status: 409,
+      error: 'The plan was replaced since it was reviewed, review the latest plan before applying',
+    });
+  });
+
+  test('refuses a plan without a record or plan file', () => {
+    const { fingerprint } = recordPlan(envDir);
+    const missing = { valid: false, status: 404, error: 'No reviewed plan found, generate a plan first' };
+
+    fs.rmSync(path.join(envDir, '.plan.json'));
+    expect(verifyPlan(envDir, fingerprint)).toEqual(missing);
+
+    recordPlan(envDir);
+    fs.rmSync(path.join(envDir, PLAN_FILE));
+    expect(verifyPlan(envDir, fingerprint)).toEqual(missing);
+  });
+});
+
+describe('clearPlanRecord', () => {
+  test('forgets the recorded plan so it cannot be applied again', () => {
+    const { fingerprint } = recordPlan(envDir);
+    clearPlanRecord(envDir);
+    expect(readPlanRecord(envDir)).toBeNull();
+    expect(verifyPlan(envDir, fingerprint).status).toBe(404);
+    expect(() => clearPlanRecord(envDir)).not.toThrow();
+  });
+});
+
+describe('getLocalModuleSources', () => {
+  test('finds relative module sources in HCL and JSON', () => {
+    expect(getLocalModuleSources('module "a" {\n  source = "../modules/a"\n}\nmodule "b" {\n  source = "hashicorp/b/aws"\n}')).toEqual(['../modules/a']);
+    expect(getLocalModuleSources(JSON.stringify({ module: { a: { source: './modules/a' } } }))).toEqual(['./modules/a']);
+  });
+});
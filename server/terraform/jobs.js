@@ -0,0 +1,323 @@
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const JOBS_DIR = '.jobs';
+const JOB_ID_PATTERN = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}';
+
+// Maximum number of Terraform processes the server runs at once
+const MAX_CONCURRENCY = Math.max(1, parseInt(process.env.TF_MAX_CONCURRENCY, 10) || 2);
+
+// Maximum number of jobs waiting for a free slot. Further jobs are refused
+// until the queue drains
+const MAX_QUEUE_LENGTH = Math.max(1, parseInt(process.env.TF_MAX_QUEUE_LENGTH, 10) || 20);
+
+// How long a cancelled process gets to stop gracefully before it is killed
+const CANCEL_TIMEOUT_MS = parseInt(process.env.TF_CANCEL_TIMEOUT_MS, 10) || 30000;
+
+// Jobs queued or running in this server, keyed by job ID
+const activeJobs = new Map();
+
+// The active job holding each workspace, keyed by workspace directory
+const workspaceLocks = new Map();
+
+// Jobs waiting for a free slot, in arrival order
+const queue = [];
+let runningCount = 0;
+
+const isValidJobId = jobId => new RegExp(`^${JOB_ID_PATTERN}$`).test(jobId || '');
+
+const getJobsDir = envDir => path.join(envDir, JOBS_DIR);
+const getJobPath = (envDir, jobId) => path.join(getJobsDir(envDir), `${jobId}.json`);
+const getLogPath = (envDir, jobId) => path.join(getJobsDir(envDir), `${jobId}.log`);
+
+const saveJob = (envDir, job) => {
+  fs.writeFileSync(getJobPath(envDir, job.id), JSON.stringify(job, null, 2));
+};
+
+// Read a job record. A job left running by a server that has since stopped
+// can never finish, so it is reported as interrupted
+const readJob = (envDir, jobId) => {
+  if (!isValidJobId(jobId) || !fs.existsSync(getJobPath(envDir, jobId))) {
+    return null;
+  }
+
+  const job = JSON.parse(fs.readFileSync(getJobPath(envDir, jobId), 'utf8'));
+  if ((job.status === 'queued' || job.status === 'running') && !activeJobs.has(jobId)) {
+    return { ...job, status: 'interrupted' };
+  }
+  return job;
+};
+
+// List the jobs of a session, most recent first
+const listJobs = (envDir) => {
+  if (!fs.existsSync(getJobsDir(envDir))) return [];
+
+  return fs.readdirSync(getJobsDir(envDir))
+    .filter(fileName => fileName.endsWith('.json'))
+    .map(fileName => readJob(envDir, path.basename(fileName, '.json')))
+    .filter(Boolean)
+    .sort((a, b) => (b.queuedAt || b.startedAt).localeCompare(a.queuedAt || a.startedAt));
+};
+
+// Read the persisted events of a job after the given sequence number
+const readEvents = (envDir, jobId, afterSeq = 0) => {
+  const logPath = getLogPath(envDir, jobId);
+  if (!fs.existsSync(logPath)) return [];
+
+  return fs.readFileSync(logPath, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line))
+    .filter(event => event.seq > afterSeq);
+};
+
+// Persist an event before publishing it, so a client replaying the log and
+// then subscribing never misses one
+const appendEvent = (active, data) => {
+  active.seq += 1;
+  const event = { seq: active.seq, data };
+  fs.appendFileSync(getLogPath(active.envDir, active.job.id), `${JSON.stringify(event)}\n`);
+  active.emitter.emit('event', event);
+};
+
+const isTerminalEvent = data => data.error !== undefined || data.status === 'completed' || data.status === 'cancelled';
+
+// Return the job currently holding a workspace, if any
+const getWorkspaceLock = envDir => workspaceLocks.get(path.resolve(envDir)) || null;
+
+// Whether a new job would have to wait in a queue already holding
+// MAX_QUEUE_LENGTH jobs
+const isQueueFull = () => runningCount >= MAX_CONCURRENCY && queue.length >= MAX_QUEUE_LENGTH;
+
+// Start queued jobs while there are free slots
+const runQueuedJobs = () => {
+  while (runningCount < MAX_CONCURRENCY && queue.length > 0) {
+    const launch = queue.shift();
+    runningCount += 1;
+    launch();
+  }
+
+  queue.forEach((launch, index) => launch.reportPosition(index + 1));
+};
+
+/**
+ * Queue a command as a job of the session. The job holds the workspace's lock
+ * until it finishes, and waits for a free slot when MAX_CONCURRENCY jobs are
+ * already running, unless MAX_QUEUE_LENGTH jobs are already waiting, see
+ * isQueueFull. Output lines, the completion event and the job record are
+ * persisted under the workspace's .jobs directory.
+ * The command succeeds when it exits with one of `successCodes`. onSuccess is
+ * called with the exit code and may return, or resolve to, extra fields for
+ * the completion event. onFinish is called with the job record however it ended.
+ * `startedBy` names the user who started the job, null for scheduled jobs.
+ */
+const startJob = ({
+  envDir,
+  sessionId,
+  environment,
+  action,
+  command,
+  args,
+  env,
+  successCodes = [0],
+  onSuccess,
+  onFinish,
+  startedBy = null,
+}) => {
+  const lockKey = path.resolve(envDir);
+  if (workspaceLocks.has(lockKey)) {
+    throw new Error(`Workspace ${envDir} is locked by job ${workspaceLocks.get(lockKey).id}`);
+  }
+  if (isQueueFull()) {
+    throw new Error(`The job queue is full with ${queue.length} jobs waiting`);
+  }
+
+  fs.mkdirSync(getJobsDir(envDir), { recursive: true });
+
+  const job = {
+    id: uuidv4(),
+    sessionId,
+    environment,
+    action,
+    command: [command, ...args].join(' '),
+    startedBy,
+    status: 'queued',
+    queuedAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    exitCode: null,
+    error: null
+  };
+  saveJob(envDir, job);
+
+  const active = { envDir, job, emitter: new EventEmitter(), seq: 0 };
+  active.emitter.setMaxListeners(0);
+  activeJobs.set(job.id, active);
+  workspaceLocks.set(lockKey, job);
+
+  const finish = (fields, data) => {
+    if (job.finishedAt) return;
+    clearTimeout(killTimer);
+    Object.assign(job, fields, { finishedAt: new Date().toISOString() });
+    saveJob(envDir, job);
+    appendEvent(active, data);
+    activeJobs.delete(job.id);
+    workspaceLocks.delete(lockKey);
+    if (job.startedAt) {
+      runningCount -= 1;
+    }
+    runQueuedJobs();
+    if (onFinish) onFinish(job);
+  };
+
+  let child = null;
+  let killTimer = null;
+
+  const launch = () => {
+    Object.assign(job, { status: 'running', startedAt: new Date().toISOString() });
+    saveJob(envDir, job);
+
+    child = spawn(command, args, { cwd: envDir, env });
+    let stderr = '';
+
+    child.stdout.on('data', (data) => {
+      const message = data.toString();
+      console.log(`[${command}] stdout:`, message);
+      appendEvent(active, { log: message });
+    });
+
+    child.stderr.on('data', (data) => {
+      const message = data.toString();
+      console.error(`[${command}] stderr:`, message);
+      stderr += message;
+      appendEvent(active, { log: message });
+    });
+
+    child.on('close', (code, signal) => {
+      clearTimeout(killTimer);
+
+      if (active.cancelRequested) {
+        return finish(
+          { status: 'cancelled', exitCode: code, signal },
+          { status: 'cancelled' }
+        );
+      }
+
+      if (!successCodes.includes(code)) {
+        const error = stderr || `Process exited with code ${code}`;
+        return finish({ status: 'failed', exitCode: code, error }, { error });
+      }
+
+      return Promise.resolve()
+        .then(() => (onSuccess ? onSuccess(code) : {}))
+        .then(
+          result => finish({ status: 'succeeded', exitCode: code }, { status: 'completed', ...result }),
+          error => finish({ status: 'failed', exitCode: code, error: error.message }, { error: error.message })
+        );
+    });
+
+    child.on('error', (error) => {
+      console.error(`[${command}] error:`, error);
+      finish({ status: 'failed', error: error.message }, { error: error.message });
+    });
+  };
+
+  let reportedPosition = null;
+  launch.reportPosition = (position) => {
+    if (position === reportedPosition) return;
+    reportedPosition = position;
+    appendEvent(active, { log: `Waiting for a free slot, position ${position} in the queue\n` });
+  };
+
+  // Ask Terraform to stop with SIGINT so it can release state locks, and
+  // kill it if it is still running after CANCEL_TIMEOUT_MS. A queued job is
+  // simply taken out of the queue. Returns whether the job is being cancelled
+  active.cancel = () => {
+    // Terraform has already exited and the job is finishing, e.g. reading the
+    // plan it saved, which is left to complete
+    if (active.cancelRequested || (child && (child.exitCode !== null || child.signalCode))) return false;
+    active.cancelRequested = true;
+
+    if (!child) {
+      queue.splice(queue.indexOf(launch), 1);
+      finish({ status: 'cancelled' }, { status: 'cancelled' });
+      return true;
+    }
+
+    appendEvent(active, { log: 'Cancelling, waiting for Terraform to stop gracefully\n' });
+    child.kill('SIGINT');
+    killTimer = setTimeout(() => {
+      appendEvent(active, { log: `Terraform did not stop within ${CANCEL_TIMEOUT_MS / 1000}s, killing it\n` });
+      child.kill('SIGKILL');
+    }, CANCEL_TIMEOUT_MS);
+    return true;
+  };
+
+  queue.push(launch);
+  runQueuedJobs();
+
+  return job;
+};
+
+// Cancel an active job. Returns false when it is not active, is already
+// being cancelled or its command has already exited
+const cancelJob = (jobId) => {
+  const active = activeJobs.get(jobId);
+  return !!active && active.cancel();
+};
+
+// Parse an SSE event ID of the form <jobId>:<seq>
+const parseEventId = (eventId) => {
+  const match = new RegExp(`^(${JOB_ID_PATTERN}):(\\d+)$`).exec(eventId || '');
+  return match ? { jobId: match[1], seq: Number(match[2]) } : null;
+};
+
+/**
+ * Stream the events of a job as server-sent events, replaying those after
+ * afterSeq from disk and then following the job live until it finishes
+ */
+const streamJob = (req, res, envDir, jobId, afterSeq = 0) => {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+
+  let lastSeq = afterSeq;
+  const send = (event) => {
+    if (event.seq <= lastSeq || res.writableEnded) return;
+    lastSeq = event.seq;
+    res.write(`id: ${jobId}:${event.seq}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    if (isTerminalEvent(event.data)) {
+      res.end();
+    }
+  };
+
+  readEvents(envDir, jobId, afterSeq).forEach(send);
+  if (res.writableEnded) return;
+
+  const active = activeJobs.get(jobId);
+  if (!active) {
+    res.write(`data: ${JSON.stringify({ error: 'The job was interrupted before it finished' })}\n\n`);
+    res.end();
+    return;
+  }
+
+  active.emitter.on('event', send);
+  res.on('close', () => active.emitter.off('event', send));
+};
+
+module.exports = {
+  MAX_CONCURRENCY,
+  MAX_QUEUE_LENGTH,
+  isValidJobId,
+  readJob,
+  listJobs,
+  getWorkspaceLock,
+  isQueueFull,
+  startJob,
+  cancelJob,
+  parseEventId,
+  streamJob,
+};
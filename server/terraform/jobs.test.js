@@ -0,0 +1,225 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.TF_MAX_CONCURRENCY = '1';
+process.env.TF_MAX_QUEUE_LENGTH = '2';
+process.env.TF_CANCEL_TIMEOUT_MS = '5000';
+const CANCEL_TIMEOUT_MS = 5000;
+const {
+  MAX_QUEUE_LENGTH,
+  readJob,
+  getWorkspaceLock,
+  isQueueFull,
+  startJob,
+  cancelJob,
+  streamJob,
+} = require('./jobs');
+
+// A fake terraform printing its arguments and running until it is
+// interrupted. With `stubborn` as its first argument it ignores SIGINT
+const FAKE_TERRAFORM = `#!/bin/sh
+if [ "$1" = stubborn ]; then
+  trap '' INT
+else
+  trap 'echo interrupted; exit 130' INT
+fi
+echo "terraform $*"
+while true; do sleep 0.05; done
+`;
+
+let baseDir;
+let env;
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+  fs.mkdirSync(path.join(baseDir, 'bin'));
+  fs.writeFileSync(path.join(baseDir, 'bin', 'terraform'), FAKE_TERRAFORM, { mode: 0o755 });
+  env = { ...process.env, PATH: `${path.join(baseDir, 'bin')}:${process.env.PATH}` };
+});
+
+afterAll(() => {
+  fs.rmSync(baseDir, { recursive: true, force: true });
+});
+
+const workspace = (name) => {
+  const envDir = path.join(baseDir, name);
+  fs.mkdirSync(envDir, { recursive: true });
+  return envDir;
+};
+
+// Follow the events of a job as a client of its stream would
+const follow = (envDir, jobId) => {
+  const events = [];
+  const waiters = [];
+  const check = () => waiters
+    .filter(({ predicate }) => events.some(predicate))
+    .forEach((waiter) => {
+      waiters.splice(waiters.indexOf(waiter), 1);
+      waiter.resolve();
+    });
+
+  const res = {
+    writableEnded: false,
+    setHeader: () => {},
+    on: () => {},
+    write: (chunk) => {
+      const data = /^data: (.*)$/m.exec(chunk)[1];
+      events.push(JSON.parse(data));
+      check();
+    },
+    end: () => {
+      res.writableEnded = true;
+    },
+  };
+  streamJob({}, res, envDir, jobId);
+
+  return {
+    events,
+    logs: () => events.filter(({ log }) => log !== undefined).map(({ log }) => log).join(''),
+    waitFor: predicate => new Promise((resolve) => {
+      waiters.push({ predicate, resolve });
+      check();
+    }),
+  };
+};
+
+const run = (envDir, args = ['plan']) => startJob({
+  envDir,
+  sessionId: 'session',
+  environment: 'dev',
+  action: args[0],
+  command: 'terraform',
+  args,
+  env,
+});
+
+const isFinished = ({ status, error }) => status !== undefined || error !== undefined;
+const isStarted = ({ log }) => !!log && log.startsWith('terraform ');
+
+// Start a job and wait until the fake terraform runs
+const runStarted = async (envDir, args) => {
+  const job = run(envDir, args);
+  const followed = follow(envDir, job.id);
+  await followed.waitFor(isStarted);
+  return { job, followed };
+};
+
+describe('startJob', () => {
+  test('refuses jobs once MAX_QUEUE_LENGTH jobs are waiting', async () => {
+    const running = run(workspace('full-running'));
+    const queued = Array.from({ length: MAX_QUEUE_LENGTH }, (_, index) => run(workspace(`full-queued-${index}`)));
+    expect(queued.map(({ status }) => status)).toEqual(['queued', 'queued']);
+    expect(isQueueFull()).toBe(true);
+
+    const refusedDir = workspace('full-refused');
+    expect(() => run(refusedDir)).toThrow('The job queue is full with 2 jobs waiting');
+    expect(getWorkspaceLock(refusedDir)).toBeNull();
+    expect(fs.existsSync(path.join(refusedDir, '.jobs'))).toBe(false);
+
+    cancelJob(queued[1].id);
+    expect(isQueueFull()).toBe(false);
+
+    const followed = follow(workspace('full-running'), running.id);
+    await followed.waitFor(({ log }) => log && log.includes('terraform plan'));
+    expect(cancelJob(queued[0].id)).toBe(true);
+    expect(cancelJob(running.id)).toBe(true);
+    expect(cancelJob(running.id)).toBe(false);
+    await followed.waitFor(isFinished);
+    expect(cancelJob(running.id)).toBe(false);
+    expect(readJob(workspace('full-running'), running.id).status).toBe('cancelled');
+  });
+
+  test('locks the workspace until the job finishes', async () => {
+    const envDir = workspace('locked');
+    const { job, followed } = await runStarted(envDir);
+    expect(getWorkspaceLock(envDir)).toBe(job);
+    expect(() => run(envDir)).toThrow(`Workspace ${envDir} is locked by job ${job.id}`);
+
+    cancelJob(job.id);
+    await followed.waitFor(isFinished);
+    expect(getWorkspaceLock(envDir)).toBeNull();
+  });
+
+  test('reports the position of queued jobs as the queue moves', async () => {
+    const { job: running, followed } = await runStarted(workspace('positions-running'));
+    const first = run(workspace('positions-first'));
+    const second = run(workspace('positions-second'));
+    const firstFollowed = follow(workspace('positions-first'), first.id);
+    const secondFollowed = follow(workspace('positions-second'), second.id);
+    expect(firstFollowed.logs()).toBe('Waiting for a free slot, position 1 in the queue\n');
+    expect(secondFollowed.logs()).toBe('Waiting for a free slot, position 2 in the queue\n');
+
+    cancelJob(running.id);
+    await followed.waitFor(isFinished);
+    await firstFollowed.waitFor(isStarted);
+    expect(readJob(workspace('positions-first'), first.id).status).toBe('running');
+    expect(secondFollowed.logs()).toBe([
+      'Waiting for a free slot, position 2 in the queue\n',
+      'Waiting for a free slot, position 1 in the queue\n',
+    ].join(''));
+
+    cancelJob(second.id);
+    cancelJob(first.id);
+    await firstFollowed.waitFor(isFinished);
+  });
+});
+
+describe('cancelJob', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('takes a queued job out of the queue', async () => {
+    const { job: running, followed } = await runStarted(workspace('dequeue-running'));
+    const cancelled = run(workspace('dequeue-cancelled'));
+    const next = run(workspace('dequeue-next'));
+
+    expect(cancelJob(cancelled.id)).toBe(true);
+    expect(readJob(workspace('dequeue-cancelled'), cancelled.id)).toMatchObject({ status: 'cancelled', startedAt: null });
+    expect(getWorkspaceLock(workspace('dequeue-cancelled'))).toBeNull();
+    expect(follow(workspace('dequeue-next'), next.id).logs()).toContain('position 1 in the queue');
+
+    cancelJob(running.id);
+    await followed.waitFor(isFinished);
+    const nextFollowed = follow(workspace('dequeue-next'), next.id);
+    await nextFollowed.waitFor(isStarted);
+    expect(readJob(workspace('dequeue-cancelled'), cancelled.id).startedAt).toBeNull();
+
+    cancelJob(next.id);
+    await nextFollowed.waitFor(isFinished);
+  });
+
+  test('interrupts a running job with SIGINT', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    const envDir = workspace('interrupted');
+    const { job, followed } = await runStarted(envDir);
+
+    expect(cancelJob(job.id)).toBe(true);
+    await followed.waitFor(isFinished);
+    expect(followed.logs()).toContain('Cancelling, waiting for Terraform to stop gracefully\ninterrupted\n');
+    expect(followed.events[followed.events.length - 1]).toEqual({ status: 'cancelled' });
+    expect(readJob(envDir, job.id)).toMatchObject({ status: 'cancelled', exitCode: 130, signal: null });
+
+    jest.advanceTimersByTime(CANCEL_TIMEOUT_MS);
+    expect(followed.logs()).not.toContain('killing it');
+  });
+
+  test('kills a job still running CANCEL_TIMEOUT_MS after SIGINT', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    const envDir = workspace('killed');
+    const { job, followed } = await runStarted(envDir, ['stubborn']);
+
+    expect(cancelJob(job.id)).toBe(true);
+    jest.advanceTimersByTime(CANCEL_TIMEOUT_MS - 1);
+    expect(followed.logs()).not.toContain('killing it');
+    expect(readJob(envDir, job.id).status).toBe('running');
+
+    jest.advanceTimersByTime(1);
+    expect(followed.logs()).toContain('Terraform did not stop within 5s, killing it\n');
+    await followed.waitFor(isFinished);
+    expect(readJob(envDir, job.id)).toMatchObject({ status: 'cancelled', exitCode: null, signal: 'SIGKILL' });
+  });
+});
@@ -0,0 +1,145 @@
+// Map `terraform show -json` action lists to the actions shown to reviewers
+const getAction = (actions) => {
+  const key = actions.join(',');
+  switch (key) {
+    case 'create':
+      return 'create';
+    case 'update':
+      return 'update';
+    case 'delete':
+      return 'destroy';
+    case 'delete,create':
+    case 'create,delete':
+      return 'replace';
+    default:
+      return null;
+  }
+};
+
+const isObject = value => value !== null && typeof value === 'object';
+
+// Flatten nested plan values into a map of attribute path to leaf value
+const flatten = (value, prefix = '', result = {}) => {
+  if (Array.isArray(value)) {
+    if (value.length === 0 && prefix) result[prefix] = [];
+    value.forEach((item, index) => flatten(item, `${prefix}[${index}]`, result));
+  } else if (isObject(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 0 && prefix) result[prefix] = {};
+    keys.forEach(key => flatten(value[key], prefix ? `${prefix}.${key}` : key, result));
+  } else if (prefix) {
+    result[prefix] = value;
+  }
+  return result;
+};
+
+// Collect the attribute paths flagged as true in before/after_sensitive and
+// after_unknown, including everything nested under a flagged parent
+const flaggedPaths = (flags) => {
+  if (flags === true) return { all: true, paths: new Set() };
+  const paths = new Set(Object.entries(flatten(flags))
+    .filter(([, flagged]) => flagged === true)
+    .map(([attribute]) => attribute));
+  return { all: false, paths };
+};
+
+const isFlagged = ({ all, paths }, attribute) => all || Array.from(paths).some(flagged => (
+  attribute === flagged || attribute.startsWith(`${flagged}.`) || attribute.startsWith(`${flagged}[`)
+));
+
+const formatReplacePath = segments => segments
+  .map((segment, index) => (typeof segment === 'number' ? `[${segment}]` : `${index > 0 ? '.' : ''}${segment}`))
+  .join('');
+
+// Build attribute-level diffs for a single resource change
+const diffAttributes = (change) => {
+  const before = flatten(change.before || {});
+  const after = flatten(change.after || {});
+  const unknown = flaggedPaths(change.after_unknown || {});
+  const beforeSensitive = flaggedPaths(change.before_sensitive || {});
+  const afterSensitive = flaggedPaths(change.after_sensitive || {});
+  const replacePaths = (change.replace_paths || []).map(formatReplacePath);
+
+  Object.keys(flatten(change.after_unknown || {})).forEach((attribute) => {
+    if (!(attribute in after)) after[attribute] = null;
+  });
+
+  const attributes = Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).sort();
+
+  return attributes
+    .map((attribute) => {
+      const isUnknown = isFlagged(unknown, attribute);
+      const sensitive = isFlagged(beforeSensitive, attribute) || isFlagged(afterSensitive, attribute);
+      const beforeValue = attribute in before ? before[attribute] : null;
+      const afterValue = attribute in after ? after[attribute] : null;
+
+      if (!isUnknown && JSON.stringify(beforeValue) === JSON.stringify(afterValue)) {
+        return null;
+      }
+
+      return {
+        path: attribute,
+        before: sensitive ? '(sensitive)' : beforeValue,
+        after: sensitive ? '(sensitive)' : (isUnknown ? '(known after apply)' : afterValue),
+        sensitive,
+        unknown: isUnknown,
+        forcesReplacement: replacePaths.some(replacePath => (
+          attribute === replacePath || attribute.startsWith(`${replacePath}.`) || attribute.startsWith(`${replacePath}[`)
+        )),
+      };
+    })
+    .filter(Boolean);
+};
+
+// Summarise the JSON representation of a saved plan into the resource
+// changes reviewers need to see before applying it
+const summarizePlan = (plan) => {
+  const counts = {
+    create: 0,
+    update: 0,
+    replace: 0,
+    destroy: 0,
+  };
+
+  const changes = (plan.resource_changes || [])
+    .map((resourceChange) => {
+      const action = getAction(resourceChange.change.actions);
+      if (!action) return null;
+
+      counts[action] += 1;
+      return {
+        address: resourceChange.address,
+        module: resourceChange.module_address || null,
+        type: resourceChange.type,
+        name: resourceChange.name,
+        action,
+        attributes: diffAttributes(resourceChange.change),
+      };
+    })
+    .filter(Boolean);
+
+  return {
+    terraformVersion: plan.terraform_version,
+    counts,
+    changes,
+    hasDestructiveChanges: counts.destroy > 0 || counts.replace > 0,
+  };
+};
+
+// Summarise the resources a refresh-only plan found changed outside of
+// Terraform, e.g. in the AWS console. Resources deleted there are reported
+// with the destroy action
+const summarizeDrift = plan => (plan.resource_drift || []).map(drift => ({
+  address: drift.address,
+  module: drift.module_address || null,
+  type: drift.type,
+  name: drift.name,
+  action: getAction(drift.change.actions) || drift.change.actions.join(','),
+  attributes: diffAttributes(drift.change),
+}));
+
+module.exports = {
+  getAction,
+  summarizePlan,
+  summarizeDrift,
+};
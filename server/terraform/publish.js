@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const execa = require('execa');
+const { ANNOTATIONS } = require('../score');
+const { EXECUTION_ENVIRONMENTS } = require('../generators');
+
+// Repository published workspaces are committed to, a local path or any URL
+// git can push to. Publishing is disabled when it is not set
+const GIT_PUBLISH_REPOSITORY = process.env.GIT_PUBLISH_REPOSITORY || '';
+// Branch new branches start from, by default the repository's HEAD
+const GIT_PUBLISH_BASE_BRANCH = process.env.GIT_PUBLISH_BASE_BRANCH || '';
+// Author and committer of published commits. git's GIT_AUTHOR_* and
+// GIT_COMMITTER_* variables take precedence
+const GIT_PUBLISH_AUTHOR_NAME = process.env.GIT_PUBLISH_AUTHOR_NAME || 'Score UI';
+const GIT_PUBLISH_AUTHOR_EMAIL = process.env.GIT_PUBLISH_AUTHOR_EMAIL || 'score-ui@localhost';
+
+const BRANCH_PREFIX = 'score-ui/';
+
+const isPublishConfigured = () => GIT_PUBLISH_REPOSITORY !== '';
+
+// Run git in `cwd`, failing with git's own error output
+const git = async (args, cwd) => {
+  try {
+    const { stdout } = await execa('git', [
+      '-c', `user.name=${GIT_PUBLISH_AUTHOR_NAME}`,
+      '-c', `user.email=${GIT_PUBLISH_AUTHOR_EMAIL}`,
+      ...args,
+    ], { cwd });
+    return stdout.trim();
+  } catch (error) {
+    throw new Error(`git ${args[0]} failed: ${(error.stderr || error.message).trim()}`);
+  }
+};
+
+// e.g. 20261019T140502Z, to keep branch names unique and sortable
+const formatTimestamp = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+
+// Subject, summary and trailers describing what the commit deploys, for the
+// reviewers of the pull request
+const formatCommitMessage = ({ workload, variableValues }, { sessionId }) => {
+  const annotations = workload.metadata.annotations || {};
+  const executionEnvironment = EXECUTION_ENVIRONMENTS[annotations[ANNOTATIONS.executionEnvironment] || 'eks'];
+  const resources = Object.entries(workload.resources || {});
+
+  return [
+    `Publish ${workload.metadata.name} to ${variableValues.environment}`,
+    '',
+    `Score file and Terraform configuration of ${workload.metadata.name} for the ${variableValues.environment} environment,`,
+    `running on ${executionEnvironment.label} in ${variableValues.aws_region}.`,
+    '',
+    'Resources:',
+    ...(resources.length > 0 ? resources.map(([id, { type }]) => `- ${id} (${type})`) : ['- none']),
+    '',
+    `Score-UI-Session: ${sessionId}`,
+    `Score-UI-Environment: ${variableValues.environment}`,
+  ].join('\n');
+};
+
+/**
+ * Commit a bundle collected by collectBundleFiles (see ./bundle) to a new
+ * branch of the configured repository, named after the application and
+ * environment, and push it so it can be reviewed in a pull request. The
+ * bundle replaces the directory of the same name on the base branch.
+ * Throws when publishing is not configured or git fails.
+ * Returns { published, status, error } when the bundle matches the base
+ * branch, or { published, status, repository, branch, baseBranch, path, commit }
+ */
+const publishBundle = async (bundle, { sessionId, now = new Date() }) => {
+  if (!isPublishConfigured()) {
+    throw new Error('Publishing to git is not configured, set GIT_PUBLISH_REPOSITORY');
+  }
+
+  const cloneDir = fs.mkdtempSync(path.join(os.tmpdir(), 'score-ui-publish-'));
+  try {
+    await git([
+      'clone', '--quiet', '--depth', '1', '--no-tags',
+      ...(GIT_PUBLISH_BASE_BRANCH ? ['--branch', GIT_PUBLISH_BASE_BRANCH] : []),
+      GIT_PUBLISH_REPOSITORY, cloneDir,
+    ]);
+    const baseBranch = await git(['symbolic-ref', '--short', 'HEAD'], cloneDir);
+
+    const branch = `${BRANCH_PREFIX}${bundle.name}-${formatTimestamp(now)}`;
+    await git(['checkout', '--quiet', '-b', branch], cloneDir);
+
+    const bundleDir = path.join(cloneDir, bundle.name);
+    fs.rmSync(bundleDir, { recursive: true, force: true });
+    bundle.entries.forEach(({ name, content }) => {
+      fs.mkdirSync(path.dirname(path.join(bundleDir, name)), { recursive: true });
+      fs.writeFileSync(path.join(bundleDir, name), content);
+    });
+
+    await git(['add', '--all', '--', bundle.name], cloneDir);
+    if (!await git(['status', '--porcelain', '--', bundle.name], cloneDir)) {
+      return {
+        published: false,
+        status: 409,
+        error: `Nothing to publish, ${bundle.name} is already up to date on ${baseBranch}`,
+      };
+    }
+    await git(['commit', '--quiet', '-m', formatCommitMessage(bundle, { sessionId })], cloneDir);
+    await git(['push', '--quiet', 'origin', branch], cloneDir);
+
+    return {
+      published: true,
+      status: 200,
+      repository: GIT_PUBLISH_REPOSITORY,
+      branch,
+      baseBranch,
+      path: bundle.name,
+      commit: await git(['rev-parse', 'HEAD'], cloneDir),
+    };
+  } finally {
+    fs.rmSync(cloneDir, { recursive: true, force: true });
+  }
+};
+
+module.exports = {
+  isPublishConfigured,
+  publishBundle,
+};
@@ -0,0 +1,64 @@
+const zlib = require('zlib');
+
+const BLOCK_SIZE = 512;
+
+// Write `value` as a NUL-terminated octal number filling `length` bytes
+const writeOctal = (header, value, offset, length) => {
+  header.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset, length, 'ascii');
+};
+
+// ustar stores names of up to 100 bytes, longer paths are split at a slash
+// into a prefix of up to 155 bytes and the name
+const splitName = (name) => {
+  if (Buffer.byteLength(name) <= 100) return { prefix: '', name };
+
+  const index = name.lastIndexOf('/', 155);
+  if (index <= 0 || Buffer.byteLength(name.slice(index + 1)) > 100) {
+    throw new Error(`Archive entry name is too long: ${name}`);
+  }
+  return { prefix: name.slice(0, index), name: name.slice(index + 1) };
+};
+
+const createHeader = ({ name, size, mode, mtime }) => {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  const split = splitName(name);
+
+  header.write(split.name, 0, 100, 'utf8');
+  writeOctal(header, mode, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, mtime, 136, 12);
+  header.write('0', 156, 1, 'ascii');
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+  header.write(split.prefix, 345, 155, 'utf8');
+
+  // The checksum is computed with its own field filled with spaces
+  header.fill(' ', 148, 156);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+  return header;
+};
+
+// Create a gzipped tar archive of regular files, each { name, content, mode }
+// with `content` a string or Buffer and `mode` defaulting to 0644
+const createTarGz = (entries, { mtime = new Date() } = {}) => {
+  const seconds = Math.floor(mtime.getTime() / 1000);
+  const blocks = entries.flatMap(({ name, content, mode = 0o644 }) => {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    const padding = (BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    return [
+      createHeader({ name, size: data.length, mode, mtime: seconds }),
+      data,
+      Buffer.alloc(padding),
+    ];
+  });
+
+  // Two empty blocks mark the end of the archive
+  return zlib.gzipSync(Buffer.concat([...blocks, Buffer.alloc(BLOCK_SIZE * 2)]));
+};
+
+module.exports = {
+  createTarGz,
+};
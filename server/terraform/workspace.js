@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const {
+  FORMATS,
+  CONFIG_FILES,
+  SECRET_VALUES_VARIABLE,
+  SECRET_VALUES_FILE,
+  generateTerraformConfig,
+  getSecretValueKeys,
+} = require('../generators');
+const { ENVIRONMENTS, resolveOverlay } = require('../generators/overlays');
+const { getBackend, isRemoteBackend } = require('./backend');
+
+const SCORE_FILE = 'score.yaml';
+const OVERLAYS_FILE = 'overlays.json';
+const SESSION_FILE = 'session.json';
+
+// Syntax the Terraform files are generated in, `hcl` (.tf) or `json` (.tf.json)
+const TERRAFORM_FORMAT = process.env.TERRAFORM_FORMAT || 'hcl';
+if (!FORMATS[TERRAFORM_FORMAT]) {
+  throw new Error(`TERRAFORM_FORMAT must be one of ${Object.keys(FORMATS).join(', ')}, got "${TERRAFORM_FORMAT}"`);
+}
+
+// The files making up an application definition: the Score file and the
+// secret values kept out of it
+const DEFINITION_FILES = [SCORE_FILE, SECRET_VALUES_FILE];
+
+/**
+ * Each environment of a session has its own Terraform workspace directory
+ * under the session directory, which keeps the application definition edited
+ * in the form and the overlay overrides of every environment:
+ *
+ *   <session>/score.yaml, secrets.auto.tfvars.json, overlays.json, session.json
+ *   <session>/<environment>/  definition deployed there, Terraform files, state
+ */
+const getWorkspaceDir = (sessionDir, environment) => (
+  ENVIRONMENTS.includes(environment) ? path.join(sessionDir, environment) : null
+);
+
+// Sessions created before environments had their workspace in the session
+// directory itself. Move its Terraform files and state into the dev workspace
+const migrateLegacyWorkspace = (sessionDir) => {
+  const devDir = getWorkspaceDir(sessionDir, 'dev');
+  if (fs.existsSync(devDir) || !fs.existsSync(path.join(sessionDir, 'main.tf'))) {
+    return;
+  }
+
+  fs.mkdirSync(devDir);
+  fs.readdirSync(sessionDir)
+    .filter(entry => !ENVIRONMENTS.includes(entry) && entry !== OVERLAYS_FILE && entry !== SESSION_FILE)
+    .forEach((entry) => {
+      const source = path.join(sessionDir, entry);
+      if (DEFINITION_FILES.includes(entry)) {
+        fs.copyFileSync(source, path.join(devDir, entry));
+      } else {
+        fs.renameSync(source, path.join(devDir, entry));
+      }
+    });
+};
+
+// Migrate the legacy workspace of every session under `environmentsDir`.
+// Run once when the server starts, before any request reads a workspace
+const migrateLegacyWorkspaces = (environmentsDir) => {
+  if (!fs.existsSync(environmentsDir)) return;
+
+  fs.readdirSync(environmentsDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .forEach(entry => migrateLegacyWorkspace(path.join(environmentsDir, entry.name)));
+};
+
+// Overlay overrides saved for each environment of the session
+const readOverlayOverrides = (sessionDir) => {
+  const overridesPath = path.join(sessionDir, OVERLAYS_FILE);
+  return fs.existsSync(overridesPath) ? JSON.parse(fs.readFileSync(overridesPath, 'utf8')) : {};
+};
+
+const saveOverlayOverrides = (sessionDir, environment, overrides) => {
+  const saved = { ...readOverlayOverrides(sessionDir), [environment]: overrides };
+  fs.mkdirSync(sessionDir, { recursive: true });
+  fs.writeFileSync(path.join(sessionDir, OVERLAYS_FILE), JSON.stringify(saved, null, 2));
+};
+
+// The user who created the session, as { id, username, team }, or null for
+// sessions created before users signed in
+const readSessionOwner = (sessionDir) => {
+  const sessionPath = path.join(sessionDir, SESSION_FILE);
+  return fs.existsSync(sessionPath) ? JSON.parse(fs.readFileSync(sessionPath, 'utf8')).owner : null;
+};
+
+const saveSessionOwner = (sessionDir, { id, username, team }) => {
+  fs.mkdirSync(sessionDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(sessionDir, SESSION_FILE),
+    JSON.stringify({ owner: { id, username, team: team || null }, createdAt: new Date().toISOString() }, null, 2)
+  );
+};
+
+// The session an environment's workspace belongs to and its owner, which
+// scope the workspace's remote state
+const getWorkspaceSession = workspaceDir => ({
+  sessionId: path.basename(path.dirname(workspaceDir)),
+  owner: readSessionOwner(path.dirname(workspaceDir)),
+});
+
+// Name the resources of a session's workspaces are tagged as owned by: the
+// owner's team, or the owner when they have none
+const getOwnerName = owner => (owner ? owner.team || owner.username : null);
+
+const getOverlay = (sessionDir, environment) => (
+  resolveOverlay(environment, readOverlayOverrides(sessionDir)[environment])
+);
+
+const hasDefinition = dir => fs.existsSync(path.join(dir, SCORE_FILE));
+
+// Replace the definition in `toDir` with the one in `fromDir`. Secret values
+// stay readable by the server only
+const copyDefinition = (fromDir, toDir) => {
+  fs.mkdirSync(toDir, { recursive: true });
+  fs.copyFileSync(path.join(fromDir, SCORE_FILE), path.join(toDir, SCORE_FILE));
+
+  const secretValuesPath = path.join(toDir, SECRET_VALUES_FILE);
+  if (fs.existsSync(path.join(fromDir, SECRET_VALUES_FILE))) {
+    fs.copyFileSync(path.join(fromDir, SECRET_VALUES_FILE), secretValuesPath);
+    fs.chmodSync(secretValuesPath, 0o600);
+  } else {
+    fs.rmSync(secretValuesPath, { force: true });
+  }
+};
+
+const readScoreFile = dir => fs.readFileSync(path.join(dir, SCORE_FILE), 'utf8');
+
+// Names of the applications defined in a session or, with `deployedOnly`,
+// only those deployed to one of its environments
+const getApplicationNames = (sessionDir, { deployedOnly = false } = {}) => new Set([
+  ...(deployedOnly ? [] : [sessionDir]),
+  ...ENVIRONMENTS.map(environment => getWorkspaceDir(sessionDir, environment)),
+]
+  .filter(hasDefinition)
+  .map((dir) => {
+    try {
+      const workload = yaml.load(readScoreFile(dir));
+      return workload && workload.metadata && workload.metadata.name;
+    } catch (error) {
+      return null;
+    }
+  })
+  .filter(Boolean));
+
+/**
+ * Another session of `owner`'s team defining the application `name` or, with
+ * `deployedOnly`, deploying it. The sessions of a team share the remote state
+ * of an application, see getStateKey, so only one of them may hold it.
+ * Returns the session's ID, or null when there is none or state is not shared.
+ */
+const findSessionSharingState = (sessionDir, { owner, name, deployedOnly = false }) => {
+  if (!isRemoteBackend() || !owner || !owner.team) return null;
+
+  const environmentsDir = path.dirname(sessionDir);
+  const sessionId = path.basename(sessionDir);
+  if (!fs.existsSync(environmentsDir)) return null;
+
+  const other = fs.readdirSync(environmentsDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && entry.name !== sessionId)
+    .map(entry => path.join(environmentsDir, entry.name))
+    .find((dir) => {
+      const otherOwner = readSessionOwner(dir);
+      return !!otherOwner && otherOwner.team === owner.team && getApplicationNames(dir, { deployedOnly }).has(name);
+    });
+  return other ? path.basename(other) : null;
+};
+
+/**
+ * Generate the Terraform files of a workspace from the definition in
+ * `definitionDir`, by default the one the workspace holds, and the
+ * environment's overlay, storing state in the configured backend. Throws when
+ * the definition is invalid, secret values are missing or another session of
+ * the team holds the application's state, see findSessionSharingState.
+ * Returns a map of file name to content without writing anything.
+ */
+const generateWorkspaceFiles = (workspaceDir, {
+  definitionDir = workspaceDir,
+  environment,
+  overlay,
+  modulesDir,
+  region,
+}) => {
+  const workload = yaml.load(readScoreFile(definitionDir));
+  const session = getWorkspaceSession(workspaceDir);
+
+  // Sessions defining the application without deploying it yet are refused
+  // when they generate it, see POST /api/generate
+  const sharingSession = findSessionSharingState(path.dirname(workspaceDir), {
+    owner: session.owner,
+    name: workload.metadata.name,
+    deployedOnly: true,
+  });
+  if (sharingSession) {
+    throw new Error(`Session ${sharingSession} of team ${session.owner.team} already deploys ${workload.metadata.name}, open that session or rename the application`);
+  }
+
+  const secretValuesPath = path.join(definitionDir, SECRET_VALUES_FILE);
+  const secretValues = fs.existsSync(secretValuesPath)
+    ? JSON.parse(fs.readFileSync(secretValuesPath, 'utf8'))[SECRET_VALUES_VARIABLE] || {}
+    : {};
+  const missingSecrets = getSecretValueKeys(workload).filter(key => !(key in secretValues));
+  if (missingSecrets.length > 0) {
+    throw new Error(`Secret values are missing for ${missingSecrets.join(', ')}, enter them in the form and generate the score file again`);
+  }
+
+  return generateTerraformConfig(workload, {
+    modulesPath: path.relative(workspaceDir, modulesDir).split(path.sep).join('/'),
+    region,
+    environment,
+    overlay,
+    format: TERRAFORM_FORMAT,
+    backend: getBackend(workload, { environment, region, ...session }),
+    owner: getOwnerName(session.owner),
+  });
+};
+
+// Write the generated files, removing those generated in another format
+// before the server's format changed so Terraform does not load both
+const writeWorkspaceFiles = (workspaceDir, files) => {
+  Object.values(FORMATS)
+    .flatMap(({ extension }) => CONFIG_FILES.map(name => `${name}${extension}`))
+    .filter(fileName => !(fileName in files))
+    .forEach(fileName => fs.rmSync(path.join(workspaceDir, fileName), { force: true }));
+
+  Object.entries(files).forEach(([fileName, content]) => {
+    fs.writeFileSync(path.join(workspaceDir, fileName), content);
+  });
+};
+
+module.exports = {
+  SCORE_FILE,
+  TERRAFORM_FORMAT,
+  getWorkspaceDir,
+  migrateLegacyWorkspaces,
+  readOverlayOverrides,
+  saveOverlayOverrides,
+  readSessionOwner,
+  saveSessionOwner,
+  getWorkspaceSession,
+  getOwnerName,
+  findSessionSharingState,
+  getOverlay,
+  hasDefinition,
+  copyDefinition,
+  readScoreFile,
+  generateWorkspaceFiles,
+  writeWorkspaceFiles,
+};
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.TF_BACKEND = 'http';
+process.env.TF_BACKEND_HTTP_ADDRESS = 'http://state.test';
+const {
+  saveSessionOwner,
+  findSessionSharingState,
+  generateWorkspaceFiles,
+} = require('./workspace');
+
+const scoreFile = name => `apiVersion: score.dev/v1b1\nmetadata:\n  name: ${name}\ncontainers:\n  main:\n    image: nginx:1.27\n`;
+
+let environmentsDir;
+
+// Create a session of `owner` defining `defined` and deploying `deployed`
+// to dev
+const createSession = (sessionId, owner, { defined, deployed } = {}) => {
+  const sessionDir = path.join(environmentsDir, sessionId);
+  saveSessionOwner(sessionDir, owner);
+  if (defined) {
+    fs.writeFileSync(path.join(sessionDir, 'score.yaml'), scoreFile(defined));
+  }
+  if (deployed) {
+    fs.mkdirSync(path.join(sessionDir, 'dev'));
+    fs.writeFileSync(path.join(sessionDir, 'dev', 'score.yaml'), scoreFile(deployed));
+  }
+  return sessionDir;
+};
+
+const alice = { id: 'alice', username: 'alice', team: 't1' };
+const carol = { id: 'carol', username: 'carol', team: 't1' };
+const bob = { id: 'bob', username: 'bob', team: 't2' };
+
+beforeEach(() => {
+  environmentsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'environments-'));
+});
+
+afterEach(() => {
+  fs.rmSync(environmentsDir, { recursive: true, force: true });
+});
+
+describe('findSessionSharingState', () => {
+  test('finds another session of the team defining or deploying the application', () => {
+    createSession('deployed', alice, { defined: 'payments', deployed: 'orders' });
+    createSession('defined', carol, { defined: 'billing' });
+    const sessionDir = path.join(environmentsDir, 'new');
+
+    expect(findSessionSharingState(sessionDir, { owner: carol, name: 'orders' })).toBe('deployed');
+    expect(findSessionSharingState(sessionDir, { owner: carol, name: 'payments' })).toBe('deployed');
+    expect(findSessionSharingState(sessionDir, { owner: alice, name: 'billing' })).toBe('defined');
+    expect(findSessionSharingState(sessionDir, { owner: alice, name: 'billing', deployedOnly: true })).toBeNull();
+    expect(findSessionSharingState(sessionDir, { owner: alice, name: 'shipping' })).toBeNull();
+  });
+
+  test('leaves out the session itself, other teams and users without a team', () => {
+    const sessionDir = createSession('deployed', alice, { deployed: 'orders' });
+
+    expect(findSessionSharingState(sessionDir, { owner: alice, name: 'orders' })).toBeNull();
+    const otherDir = path.join(environmentsDir, 'other');
+    expect(findSessionSharingState(otherDir, { owner: bob, name: 'orders' })).toBeNull();
+    expect(findSessionSharingState(otherDir, { owner: { ...carol, team: null }, name: 'orders' })).toBeNull();
+  });
+});
+
+describe('generateWorkspaceFiles', () => {
+  const generate = sessionDir => generateWorkspaceFiles(path.join(sessionDir, 'dev'), {
+    environment: 'dev',
+    modulesDir: path.join(__dirname, '..', '..', 'modules'),
+    region: 'eu-west-2',
+  });
+
+  test('keys the state by team, application and environment', () => {
+    const files = generate(createSession('deployed', alice, { deployed: 'orders' }));
+    expect(files['main.tf']).toContain('address = "http://state.test/score-ui/teams/t1/orders/dev/terraform.tfstate"');
+    expect(files['main.tf']).toContain('Owner       = "t1"');
+  });
+
+  test('refuses an application another session of the team deploys', () => {
+    createSession('deployed', alice, { deployed: 'orders' });
+    const sessionDir = createSession('second', carol, { deployed: 'orders' });
+    expect(() => generate(sessionDir)).toThrow('Session deployed of team t1 already deploys orders');
+  });
+
+  test('lets the deploying session continue when another session defines the application', () => {
+    const sessionDir = createSession('deployed', alice, { deployed: 'orders' });
+    createSession('second', carol, { defined: 'orders' });
+    expect(() => generate(sessionDir)).not.toThrow();
+  });
+});
@@ -2,8 +2,12 @@ import React from 'react';
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+beforeEach(() => {
+  // The server is not running in tests
+  global.fetch = jest.fn(() => Promise.reject(new Error('offline'))) as jest.Mock;
+});
+
+test('renders the generator heading', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: /score configuration generator/i })).toBeInTheDocument();
 });
@@ -1,46 +1,197 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Container, Box, Typography, Alert, Button } from '@mui/material';
-import ApplicationForm from './components/ApplicationForm';
+import ApplicationForm, { ScoreImportResult } from './components/ApplicationForm';
+import EnvironmentPanel from './components/EnvironmentPanel';
+import LoginPage from './components/LoginPage';
+import PromotionDialog from './components/PromotionDialog';
+import PlanSummary from './components/PlanSummary';
+import ScoreFilePreview from './components/ScoreFilePreview';
 import TerraformLogs, { TerraformStatus } from './components/TerraformLogs';
+import {
+  AuthMode,
+  AuthRole,
+  AuthUser,
+  CostEstimate,
+  DeploymentEnvironment,
+  DriftCheck,
+  EnvironmentName,
+  EnvironmentOverlay,
+  EnvironmentVariable,
+  PlanSummary as PlanSummaryData,
+  PolicyCheck,
+  PromotionPreview,
+  PublishResult,
+  ScoreValidationError,
+  StateBackend,
+  ServiceCatalog,
+  ServiceConfig,
+  TerraformAction,
+  TerraformJob,
+  TerraformJobEvent,
+} from './types';
 
 interface ApplicationConfig {
   name: string;
+  image: string;
   environment: {
     type: string;
     executionEnvironment: string;
     region: string;
   };
-  services: Record<string, any>;
+  services: Record<string, ServiceConfig | undefined>;
+  environmentVariables?: EnvironmentVariable[];
 }
 
 interface ServerResponse {
   success: boolean;
   message: string;
+  error?: string;
+  errors?: ScoreValidationError[];
   scoreFile?: string;
   config?: ApplicationConfig;
 }
 
 type ServerStatus = 'idle' | 'processing' | 'error';
 
+const SESSION_STORAGE_KEY = 'score-ui/session-id';
+
+// Signed-in requests to the server carry the session cookie it set. A 401
+// means the sign-in expired, so the app returns to the login page
+const SIGNED_OUT_EVENT = 'score-ui/signed-out';
+
+const apiFetch = async (url: string, init?: RequestInit) => {
+  const response = await fetch(url, { ...init, credentials: 'include' });
+  if (response.status === 401) {
+    window.dispatchEvent(new Event(SIGNED_OUT_EVENT));
+  }
+  return response;
+};
+
+const ROLES: AuthRole[] = ['viewer', 'developer', 'approver', 'admin'];
+
+// Whether the user holds `role` or a more privileged one, as the server checks
+const hasRole = (user: AuthUser | null, role: AuthRole) => (
+  !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role)
+);
+
+const ACTION_STATUSES: Record<TerraformAction, TerraformStatus> = {
+  init: 'initializing',
+  plan: 'planning',
+  apply: 'applying',
+  destroy: 'destroying',
+  migrate: 'migrating',
+  drift: 'checking',
+};
+
+const RUNNING_STATUSES: TerraformStatus[] = ['initializing', 'planning', 'applying', 'destroying', 'migrating', 'checking', 'processing', 'cancelling'];
+
 const App: React.FC = () => {
   const [serverStatus, setServerStatus] = useState<ServerStatus>('idle');
   const [error, setError] = useState<string | null>(null);
   const [scoreFile, setScoreFile] = useState<string | null>(null);
+  const [validationErrors, setValidationErrors] = useState<ScoreValidationError[]>([]);
   const [config, setConfig] = useState<ApplicationConfig | null>(null);
   const [terraformStatus, setTerraformStatus] = useState<TerraformStatus>('idle');
   const [terraformLogs, setTerraformLogs] = useState<string[]>([]);
   const [terraformError, setTerraformError] = useState<string | null>(null);
+  const [planSummary, setPlanSummary] = useState<PlanSummaryData | null>(null);
+  const [planCost, setPlanCost] = useState<CostEstimate | null>(null);
+  const [planCostError, setPlanCostError] = useState<string | null>(null);
+  const [planPolicy, setPlanPolicy] = useState<PolicyCheck | null>(null);
+  const [planFingerprint, setPlanFingerprint] = useState<string | null>(null);
   const [sessionId, setSessionId] = useState<string>('');
+  const [environments, setEnvironments] = useState<DeploymentEnvironment[]>([]);
+  const [stateBackend, setStateBackend] = useState<StateBackend | null>(null);
+  const [drift, setDrift] = useState<Partial<Record<EnvironmentName, DriftCheck | null>>>({});
+  const [targetEnvironment, setTargetEnvironment] = useState<EnvironmentName>('dev');
+  const [promotionOpen, setPromotionOpen] = useState(false);
+  const [promotionPreview, setPromotionPreview] = useState<PromotionPreview | null>(null);
+  const [promotionError, setPromotionError] = useState<string | null>(null);
+  const [actionError, setActionError] = useState<string | null>(null);
+  const [gitPublishEnabled, setGitPublishEnabled] = useState(false);
+  const [isPublishing, setIsPublishing] = useState(false);
+  const [publishResult, setPublishResult] = useState<PublishResult | null>(null);
+  const [catalog, setCatalog] = useState<ServiceCatalog | null>(null);
+  const [user, setUser] = useState<AuthUser | null>(null);
+  const [authMode, setAuthMode] = useState<AuthMode>('local');
+  const [authChecked, setAuthChecked] = useState(false);
+  const [authError, setAuthError] = useState<string | null>(null);
+
+  // Query parameters selecting the session's workspace for the target environment
+  const workspaceQuery = `sessionId=${sessionId}&environment=${targetEnvironment}`;
 
   useEffect(() => {
-    // Generate a unique session ID when the component mounts
-    setSessionId(Date.now().toString());
+    // The identity provider sends the browser back with the reason an OIDC
+    // sign-in failed
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('authError')) {
+      setAuthError(params.get('authError'));
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+
+    // Pick up the sign-in of a previous visit
+    const restoreUser = async () => {
+      try {
+        const configResponse = await apiFetch('http://localhost:3001/api/auth/config');
+        if (configResponse.ok) {
+          setAuthMode((await configResponse.json()).mode);
+        }
+        const response = await apiFetch('http://localhost:3001/api/auth/me');
+        if (response.ok) {
+          setUser((await response.json()).user);
+        }
+      } catch (err) {
+        setAuthError(err instanceof Error ? err.message : 'Failed to restore the sign-in');
+      } finally {
+        setAuthChecked(true);
+      }
+    };
+
+    restoreUser();
+    const handleSignedOut = () => setUser(null);
+    window.addEventListener(SIGNED_OUT_EVENT, handleSignedOut);
+    return () => window.removeEventListener(SIGNED_OUT_EVENT, handleSignedOut);
+  }, []);
+
+  const handleCancel = useCallback(() => {
+    setScoreFile(null);
+    setValidationErrors([]);
+    setConfig(null);
+    setError(null);
+    setActionError(null);
+    setPublishResult(null);
+    setTerraformStatus('idle');
+    setTerraformLogs([]);
+    setTerraformError(null);
+    setPlanSummary(null);
+    setPlanCost(null);
+    setPlanPolicy(null);
+    setPlanFingerprint(null);
   }, []);
 
+  useEffect(() => {
+    if (!user) {
+      // Nothing of the previous user's session stays on screen
+      handleCancel();
+      setEnvironments([]);
+      setSessionId('');
+      return;
+    }
+
+    // Reuse the user's session of a previous visit so a reload can pick up its
+    // jobs. Sessions belong to the user who created them
+    const storageKey = `${SESSION_STORAGE_KEY}/${user.id}`;
+    const id = localStorage.getItem(storageKey) || Date.now().toString();
+    localStorage.setItem(storageKey, id);
+    setSessionId(id);
+  }, [user, handleCancel]);
+
   const checkServerHealth = async () => {
     try {
-      const response = await fetch('http://localhost:3001/api/health');
+      const response = await apiFetch('http://localhost:3001/api/health');
       if (response.ok) {
+        const data = await response.json();
+        setGitPublishEnabled(Boolean(data.gitPublish));
         setServerStatus('idle');
       } else {
         setServerStatus('error');
@@ -50,6 +201,24 @@ const App: React.FC = () => {
     }
   };
 
+  useEffect(() => {
+    const fetchCatalog = async () => {
+      try {
+        const response = await apiFetch('http://localhost:3001/api/catalog');
+        if (response.ok) {
+          const { services, resources } = await response.json();
+          setCatalog({ services, resources });
+        }
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Failed to load the service catalog');
+      }
+    };
+
+    if (user && serverStatus !== 'error' && !catalog) {
+      fetchCatalog();
+    }
+  }, [serverStatus, catalog, user]);
+
   useEffect(() => {
     checkServerHealth();
     const interval = setInterval(checkServerHealth, 5000);
@@ -60,167 +229,459 @@ const App: React.FC = () => {
     setServerStatus('processing');
     setError(null);
     try {
-      const response = await fetch('http://localhost:3001/api/generate', {
+      const response = await apiFetch('http://localhost:3001/api/generate', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(formData),
+        body: JSON.stringify({ ...formData, sessionId }),
       });
 
       const data: ServerResponse = await response.json();
+      if (response.status === 422 && data.scoreFile) {
+        setScoreFile(data.scoreFile);
+        setValidationErrors(data.errors || []);
+        setServerStatus('idle');
+        return;
+      }
       if (!response.ok) {
-        throw new Error(data.message);
+        throw new Error(data.error || data.message);
       }
 
       setScoreFile(data.scoreFile || null);
+      setValidationErrors([]);
       setConfig(formData);
       setServerStatus('idle');
+      fetchEnvironments();
     } catch (err) {
       setError(err instanceof Error ? err.message : 'An error occurred');
       setServerStatus('error');
     }
   };
 
-  const handleTerraformInit = async () => {
-    if (!config) return;
-    setTerraformStatus('initializing');
+  const handleImport = useCallback(async (content: string): Promise<ScoreImportResult> => {
+    const response = await apiFetch('http://localhost:3001/api/score/import', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ content }),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to import score file');
+    }
+
+    return { config: data.config, unmapped: data.unmapped };
+  }, []);
+
+  const fetchPlanSummary = useCallback(async () => {
+    try {
+      const response = await apiFetch(`http://localhost:3001/api/terraform/plan/summary?${workspaceQuery}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load plan summary');
+      }
+      setPlanSummary(data.summary);
+      setPlanCost(data.cost);
+      setPlanCostError(data.costError || null);
+      setPlanPolicy(data.policy);
+      setPlanFingerprint(data.fingerprint);
+    } catch (err) {
+      setTerraformError(err instanceof Error ? err.message : 'Failed to load plan summary');
+    }
+  }, [workspaceQuery]);
+
+  // Follow the events of a Terraform job. EventSource reconnects on its own
+  // after a dropped connection and the server resumes from the last event it sent
+  const followJob = useCallback((url: string, status: TerraformStatus, onCompleted?: () => void) => {
+    setTerraformStatus(status);
     setTerraformError(null);
     setTerraformLogs([]);
+    setPlanSummary(null);
+    setPlanCost(null);
+    setPlanPolicy(null);
+    setPlanFingerprint(null);
 
-    const eventSource = new EventSource(
-      `http://localhost:3001/api/terraform/init?sessionId=${sessionId}&region=${config.environment.region}`
-    );
+    const eventSource = new EventSource(url, { withCredentials: true });
 
     eventSource.onmessage = (event) => {
-      const data = JSON.parse(event.data);
+      const data: TerraformJobEvent = JSON.parse(event.data);
       if (data.error) {
         setTerraformError(data.error);
         setTerraformStatus('error');
         eventSource.close();
       } else if (data.log) {
-        setTerraformLogs(prev => [...prev, data.log]);
+        const { log } = data;
+        setTerraformLogs(prev => [...prev, log]);
       } else if (data.status === 'completed') {
         setTerraformStatus('completed');
         eventSource.close();
+        onCompleted?.();
+      } else if (data.status === 'cancelled') {
+        setTerraformStatus('cancelled');
+        eventSource.close();
       }
     };
 
     eventSource.onerror = () => {
-      setTerraformError('Connection to server lost');
-      setTerraformStatus('error');
-      eventSource.close();
+      if (eventSource.readyState === EventSource.CLOSED) {
+        setTerraformStatus('error');
+        setTerraformError('Connection to server lost');
+      }
     };
-  };
+  }, []);
 
-  const handleTerraformPlan = async () => {
-    if (!config) return;
-    setTerraformStatus('planning');
+  // Start a Terraform job in the target environment and follow it. The server
+  // answers why it refused to start one, e.g. because the workspace is locked
+  // by another job or the reviewed plan can no longer be applied. Resolves to
+  // whether the job started
+  const startJob = async (
+    action: TerraformAction,
+    params: Record<string, string>,
+    onCompleted?: () => void
+  ): Promise<boolean> => {
     setTerraformError(null);
-    setTerraformLogs([]);
+    try {
+      const response = await apiFetch(`http://localhost:3001/api/terraform/${action}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ sessionId, environment: targetEnvironment, ...params }),
+      });
 
-    const eventSource = new EventSource(
-      `http://localhost:3001/api/terraform/plan?sessionId=${sessionId}&region=${config.environment.region}`
-    );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Failed to start ${action}`);
+      }
+      followJob(
+        `http://localhost:3001/api/jobs/${data.job.id}/events?${workspaceQuery}`,
+        ACTION_STATUSES[action],
+        onCompleted
+      );
+      return true;
+    } catch (err) {
+      setTerraformError(err instanceof Error ? err.message : `Failed to start ${action}`);
+      return false;
+    }
+  };
 
-    eventSource.onmessage = (event) => {
-      const data = JSON.parse(event.data);
-      if (data.error) {
-        setTerraformError(data.error);
-        setTerraformStatus('error');
-        eventSource.close();
-      } else if (data.log) {
-        setTerraformLogs(prev => [...prev, data.log]);
-      } else if (data.status === 'completed') {
-        setTerraformStatus('completed');
-        eventSource.close();
+  // Latest drift check of each environment, run by the server on a schedule
+  const fetchDrift = useCallback(async () => {
+    try {
+      const response = await apiFetch(`http://localhost:3001/api/sessions/${sessionId}/drift`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load drift checks');
+      }
+      setDrift(data.environments);
+    } catch (err) {
+      setActionError(err instanceof Error ? err.message : 'Failed to load drift checks');
+    }
+  }, [sessionId]);
+
+  const fetchEnvironments = useCallback(async () => {
+    try {
+      const response = await apiFetch(`http://localhost:3001/api/environments?sessionId=${sessionId}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load environments');
+      }
+      setEnvironments(data.environments);
+      setStateBackend(data.backend);
+    } catch (err) {
+      setActionError(err instanceof Error ? err.message : 'Failed to load environments');
+    }
+    fetchDrift();
+  }, [sessionId, fetchDrift]);
+
+  useEffect(() => {
+    if (!sessionId) return;
+
+    // Restore the score file of the session after a reload
+    const restoreSession = async () => {
+      try {
+        const scoreResponse = await apiFetch(`http://localhost:3001/api/score/${sessionId}`);
+        if (!scoreResponse.ok) return;
+        const { scoreFile: content } = await scoreResponse.json();
+
+        const { config: importedConfig } = await handleImport(content);
+        setScoreFile(content);
+        setConfig(importedConfig);
+        fetchEnvironments();
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Failed to restore the session');
       }
     };
 
-    eventSource.onerror = () => {
-      setTerraformError('Connection to server lost');
-      setTerraformStatus('error');
-      eventSource.close();
+    restoreSession();
+  }, [sessionId, handleImport, fetchEnvironments]);
+
+  useEffect(() => {
+    if (!sessionId) return;
+
+    // Show the latest job of the target environment's workspace, following it
+    // while it runs
+    const restoreEnvironment = async () => {
+      setTerraformStatus('idle');
+      setTerraformLogs([]);
+      setTerraformError(null);
+      setPlanSummary(null);
+      setPlanCost(null);
+      setPlanPolicy(null);
+      setPlanFingerprint(null);
+
+      try {
+        const statusResponse = await apiFetch(`http://localhost:3001/api/status/${sessionId}?environment=${targetEnvironment}`);
+        if (!statusResponse.ok) return;
+        const { jobs }: { jobs: TerraformJob[] } = await statusResponse.json();
+
+        const [latestJob] = jobs;
+        if (latestJob?.status === 'queued' || latestJob?.status === 'running') {
+          followJob(
+            `http://localhost:3001/api/jobs/${latestJob.id}/events?${workspaceQuery}`,
+            ACTION_STATUSES[latestJob.action],
+            latestJob.action === 'plan' ? fetchPlanSummary : undefined
+          );
+        } else if (latestJob?.status === 'cancelled') {
+          setTerraformStatus('cancelled');
+        } else if (latestJob?.status === 'interrupted') {
+          setTerraformStatus('error');
+          setTerraformError(`The last ${latestJob.action} was interrupted before it finished`);
+        } else if (latestJob?.action === 'plan' && latestJob.status === 'succeeded') {
+          setTerraformStatus('completed');
+          fetchPlanSummary();
+        }
+      } catch (err) {
+        setTerraformError(err instanceof Error ? err.message : 'Failed to restore the environment');
+      }
     };
+
+    restoreEnvironment();
+  }, [sessionId, targetEnvironment, workspaceQuery, followJob, fetchPlanSummary]);
+
+  const handleSaveOverlay = async (environment: EnvironmentName, overlay: EnvironmentOverlay) => {
+    const response = await apiFetch(`http://localhost:3001/api/environments/${environment}/overlay`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ sessionId, overrides: overlay }),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to save the overlay');
+    }
+    await fetchEnvironments();
+  };
+
+  // Show what promoting changes before the next environment's workspace is
+  // generated
+  const handlePromote = async (from: EnvironmentName) => {
+    const to = environments.find(({ name }) => name === from)?.promotesTo;
+    if (!to) return;
+
+    setPromotionOpen(true);
+    setPromotionPreview(null);
+    setPromotionError(null);
+    try {
+      const response = await apiFetch(
+        `http://localhost:3001/api/environments/promote?sessionId=${sessionId}&from=${from}&to=${to}`
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to compare the environments');
+      }
+      setPromotionPreview(data);
+    } catch (err) {
+      setPromotionError(err instanceof Error ? err.message : 'Failed to compare the environments');
+    }
+  };
+
+  const handleConfirmPromotion = async () => {
+    if (!promotionPreview) return;
+    const { from, to } = promotionPreview;
+
+    const response = await apiFetch('http://localhost:3001/api/environments/promote', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ sessionId, from, to }),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to promote the application');
+    }
+    await fetchEnvironments();
+    setTargetEnvironment(to);
+  };
+
+  const handleTerraformInit = async () => {
+    if (!config) return;
+    startJob('init', { region: config.environment.region }, fetchEnvironments);
+  };
+
+  // Copy the workspace's local state into the remote backend
+  const handleMigrateState = async () => {
+    if (!config) return;
+    startJob('migrate', { region: config.environment.region }, fetchEnvironments);
+  };
+
+  const handleTerraformPlan = async () => {
+    if (!config) return;
+    startJob('plan', {}, fetchPlanSummary);
   };
 
   const handleTerraformApply = async () => {
     if (!config) return;
-    setTerraformStatus('applying');
-    setTerraformError(null);
-    setTerraformLogs([]);
+    if (!planFingerprint) {
+      setTerraformError('Review a plan before applying changes');
+      return;
+    }
 
-    const eventSource = new EventSource(
-      `http://localhost:3001/api/terraform/apply?sessionId=${sessionId}&region=${config.environment.region}`
-    );
+    // The server only applies the exact plan that was reviewed
+    const started = await startJob('apply', { fingerprint: planFingerprint }, fetchDrift);
+    if (!started) {
+      setPlanSummary(null);
+      setPlanCost(null);
+      setPlanPolicy(null);
+      setPlanFingerprint(null);
+    }
+  };
 
-    eventSource.onmessage = (event) => {
-      const data = JSON.parse(event.data);
-      if (data.error) {
-        setTerraformError(data.error);
-        setTerraformStatus('error');
-        eventSource.close();
-      } else if (data.log) {
-        setTerraformLogs(prev => [...prev, data.log]);
-      } else if (data.status === 'completed') {
-        setTerraformStatus('completed');
-        eventSource.close();
-      }
-    };
+  const handleTerraformDestroy = async () => {
+    if (!config) return;
+    startJob('destroy', {}, fetchDrift);
+  };
 
-    eventSource.onerror = () => {
-      setTerraformError('Connection to server lost');
+  // Stop the job running in the target environment. The job's stream closes
+  // with a cancelled status once Terraform has stopped. A job already
+  // finishing (409) is left to close its stream as it ends
+  const handleCancelRun = async () => {
+    setTerraformStatus('cancelling');
+    try {
+      const response = await apiFetch('http://localhost:3001/api/terraform/cancel', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ sessionId, environment: targetEnvironment }),
+      });
+
+      const data = await response.json();
+      if (!response.ok && response.status !== 409) {
+        throw new Error(data.error || 'Failed to cancel the running operation');
+      }
+    } catch (err) {
+      setTerraformError(err instanceof Error ? err.message : 'Failed to cancel the running operation');
       setTerraformStatus('error');
-      eventSource.close();
-    };
+    }
   };
 
-  const handleTerraformDestroy = async () => {
+  // Download the Score file, Terraform files and modules of the target
+  // environment as a tar.gz, to run them in another pipeline
+  const handleDownloadBundle = async () => {
     if (!config) return;
-    setTerraformStatus('destroying');
-    setTerraformError(null);
-    setTerraformLogs([]);
 
-    const eventSource = new EventSource(
-      `http://localhost:3001/api/terraform/destroy?sessionId=${sessionId}&region=${config.environment.region}`
-    );
+    setActionError(null);
+    try {
+      const response = await apiFetch(
+        `http://localhost:3001/api/sessions/${sessionId}/bundle?environment=${targetEnvironment}&region=${config.environment.region}`
+      );
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to create the bundle');
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${config.name}-${targetEnvironment}.tar.gz`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setActionError(err instanceof Error ? err.message : 'Failed to create the bundle');
+    }
+  };
 
-    eventSource.onmessage = (event) => {
-      const data = JSON.parse(event.data);
-      if (data.error) {
-        setTerraformError(data.error);
-        setTerraformStatus('error');
-        eventSource.close();
-      } else if (data.log) {
-        setTerraformLogs(prev => [...prev, data.log]);
-      } else if (data.status === 'completed') {
-        setTerraformStatus('completed');
-        eventSource.close();
+  // Commit the target environment's bundle to a new branch of the server's git
+  // repository, to go through pull request review
+  const handlePublish = async () => {
+    if (!config) return;
+
+    setActionError(null);
+    setPublishResult(null);
+    setIsPublishing(true);
+    try {
+      const response = await apiFetch(`http://localhost:3001/api/sessions/${sessionId}/publish`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ environment: targetEnvironment, region: config.environment.region }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to publish to git');
       }
-    };
+      setPublishResult(data);
+    } catch (err) {
+      setActionError(err instanceof Error ? err.message : 'Failed to publish to git');
+    } finally {
+      setIsPublishing(false);
+    }
+  };
 
-    eventSource.onerror = () => {
-      setTerraformError('Connection to server lost');
-      setTerraformStatus('error');
-      eventSource.close();
-    };
+  const handleLogin = async (username: string, password: string) => {
+    const response = await apiFetch('http://localhost:3001/api/auth/login', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ username, password }),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to sign in');
+    }
+    setAuthError(null);
+    setUser(data.user);
   };
 
-  const handleCancel = () => {
-    setScoreFile(null);
-    setConfig(null);
-    setError(null);
-    setTerraformStatus('idle');
-    setTerraformLogs([]);
-    setTerraformError(null);
+  const handleLogout = async () => {
+    try {
+      await apiFetch('http://localhost:3001/api/auth/logout', { method: 'POST' });
+    } catch (err) {
+      setAuthError(err instanceof Error ? err.message : 'Failed to sign out');
+    }
+    setUser(null);
   };
 
   return (
     <Container maxWidth="md">
       <Box sx={{ my: 4 }}>
-        <Typography variant="h4" component="h1" gutterBottom>
-          Score Configuration Generator
-        </Typography>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline' }}>
+          <Typography variant="h4" component="h1" gutterBottom>
+            Score Configuration Generator
+          </Typography>
+          {user && (
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <Typography variant="body2" color="text.secondary">
+                {user.username} ({user.role}{user.team ? `, ${user.team}` : ''})
+              </Typography>
+              <Button size="small" onClick={handleLogout}>
+                Sign out
+              </Button>
+            </Box>
+          )}
+        </Box>
         
         {serverStatus === 'error' && (
           <Alert severity="error" sx={{ mb: 2 }}>
@@ -228,42 +689,86 @@ const App: React.FC = () => {
           </Alert>
         )}
         
-        {!scoreFile ? (
+        {!user ? (
+          authChecked && (
+            <LoginPage
+              mode={authMode}
+              oidcLoginUrl="http://localhost:3001/api/auth/oidc/login"
+              onLogin={handleLogin}
+              error={authError}
+              disabled={serverStatus === 'error'}
+            />
+          )
+        ) : !scoreFile ? (
           <ApplicationForm
+            catalog={catalog}
             onSubmit={handleSubmit}
+            onImport={handleImport}
             isSubmitting={serverStatus === 'processing'}
             error={error}
-            disabled={serverStatus === 'error'}
+            disabled={serverStatus === 'error' || !hasRole(user, 'developer')}
           />
         ) : (
           <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3 }}>
-            <Box>
-              <Typography variant="h5" gutterBottom>
-                Generated Score File
-              </Typography>
-              <Box
-                component="pre"
-                sx={{
-                  p: 2,
-                  bgcolor: 'grey.100',
-                  borderRadius: 1,
-                  overflow: 'auto',
-                  maxHeight: 300,
-                }}
-              >
-                {scoreFile}
-              </Box>
-            </Box>
-            
-            <TerraformLogs
-              status={terraformStatus}
-              logs={terraformLogs}
-              error={terraformError}
-              onInit={handleTerraformInit}
-              onPlan={handleTerraformPlan}
-              onApply={handleTerraformApply}
-              onDestroy={handleTerraformDestroy}
+            <ScoreFilePreview
+              scoreFile={scoreFile}
+              errors={validationErrors}
               onCancel={handleCancel}
+              onDownloadBundle={validationErrors.length === 0 ? handleDownloadBundle : undefined}
+              onPublish={validationErrors.length === 0 && gitPublishEnabled && hasRole(user, 'developer') ? handlePublish : undefined}
+              isPublishing={isPublishing}
+              publishResult={publishResult}
+              actionError={actionError}
+            />
+            
+            {validationErrors.length === 0 && environments.length > 0 && (
+              <EnvironmentPanel
+                environments={environments}
+                resources={catalog?.resources || {}}
+                selected={targetEnvironment}
+                onSelect={setTargetEnvironment}
+                onSaveOverlay={handleSaveOverlay}
+                onPromote={handlePromote}
+                drift={drift}
+                onReconcile={handleTerraformPlan}
+                disabled={RUNNING_STATUSES.includes(terraformStatus)}
+                readOnly={!hasRole(user, 'developer')}
+              />
+            )}
+
+            {validationErrors.length === 0 && (
+              <TerraformLogs
+                status={terraformStatus}
+                logs={terraformLogs}
+                error={terraformError}
+                hasReviewedPlan={planFingerprint !== null && !planPolicy?.denied}
+                canOperate={hasRole(user, 'developer')}
+                canDestroy={hasRole(user, 'approver')}
+                onInit={handleTerraformInit}
+                onPlan={handleTerraformPlan}
+                onApply={handleTerraformApply}
+                onDestroy={handleTerraformDestroy}
+                onCancelRun={handleCancelRun}
+                onCancel={handleCancel}
+                onMigrateState={
+                  environments.find(({ name }) => name === targetEnvironment)?.hasLocalState
+                    ? handleMigrateState
+                    : undefined
+                }
+                backendType={stateBackend?.type}
+              />
+            )}
+
+            {planSummary && (
+              <PlanSummary summary={planSummary} cost={planCost} costError={planCostError} policy={planPolicy} />
+            )}
+
+            <PromotionDialog
+              open={promotionOpen}
+              preview={promotionPreview}
+              error={promotionError}
+              onClose={() => setPromotionOpen(false)}
+              onConfirm={handleConfirmPromotion}
             />
           </Box>
         )}
@@ -6,28 +6,63 @@ import {
   MenuItem,
   Typography,
   Paper,
-  FormControlLabel,
-  Checkbox,
   Alert,
 } from '@mui/material';
+import {
+  ApplicationType,
+  EnvironmentVariable,
+  ExecutionEnvironment,
+  ServiceCatalog,
+  ServiceConfig,
+} from '../types';
+import ScoreImportDialog from './ScoreImportDialog';
+import EnvironmentVariablesEditor, { getVariableErrors, isBlankVariable } from './EnvironmentVariablesEditor';
+import ServiceEditor, { getDefaultProperties, hasServiceErrors } from './ServiceEditor';
 
 interface ApplicationConfig {
   name: string;
+  image: string;
   environment: {
     type: string;
     executionEnvironment: string;
     region: string;
   };
-  services: Record<string, any>;
+  services: Record<string, ServiceConfig | undefined>;
+  environmentVariables?: EnvironmentVariable[];
+}
+
+export interface UnmappedField {
+  path: string;
+  reason: string;
+}
+
+export interface ScoreImportResult {
+  config: ApplicationConfig;
+  unmapped: UnmappedField[];
 }
 
 interface ApplicationFormProps {
+  catalog: ServiceCatalog | null;
   onSubmit: (config: ApplicationConfig) => void;
+  onImport: (content: string) => Promise<ScoreImportResult>;
   isSubmitting: boolean;
   error: string | null;
   disabled?: boolean;
 }
 
+const APPLICATION_TYPES: { value: ApplicationType; label: string }[] = [
+  { value: 'web', label: 'Web Application' },
+  { value: 'api', label: 'API Service' },
+  { value: 'worker', label: 'Background Worker' },
+  { value: 'batch', label: 'Batch Job' },
+];
+
+const EXECUTION_ENVIRONMENTS: { value: ExecutionEnvironment; label: string; description: string }[] = [
+  { value: 'eks', label: 'EKS', description: 'Kubernetes deployment on an EKS cluster' },
+  { value: 'ecs', label: 'ECS Fargate', description: 'Fargate service behind an application load balancer' },
+  { value: 'lambda', label: 'Lambda', description: 'Container image function triggered by API Gateway or SQS' },
+];
+
 const AWS_REGIONS = [
   'us-east-1',
   'us-east-2',
@@ -44,24 +79,54 @@ const AWS_REGIONS = [
 ];
 
 const ApplicationForm: React.FC<ApplicationFormProps> = ({
+  catalog,
   onSubmit,
+  onImport,
   isSubmitting,
   error,
   disabled = false,
 }) => {
   const [formData, setFormData] = useState<ApplicationConfig>({
     name: '',
+    image: 'nginx:latest',
     environment: {
       type: 'api',
-      executionEnvironment: 'aws',
+      executionEnvironment: 'eks',
       region: 'us-east-1',
     },
     services: {},
+    environmentVariables: [],
   });
+  const [importOpen, setImportOpen] = useState(false);
+  const [unmappedFields, setUnmappedFields] = useState<UnmappedField[]>([]);
+
+  // Imported services only carry the properties set in the file, so fill in
+  // the catalog defaults for the rest
+  const handleImport = async (content: string) => {
+    const result = await onImport(content);
+    const services = Object.fromEntries(Object.entries(result.config.services).map(([key, service]) => {
+      const resource = service && catalog?.resources[service.type];
+      return [key, service && resource
+        ? { ...service, properties: { ...getDefaultProperties(resource), ...service.properties } }
+        : service];
+    }));
+    setFormData({ ...result.config, services });
+    setUnmappedFields(result.unmapped);
+  };
+
+  const environmentVariables = formData.environmentVariables || [];
+  const hasVariableErrors = Object.keys(getVariableErrors(environmentVariables)).length > 0;
+  const hasPropertyErrors = !!catalog && hasServiceErrors(formData.services, catalog.resources);
+  const resourceIds = (catalog?.services || [])
+    .filter(service => formData.services[service.key])
+    .map(service => service.resourceId);
 
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
-    onSubmit(formData);
+    onSubmit({
+      ...formData,
+      environmentVariables: environmentVariables.filter(variable => !isBlankVariable(variable)),
+    });
   };
 
   const handleInputChange = (e: React.ChangeEvent<HTMLInputElement>) => {
@@ -83,34 +148,54 @@ const ApplicationForm: React.FC<ApplicationFormProps> = ({
     }
   };
 
-  const handleServiceToggle = (service: string) => {
+  const handleServiceChange = (key: string, service: ServiceConfig | undefined) => {
     setFormData(prev => ({
       ...prev,
       services: {
         ...prev.services,
-        [service]: prev.services[service] ? undefined : {
-          type: service === 'database' ? 'postgres' : 
-                service === 'cache' ? 'redis' : 
-                'sqs',
-          properties: {
-            size: 'small',
-          },
-        },
+        [key]: service,
       },
     }));
   };
 
   return (
     <Paper elevation={3} sx={{ p: 3 }}>
-      <Typography variant="h6" gutterBottom>
-        Application Configuration
-      </Typography>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="h6" gutterBottom>
+          Application Configuration
+        </Typography>
+        <Button
+          variant="outlined"
+          size="small"
+          onClick={() => setImportOpen(true)}
+          disabled={isSubmitting || disabled}
+        >
+          Import score.yaml
+        </Button>
+      </Box>
+      <ScoreImportDialog
+        open={importOpen}
+        onClose={() => setImportOpen(false)}
+        onImport={handleImport}
+      />
       <Box component="form" onSubmit={handleSubmit}>
         {error && (
           <Alert severity="error" sx={{ mb: 2 }}>
             {error}
           </Alert>
         )}
+        {unmappedFields.length > 0 && (
+          <Alert severity="warning" sx={{ mb: 2 }} onClose={() => setUnmappedFields([])}>
+            These fields from the imported file cannot be edited here and will not be included:
+            <Box component="ul" sx={{ m: 0, pl: 2 }}>
+              {unmappedFields.map((field) => (
+                <li key={field.path}>
+                  <code>{field.path}</code> - {field.reason}
+                </li>
+              ))}
+            </Box>
+          </Alert>
+        )}
         <TextField
           fullWidth
           label="Application Name"
@@ -121,6 +206,54 @@ const ApplicationForm: React.FC<ApplicationFormProps> = ({
           disabled={isSubmitting || disabled}
           sx={{ mb: 2 }}
         />
+        <TextField
+          fullWidth
+          label="Container Image"
+          name="image"
+          value={formData.image}
+          onChange={handleInputChange}
+          required
+          disabled={isSubmitting || disabled}
+          helperText="Image reference, e.g. registry/app:1.2.3"
+          sx={{ mb: 2 }}
+        />
+        <TextField
+          select
+          fullWidth
+          label="Application Type"
+          name="environment.type"
+          value={formData.environment.type}
+          onChange={handleInputChange}
+          required
+          disabled={isSubmitting || disabled}
+          sx={{ mb: 2 }}
+        >
+          {APPLICATION_TYPES.map(({ value, label }) => (
+            <MenuItem key={value} value={value}>
+              {label}
+            </MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          select
+          fullWidth
+          label="Execution Environment"
+          name="environment.executionEnvironment"
+          value={formData.environment.executionEnvironment}
+          onChange={handleInputChange}
+          required
+          disabled={isSubmitting || disabled}
+          helperText={
+            EXECUTION_ENVIRONMENTS.find(({ value }) => value === formData.environment.executionEnvironment)?.description
+          }
+          sx={{ mb: 2 }}
+        >
+          {EXECUTION_ENVIRONMENTS.map(({ value, label }) => (
+            <MenuItem key={value} value={value}>
+              {label}
+            </MenuItem>
+          ))}
+        </TextField>
         <TextField
           select
           fullWidth
@@ -142,42 +275,34 @@ const ApplicationForm: React.FC<ApplicationFormProps> = ({
           Services
         </Typography>
         <Box sx={{ mb: 2 }}>
-          <FormControlLabel
-            control={
-              <Checkbox
-                checked={!!formData.services.database}
-                onChange={() => handleServiceToggle('database')}
+          {catalog ? (
+            catalog.services.map((service) => (
+              <ServiceEditor
+                key={service.key}
+                service={service}
+                resources={catalog.resources}
+                value={formData.services[service.key]}
+                onChange={(value) => handleServiceChange(service.key, value)}
                 disabled={isSubmitting || disabled}
               />
-            }
-            label="Database (PostgreSQL)"
-          />
-          <FormControlLabel
-            control={
-              <Checkbox
-                checked={!!formData.services.cache}
-                onChange={() => handleServiceToggle('cache')}
-                disabled={isSubmitting || disabled}
-              />
-            }
-            label="Cache (Redis)"
-          />
-          <FormControlLabel
-            control={
-              <Checkbox
-                checked={!!formData.services.messageQueue}
-                onChange={() => handleServiceToggle('messageQueue')}
-                disabled={isSubmitting || disabled}
-              />
-            }
-            label="Message Queue (SQS)"
-          />
+            ))
+          ) : (
+            <Typography variant="body2" color="text.secondary">
+              Loading the service catalog...
+            </Typography>
+          )}
         </Box>
+        <EnvironmentVariablesEditor
+          variables={environmentVariables}
+          onChange={(variables) => setFormData(prev => ({ ...prev, environmentVariables: variables }))}
+          resourceIds={resourceIds}
+          disabled={isSubmitting || disabled}
+        />
         <Button
           type="submit"
           variant="contained"
           color="primary"
-          disabled={isSubmitting || disabled}
+          disabled={isSubmitting || disabled || hasVariableErrors || hasPropertyErrors}
         >
           {isSubmitting ? 'Generating...' : 'Generate Score File'}
         </Button>
@@ -0,0 +1,210 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  FormControlLabel,
+  Paper,
+  Switch,
+  Tab,
+  Tabs,
+  TextField,
+  Typography,
+} from '@mui/material';
+import {
+  CatalogResource,
+  DeploymentEnvironment,
+  DriftCheck,
+  EnvironmentName,
+  EnvironmentOverlay,
+} from '../types';
+
+interface EnvironmentPanelProps {
+  environments: DeploymentEnvironment[];
+  resources: Record<string, CatalogResource>;
+  selected: EnvironmentName;
+  onSelect: (environment: EnvironmentName) => void;
+  onSaveOverlay: (environment: EnvironmentName, overlay: EnvironmentOverlay) => Promise<void>;
+  onPromote: (from: EnvironmentName) => void;
+  drift?: Partial<Record<EnvironmentName, DriftCheck | null>>;
+  // Plan the selected environment to revert the changes made outside of Terraform
+  onReconcile?: () => void;
+  disabled?: boolean;
+  // Environments can be browsed but not changed, e.g. by viewers
+  readOnly?: boolean;
+}
+
+const SWITCHES: { setting: 'multiAz' | 'deletionProtection' | 'skipFinalSnapshot'; label: string }[] = [
+  { setting: 'multiAz', label: 'Multi-AZ' },
+  { setting: 'deletionProtection', label: 'Deletion protection' },
+  { setting: 'skipFinalSnapshot', label: 'Skip final snapshot' },
+];
+
+const EnvironmentPanel: React.FC<EnvironmentPanelProps> = ({
+  environments,
+  resources,
+  selected,
+  onSelect,
+  onSaveOverlay,
+  onPromote,
+  drift = {},
+  onReconcile,
+  disabled = false,
+  readOnly = false,
+}) => {
+  const environment = environments.find(({ name }) => name === selected);
+  const driftCheck = drift[selected];
+  const [draft, setDraft] = useState<EnvironmentOverlay | null>(environment?.overlay || null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Start editing from the saved overlay whenever another environment is shown
+  useEffect(() => {
+    setDraft(environment?.overlay || null);
+    setError(null);
+  }, [environment]);
+
+  if (!environment || !draft) return null;
+
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(environment.overlay);
+  const sizedResources = Object.values(resources).filter(resource => resource.sizes);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      // Blank instance sizes fall back to the catalog size of each resource
+      const instanceSizes = Object.fromEntries(Object.entries(draft.instanceSizes).filter(([, size]) => size));
+      await onSaveOverlay(environment.name, { ...draft, instanceSizes });
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save the overlay');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3 }}>
+      <Typography variant="h6" gutterBottom>
+        Environments
+      </Typography>
+
+      <Tabs value={selected} onChange={(_, value: EnvironmentName) => onSelect(value)} sx={{ mb: 2 }}>
+        {environments.map(({ name, hasDefinition }) => (
+          <Tab
+            key={name}
+            value={name}
+            disabled={disabled}
+            label={
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                {name}
+                {!hasDefinition && <Chip label="not deployed" size="small" />}
+                {drift[name]?.status === 'drifted' && <Chip label="drift" color="warning" size="small" />}
+              </Box>
+            }
+          />
+        ))}
+      </Tabs>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {driftCheck?.status === 'drifted' && (
+        <Alert
+          severity="warning"
+          sx={{ mb: 2 }}
+          action={onReconcile && (
+            <Button color="inherit" size="small" onClick={onReconcile} disabled={disabled || readOnly}>
+              Reconcile
+            </Button>
+          )}
+        >
+          Resources of {selected} were changed outside of Terraform (checked {new Date(driftCheck.checkedAt).toLocaleString()}):
+          <Box component="ul" sx={{ m: 0, pl: 2 }}>
+            {driftCheck.resources.map(({ address, action, attributes }) => (
+              <li key={address}>
+                <code>{address}</code> {action === 'destroy' ? 'was deleted' : `changed ${attributes.map(({ path }) => path).join(', ')}`}
+              </li>
+            ))}
+          </Box>
+        </Alert>
+      )}
+
+      {driftCheck?.status === 'error' && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          The last drift check of {selected} failed: {driftCheck.error}
+        </Alert>
+      )}
+
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Overlay settings apply on top of the application definition the next time {environment.name} is initialized.
+      </Typography>
+
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mb: 1 }}>
+        <TextField
+          label="Replicas"
+          type="number"
+          size="small"
+          value={draft.replicas}
+          onChange={(e) => setDraft({ ...draft, replicas: parseInt(e.target.value, 10) || 1 })}
+          inputProps={{ min: 1, max: 20 }}
+          disabled={disabled || readOnly}
+          sx={{ width: 120 }}
+        />
+        {sizedResources.map(({ type, label }) => (
+          <TextField
+            key={type}
+            label={`${label} instance class`}
+            placeholder="From catalog size"
+            InputLabelProps={{ shrink: true }}
+            size="small"
+            value={draft.instanceSizes[type] || ''}
+            onChange={(e) => setDraft({ ...draft, instanceSizes: { ...draft.instanceSizes, [type]: e.target.value } })}
+            disabled={disabled || readOnly}
+          />
+        ))}
+      </Box>
+
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+        {SWITCHES.map(({ setting, label }) => (
+          <FormControlLabel
+            key={setting}
+            control={
+              <Switch
+                checked={draft[setting]}
+                onChange={(e) => setDraft({ ...draft, [setting]: e.target.checked })}
+                disabled={disabled || readOnly}
+              />
+            }
+            label={label}
+          />
+        ))}
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 2, justifyContent: 'flex-end' }}>
+        <Button
+          variant="outlined"
+          onClick={handleSave}
+          disabled={disabled || readOnly || isSaving || !isDirty}
+        >
+          {isSaving ? 'Saving...' : 'Save Overlay'}
+        </Button>
+        {environment.promotesTo && (
+          <Button
+            variant="contained"
+            onClick={() => onPromote(environment.name)}
+            disabled={disabled || readOnly || !environment.hasDefinition}
+          >
+            Promote to {environment.promotesTo}
+          </Button>
+        )}
+      </Box>
+    </Paper>
+  );
+};
+
+export default EnvironmentPanel;
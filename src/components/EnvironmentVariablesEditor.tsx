@@ -0,0 +1,131 @@
+import React from 'react';
+import {
+  Box,
+  Button,
+  FormControlLabel,
+  IconButton,
+  Switch,
+  TextField,
+  Typography,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { EnvironmentVariable } from '../types';
+
+interface EnvironmentVariablesEditorProps {
+  variables: EnvironmentVariable[];
+  onChange: (variables: EnvironmentVariable[]) => void;
+  resourceIds: string[];
+  disabled?: boolean;
+}
+
+const VARIABLE_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Rows left completely empty are ignored rather than reported
+export const isBlankVariable = ({ key, value }: EnvironmentVariable) => key === '' && value === '';
+
+// Validate the variables the way the server does before generating the Score
+// file. Returns the error for each invalid row, keyed by its index
+export const getVariableErrors = (variables: EnvironmentVariable[]): Record<number, string> => {
+  const errors: Record<number, string> = {};
+  const seen = new Set<string>();
+
+  variables.forEach((variable, index) => {
+    const { key, value, isSecret } = variable;
+    if (isBlankVariable(variable)) return;
+
+    if (!VARIABLE_KEY_PATTERN.test(key)) {
+      errors[index] = 'Use letters, digits and underscores, not starting with a digit';
+    } else if (seen.has(key)) {
+      errors[index] = 'This variable is already defined';
+    } else if (isSecret && !value) {
+      errors[index] = 'Enter the secret value';
+    }
+    seen.add(key);
+  });
+
+  return errors;
+};
+
+const EnvironmentVariablesEditor: React.FC<EnvironmentVariablesEditorProps> = ({
+  variables,
+  onChange,
+  resourceIds,
+  disabled = false,
+}) => {
+  const errors = getVariableErrors(variables);
+
+  const updateVariable = (index: number, changes: Partial<EnvironmentVariable>) => {
+    onChange(variables.map((variable, i) => (i === index ? { ...variable, ...changes } : variable)));
+  };
+
+  const addVariable = () => {
+    onChange([...variables, { key: '', value: '', isSecret: false }]);
+  };
+
+  const removeVariable = (index: number) => {
+    onChange(variables.filter((_, i) => i !== index));
+  };
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Typography variant="subtitle1" gutterBottom>
+        Environment Variables
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        Values can reference resource outputs
+        {resourceIds.length > 0 ? (
+          <>, e.g. <code>{`\${resources.${resourceIds[0]}.host}`}</code></>
+        ) : (
+          <> with <code>{`\${resources.<id>.<output>}`}</code></>
+        )}
+        . Secret values are stored in AWS Secrets Manager and never written to the Score file.
+      </Typography>
+      {variables.map((variable, index) => (
+        <Box key={index} sx={{ display: 'flex', gap: 1, alignItems: 'flex-start', mb: 1 }}>
+          <TextField
+            label="Key"
+            size="small"
+            value={variable.key}
+            onChange={(e) => updateVariable(index, { key: e.target.value })}
+            error={!!errors[index]}
+            helperText={errors[index]}
+            disabled={disabled}
+            sx={{ flex: 1 }}
+          />
+          <TextField
+            label="Value"
+            size="small"
+            type={variable.isSecret ? 'password' : 'text'}
+            value={variable.value}
+            onChange={(e) => updateVariable(index, { value: e.target.value })}
+            autoComplete="off"
+            disabled={disabled}
+            sx={{ flex: 2 }}
+          />
+          <FormControlLabel
+            control={
+              <Switch
+                checked={variable.isSecret}
+                onChange={(e) => updateVariable(index, { isSecret: e.target.checked })}
+                disabled={disabled}
+              />
+            }
+            label="Secret"
+          />
+          <IconButton
+            aria-label={`Remove ${variable.key || 'variable'}`}
+            onClick={() => removeVariable(index)}
+            disabled={disabled}
+          >
+            <DeleteIcon />
+          </IconButton>
+        </Box>
+      ))}
+      <Button size="small" onClick={addVariable} disabled={disabled}>
+        Add Variable
+      </Button>
+    </Box>
+  );
+};
+
+export default EnvironmentVariablesEditor;
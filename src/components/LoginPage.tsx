@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { Alert, Box, Button, Paper, TextField, Typography } from '@mui/material';
+import { AuthMode } from '../types';
+
+interface LoginPageProps {
+  mode: AuthMode;
+  // Where the browser signs in with the identity provider in `oidc` mode
+  oidcLoginUrl: string;
+  onLogin: (username: string, password: string) => Promise<void>;
+  error?: string | null;
+  disabled?: boolean;
+}
+
+const LoginPage: React.FC<LoginPageProps> = ({ mode, oidcLoginUrl, onLogin, error, disabled = false }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [isSigningIn, setIsSigningIn] = useState(false);
+  const [loginError, setLoginError] = useState<string | null>(null);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSigningIn(true);
+    setLoginError(null);
+    try {
+      await onLogin(username, password);
+    } catch (err) {
+      setLoginError(err instanceof Error ? err.message : 'Failed to sign in');
+      setIsSigningIn(false);
+    }
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, maxWidth: 400, mx: 'auto' }}>
+      <Typography variant="h6" gutterBottom>
+        Sign in
+      </Typography>
+
+      {(loginError || error) && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {loginError || error}
+        </Alert>
+      )}
+
+      {mode === 'oidc' ? (
+        <Button variant="contained" fullWidth href={oidcLoginUrl} disabled={disabled}>
+          Sign in with single sign-on
+        </Button>
+      ) : (
+        <Box component="form" onSubmit={handleSubmit} sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+          <TextField
+            label="Username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            autoFocus
+            required
+            disabled={isSigningIn || disabled}
+          />
+          <TextField
+            label="Password"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            required
+            disabled={isSigningIn || disabled}
+          />
+          <Button type="submit" variant="contained" disabled={isSigningIn || disabled || !username || !password}>
+            {isSigningIn ? 'Signing in...' : 'Sign in'}
+          </Button>
+        </Box>
+      )}
+    </Paper>
+  );
+};
+
+export default LoginPage;
@@ -0,0 +1,299 @@
+import React, { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Chip,
+  Collapse,
+  IconButton,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import KeyboardArrowDownIcon from '@mui/icons-material/KeyboardArrowDown';
+import KeyboardArrowUpIcon from '@mui/icons-material/KeyboardArrowUp';
+import {
+  CostEstimate,
+  PlanAction,
+  PlanResourceChange,
+  PlanSummary as PlanSummaryData,
+  PolicyCheck,
+} from '../types';
+
+interface PlanSummaryProps {
+  summary: PlanSummaryData;
+  cost?: CostEstimate | null;
+  costError?: string | null;
+  policy?: PolicyCheck | null;
+}
+
+const ACTIONS: { action: PlanAction; label: string; color: 'success' | 'info' | 'warning' | 'error' }[] = [
+  { action: 'destroy', label: 'Destroy', color: 'error' },
+  { action: 'replace', label: 'Replace', color: 'warning' },
+  { action: 'update', label: 'Update', color: 'info' },
+  { action: 'create', label: 'Create', color: 'success' },
+];
+
+const formatValue = (value: unknown): string => {
+  if (value === null || value === undefined) return '-';
+  if (typeof value === 'string') return value;
+  return JSON.stringify(value);
+};
+
+const ResourceChangeRow: React.FC<{ change: PlanResourceChange }> = ({ change }) => {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <>
+      <TableRow>
+        <TableCell padding="checkbox">
+          <IconButton size="small" onClick={() => setOpen(!open)} disabled={change.attributes.length === 0}>
+            {open ? <KeyboardArrowUpIcon /> : <KeyboardArrowDownIcon />}
+          </IconButton>
+        </TableCell>
+        <TableCell sx={{ fontFamily: 'monospace' }}>{change.address}</TableCell>
+        <TableCell>{change.type}</TableCell>
+        <TableCell align="right">{change.attributes.length}</TableCell>
+      </TableRow>
+      <TableRow>
+        <TableCell colSpan={4} sx={{ py: 0, borderBottom: open ? undefined : 'none' }}>
+          <Collapse in={open} timeout="auto" unmountOnExit>
+            <Table size="small" sx={{ mb: 1 }}>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Attribute</TableCell>
+                  <TableCell>Before</TableCell>
+                  <TableCell>After</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {change.attributes.map((attribute) => (
+                  <TableRow key={attribute.path}>
+                    <TableCell sx={{ fontFamily: 'monospace' }}>
+                      {attribute.path}
+                      {attribute.forcesReplacement && (
+                        <Chip label="forces replacement" color="warning" size="small" sx={{ ml: 1 }} />
+                      )}
+                    </TableCell>
+                    <TableCell sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                      {formatValue(attribute.before)}
+                    </TableCell>
+                    <TableCell sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                      {formatValue(attribute.after)}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </Collapse>
+        </TableCell>
+      </TableRow>
+    </>
+  );
+};
+
+const formatCost = (amount: number, currency: string): string => (
+  new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount)
+);
+
+const formatDelta = (amount: number, currency: string): string => (
+  `${amount > 0 ? '+' : amount < 0 ? '-' : ''}${formatCost(Math.abs(amount), currency)}`
+);
+
+const CostEstimateSection: React.FC<{ cost: CostEstimate }> = ({ cost }) => {
+  const { currency, total } = cost;
+  // The plan modifies an environment that already has billed resources
+  const isExisting = total.before > 0;
+
+  const formatResourceCost = (amount: number | null, usageBased: boolean) => {
+    if (amount === null) return 'Unpriced';
+    if (usageBased) return 'Usage based';
+    return formatCost(amount, currency);
+  };
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Typography variant="subtitle1" gutterBottom>
+        Estimated monthly cost
+      </Typography>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <Typography variant="h5">{formatCost(total.after, currency)}</Typography>
+        {isExisting && (
+          <>
+            <Chip
+              label={`${formatDelta(total.delta, currency)} / month`}
+              color={total.delta > 0 ? 'warning' : total.delta < 0 ? 'success' : 'default'}
+              size="small"
+            />
+            <Typography variant="body2" color="text.secondary">
+              from {formatCost(total.before, currency)} today
+            </Typography>
+          </>
+        )}
+      </Box>
+
+      {cost.unpriced > 0 && (
+        <Alert severity="warning" sx={{ mb: 1 }}>
+          {cost.unpriced} resource(s) have no price in {cost.region} and are left out of the estimate.
+        </Alert>
+      )}
+
+      {cost.resources.length > 0 && (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Address</TableCell>
+              <TableCell>Details</TableCell>
+              {isExisting && <TableCell align="right">Current</TableCell>}
+              <TableCell align="right">After apply</TableCell>
+              {isExisting && <TableCell align="right">Change</TableCell>}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {cost.resources.map((resource) => (
+              <TableRow key={resource.address}>
+                <TableCell sx={{ fontFamily: 'monospace' }}>{resource.address}</TableCell>
+                <TableCell>{resource.note}</TableCell>
+                {isExisting && (
+                  <TableCell align="right">{formatResourceCost(resource.before, resource.usageBased)}</TableCell>
+                )}
+                <TableCell align="right">{formatResourceCost(resource.after, resource.usageBased)}</TableCell>
+                {isExisting && (
+                  <TableCell align="right">
+                    {resource.delta ? formatDelta(resource.delta, currency) : '-'}
+                  </TableCell>
+                )}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+
+      <Typography variant="caption" color="text.secondary">
+        On-demand list prices in {cost.region} as of {cost.updatedAt}, excluding data transfer, requests and
+        other usage based charges.
+      </Typography>
+    </Box>
+  );
+};
+
+const PolicySection: React.FC<{ policy: PolicyCheck }> = ({ policy }) => (
+  <Box sx={{ mb: 2 }}>
+    <Typography variant="subtitle1" gutterBottom>
+      Policy checks
+    </Typography>
+    {policy.violations.length === 0 ? (
+      <Alert severity="success">The plan passes all {policy.rules} policy rule(s).</Alert>
+    ) : (
+      <>
+        {policy.denied && (
+          <Alert severity="error" sx={{ mb: 1 }}>
+            Applying is blocked: the plan violates deny policies. Fix the configuration and generate a new plan.
+          </Alert>
+        )}
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Severity</TableCell>
+              <TableCell>Rule</TableCell>
+              <TableCell>Location</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {policy.violations.map((violation) => (
+              <TableRow key={`${violation.rule}:${violation.location}`}>
+                <TableCell>
+                  <Chip
+                    label={violation.severity}
+                    color={violation.severity === 'deny' ? 'error' : 'warning'}
+                    size="small"
+                  />
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>{violation.rule}</Typography>
+                  <Typography variant="body2" color="text.secondary">{violation.description}</Typography>
+                </TableCell>
+                <TableCell sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>{violation.location}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </>
+    )}
+  </Box>
+);
+
+const PlanSummary: React.FC<PlanSummaryProps> = ({ summary, cost, costError, policy }) => {
+  const { counts, changes } = summary;
+
+  return (
+    <Paper elevation={3} sx={{ p: 3 }}>
+      <Typography variant="h6" gutterBottom>
+        Plan Review
+      </Typography>
+
+      <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+        {ACTIONS.map(({ action, label, color }) => (
+          <Chip
+            key={action}
+            label={`${label}: ${counts[action]}`}
+            color={counts[action] > 0 ? color : 'default'}
+            variant={counts[action] > 0 ? 'filled' : 'outlined'}
+          />
+        ))}
+      </Box>
+
+      {summary.hasDestructiveChanges && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          This plan destroys {counts.destroy} and replaces {counts.replace} existing resource(s).
+          Data held by these resources may be lost. Review them carefully before applying.
+        </Alert>
+      )}
+
+      {policy && <PolicySection policy={policy} />}
+
+      {cost && <CostEstimateSection cost={cost} />}
+      {costError && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          No cost estimate: {costError}
+        </Alert>
+      )}
+
+      {changes.length === 0 ? (
+        <Typography color="text.secondary">
+          No changes. Your infrastructure matches the configuration.
+        </Typography>
+      ) : (
+        ACTIONS.filter(({ action }) => counts[action] > 0).map(({ action, label }) => (
+          <Box key={action} sx={{ mb: 2 }}>
+            <Typography variant="subtitle1" gutterBottom>
+              {label} ({counts[action]})
+            </Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell padding="checkbox" />
+                  <TableCell>Address</TableCell>
+                  <TableCell>Type</TableCell>
+                  <TableCell align="right">Changed attributes</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {changes
+                  .filter((change) => change.action === action)
+                  .map((change) => (
+                    <ResourceChangeRow key={change.address} change={change} />
+                  ))}
+              </TableBody>
+            </Table>
+          </Box>
+        ))
+      )}
+    </Paper>
+  );
+};
+
+export default PlanSummary;
@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
+import { vs } from 'react-syntax-highlighter/dist/cjs/styles/prism';
+import { PromotionPreview } from '../types';
+
+interface PromotionDialogProps {
+  open: boolean;
+  preview: PromotionPreview | null;
+  error: string | null;
+  onClose: () => void;
+  onConfirm: () => Promise<void>;
+}
+
+const DiffBlock: React.FC<{ diff: string }> = ({ diff }) => (
+  <SyntaxHighlighter language="diff" style={vs} customStyle={{ fontSize: 12 }}>
+    {diff}
+  </SyntaxHighlighter>
+);
+
+const PromotionDialog: React.FC<PromotionDialogProps> = ({ open, preview, error, onClose, onConfirm }) => {
+  const [isPromoting, setIsPromoting] = useState(false);
+  const [promoteError, setPromoteError] = useState<string | null>(null);
+
+  const handleClose = () => {
+    setPromoteError(null);
+    onClose();
+  };
+
+  const handleConfirm = async () => {
+    setIsPromoting(true);
+    setPromoteError(null);
+    try {
+      await onConfirm();
+      handleClose();
+    } catch (err) {
+      setPromoteError(err instanceof Error ? err.message : 'Failed to promote the application');
+    } finally {
+      setIsPromoting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} fullWidth maxWidth="lg">
+      <DialogTitle>
+        {preview ? `Promote ${preview.from} to ${preview.to}` : 'Promote'}
+      </DialogTitle>
+      <DialogContent>
+        {(error || promoteError) && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error || promoteError}
+          </Alert>
+        )}
+
+        {!preview && !error && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {preview && (
+          <>
+            <Typography variant="subtitle1" gutterBottom>
+              Overlay settings
+            </Typography>
+            {preview.settings.length > 0 ? (
+              <Table size="small" sx={{ mb: 3 }}>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Setting</TableCell>
+                    <TableCell>{preview.from}</TableCell>
+                    <TableCell>{preview.to}</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {preview.settings.map(({ setting, from, to }) => (
+                    <TableRow key={setting}>
+                      <TableCell sx={{ fontFamily: 'monospace' }}>{setting}</TableCell>
+                      <TableCell>{from === null ? 'catalog size' : String(from)}</TableCell>
+                      <TableCell>{to === null ? 'catalog size' : String(to)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            ) : (
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+                Both environments use the same overlay settings.
+              </Typography>
+            )}
+
+            <Typography variant="subtitle1" gutterBottom>
+              Application definition
+            </Typography>
+            {preview.definition.isNew && (
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                This is the first promotion to {preview.to}.
+              </Typography>
+            )}
+            {preview.definition.diff ? (
+              <DiffBlock diff={preview.definition.diff} />
+            ) : (
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+                {preview.to} already runs the definition deployed to {preview.from}.
+              </Typography>
+            )}
+
+            <Typography variant="subtitle1" gutterBottom sx={{ mt: 2 }}>
+              Terraform configuration
+            </Typography>
+            {preview.files.map(({ file, diff }) => (
+              <DiffBlock key={file} diff={diff} />
+            ))}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={isPromoting}>
+          Cancel
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleConfirm}
+          disabled={!preview || isPromoting}
+        >
+          {isPromoting ? 'Promoting...' : `Generate ${preview?.to || ''} Workspace`}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default PromotionDialog;
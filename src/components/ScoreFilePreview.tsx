@@ -1,27 +1,105 @@
 import React from 'react';
-import { Box, Button, Paper, Typography } from '@mui/material';
+import { Alert, Box, Button, Paper, Typography } from '@mui/material';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
-import { docco } from 'react-syntax-highlighter/dist/esm/styles/hljs';
+import { vs } from 'react-syntax-highlighter/dist/cjs/styles/prism';
+import { PublishResult, ScoreValidationError } from '../types';
 
 interface ScoreFilePreviewProps {
   scoreFile: string;
+  errors?: ScoreValidationError[];
   onCancel: () => void;
+  // Download the target environment's Terraform bundle, offered once the
+  // score file is valid
+  onDownloadBundle?: () => void;
+  // Commit the bundle to a branch of the server's git repository, offered
+  // when the server has one configured
+  onPublish?: () => void;
+  isPublishing?: boolean;
+  publishResult?: PublishResult | null;
+  actionError?: string | null;
 }
 
-const ScoreFilePreview: React.FC<ScoreFilePreviewProps> = ({ scoreFile, onCancel }) => {
+const ScoreFilePreview: React.FC<ScoreFilePreviewProps> = ({
+  scoreFile,
+  errors = [],
+  onCancel,
+  onDownloadBundle,
+  onPublish,
+  isPublishing = false,
+  publishResult,
+  actionError,
+}) => {
+  const errorLines = new Set(errors.map((error) => error.line));
+
   return (
     <Paper elevation={3} sx={{ p: 3 }}>
       <Typography variant="h6" gutterBottom>
         Generated Score Configuration
       </Typography>
 
+      {errors.length > 0 && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          The score file does not match the score.dev v1b1 schema:
+          <Box component="ul" sx={{ m: 0, pl: 2 }}>
+            {errors.map((error, index) => (
+              <li key={index}>
+                Line {error.line}, column {error.column}
+                {error.pointer && <> (<code>{error.pointer}</code>)</>}: {error.message}
+              </li>
+            ))}
+          </Box>
+        </Alert>
+      )}
+
       <Box sx={{ mb: 3 }}>
-        <SyntaxHighlighter language="yaml" style={docco}>
+        <SyntaxHighlighter
+          language="yaml"
+          style={vs}
+          showLineNumbers
+          wrapLines
+          lineProps={(lineNumber: number) => ({
+            style: {
+              display: 'block',
+              backgroundColor: errorLines.has(lineNumber) ? '#fdecea' : undefined,
+            },
+          })}
+        >
           {scoreFile}
         </SyntaxHighlighter>
       </Box>
 
+      {actionError && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {actionError}
+        </Alert>
+      )}
+
+      {publishResult && (
+        <Alert severity="success" sx={{ mb: 2 }}>
+          Published <code>{publishResult.path}</code> to branch <code>{publishResult.branch}</code> of{' '}
+          <code>{publishResult.repository}</code>, commit <code>{publishResult.commit.slice(0, 7)}</code>.
+          Open a pull request against <code>{publishResult.baseBranch}</code> to review it.
+        </Alert>
+      )}
+
       <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 2 }}>
+        {onDownloadBundle && (
+          <Button
+            variant="contained"
+            onClick={onDownloadBundle}
+          >
+            Download Bundle
+          </Button>
+        )}
+        {onPublish && (
+          <Button
+            variant="contained"
+            onClick={onPublish}
+            disabled={isPublishing}
+          >
+            {isPublishing ? 'Publishing...' : 'Publish to Git'}
+          </Button>
+        )}
         <Button
           variant="outlined"
           onClick={onCancel}
@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  Typography,
+} from '@mui/material';
+
+interface ScoreImportDialogProps {
+  open: boolean;
+  onClose: () => void;
+  onImport: (content: string) => Promise<void>;
+}
+
+const ScoreImportDialog: React.FC<ScoreImportDialogProps> = ({ open, onClose, onImport }) => {
+  const [content, setContent] = useState('');
+  const [fileName, setFileName] = useState<string | null>(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleFileChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setFileName(file.name);
+    setContent(await file.text());
+    setError(null);
+  };
+
+  const handleClose = () => {
+    setContent('');
+    setFileName(null);
+    setError(null);
+    onClose();
+  };
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    setError(null);
+    try {
+      await onImport(content);
+      handleClose();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to import score file');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} fullWidth maxWidth="md">
+      <DialogTitle>Import score.yaml</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+          <Button variant="outlined" component="label" disabled={isImporting}>
+            Upload File
+            <input
+              hidden
+              type="file"
+              accept=".yaml,.yml"
+              onChange={handleFileChange}
+            />
+          </Button>
+          <Typography variant="body2" color="text.secondary">
+            {fileName || 'or paste the file contents below'}
+          </Typography>
+        </Box>
+        <TextField
+          fullWidth
+          multiline
+          minRows={10}
+          label="score.yaml"
+          value={content}
+          onChange={(e) => setContent(e.target.value)}
+          disabled={isImporting}
+          InputProps={{ sx: { fontFamily: 'monospace' } }}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={isImporting}>
+          Cancel
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleImport}
+          disabled={isImporting || !content.trim()}
+        >
+          {isImporting ? 'Importing...' : 'Import'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ScoreImportDialog;
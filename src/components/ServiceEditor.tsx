@@ -0,0 +1,224 @@
+import React from 'react';
+import {
+  Box,
+  Checkbox,
+  FormControlLabel,
+  MenuItem,
+  Switch,
+  TextField,
+  Typography,
+} from '@mui/material';
+import {
+  CatalogProperty,
+  CatalogResource,
+  CatalogService,
+  PropertyValue,
+  ServiceConfig,
+} from '../types';
+
+interface ServiceEditorProps {
+  service: CatalogService;
+  resources: Record<string, CatalogResource>;
+  value: ServiceConfig | undefined;
+  onChange: (value: ServiceConfig | undefined) => void;
+  disabled?: boolean;
+}
+
+// Default properties of a resource type from the catalog
+export const getDefaultProperties = (resource: CatalogResource): Record<string, PropertyValue> => (
+  Object.fromEntries(Object.entries(resource.properties).map(([name, property]) => [name, property.default]))
+);
+
+// Check a property value the way the server does. Returns the error, if any
+export const getPropertyError = (property: CatalogProperty, value: PropertyValue | undefined): string | null => {
+  if (property.type === 'integer') {
+    const { min = 0, max = Number.MAX_SAFE_INTEGER } = property;
+    if (typeof value !== 'number' || !Number.isInteger(value) || value < min || value > max) {
+      return `Enter a whole number between ${min} and ${max}`;
+    }
+  }
+  if (property.type === 'list' && Array.isArray(value) && value.length === 0) {
+    return 'Select at least one';
+  }
+  return null;
+};
+
+// Whether any property of the configured services is invalid
+export const hasServiceErrors = (
+  services: Record<string, ServiceConfig | undefined>,
+  resources: Record<string, CatalogResource>
+) => Object.values(services).some((service) => {
+  const resource = service && resources[service.type];
+  return !!resource && Object.entries(resource.properties)
+    .some(([name, property]) => getPropertyError(property, service.properties[name]) !== null);
+});
+
+// Describe what a size provisions, e.g. "db.t3.micro, 20 GiB"
+const describeSize = (resource: CatalogResource, size: string) => {
+  const spec = resource.sizes?.[size];
+  if (!spec) return size;
+  return [spec.instanceClass, spec.storageGb && `${spec.storageGb} GiB`].filter(Boolean).join(', ');
+};
+
+const PropertyEditor: React.FC<{
+  name: string;
+  property: CatalogProperty;
+  resource: CatalogResource;
+  value: PropertyValue | undefined;
+  onChange: (value: PropertyValue) => void;
+  disabled: boolean;
+}> = ({ name, property, resource, value, onChange, disabled }) => {
+  const error = getPropertyError(property, value);
+
+  switch (property.type) {
+    case 'boolean':
+      return (
+        <FormControlLabel
+          control={
+            <Switch
+              checked={!!value}
+              onChange={(e) => onChange(e.target.checked)}
+              disabled={disabled}
+            />
+          }
+          label={property.label}
+        />
+      );
+    case 'integer':
+      return (
+        <TextField
+          label={property.label}
+          type="number"
+          size="small"
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value === '' ? NaN : Number(e.target.value))}
+          inputProps={{ min: property.min, max: property.max }}
+          error={!!error}
+          helperText={error}
+          disabled={disabled}
+        />
+      );
+    case 'list':
+      return (
+        <TextField
+          select
+          label={property.label}
+          size="small"
+          value={Array.isArray(value) ? value : []}
+          onChange={(e) => {
+            const selected = e.target.value as unknown as string[] | string;
+            onChange(typeof selected === 'string' ? selected.split(',') : selected);
+          }}
+          SelectProps={{ multiple: true }}
+          error={!!error}
+          helperText={error}
+          disabled={disabled}
+          sx={{ minWidth: 240 }}
+        >
+          {(property.values || []).map((option) => (
+            <MenuItem key={option} value={option}>
+              {option}
+            </MenuItem>
+          ))}
+        </TextField>
+      );
+    default:
+      return (
+        <TextField
+          select
+          label={property.label}
+          size="small"
+          value={value ?? property.default}
+          onChange={(e) => onChange(e.target.value)}
+          helperText={name === 'size' ? describeSize(resource, String(value)) : undefined}
+          disabled={disabled}
+          sx={{ minWidth: 160 }}
+        >
+          {(property.values || []).map((option) => (
+            <MenuItem key={option} value={option}>
+              {option}
+            </MenuItem>
+          ))}
+        </TextField>
+      );
+  }
+};
+
+const ServiceEditor: React.FC<ServiceEditorProps> = ({
+  service,
+  resources,
+  value,
+  onChange,
+  disabled = false,
+}) => {
+  const types = service.types.filter(type => resources[type]);
+  const resource = value && resources[value.type];
+
+  // Start from the catalog defaults whenever the service or its type is chosen
+  const selectType = (type: string) => {
+    onChange({ type, properties: getDefaultProperties(resources[type]) });
+  };
+
+  const handleToggle = () => {
+    if (value) {
+      onChange(undefined);
+    } else if (types.length > 0) {
+      selectType(types[0]);
+    }
+  };
+
+  return (
+    <Box sx={{ mb: 1 }}>
+      <FormControlLabel
+        control={
+          <Checkbox
+            checked={!!value}
+            onChange={handleToggle}
+            disabled={disabled}
+          />
+        }
+        label={resource ? `${service.label} (${resource.label})` : service.label}
+      />
+      {value && resource && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'flex-start', gap: 2, ml: 4, mt: 1 }}>
+          {types.length > 1 && (
+            <TextField
+              select
+              label="Type"
+              size="small"
+              value={value.type}
+              onChange={(e) => selectType(e.target.value)}
+              disabled={disabled}
+              sx={{ minWidth: 160 }}
+            >
+              {types.map((type) => (
+                <MenuItem key={type} value={type}>
+                  {resources[type].label}
+                </MenuItem>
+              ))}
+            </TextField>
+          )}
+          {Object.entries(resource.properties).map(([name, property]) => (
+            <PropertyEditor
+              key={name}
+              name={name}
+              property={property}
+              resource={resource}
+              value={value.properties[name]}
+              onChange={(propertyValue) => onChange({
+                ...value,
+                properties: { ...value.properties, [name]: propertyValue },
+              })}
+              disabled={disabled}
+            />
+          ))}
+          <Typography variant="body2" color="text.secondary" sx={{ flexBasis: '100%' }}>
+            {resource.description}
+          </Typography>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default ServiceEditor;
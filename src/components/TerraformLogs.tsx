@@ -1,32 +1,47 @@
 import React from 'react';
 import { Box, Button, Typography, Paper, CircularProgress, Alert } from '@mui/material';
 
-export type TerraformStatus = 'idle' | 'initializing' | 'planning' | 'applying' | 'destroying' | 'processing' | 'completed' | 'error';
+export type TerraformStatus = 'idle' | 'initializing' | 'planning' | 'applying' | 'destroying' | 'migrating' | 'checking' | 'processing' | 'cancelling' | 'completed' | 'cancelled' | 'error';
 
 interface TerraformLogsProps {
   status: TerraformStatus;
   logs: string[];
   error: string | null;
+  hasReviewedPlan: boolean;
+  // What the signed-in user's role allows: running init, plan and apply, and
+  // destroying the environment
+  canOperate: boolean;
+  canDestroy: boolean;
   onInit: () => void;
   onPlan: () => void;
   onApply: () => void;
   onDestroy: () => void;
+  onCancelRun: () => void;
   onCancel: () => void;
+  // Offered while the workspace has local state the remote backend lacks
+  onMigrateState?: () => void;
+  backendType?: string;
 }
 
 const TerraformLogs: React.FC<TerraformLogsProps> = ({
   status,
   logs,
   error,
+  hasReviewedPlan,
+  canOperate,
+  canDestroy,
   onInit,
   onPlan,
   onApply,
   onDestroy,
+  onCancelRun,
   onCancel,
+  onMigrateState,
+  backendType,
 }) => {
-  const isProcessing = status === 'initializing' || status === 'planning' || status === 'applying' || status === 'destroying' || status === 'processing';
-  const canPlan = status === 'idle' || status === 'completed';
-  const canApply = status === 'completed';
+  const isProcessing = status === 'initializing' || status === 'planning' || status === 'applying' || status === 'destroying' || status === 'migrating' || status === 'checking' || status === 'processing' || status === 'cancelling';
+  const canPlan = status === 'idle' || status === 'completed' || status === 'cancelled';
+  const canApply = status === 'completed' && hasReviewedPlan;
 
   return (
     <Paper elevation={3} sx={{ p: 3 }}>
@@ -45,6 +60,21 @@ const TerraformLogs: React.FC<TerraformLogsProps> = ({
           </Alert>
         )}
 
+        {onMigrateState && (
+          <Alert
+            severity="warning"
+            sx={{ mb: 2 }}
+            action={
+              <Button color="inherit" size="small" onClick={onMigrateState} disabled={isProcessing || !canOperate}>
+                Migrate State
+              </Button>
+            }
+          >
+            This workspace keeps its state on the server's disk. Migrate it to the {backendType} backend
+            before initializing, so the resources it tracks are not lost with the server.
+          </Alert>
+        )}
+
         {isProcessing && (
           <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
             <CircularProgress size={20} sx={{ mr: 1 }} />
@@ -53,7 +83,10 @@ const TerraformLogs: React.FC<TerraformLogsProps> = ({
               {status === 'planning' && 'Generating Terraform plan...'}
               {status === 'applying' && 'Applying Terraform changes...'}
               {status === 'destroying' && 'Destroying Terraform resources...'}
+              {status === 'migrating' && 'Migrating Terraform state to the remote backend...'}
+              {status === 'checking' && 'Checking for changes made outside of Terraform...'}
               {status === 'processing' && 'Processing...'}
+              {status === 'cancelling' && 'Cancelling, waiting for Terraform to stop...'}
             </Typography>
           </Box>
         )}
@@ -70,7 +103,7 @@ const TerraformLogs: React.FC<TerraformLogsProps> = ({
           variant="contained"
           color="primary"
           onClick={onInit}
-          disabled={isProcessing}
+          disabled={isProcessing || !canOperate}
         >
           Initialize Terraform
         </Button>
@@ -79,7 +112,7 @@ const TerraformLogs: React.FC<TerraformLogsProps> = ({
           variant="contained"
           color="primary"
           onClick={onPlan}
-          disabled={isProcessing || !canPlan}
+          disabled={isProcessing || !canOperate || !canPlan}
         >
           Generate Plan
         </Button>
@@ -88,7 +121,7 @@ const TerraformLogs: React.FC<TerraformLogsProps> = ({
           variant="contained"
           color="primary"
           onClick={onApply}
-          disabled={isProcessing || !canApply}
+          disabled={isProcessing || !canOperate || !canApply}
         >
           Apply Changes
         </Button>
@@ -97,15 +130,15 @@ const TerraformLogs: React.FC<TerraformLogsProps> = ({
           variant="contained"
           color="error"
           onClick={onDestroy}
-          disabled={isProcessing}
+          disabled={isProcessing || !canDestroy}
         >
           Destroy
         </Button>
         
         <Button
           variant="outlined"
-          onClick={onCancel}
-          disabled={isProcessing}
+          onClick={isProcessing ? onCancelRun : onCancel}
+          disabled={status === 'cancelling' || (isProcessing && !canOperate)}
         >
           Cancel
         </Button>
@@ -8,6 +8,13 @@ export interface EnvironmentVariable {
   isSecret: boolean;
 }
 
+export interface ScoreValidationError {
+  pointer: string;
+  message: string;
+  line: number;
+  column: number;
+}
+
 export interface Service {
   name: string;
   type: 'database' | 'cache' | 'queue' | 'storage' | 'ai';
@@ -34,4 +41,229 @@ export interface ScoreConfig {
     certificate: boolean;
     secretsStore: boolean;
   };
-} 
\ No newline at end of file
+} 
+export type PlanAction = 'create' | 'update' | 'replace' | 'destroy';
+
+export interface PlanAttributeChange {
+  path: string;
+  before: unknown;
+  after: unknown;
+  sensitive: boolean;
+  unknown: boolean;
+  forcesReplacement: boolean;
+}
+
+export interface PlanResourceChange {
+  address: string;
+  module: string | null;
+  type: string;
+  name: string;
+  action: PlanAction;
+  attributes: PlanAttributeChange[];
+}
+
+export interface PlanSummary {
+  terraformVersion: string;
+  counts: Record<PlanAction, number>;
+  changes: PlanResourceChange[];
+  hasDestructiveChanges: boolean;
+}
+
+export interface CostResourceEstimate {
+  address: string;
+  module: string | null;
+  type: string;
+  action: PlanAction | 'no-op';
+  // Monthly cost before and after applying the plan, null when unpriced
+  before: number | null;
+  after: number | null;
+  delta: number | null;
+  note: string;
+  usageBased: boolean;
+  unpriced: boolean;
+}
+
+export type PolicySeverity = 'warn' | 'deny';
+
+export interface PolicyViolation {
+  rule: string;
+  description: string;
+  severity: PolicySeverity;
+  target: 'plan' | 'score';
+  // Path of the offending value, e.g. a resource address
+  location: string;
+}
+
+// Results of checking a plan against the server's policy rules. Deny
+// violations block the plan from being applied
+export interface PolicyCheck {
+  checkedAt: string;
+  rules: number;
+  violations: PolicyViolation[];
+  denied: boolean;
+}
+
+// Monthly cost of a plan's resources from the server's price table
+export interface CostEstimate {
+  currency: string;
+  region: string;
+  updatedAt: string;
+  resources: CostResourceEstimate[];
+  total: {
+    before: number;
+    after: number;
+    delta: number;
+  };
+  unpriced: number;
+}
+
+// Latest scheduled check of an applied environment for changes made outside
+// of Terraform
+export interface DriftCheck {
+  status: 'in-sync' | 'drifted' | 'error';
+  checkedAt: string;
+  jobId: string;
+  resources: PlanResourceChange[];
+  error?: string;
+}
+
+export type TerraformAction = 'init' | 'plan' | 'apply' | 'destroy' | 'migrate' | 'drift';
+
+export type JobStatus = 'queued' | 'running' | 'succeeded' | 'failed' | 'cancelled' | 'interrupted';
+
+// Event of a Terraform job's stream: a line of output, or the error or status
+// the job ended with
+export interface TerraformJobEvent {
+  log?: string;
+  error?: string;
+  status?: 'completed' | 'cancelled';
+}
+
+export interface TerraformJob {
+  id: string;
+  sessionId: string;
+  environment: EnvironmentName;
+  action: TerraformAction;
+  command: string;
+  startedBy: string | null;
+  status: JobStatus;
+  queuedAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
+  exitCode: number | null;
+  error: string | null;
+}
+
+export type EnvironmentName = 'dev' | 'staging' | 'prod';
+
+export interface EnvironmentOverlay {
+  replicas: number;
+  instanceSizes: Record<string, string>;
+  multiAz: boolean;
+  deletionProtection: boolean;
+  skipFinalSnapshot: boolean;
+}
+
+export interface DeploymentEnvironment {
+  name: EnvironmentName;
+  overlay: EnvironmentOverlay;
+  overrides: Partial<EnvironmentOverlay>;
+  promotesTo: EnvironmentName | null;
+  hasDefinition: boolean;
+  // State left in the workspace that must be migrated to the remote backend
+  hasLocalState: boolean;
+  lock: TerraformJob | null;
+}
+
+// Where the server keeps Terraform state, without credentials
+export interface StateBackend {
+  type: 's3' | 'http' | 'local';
+  bucket?: string;
+  prefix?: string;
+  lockTable?: string;
+  address?: string;
+}
+
+export interface OverlaySettingChange {
+  setting: string;
+  from: string | number | boolean | null;
+  to: string | number | boolean | null;
+}
+
+export interface PromotionPreview {
+  from: EnvironmentName;
+  to: EnvironmentName;
+  settings: OverlaySettingChange[];
+  definition: {
+    isNew: boolean;
+    diff: string;
+  };
+  files: {
+    file: string;
+    diff: string;
+  }[];
+}
+
+// A branch of the configured git repository an environment was published to
+export interface PublishResult {
+  repository: string;
+  branch: string;
+  baseBranch: string;
+  path: string;
+  commit: string;
+}
+
+export type PropertyValue = string | number | boolean | string[];
+
+export interface CatalogProperty {
+  label: string;
+  type: 'enum' | 'list' | 'integer' | 'boolean';
+  values?: string[];
+  min?: number;
+  max?: number;
+  default: PropertyValue;
+}
+
+export interface CatalogSize {
+  instanceClass: string;
+  storageGb?: number;
+}
+
+export interface CatalogResource {
+  type: string;
+  label: string;
+  description: string;
+  service?: string;
+  properties: Record<string, CatalogProperty>;
+  sizes?: Record<string, CatalogSize>;
+  variables: Record<string, string>;
+}
+
+export interface CatalogService {
+  key: string;
+  label: string;
+  resourceId: string;
+  types: string[];
+}
+
+export interface ServiceCatalog {
+  services: CatalogService[];
+  resources: Record<string, CatalogResource>;
+}
+
+export interface ServiceConfig {
+  type: string;
+  properties: Record<string, PropertyValue>;
+}
+
+export type AuthRole = 'viewer' | 'developer' | 'approver' | 'admin';
+
+export type AuthMode = 'local' | 'oidc';
+
+export interface AuthUser {
+  // Stable identity sessions belong to, username is for display
+  id: string;
+  username: string;
+  role: AuthRole;
+  team: string | null;
+}